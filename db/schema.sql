@@ -1,6 +1,19 @@
+CREATE TABLE IF NOT EXISTS accounts (
+  id TEXT PRIMARY KEY,
+  username TEXT UNIQUE,
+  password_hash TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  rating INTEGER NOT NULL DEFAULT 1200,
+  rated_games INTEGER NOT NULL DEFAULT 0,
+  CONSTRAINT accounts_username_chk CHECK (username IS NULL OR username ~ '^[a-z0-9_]{3,24}$'),
+  CONSTRAINT accounts_password_chk CHECK ((username IS NULL) = (password_hash IS NULL))
+);
+
 CREATE TABLE IF NOT EXISTS matches (
   id BIGSERIAL PRIMARY KEY,
-  room_id TEXT NOT NULL UNIQUE,
+  room_id TEXT NOT NULL,
+  game_number INTEGER NOT NULL DEFAULT 1,
   mode TEXT NOT NULL,
   status TEXT NOT NULL,
   winner_player_id TEXT,
@@ -21,6 +34,15 @@ CREATE TABLE IF NOT EXISTS match_players (
   CONSTRAINT match_players_unique_per_match UNIQUE (match_id, player_id)
 );
 
+-- Rematches reuse the room id, so a match row is one game: (room_id, game_number).
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS game_number INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE matches DROP CONSTRAINT IF EXISTS matches_room_id_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_matches_room_game ON matches(room_id, game_number);
+
+ALTER TABLE match_players ADD COLUMN IF NOT EXISTS account_id TEXT REFERENCES accounts(id) ON DELETE SET NULL;
+ALTER TABLE match_players ADD COLUMN IF NOT EXISTS hits INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE match_players ADD COLUMN IF NOT EXISTS opening_cell TEXT;
+
 CREATE TABLE IF NOT EXISTS match_events (
   id BIGSERIAL PRIMARY KEY,
   room_id TEXT NOT NULL,
@@ -42,11 +64,17 @@ CREATE INDEX IF NOT EXISTS idx_match_events_room_id ON match_events(room_id);
 CREATE INDEX IF NOT EXISTS idx_match_events_created_at ON match_events(created_at);
 CREATE INDEX IF NOT EXISTS idx_match_events_room_created_at ON match_events(room_id, created_at DESC);
 CREATE INDEX IF NOT EXISTS idx_match_events_payload_gin ON match_events USING GIN (payload);
+CREATE INDEX IF NOT EXISTS idx_match_events_type_created_at ON match_events(event_type, created_at DESC);
 CREATE INDEX IF NOT EXISTS idx_matches_status_started_at ON matches(status, started_at DESC);
 CREATE INDEX IF NOT EXISTS idx_matches_mode_started_at ON matches(mode, started_at DESC);
 CREATE INDEX IF NOT EXISTS idx_matches_ended_at ON matches(ended_at);
 CREATE INDEX IF NOT EXISTS idx_match_players_match_id ON match_players(match_id);
 CREATE INDEX IF NOT EXISTS idx_match_players_player_id ON match_players(player_id);
+CREATE INDEX IF NOT EXISTS idx_match_players_account_id ON match_players(account_id);
+CREATE INDEX IF NOT EXISTS idx_match_players_account_match ON match_players(account_id, match_id) WHERE account_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_matches_decided_ended_at ON matches(ended_at DESC) WHERE winner_player_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_accounts_last_seen_at ON accounts(last_seen_at);
+CREATE INDEX IF NOT EXISTS idx_accounts_rating ON accounts(rating DESC);
 CREATE INDEX IF NOT EXISTS idx_security_events_created_at ON security_events(created_at);
 CREATE INDEX IF NOT EXISTS idx_security_events_event_type_created_at ON security_events(event_type, created_at DESC);
 CREATE INDEX IF NOT EXISTS idx_security_events_ip_created_at ON security_events(ip, created_at DESC);
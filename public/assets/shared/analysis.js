@@ -0,0 +1,103 @@
+import { createAiState, nextShot, probabilityHeatmap, registerAiShot } from "./ai.js";
+import { cloneBoard, coordToKey, deserializeBoard, fireShot, isFleetSunk } from "./game.js";
+import { deriveSeed } from "./random.js";
+// Hard-AI games played against each fleet to estimate its expected shot count.
+const AI_SIMULATIONS = 8;
+const round = (value, digits = 3) => Number(value.toFixed(digits));
+// Fleet as placed, whatever shots the serialized board carries.
+const freshBoard = (board) => cloneBoard(deserializeBoard({
+    ...board,
+    ships: board.ships.map((ship) => ({ ...ship, hits: ship.cells.map(() => false), sunk: false })),
+    shots: [],
+    hits: [],
+}));
+// Approximate chance that `coord` hides a ship, from the probability AI's placement counts.
+// Shot cells always score 0 in the heatmap, so its sum covers exactly the open water.
+const hitChance = (heat, afloatCells, coord) => {
+    const total = heat.reduce((sum, row) => row.reduce((rowSum, value) => rowSum + value, sum), 0);
+    return total > 0 ? Math.min(1, (heat[coord.row][coord.col] * afloatCells) / total) : 0;
+};
+const hardAiShots = (fleet, adjacency, seed) => {
+    const board = freshBoard(fleet);
+    const aiState = createAiState(adjacency, "hard", seed);
+    const limit = board.width * board.height;
+    let shots = 0;
+    while (!isFleetSunk(board) && shots < limit) {
+        const shot = nextShot(board, aiState);
+        if (shot.row < 0 || shot.col < 0)
+            break;
+        registerAiShot(board, aiState, shot, fireShot(board, shot).outcome);
+        shots += 1;
+    }
+    return shots;
+};
+const analysePlayer = (replay, playerIndex, seed) => {
+    const player = replay.players[playerIndex];
+    const opponent = replay.players[1 - playerIndex];
+    const board = freshBoard(opponent.board);
+    const heatmap = Array.from({ length: board.height }, () => Array.from({ length: board.width }, () => 0));
+    const ships = new Map(board.ships.map((ship) => [ship.id, { shipId: ship.id, length: ship.cells.length, firstHitShot: null, sunkShot: null }]));
+    const accuracyTimeline = [];
+    let shots = 0;
+    let hits = 0;
+    let expectedHits = 0;
+    let shotsToFirstHit = null;
+    let shotsToWin = null;
+    let afloatCells = board.ships.reduce((sum, ship) => sum + ship.cells.length, 0);
+    for (const move of replay.moves) {
+        if (move.shooter !== player.id)
+            continue;
+        for (const shot of move.shots) {
+            if (board.shots.has(coordToKey(shot.coord)))
+                continue;
+            expectedHits += hitChance(probabilityHeatmap(board, replay.ruleset.adjacency), afloatCells, shot.coord);
+            const result = fireShot(board, shot.coord);
+            if (result.outcome === "invalid" || result.outcome === "already_shot")
+                continue;
+            shots += 1;
+            heatmap[shot.coord.row][shot.coord.col] = shots;
+            const ship = result.shipId ? ships.get(result.shipId) : undefined;
+            if (ship) {
+                hits += 1;
+                afloatCells -= 1;
+                shotsToFirstHit ?? (shotsToFirstHit = shots);
+                ship.firstHitShot ?? (ship.firstHitShot = shots);
+                if (result.outcome === "sink")
+                    ship.sunkShot = shots;
+            }
+            accuracyTimeline.push(round(hits / shots));
+            if (shotsToWin === null && isFleetSunk(board))
+                shotsToWin = shots;
+        }
+    }
+    let aiShots = 0;
+    for (let i = 0; i < AI_SIMULATIONS; i += 1) {
+        aiShots += hardAiShots(opponent.board, replay.ruleset.adjacency, deriveSeed(seed, i));
+    }
+    return {
+        playerId: player.id,
+        nickname: player.nickname,
+        shots,
+        hits,
+        accuracy: shots > 0 ? round(hits / shots) : 0,
+        accuracyTimeline,
+        shotsToFirstHit,
+        shotsToWin,
+        ships: [...ships.values()],
+        heatmap,
+        expectedHits: round(expectedHits, 2),
+        luck: round(hits - expectedHits, 2),
+        aiExpectedShots: round(aiShots / AI_SIMULATIONS, 1),
+    };
+};
+// Per-player statistics for a finished game. Deterministic for a given replay,
+// so the server and a local client compute the same numbers.
+export const buildMatchAnalysis = (replay) => {
+    const seed = deriveSeed(replay.seed ?? 0, replay.game);
+    return {
+        roomId: replay.roomId,
+        game: replay.game,
+        winner: replay.winner,
+        players: replay.players.slice(0, 2).map((_, index) => analysePlayer(replay, index, deriveSeed(seed, index + 1))),
+    };
+};
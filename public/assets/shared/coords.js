@@ -1,15 +1,16 @@
-const BOARD_LABELS = "ABCDEFGHIJ";
+import { BOARD_SIZE } from "./types.js";
+export const BOARD_LABELS = "ABCDEFGHIJKL";
 const isBetween = (value, min, max) => value >= min && value <= max;
-export const parseBoardCoordInput = (value) => {
+export const parseBoardCoordInput = (value, width = BOARD_SIZE, height = BOARD_SIZE) => {
     const normalized = value.trim().toUpperCase().replace(/\s+/g, "");
-    const match = normalized.match(/^([A-J])([1-9]|10)$/);
+    const match = normalized.match(/^([A-Z])([1-9][0-9]?)$/);
     if (!match)
         return null;
     const col = BOARD_LABELS.indexOf(match[1]);
-    if (col < 0)
+    if (col < 0 || col >= width)
         return null;
     const row = Number.parseInt(match[2], 10) - 1;
-    if (!Number.isFinite(row) || !isBetween(row, 0, 9))
+    if (!Number.isFinite(row) || !isBetween(row, 0, height - 1))
         return null;
     return { row, col };
 };
@@ -1,15 +1,24 @@
-import { BOARD_SIZE, REQUIRED_FLEET, STANDARD_FLEET, } from "./types.js";
+import { BOARD_SIZE, CLASSIC_RULESET, SALVO_FIXED_SHOTS, } from "./types.js";
+import { randomIndex } from "./random.js";
 export const coordToKey = (coord) => `${coord.row},${coord.col}`;
 export const keyToCoord = (key) => {
     const [row, col] = key.split(",").map((value) => parseInt(value, 10));
     return { row, col };
 };
-export const createEmptyBoard = (width = BOARD_SIZE, height = BOARD_SIZE) => ({
-    width,
-    height,
+const isRuleset = (value) => typeof value === "object" && value !== null && Array.isArray(value.fleet);
+export const createEmptyBoard = (widthOrRuleset = BOARD_SIZE, height = BOARD_SIZE) => ({
+    width: isRuleset(widthOrRuleset) ? widthOrRuleset.width : widthOrRuleset,
+    height: isRuleset(widthOrRuleset) ? widthOrRuleset.height : height,
     ships: [],
     shots: new Set(),
 });
+export const countFleet = (fleet) => {
+    const counts = {};
+    for (const type of fleet) {
+        counts[type] = (counts[type] ?? 0) + 1;
+    }
+    return counts;
+};
 export const cloneBoard = (board) => ({
     width: board.width,
     height: board.height,
@@ -45,7 +54,28 @@ export const createShip = (id, type, start, orientation) => ({
     hits: Array(type).fill(false),
     sunk: false,
 });
-export const validatePlacement = (board, ship) => {
+const ALL_NEIGHBOR_OFFSETS = [
+    { row: -1, col: -1 },
+    { row: -1, col: 0 },
+    { row: -1, col: 1 },
+    { row: 0, col: -1 },
+    { row: 0, col: 1 },
+    { row: 1, col: -1 },
+    { row: 1, col: 0 },
+    { row: 1, col: 1 },
+];
+// Offsets around a ship cell where no other ship may stand under the given policy.
+export const blockedNeighborOffsets = (adjacency) => {
+    if (adjacency === "any")
+        return [];
+    if (adjacency === "diagonal-only")
+        return ALL_NEIGHBOR_OFFSETS.filter((offset) => offset.row === 0 || offset.col === 0);
+    return ALL_NEIGHBOR_OFFSETS;
+};
+export const blockedNeighbors = (board, coord, adjacency) => blockedNeighborOffsets(adjacency)
+    .map((offset) => ({ row: coord.row + offset.row, col: coord.col + offset.col }))
+    .filter((neighbor) => inBounds(board, neighbor));
+export const validatePlacement = (board, ship, adjacency = "none") => {
     if (ship.cells.length !== ship.type || ship.type <= 0)
         return false;
     const shipCells = ship.cells;
@@ -63,25 +93,19 @@ export const validatePlacement = (board, ship) => {
                 if (coordEquals(candidate, current))
                     return false;
             }
-            // adjacency (including diagonals)
-            for (let dr = -1; dr <= 1; dr += 1) {
-                for (let dc = -1; dc <= 1; dc += 1) {
-                    if (dr === 0 && dc === 0)
-                        continue;
-                    const adjacent = { row: candidate.row + dr, col: candidate.col + dc };
-                    if (!inBounds(board, adjacent))
-                        continue;
-                    for (const current of existing.cells) {
-                        if (coordEquals(adjacent, current))
-                            return false;
-                    }
+            for (const adjacent of blockedNeighbors(board, candidate, adjacency)) {
+                for (const current of existing.cells) {
+                    if (coordEquals(adjacent, current))
+                        return false;
                 }
             }
         }
     }
     return true;
 };
-export const placeFleetRandomly = (board, fleet = STANDARD_FLEET) => {
+export const placeFleetRandomly = (board, rulesetOrFleet = CLASSIC_RULESET, random = Math.random) => {
+    const fleet = isRuleset(rulesetOrFleet) ? rulesetOrFleet.fleet : rulesetOrFleet;
+    const adjacency = isRuleset(rulesetOrFleet) ? rulesetOrFleet.adjacency : "none";
     const nextBoard = cloneBoard(board);
     nextBoard.ships = [];
     const orientationValues = ["H", "V"];
@@ -90,13 +114,13 @@ export const placeFleetRandomly = (board, fleet = STANDARD_FLEET) => {
         const id = `ship-${shipIndex++}`;
         let placed = false;
         for (let attempt = 0; attempt < 8000; attempt += 1) {
-            const orientation = orientationValues[Math.floor(Math.random() * 2)];
+            const orientation = orientationValues[randomIndex(random, 2)];
             const maxRow = orientation === "H" ? nextBoard.height : Math.max(1, nextBoard.height - type + 1);
             const maxCol = orientation === "V" ? nextBoard.width : Math.max(1, nextBoard.width - type + 1);
-            const row = Math.floor(Math.random() * maxRow);
-            const col = Math.floor(Math.random() * maxCol);
+            const row = randomIndex(random, maxRow);
+            const col = randomIndex(random, maxCol);
             const ship = createShip(id, type, { row, col }, orientation);
-            if (validatePlacement(nextBoard, ship)) {
+            if (validatePlacement(nextBoard, ship, adjacency)) {
                 nextBoard.ships.push(ship);
                 placed = true;
                 break;
@@ -109,6 +133,15 @@ export const placeFleetRandomly = (board, fleet = STANDARD_FLEET) => {
     return nextBoard;
 };
 export const isFleetSunk = (board) => board.ships.length > 0 && board.ships.every((ship) => ship.sunk);
+export const salvoShotCount = (ruleset, shooterBoard, targetBoard) => {
+    const openCells = targetBoard.width * targetBoard.height - targetBoard.shots.size;
+    const wanted = ruleset.salvo === "fixed"
+        ? SALVO_FIXED_SHOTS
+        : ruleset.salvo === "per_ship"
+            ? shooterBoard.ships.filter((ship) => !ship.sunk).length
+            : 1;
+    return Math.max(0, Math.min(wanted, openCells));
+};
 const isShipCell = (board, coord) => {
     const lookupKey = coordToKey(coord);
     for (const ship of board.ships) {
@@ -165,22 +198,25 @@ export const deserializeBoard = (serialized) => ({
     shots: new Set(serialized.shots ?? []),
     hits: new Set(serialized.hits ?? []),
 });
-export const validateFleet = (board) => {
-    if (board.ships.length !== 10)
+export const validateFleet = (board, ruleset = CLASSIC_RULESET) => {
+    if (board.width !== ruleset.width || board.height !== ruleset.height)
+        return false;
+    if (board.ships.length !== ruleset.fleet.length)
         return false;
-    const expected = { ...REQUIRED_FLEET };
+    const expected = countFleet(ruleset.fleet);
     const placed = cloneBoard(createEmptyBoard(board.width, board.height));
     for (const ship of board.ships) {
         if (!Object.prototype.hasOwnProperty.call(expected, ship.type))
             return false;
         if (ship.cells.length !== ship.type || ship.hits.length !== ship.type)
             return false;
-        if (expected[ship.type] <= 0)
+        const remaining = expected[ship.type] ?? 0;
+        if (remaining <= 0)
             return false;
-        if (!validatePlacement(placed, ship))
+        if (!validatePlacement(placed, ship, ruleset.adjacency))
             return false;
         placed.ships.push(ship);
-        expected[ship.type] -= 1;
+        expected[ship.type] = remaining - 1;
     }
     return Object.values(expected).every((count) => count === 0);
 };
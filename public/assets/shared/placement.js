@@ -0,0 +1,84 @@
+import { createEmptyBoard, placeFleetRandomly } from "./game.js";
+export const PLACEMENT_STRATEGIES = ["random", "edge", "spread", "anti_heatmap"];
+export const BOT_PLACEMENT_BY_DIFFICULTY = {
+    easy: "random",
+    normal: "edge",
+    hard: "anti_heatmap",
+};
+// Each strategy keeps the best of this many valid random layouts, so results stay varied.
+const PLACEMENT_CANDIDATES = 48;
+export const isPlacementStrategy = (value) => typeof value === "string" && PLACEMENT_STRATEGIES.includes(value);
+const edgeScore = (board) => {
+    let score = 0;
+    for (const ship of board.ships) {
+        for (const cell of ship.cells) {
+            score -= Math.min(cell.row, cell.col, board.height - 1 - cell.row, board.width - 1 - cell.col);
+        }
+    }
+    return score;
+};
+// Sum over ships of the gap (in king moves) to the nearest other ship.
+const spreadScore = (board) => {
+    let score = 0;
+    for (const ship of board.ships) {
+        let nearest = Number.POSITIVE_INFINITY;
+        for (const other of board.ships) {
+            if (other === ship)
+                continue;
+            for (const a of ship.cells) {
+                for (const b of other.cells) {
+                    nearest = Math.min(nearest, Math.max(Math.abs(a.row - b.row), Math.abs(a.col - b.col)));
+                }
+            }
+        }
+        if (Number.isFinite(nearest))
+            score += nearest;
+    }
+    return score;
+};
+const heatScore = (board, shotHeat) => {
+    let score = 0;
+    for (const ship of board.ships) {
+        for (const cell of ship.cells) {
+            score -= shotHeat[cell.row]?.[cell.col] ?? 0;
+        }
+    }
+    return score;
+};
+const hasShotHeat = (shotHeat, ruleset) => Array.isArray(shotHeat) &&
+    shotHeat.length === ruleset.height &&
+    shotHeat.some((row) => Array.isArray(row) && row.some((value) => value > 0));
+// shotHeat[row][col] counts historical human shots on a board of the ruleset's size.
+export const placeFleetWithStrategy = (ruleset, strategy, shotHeat, random = Math.random) => {
+    const empty = createEmptyBoard(ruleset);
+    if (strategy === "random")
+        return placeFleetRandomly(empty, ruleset, random);
+    const score = strategy === "edge"
+        ? edgeScore
+        : strategy === "anti_heatmap" && hasShotHeat(shotHeat, ruleset)
+            ? (board) => heatScore(board, shotHeat)
+            : spreadScore;
+    let best = placeFleetRandomly(empty, ruleset, random);
+    let bestScore = score(best);
+    for (let i = 1; i < PLACEMENT_CANDIDATES; i += 1) {
+        const candidate = placeFleetRandomly(empty, ruleset, random);
+        const candidateScore = score(candidate);
+        if (candidateScore > bestScore) {
+            best = candidate;
+            bestScore = candidateScore;
+        }
+    }
+    return best;
+};
+// Turns (row, col, count) rows into a dense grid, dropping cells outside the board.
+export const shotHeatFromCounts = (ruleset, counts) => {
+    const heat = Array.from({ length: ruleset.height }, () => Array.from({ length: ruleset.width }, () => 0));
+    for (const { row, col, shots } of counts) {
+        if (!Number.isInteger(row) || !Number.isInteger(col))
+            continue;
+        if (row < 0 || col < 0 || row >= ruleset.height || col >= ruleset.width)
+            continue;
+        heat[row][col] += Math.max(0, shots);
+    }
+    return heat;
+};
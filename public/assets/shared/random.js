@@ -0,0 +1,22 @@
+const SEED_MAX = 4294967296;
+export const makeSeed = () => Math.floor(Math.random() * SEED_MAX);
+export const isSeed = (value) => typeof value === "number" && Number.isInteger(value) && value >= 0 && value < SEED_MAX;
+export const createRngState = (seed) => ({ value: seed >>> 0 });
+// Independent stream for a given purpose (e.g. the bot AI), so extra draws in one
+// stream never shift the numbers another stream sees.
+export const deriveSeed = (seed, stream) => {
+    let hash = Math.imul((seed ^ Math.imul(stream + 1, 0x9e3779b1)) >>> 0, 0x85ebca6b);
+    hash ^= hash >>> 13;
+    hash = Math.imul(hash, 0xc2b2ae35);
+    return (hash ^ (hash >>> 16)) >>> 0;
+};
+export const nextRandom = (state) => {
+    state.value = (state.value + 0x6d2b79f5) >>> 0;
+    let t = state.value;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / SEED_MAX;
+};
+export const randomFrom = (state) => () => nextRandom(state);
+export const createRandom = (seed) => randomFrom(createRngState(seed));
+export const randomIndex = (random, length) => Math.floor(random() * length);
@@ -1,3 +1,4 @@
+import { coordToKey } from "./game.js";
 export const isCountableShotOutcome = (outcome) => outcome === "miss" || outcome === "hit" || outcome === "sink";
 export const incrementShotCounter = (counters, outcome, shooterIsYou) => {
     if (!isCountableShotOutcome(outcome)) {
@@ -10,3 +11,14 @@ export const incrementShotCounter = (counters, outcome, shooterIsYou) => {
         counters.opponentShots += 1;
     }
 };
+export const boardShotStats = (board) => {
+    const shipCells = new Set(board.ships.flatMap((ship) => ship.cells.map(coordToKey)));
+    let hits = 0;
+    let openingCell = null;
+    for (const key of board.shots) {
+        openingCell ?? (openingCell = key);
+        if (shipCells.has(key))
+            hits += 1;
+    }
+    return { shots: board.shots.size, hits, openingCell };
+};
@@ -6,6 +6,67 @@ export const REQUIRED_FLEET = {
     3: 2,
     4: 1,
 };
+export const ADJACENCY_POLICIES = ["none", "diagonal-only", "any"];
+export const SALVO_MODES = ["off", "fixed", "per_ship"];
+export const SALVO_FIXED_SHOTS = 3;
+export const BOT_DIFFICULTIES = ["easy", "normal", "hard"];
+export const DEFAULT_BOT_DIFFICULTY = "normal";
+export const CLASSIC_RULESET = {
+    id: "classic",
+    width: BOARD_SIZE,
+    height: BOARD_SIZE,
+    fleet: STANDARD_FLEET,
+    adjacency: "none",
+    salvo: "off",
+};
+export const RULESETS = {
+    classic: CLASSIC_RULESET,
+    quick: {
+        id: "quick",
+        width: 8,
+        height: 8,
+        fleet: [3, 2, 2, 1, 1, 1],
+        adjacency: "none",
+        salvo: "off",
+    },
+    big_fleet: {
+        id: "big_fleet",
+        width: 12,
+        height: 12,
+        fleet: [5, 4, 3, 3, 2, 2, 2, 1, 1, 1, 1],
+        adjacency: "none",
+        salvo: "off",
+    },
+};
+export const DEFAULT_RULESET_ID = "classic";
+export const MAX_BOARD_SIZE = Math.max(...Object.values(RULESETS).flatMap((ruleset) => [ruleset.width, ruleset.height]));
+export const MAX_FLEET_SIZE = Math.max(...Object.values(RULESETS).map((ruleset) => ruleset.fleet.length));
+export const isRulesetId = (value) => typeof value === "string" && Object.prototype.hasOwnProperty.call(RULESETS, value);
+export const isAdjacencyPolicy = (value) => typeof value === "string" && ADJACENCY_POLICIES.includes(value);
+export const isSalvoMode = (value) => typeof value === "string" && SALVO_MODES.includes(value);
+export const isBotDifficulty = (value) => typeof value === "string" && BOT_DIFFICULTIES.includes(value);
+export const getRuleset = (id, adjacency, salvo) => {
+    const base = isRulesetId(id) ? RULESETS[id] : CLASSIC_RULESET;
+    const nextAdjacency = isAdjacencyPolicy(adjacency) ? adjacency : base.adjacency;
+    const nextSalvo = isSalvoMode(salvo) ? salvo : base.salvo;
+    if (nextAdjacency === base.adjacency && nextSalvo === base.salvo)
+        return base;
+    return { ...base, adjacency: nextAdjacency, salvo: nextSalvo };
+};
+export const BOT_STATE_VERSION = 1;
+export const CHAT_REPORT_REASONS = ["abuse", "spam", "other"];
+export const INVITE_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+export const INVITE_CODE_LENGTH = 6;
+export const normalizeInviteCode = (value) => {
+    if (typeof value !== "string")
+        return null;
+    const code = value.trim().toUpperCase();
+    if (code.length !== INVITE_CODE_LENGTH)
+        return null;
+    return [...code].every((char) => INVITE_CODE_ALPHABET.includes(char)) ? code : null;
+};
+export const LEADERBOARD_SORTS = ["wins", "win_rate", "rating", "accuracy"];
+export const LEADERBOARD_WINDOWS = ["daily", "weekly", "all"];
 export const CHAT_GIF_IDS = [
     "direct_hit",
     "missed_shot",
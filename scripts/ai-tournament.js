@@ -0,0 +1,346 @@
+const path = require("node:path");
+
+const SHARED_DIR = path.join(__dirname, "..", "dist", "server", "shared");
+
+const loadShared = () => {
+  try {
+    return {
+      ...require(path.join(SHARED_DIR, "types.js")),
+      ...require(path.join(SHARED_DIR, "game.js")),
+      ...require(path.join(SHARED_DIR, "ai.js")),
+      ...require(path.join(SHARED_DIR, "placement.js")),
+      ...require(path.join(SHARED_DIR, "random.js")),
+    };
+  } catch {
+    throw new Error("Shared engine not built. Run `npm run build:server` first.");
+  }
+};
+
+const shared = loadShared();
+
+const USAGE = `Usage: node scripts/ai-tournament.js [options]
+
+Round-robin between bot strategies on the shared engine.
+
+  --strategies <list>  comma-separated built-ins (easy, normal, hard) or paths to
+                       strategy modules (default: easy,normal,hard)
+  --games <n>          games per pairing, starts alternate (default: 1000)
+  --ruleset <id>       ${Object.keys(shared.RULESETS).join(", ")} (default: classic); always single-shot, no salvo
+  --adjacency <mode>   adjacency override: ${shared.ADJACENCY_POLICIES.join(", ")}
+  --placement <name>   fleet placement for both sides: ${shared.PLACEMENT_STRATEGIES.join(", ")} (default: random)
+  --seed <n>           tournament seed; the same seed replays every game (default: random)
+  --json               print the report as JSON instead of a text table
+  --help               show this message`;
+
+const BUILT_IN_STRATEGIES = ["easy", "normal", "hard"];
+const HISTOGRAM_BUCKET = 10;
+
+const parseArgs = (argv) => {
+  const options = {
+    strategies: BUILT_IN_STRATEGIES.join(","),
+    games: "1000",
+    ruleset: "classic",
+    adjacency: undefined,
+    placement: "random",
+    seed: undefined,
+    json: false,
+    help: false,
+  };
+  for (let index = 0; index < argv.length; index += 1) {
+    const arg = argv[index];
+    if (!arg.startsWith("--")) throw new Error(`Unexpected argument: ${arg}`);
+    const [flag, inline] = arg.slice(2).split(/=(.*)/s, 2);
+    if (flag === "json" || flag === "help") {
+      options[flag] = true;
+      continue;
+    }
+    if (!Object.prototype.hasOwnProperty.call(options, flag)) throw new Error(`Unknown option: --${flag}`);
+    const value = inline ?? argv[++index];
+    if (value === undefined) throw new Error(`Missing value for --${flag}`);
+    options[flag] = value;
+  }
+  return options;
+};
+
+const parsePositiveInt = (value, name) => {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 1) throw new Error(`${name} must be a positive integer.`);
+  return parsed;
+};
+
+// What a player may know about the fleet it fires at: its shots, which of them hit, the sunk ships and the
+// lengths still afloat. A fresh copy per call, so a strategy can neither read nor move the real ships.
+const fogOfWarView = (board) => {
+  const shots = new Set(board.shots);
+  const hits = new Set();
+  const ships = [];
+  const remainingShipLengths = [];
+  for (const ship of board.ships) {
+    for (const cell of ship.cells) {
+      const key = shared.coordToKey(cell);
+      if (shots.has(key)) hits.add(key);
+    }
+    if (ship.sunk) {
+      ships.push({ ...ship, cells: ship.cells.map((cell) => ({ ...cell })), hits: [...ship.hits] });
+    } else {
+      remainingShipLengths.push(ship.cells.length);
+    }
+  }
+  return { width: board.width, height: board.height, ships, shots, hits, remainingShipLengths };
+};
+
+// The built-in bots are the engine's own code and read only public information from the real board.
+const builtInStrategy = (difficulty) => ({
+  name: difficulty,
+  view: (board) => board,
+  createState: (ruleset, seed) => shared.createAiState(ruleset.adjacency, difficulty, seed),
+  nextShot: shared.nextShot,
+  registerShot: shared.registerAiShot,
+});
+
+// External modules export { name?, createState?(ruleset, seed), nextShot(board, state), registerShot?(board, state, coord, outcome) }
+// and get `board` as a fog-of-war view, not the opponent's fleet.
+const loadStrategy = (spec) => {
+  if (BUILT_IN_STRATEGIES.includes(spec)) return builtInStrategy(spec);
+  const modulePath = path.resolve(process.cwd(), spec);
+  let loaded;
+  try {
+    loaded = require(modulePath);
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    throw new Error(`Cannot load strategy ${spec}: ${message}`);
+  }
+  const strategy = loaded && typeof loaded === "object" && loaded.default ? loaded.default : loaded;
+  if (!strategy || typeof strategy.nextShot !== "function") {
+    throw new Error(`Strategy ${spec} must export a nextShot(board, state) function.`);
+  }
+  return {
+    name: typeof strategy.name === "string" && strategy.name ? strategy.name : path.basename(spec, path.extname(spec)),
+    view: fogOfWarView,
+    createState: typeof strategy.createState === "function" ? strategy.createState : () => ({}),
+    nextShot: strategy.nextShot,
+    registerShot: typeof strategy.registerShot === "function" ? strategy.registerShot : () => undefined,
+  };
+};
+
+// Hits keep the turn, like online games. A strategy that fires off the board or at a
+// cell it already shot loses the game on the spot.
+const playGame = (ruleset, placement, strategies, seed) => {
+  const random = shared.createRandom(seed);
+  const sides = strategies.map((strategy, index) => ({
+    strategy,
+    state: strategy.createState(ruleset, shared.deriveSeed(seed, index + 1)),
+    // Fleet this side shoots at; only the runner fires at it, strategies get `strategy.view(target)`.
+    target: shared.placeFleetWithStrategy(ruleset, placement, undefined, random),
+    shots: 0,
+    moveNs: [],
+  }));
+  let turn = 0;
+  for (;;) {
+    const side = sides[turn];
+    const started = process.hrtime.bigint();
+    const coord = side.strategy.nextShot(side.strategy.view(side.target), side.state);
+    side.moveNs.push(Number(process.hrtime.bigint() - started));
+    const result =
+      coord && Number.isInteger(coord.row) && Number.isInteger(coord.col)
+        ? shared.fireShot(side.target, coord)
+        : { outcome: "invalid" };
+    if (result.outcome === "invalid" || result.outcome === "already_shot") {
+      return { winner: 1 - turn, illegal: turn, shots: sides.map((item) => item.shots), sides };
+    }
+    side.shots += 1;
+    side.strategy.registerShot(side.strategy.view(side.target), side.state, coord, result.outcome);
+    if (result.gameOver) return { winner: turn, illegal: null, shots: sides.map((item) => item.shots), sides };
+    if (result.outcome === "miss") turn = 1 - turn;
+  }
+};
+
+const quantile = (sorted, q) =>
+  sorted.length === 0 ? null : sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil(q * sorted.length) - 1))];
+
+const mean = (values) => (values.length === 0 ? null : values.reduce((sum, value) => sum + value, 0) / values.length);
+
+const round = (value, digits = 2) => (value === null ? null : Number(value.toFixed(digits)));
+
+const shotsSummary = (shots) => {
+  const sorted = [...shots].sort((a, b) => a - b);
+  const histogram = {};
+  for (const value of sorted) {
+    const from = Math.floor(value / HISTOGRAM_BUCKET) * HISTOGRAM_BUCKET;
+    const label = `${from}-${from + HISTOGRAM_BUCKET - 1}`;
+    histogram[label] = (histogram[label] ?? 0) + 1;
+  }
+  return {
+    mean: round(mean(sorted)),
+    min: quantile(sorted, 0),
+    p10: quantile(sorted, 0.1),
+    p50: quantile(sorted, 0.5),
+    p90: quantile(sorted, 0.9),
+    max: quantile(sorted, 1),
+    histogram,
+  };
+};
+
+const latencySummary = (moveNs) => {
+  const sorted = [...moveNs].sort((a, b) => a - b);
+  const toUs = (value) => (value === null ? null : round(value / 1000));
+  return {
+    moves: sorted.length,
+    mean: toUs(mean(sorted)),
+    p50: toUs(quantile(sorted, 0.5)),
+    p99: toUs(quantile(sorted, 0.99)),
+    max: toUs(quantile(sorted, 1)),
+  };
+};
+
+const runTournament = ({ strategies, games, ruleset, placement, seed }) => {
+  if (strategies.length < 2) throw new Error("A tournament needs at least two strategies.");
+  const names = new Set();
+  for (const strategy of strategies) {
+    if (names.has(strategy.name)) throw new Error(`Duplicate strategy name: ${strategy.name}`);
+    names.add(strategy.name);
+  }
+  const stats = new Map(
+    strategies.map((strategy) => [strategy.name, { games: 0, wins: 0, illegalMoves: 0, shotsToWin: [], moveNs: [] }]),
+  );
+  const headToHead = [];
+  let gameIndex = 0;
+
+  for (let a = 0; a < strategies.length; a += 1) {
+    for (let b = a + 1; b < strategies.length; b += 1) {
+      const pairing = { a: strategies[a].name, b: strategies[b].name, games, aWins: 0, bWins: 0 };
+      for (let game = 0; game < games; game += 1) {
+        // Alternate who fires first so neither side keeps the opening advantage.
+        const order = game % 2 === 0 ? [strategies[a], strategies[b]] : [strategies[b], strategies[a]];
+        const result = playGame(ruleset, placement, order, shared.deriveSeed(seed, gameIndex));
+        gameIndex += 1;
+        order.forEach((strategy, side) => {
+          const entry = stats.get(strategy.name);
+          entry.games += 1;
+          for (const value of result.sides[side].moveNs) entry.moveNs.push(value);
+          if (result.illegal === side) entry.illegalMoves += 1;
+          if (result.winner === side) {
+            entry.wins += 1;
+            if (result.illegal === null) entry.shotsToWin.push(result.shots[side]);
+          }
+        });
+        if (order[result.winner] === strategies[a]) pairing.aWins += 1;
+        else pairing.bWins += 1;
+      }
+      headToHead.push({ ...pairing, aWinRate: round(pairing.aWins / games, 4) });
+    }
+  }
+
+  return {
+    seed,
+    ruleset: { id: ruleset.id, adjacency: ruleset.adjacency },
+    placement,
+    gamesPerPairing: games,
+    strategies: strategies.map((strategy) => {
+      const entry = stats.get(strategy.name);
+      return {
+        name: strategy.name,
+        games: entry.games,
+        wins: entry.wins,
+        winRate: round(entry.games > 0 ? entry.wins / entry.games : 0, 4),
+        illegalMoves: entry.illegalMoves,
+        shotsToWin: shotsSummary(entry.shotsToWin),
+        moveLatencyUs: latencySummary(entry.moveNs),
+      };
+    }),
+    headToHead,
+  };
+};
+
+const formatTable = (rows) => {
+  const widths = rows[0].map((_, column) => Math.max(...rows.map((row) => String(row[column]).length)));
+  return rows
+    .map((row) => row.map((cell, column) => String(cell).padEnd(widths[column])).join("  ").trimEnd())
+    .join("\n");
+};
+
+const formatPercent = (rate) => `${(rate * 100).toFixed(1)}%`;
+
+const formatReport = (report) => {
+  const dash = (value) => (value === null ? "-" : value);
+  const lines = [
+    `Seed ${report.seed}, ruleset ${report.ruleset.id} (${report.ruleset.adjacency}), placement ${report.placement}, ${report.gamesPerPairing} games per pairing`,
+    "",
+    formatTable([
+      ["strategy", "games", "wins", "win%", "illegal", "shots avg", "p10", "p50", "p90", "move µs avg", "p99"],
+      ...report.strategies.map((entry) => [
+        entry.name,
+        entry.games,
+        entry.wins,
+        formatPercent(entry.winRate),
+        entry.illegalMoves,
+        dash(entry.shotsToWin.mean),
+        dash(entry.shotsToWin.p10),
+        dash(entry.shotsToWin.p50),
+        dash(entry.shotsToWin.p90),
+        dash(entry.moveLatencyUs.mean),
+        dash(entry.moveLatencyUs.p99),
+      ]),
+    ]),
+    "",
+    formatTable([
+      ["head-to-head", "games", "wins", "win%"],
+      ...report.headToHead.map((pairing) => [
+        `${pairing.a} vs ${pairing.b}`,
+        pairing.games,
+        `${pairing.aWins}:${pairing.bWins}`,
+        formatPercent(pairing.aWinRate),
+      ]),
+    ]),
+  ];
+  for (const entry of report.strategies) {
+    const buckets = Object.entries(entry.shotsToWin.histogram);
+    if (buckets.length === 0) continue;
+    const peak = Math.max(...buckets.map(([, count]) => count));
+    lines.push("", `${entry.name} shots to win:`);
+    for (const [label, count] of buckets) {
+      lines.push(`  ${label.padStart(7)} ${"#".repeat(Math.max(1, Math.round((count / peak) * 40)))} ${count}`);
+    }
+  }
+  return lines.join("\n");
+};
+
+const main = () => {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!shared.isPlacementStrategy(options.placement)) throw new Error(`Unknown placement: ${options.placement}`);
+  if (!shared.isRulesetId(options.ruleset)) throw new Error(`Unknown ruleset: ${options.ruleset}`);
+  if (options.adjacency !== undefined && !shared.isAdjacencyPolicy(options.adjacency)) {
+    throw new Error(`Unknown adjacency: ${options.adjacency}`);
+  }
+  const ruleset = shared.getRuleset(options.ruleset, options.adjacency, "off");
+  const seed = options.seed === undefined ? shared.makeSeed() : Number(options.seed);
+  if (!shared.isSeed(seed)) throw new Error("--seed must be an integer between 0 and 4294967295.");
+  const report = runTournament({
+    strategies: options.strategies
+      .split(",")
+      .map((spec) => spec.trim())
+      .filter(Boolean)
+      .map(loadStrategy),
+    games: parsePositiveInt(options.games, "--games"),
+    ruleset,
+    placement: options.placement,
+    seed,
+  });
+  console.log(options.json ? JSON.stringify(report, null, 2) : formatReport(report));
+};
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    console.error(`AI tournament failed: ${message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { runTournament, loadStrategy, formatReport };
@@ -2,8 +2,9 @@
 import {
   BoardModel,
   Coord,
+  BOARD_LABELS,
+  CLASSIC_RULESET,
   parseBoardCoordInput,
-  STANDARD_FLEET,
   createEmptyBoard,
   createShip,
   createAiState,
@@ -11,33 +12,103 @@ import {
   isFleetSunk,
   keyToCoord,
   placeFleetRandomly,
+  placeFleetWithStrategy,
+  BOT_PLACEMENT_BY_DIFFICULTY,
   validatePlacement,
+  nextSalvo,
   nextShot,
   registerAiShot,
+  salvoShotCount,
   QueueMatchedPayload,
   QueueQueuedPayload,
   GameStatePayload,
   GameTurnPayload,
+  TimeBankPayload,
   GameShotResultPayload,
+  GameSalvoResultPayload,
+  SalvoShotResult,
   GameErrorPayload,
   GameCancelledPayload,
   GameOverPayload,
+  GameRematchRequestedPayload,
+  GameRematchStartedPayload,
+  SeriesScore,
   GamePlaceShipsPayload,
   ChatHistoryPayload,
   ChatMessage,
   ChatMessagePayload,
+  ChatReportedPayload,
+  ChatReportPayload,
   ChatSendPayload,
   CHAT_EMOJI,
   CHAT_GIF_IDS,
   SearchJoinPayload,
+  RoomCreatePayload,
+  RoomCreatedPayload,
+  RoomJoinPayload,
+  SpectateEndedPayload,
+  SpectateJoinPayload,
+  SpectatorPlayerView,
+  SpectatorStatePayload,
+  MatchReplay,
+  MatchReplayMove,
+  MatchAnalysis,
+  PlayerMatchAnalysis,
+  buildMatchAnalysis,
+  isCountableShotOutcome,
+  replayBoardsAt,
+  AccountSession,
+  Leaderboard,
+  LeaderboardSort,
+  LeaderboardWindow,
+  PlayerStats,
+  INVITE_CODE_LENGTH,
+  normalizeInviteCode,
+  AdjacencyPolicy,
+  Ruleset,
+  RulesetId,
+  SalvoMode,
+  BotDifficulty,
+  DEFAULT_BOT_DIFFICULTY,
+  ShipType,
+  blockedNeighbors,
+  isAdjacencyPolicy,
+  isSalvoMode,
+  isBotDifficulty,
+  DEFAULT_RULESET_ID,
+  getRuleset,
+  isRulesetId,
+  SerializedBoard,
+  SerializedAiState,
+  deserializeBoard,
+  serializeAiState,
+  deserializeAiState,
+  validateFleet,
+  cloneBoard,
+  cloneAiState,
+  suggestShot,
+  formatMessage,
+  isMessageKey,
+  GAME_OVER_STATUS,
+  MessageCode,
+  MessageParams,
+  LocaleCatalog,
+  LocaleInfo,
+  LocaleManifest,
+  LocalesResponse,
+  formatTemplate,
+  isLocaleCode,
+  negotiateLanguage,
 } from "../shared/index.js";
 
 declare const io: any;
 
 type Phase = "setup" | "playing" | "over";
 type PlacementMode = "manual" | "random";
+type AnalysisStatus = "idle" | "loading" | "ready" | "unavailable" | "not_found" | "busy" | "failed";
 type Turn = "you" | "bot";
-type Lang = "pl" | "en";
+// A catalog code from public/locales/manifest.json.
+type Lang = string;
 type ShotTracker = Record<string, Coord[]>;
 type CellState =
   | "empty"
@@ -45,6 +116,8 @@ type CellState =
   | "hit"
   | "miss"
   | "sunk"
+  | "target"
+  | "hint"
   | "preview-valid"
   | "preview-invalid";
 type PlacementPreview = {
@@ -52,6 +125,9 @@ type PlacementPreview = {
   valid: boolean;
 };
 type ChatDockCorner = "bottom-right" | "bottom-left" | "top-right" | "top-left";
+// "auto" follows prefers-contrast; the rest are fixed palettes in styles.css.
+type BoardTheme = "auto" | "standard" | "colorblind" | "contrast";
+const BOARD_THEMES: readonly BoardTheme[] = ["auto", "standard", "colorblind", "contrast"];
 
 interface ChatState {
   enabled: boolean;
@@ -62,7 +138,7 @@ interface ChatState {
 interface LocalState {
   phase: Phase;
   placement: PlacementMode;
-  remainingShips: number[];
+  remainingShips: ShipType[];
   orientation: "H" | "V";
   yourBoard: BoardModel;
   enemyBoard: BoardModel;
@@ -75,9 +151,30 @@ interface LocalState {
   ownShipHits: ShotTracker;
   enemySunkCells: Set<string>;
   yourSunkCells: Set<string>;
+  // Shot history in MatchReplay form, for the post-game analysis.
+  moves: MatchReplayMove[];
 }
 
-const labels = "ABCDEFGHIJ";
+// Unfinished PvA game as kept in localStorage between reloads.
+interface StoredLocalGame {
+  v: typeof LOCAL_GAME_VERSION;
+  ruleset: RulesetId;
+  adjacency: AdjacencyPolicy;
+  salvo: SalvoMode;
+  yourBoard: SerializedBoard;
+  enemyBoard: SerializedBoard;
+  turn: Turn;
+  shots: number;
+  opponentShots: number;
+  aiState: SerializedAiState;
+  enemyShipHits: ShotTracker;
+  ownShipHits: ShotTracker;
+  enemySunkCells: string[];
+  yourSunkCells: string[];
+  moves: MatchReplayMove[];
+}
+
+const labels = BOARD_LABELS;
 const $ = <T extends Element>(selector: string): T => {
   const el = document.querySelector(selector);
   if (!el) throw new Error(`Missing element: ${selector}`);
@@ -86,39 +183,41 @@ const $ = <T extends Element>(selector: string): T => {
 
 const coordKey = (coord: Coord): string => `${coord.row},${coord.col}`;
 const coordLabel = (coord: Coord): string => `${labels[coord.col]}${coord.row + 1}`;
-const cellIcon = (_state: CellState): string => "";
-
-const cellDescription = (coord: Coord, state: CellState): string => {
-  const cell = coordLabel(coord);
-  if (language === "en") {
-    if (state === "ship") return `${cell}: ship`;
-    if (state === "hit") return `${cell}: hit`;
-    if (state === "sunk") return `${cell}: sunk`;
-    if (state === "miss") return `${cell}: miss`;
-    if (state === "preview-valid") return `${cell}: placement preview (valid)`;
-    if (state === "preview-invalid") return `${cell}: placement preview (invalid)`;
-    return `${cell}: empty`;
-  }
-  if (state === "ship") return `${cell}: statek`;
-  if (state === "hit") return `${cell}: trafienie`;
-  if (state === "sunk") return `${cell}: zatopiony`;
-  if (state === "miss") return `${cell}: pudło`;
-  if (state === "preview-valid") return `${cell}: podgląd ustawienia (poprawne)`;
-  if (state === "preview-invalid") return `${cell}: podgląd ustawienia (błędne)`;
-  return `${cell}: puste`;
+const lastCoordLabel = (): string => coordLabel({ row: activeRuleset.height - 1, col: activeRuleset.width - 1 });
+const CELL_GLYPHS: Record<CellState, string> = {
+  empty: "",
+  ship: "■",
+  hit: "✕",
+  miss: "•",
+  sunk: "▼",
+  target: "◎",
+  hint: "?",
+  "preview-valid": "✓",
+  "preview-invalid": "!",
+};
+const cellIcon = (state: CellState): string => (cellGlyphs ? CELL_GLYPHS[state] : "");
+
+const CELL_DESCRIPTION_KEYS: Record<CellState, string> = {
+  empty: "cellEmpty",
+  ship: "cellShip",
+  hit: "cellHit",
+  miss: "cellMiss",
+  sunk: "cellSunk",
+  target: "cellTarget",
+  hint: "cellHint",
+  "preview-valid": "cellPreviewValid",
+  "preview-invalid": "cellPreviewInvalid",
 };
+
+const cellDescription = (coord: Coord, state: CellState): string =>
+  t(CELL_DESCRIPTION_KEYS[state], { cell: coordLabel(coord) });
 const coordEquals = (a: Coord, b: Coord): boolean => a.row === b.row && a.col === b.col;
 
 
 const markAroundSunkShip = (board: BoardModel, hits: Coord[]) => {
   for (const hit of hits) {
-    for (let dr = -1; dr <= 1; dr += 1) {
-      for (let dc = -1; dc <= 1; dc += 1) {
-        const row = hit.row + dr;
-        const col = hit.col + dc;
-        if (row < 0 || col < 0 || row >= board.height || col >= board.width) continue;
-        board.shots.add(coordKey({ row, col }));
-      }
+    for (const neighbor of blockedNeighbors(board, hit, activeRuleset.adjacency)) {
+      board.shots.add(coordKey(neighbor));
     }
   }
 };
@@ -142,13 +241,8 @@ const markAroundKnownSunkCells = (board: BoardModel, sunkCells: Set<string>) =>
   for (const key of sunkCells) {
     const coord = keyToCoord(key);
     if (!Number.isFinite(coord.row) || !Number.isFinite(coord.col)) continue;
-    for (let dr = -1; dr <= 1; dr += 1) {
-      for (let dc = -1; dc <= 1; dc += 1) {
-        const row = coord.row + dr;
-        const col = coord.col + dc;
-        if (row < 0 || col < 0 || row >= board.height || col >= board.width) continue;
-        board.shots.add(coordKey({ row, col }));
-      }
+    for (const neighbor of blockedNeighbors(board, coord, activeRuleset.adjacency)) {
+      board.shots.add(coordKey(neighbor));
     }
   }
 };
@@ -186,6 +280,7 @@ const syncSunkCellsFromBoard = (board: BoardModel, target: Set<string>) => {
 
 const appEl = $(".app") as HTMLDivElement;
 const statusEl = $("#status") as HTMLParagraphElement;
+const boardAnnouncerEl = $("#boardAnnouncer") as HTMLParagraphElement;
 const objectiveLabelEl = $("#objectiveLabel") as HTMLParagraphElement;
 const objectiveTextEl = $("#objectiveText") as HTMLParagraphElement;
 const boardHelperTextEl = $("#boardHelperText") as HTMLParagraphElement;
@@ -205,9 +300,19 @@ const subtitleEl = $("#subtitleText") as HTMLParagraphElement;
 const placementHintEl = $("#placementHint") as HTMLSpanElement;
 const labelNicknameEl = $("#labelNickname") as HTMLSpanElement;
 const labelShotEl = $("#labelShot") as HTMLSpanElement;
-const labelLanguageEl = $("#labelLanguage") as HTMLSpanElement;
+const labelRulesetEl = $("#labelRuleset") as HTMLSpanElement;
+const labelAdjacencyEl = $("#labelAdjacency") as HTMLSpanElement;
+const labelSalvoEl = $("#labelSalvo") as HTMLSpanElement;
+const labelDifficultyEl = $("#labelDifficulty") as HTMLSpanElement;
+const labelBoardThemeEl = $("#labelBoardTheme") as HTMLSpanElement;
+const labelCellGlyphsEl = $("#labelCellGlyphs") as HTMLSpanElement;
+const labelLanguageEl = $("#labelLanguage") as HTMLLabelElement;
 const myBoardTitleEl = $("#myBoardTitle") as HTMLHeadingElement;
 const enemyBoardTitleEl = $("#enemyBoardTitle") as HTMLHeadingElement;
+const turnClockEl = $("#turnClock") as HTMLDivElement;
+const turnClockArcEl = $("#turnClockArc") as SVGCircleElement;
+const turnClockTextEl = $("#turnClockText") as HTMLSpanElement;
+const timeBankLineEl = $("#timeBankLine") as HTMLParagraphElement;
 const legendShipEl = $("#legendShip") as HTMLSpanElement;
 const legendHitEl = $("#legendHit") as HTMLSpanElement;
 const legendMissEl = $("#legendMiss") as HTMLSpanElement;
@@ -217,6 +322,14 @@ const labelYouEl = $("#labelYou") as HTMLSpanElement;
 const labelOpponentInlineEl = $("#labelOpponentInline") as HTMLSpanElement;
 const labelTotalEl = $("#labelTotal") as HTMLSpanElement;
 const labelEnemyNameEl = $("#labelEnemyName") as HTMLSpanElement;
+const seriesPillEl = $("#seriesPill") as HTMLSpanElement;
+const labelSeriesEl = $("#labelSeries") as HTMLSpanElement;
+const seriesScoreEl = $("#seriesScore") as HTMLElement;
+const spectatorsPillEl = $("#spectatorsPill") as HTMLSpanElement;
+const labelSpectatorsEl = $("#labelSpectators") as HTMLSpanElement;
+const spectatorsCountEl = $("#spectatorsCount") as HTMLElement;
+const labelAccountEl = $("#labelAccount") as HTMLSpanElement;
+const accountNameEl = $("#accountName") as HTMLElement;
 const winnerFxEl = $("#winnerFx") as HTMLDivElement;
 const winnerFxTitleEl = $("#winnerFxTitle") as HTMLDivElement;
 const winnerFxNameEl = $("#winnerFxName") as HTMLDivElement;
@@ -230,6 +343,7 @@ const chatShortcutHintEl = $("#chatShortcutHint") as HTMLParagraphElement;
 const chatHintEl = $("#chatHint") as HTMLParagraphElement;
 const chatGifToggleEl = $("#chatGifToggle") as HTMLButtonElement;
 const chatMuteBtnEl = $("#chatMuteBtn") as HTMLButtonElement;
+const chatHideOpponentBtnEl = $("#chatHideOpponentBtn") as HTMLButtonElement;
 const chatGifBarEl = $("#chatGifBar") as HTMLDivElement;
 const chatUnreadEl = $("#chatUnread") as HTMLSpanElement;
 const chatLauncherEl = $("#chatLauncher") as HTMLButtonElement;
@@ -242,17 +356,75 @@ const btnAutoPlace = $("#btnAutoPlace") as HTMLButtonElement;
 const btnClearPlacement = $("#btnClearPlacement") as HTMLButtonElement;
 const btnStartLocal = $("#btnStartLocal") as HTMLButtonElement;
 const btnJoinQueue = $("#btnJoinQueue") as HTMLButtonElement;
+const btnCreateRoom = $("#btnCreateRoom") as HTMLButtonElement;
+const btnJoinRoom = $("#btnJoinRoom") as HTMLButtonElement;
+const roomCodeInput = $("#roomCodeInput") as HTMLInputElement;
+const labelRoomCodeEl = $("#labelRoomCode") as HTMLSpanElement;
+const btnSpectate = $("#btnSpectate") as HTMLButtonElement;
+const spectateInput = $("#spectateInput") as HTMLInputElement;
+const labelSpectateEl = $("#labelSpectate") as HTMLSpanElement;
+const btnReplay = $("#btnReplay") as HTMLButtonElement;
+const btnReplayLoad = $("#btnReplayLoad") as HTMLButtonElement;
+const replayInput = $("#replayInput") as HTMLInputElement;
+const labelReplayEl = $("#labelReplay") as HTMLSpanElement;
+const replayBarEl = $("#replayBar") as HTMLDivElement;
+const btnReplayBack = $("#btnReplayBack") as HTMLButtonElement;
+const btnReplayPlay = $("#btnReplayPlay") as HTMLButtonElement;
+const btnReplayForward = $("#btnReplayForward") as HTMLButtonElement;
+const labelReplaySpeedEl = $("#labelReplaySpeed") as HTMLSpanElement;
+const resumeBarEl = $("#resumeBar") as HTMLDivElement;
+const labelResumeLocalEl = $("#labelResumeLocal") as HTMLSpanElement;
+const btnResumeLocal = $("#btnResumeLocal") as HTMLButtonElement;
+const btnDiscardLocal = $("#btnDiscardLocal") as HTMLButtonElement;
+const replaySpeedSelect = $("#replaySpeedSelect") as HTMLSelectElement;
+const replayRange = $("#replayRange") as HTMLInputElement;
+const replayProgressEl = $("#replayProgress") as HTMLSpanElement;
+const labelUsernameEl = $("#labelUsername") as HTMLSpanElement;
+const usernameInput = $("#usernameInput") as HTMLInputElement;
+const labelPasswordEl = $("#labelPassword") as HTMLSpanElement;
+const passwordInput = $("#passwordInput") as HTMLInputElement;
+const btnLogin = $("#btnLogin") as HTMLButtonElement;
+const btnRegister = $("#btnRegister") as HTMLButtonElement;
+const btnLogout = $("#btnLogout") as HTMLButtonElement;
+const btnLeaderboard = $("#btnLeaderboard") as HTMLButtonElement;
+const leaderboardPanelEl = $("#leaderboardPanel") as HTMLDivElement;
+const labelLeaderboardSortEl = $("#labelLeaderboardSort") as HTMLSpanElement;
+const leaderboardSortSelect = $("#leaderboardSortSelect") as HTMLSelectElement;
+const labelLeaderboardWindowEl = $("#labelLeaderboardWindow") as HTMLSpanElement;
+const leaderboardWindowSelect = $("#leaderboardWindowSelect") as HTMLSelectElement;
+const leaderboardMyStatsEl = $("#leaderboardMyStats") as HTMLSpanElement;
+const btnAnalysis = $("#btnAnalysis") as HTMLButtonElement;
+const analysisPanelEl = $("#analysisPanel") as HTMLDivElement;
+const analysisNoteEl = $("#analysisNote") as HTMLParagraphElement;
+const analysisBodyEl = $("#analysisBody") as HTMLDivElement;
+const leaderboardHeadNameEl = $("#leaderboardHeadName") as HTMLTableCellElement;
+const leaderboardHeadRatingEl = $("#leaderboardHeadRating") as HTMLTableCellElement;
+const leaderboardHeadGamesEl = $("#leaderboardHeadGames") as HTMLTableCellElement;
+const leaderboardHeadWinsEl = $("#leaderboardHeadWins") as HTMLTableCellElement;
+const leaderboardHeadWinRateEl = $("#leaderboardHeadWinRate") as HTMLTableCellElement;
+const leaderboardHeadAccuracyEl = $("#leaderboardHeadAccuracy") as HTMLTableCellElement;
+const leaderboardBodyEl = $("#leaderboardBody") as HTMLTableSectionElement;
+const leaderboardNoteEl = $("#leaderboardNote") as HTMLParagraphElement;
 const btnPlayAgainOnline = $("#btnPlayAgainOnline") as HTMLButtonElement;
+const btnRematch = $("#btnRematch") as HTMLButtonElement;
 const btnCancel = $("#btnCancel") as HTMLButtonElement;
 const btnAdvancedToggle = $("#btnAdvancedToggle") as HTMLButtonElement;
 const advancedPanelEl = $("#advancedPanel") as HTMLDivElement;
 const shotInput = $("#shotInput") as HTMLInputElement;
 const btnFire = $("#btnFire") as HTMLButtonElement;
+const btnUndo = $("#btnUndo") as HTMLButtonElement;
+const btnHint = $("#btnHint") as HTMLButtonElement;
 const nickInput = $("#nicknameInput") as HTMLInputElement;
-const langPlBtn = $("#langPlBtn") as HTMLButtonElement;
-const langEnBtn = $("#langEnBtn") as HTMLButtonElement;
-
-const socket = typeof io !== "undefined" ? io() : null;
+const rulesetSelect = $("#rulesetSelect") as HTMLSelectElement;
+const adjacencySelect = $("#adjacencySelect") as HTMLSelectElement;
+const salvoSelect = $("#salvoSelect") as HTMLSelectElement;
+const difficultySelect = $("#difficultySelect") as HTMLSelectElement;
+const boardThemeSelect = $("#boardThemeSelect") as HTMLSelectElement;
+const cellGlyphsInput = $("#cellGlyphsInput") as HTMLInputElement;
+const languageSelect = $("#languageSelect") as HTMLSelectElement;
+
+// Connected once the account session is known, so the handshake carries the session cookie.
+const socket = typeof io !== "undefined" ? io({ autoConnect: false }) : null;
 const baseDocumentTitle = document.title;
 
 let online = false;
@@ -270,24 +442,74 @@ let queueTimeoutMs = 60_000;
 let awaitingShot = false;
 let reconnectTicker: ReturnType<typeof setInterval> | null = null;
 let reconnectDeadline = 0;
+let turnClockTicker: ReturnType<typeof setInterval> | null = null;
+let turnClockDeadline = 0;
+let turnClockTotalMs = 0;
+let turnClockServerDeadline: number | null = null;
+let timeBank: TimeBankPayload | null = null;
+let timeBankReceivedAt = 0;
 let isCancelling = false;
 let previousCanShoot = false;
 let autoReconnectQueued = false;
 let reconnectToken: string | null = null;
+let privateRoomPending = false;
+let seriesScore: SeriesScore | null = null;
+let rematchRequestedBy: string[] = [];
+let rematchUnavailable = false;
+let spectating = false;
+let spectatorView: SpectatorStatePayload | null = null;
+let spectatorCount = 0;
+let replay: MatchReplay | null = null;
+let replayStep = 0;
+let replaySpeed = 1;
+let replayTimer: ReturnType<typeof setInterval> | null = null;
+let account: AccountSession | null = null;
+let accountBusy = false;
+let sessionReconnecting = false;
+let leaderboardOpen = false;
+let leaderboard: Leaderboard | null = null;
+let leaderboardStatus: "idle" | "loading" | "ready" | "unavailable" | "failed" = "idle";
+let leaderboardRequestId = 0;
+let analysisOpen = false;
+let analysis: MatchAnalysis | null = null;
+let analysisStatus: AnalysisStatus = "idle";
+let analysisRequestId = 0;
+let analysisRenderedKey = "";
+let myStats: PlayerStats | null = null;
 let hoverCoord: Coord | null = null;
+// Roving tabindex: the one cell per board reachable with Tab, moved by arrow keys and clicks.
+const boardCursors = new Map<HTMLDivElement, Coord>();
 let boardTouchLastTapTs = 0;
 let chatGifOpen = false;
 const RECONNECT_TOKEN_KEY = "battleship_reconnect_token";
 const LANGUAGE_KEY = "battleship_language";
 const CHAT_MUTED_KEY = "battleship_chat_muted";
+const CHAT_HIDE_OPPONENT_KEY = "battleship_chat_hide_opponent";
 const CHAT_COLLAPSED_KEY = "battleship_chat_collapsed";
 const CHAT_DOCK_KEY = "battleship_chat_dock";
 const ADVANCED_PANEL_KEY = "battleship_advanced_panel_open";
+const RULESET_KEY = "battleship_ruleset";
+const ADJACENCY_KEY = "battleship_adjacency";
+const SALVO_KEY = "battleship_salvo";
+const DIFFICULTY_KEY = "battleship_bot_difficulty";
+const BOARD_THEME_KEY = "battleship_board_theme";
+const CELL_GLYPHS_KEY = "battleship_cell_glyphs";
+const LOCAL_GAME_KEY = "battleship_local_game";
+// Bump whenever the StoredLocalGame shape changes, so older saves are dropped instead of misread.
+const LOCAL_GAME_VERSION = 2;
 const RECONNECT_GRACE_MS_FALLBACK = 3_000;
-let language: Lang = "pl";
-let statusRaw = "";
+const TURN_CLOCK_URGENT_MS = 5_000;
+// Server messages are written in Polish and the Polish catalog is the fallback for missing keys.
+const SOURCE_LANGUAGE: Lang = "pl";
+let language: Lang = SOURCE_LANGUAGE;
+// Strings are keys of the catalogs' `status` section; functions build lines that mix in other texts.
+type StatusText = string | (() => string);
+type StatusParams = Record<string, string | number>;
+let statusRaw: () => string = () => "";
 let winnerFxTimer: ReturnType<typeof setTimeout> | null = null;
 let chatMuted = false;
+let chatHideOpponent = false;
+const reportedChatMessageIds = new Set<string>();
 let chatAudioCtx: AudioContext | null = null;
 let chatCollapsed = false;
 let chatDock: ChatDockCorner = "bottom-right";
@@ -298,230 +520,176 @@ let chatLauncherDragStartX = 0;
 let chatLauncherDragStartY = 0;
 let chatInputComposing = false;
 let advancedPanelOpen = false;
+let selectedRulesetId: RulesetId = DEFAULT_RULESET_ID;
+let selectedAdjacency: AdjacencyPolicy = CLASSIC_RULESET.adjacency;
+let selectedSalvo: SalvoMode = CLASSIC_RULESET.salvo;
+let selectedDifficulty: BotDifficulty = DEFAULT_BOT_DIFFICULTY;
+let boardTheme: BoardTheme = "auto";
+let cellGlyphs = false;
+let activeRuleset: Ruleset = CLASSIC_RULESET;
+let pendingSalvo: Coord[] = [];
+let onlineSalvoShots = 1;
+// A saved PvA game offered for resuming; the save is left alone while the prompt is up.
+let pendingLocalGame: PendingLocalGame | null = null;
+// Whether LOCAL_GAME_KEY holds a save; the signature is of the state last written there by this page.
+let localGameSaved = false;
+let storedLocalGameSignature: string | null = null;
+// Local PvA only: state before each of your moves, popped by "undo".
+let localHistory: LocalState[] = [];
+let localAiTimer: ReturnType<typeof setTimeout> | null = null;
+let hintCoord: Coord | null = null;
 let chatState: ChatState = {
   enabled: false,
   messages: [],
   unread: 0,
 };
-const DEFAULT_NICK_BY_LANG: Record<Lang, string> = {
-  pl: "Gracz",
-  en: "Player",
+const REPLAY_STEP_MS = 1_000;
+const REPLAY_OUTCOME_KEYS: Record<string, string> = {
+  miss: "replayOutcomeMiss",
+  hit: "replayOutcomeHit",
+  sink: "replayOutcomeSink",
+};
+const ACCOUNT_ERROR_STATUS_KEYS: Record<string, string> = {
+  invalid_username: "accountInvalidUsername",
+  invalid_password: "accountInvalidPassword",
+  username_taken: "accountUsernameTaken",
+  invalid_credentials: "accountInvalidCredentials",
+  already_registered: "accountAlreadyRegistered",
+  rate_limited: "accountRateLimited",
+  accounts_unavailable: "accountsUnavailable",
+};
+const REPLAY_ERROR_STATUS_KEYS: Record<string, string> = {
+  invalid_room_id: "replayInvalidId",
+  invalid_game: "replayInvalidId",
+  replay_not_found: "replayNotFound",
+  match_in_progress: "replayInProgress",
+  replay_unavailable: "replayUnavailable",
+};
+const LEADERBOARD_SORT_LABEL_KEYS: Record<LeaderboardSort, string> = {
+  wins: "leaderboardSortWins",
+  win_rate: "leaderboardSortWinRate",
+  rating: "leaderboardSortRating",
+  accuracy: "leaderboardSortAccuracy",
+};
+const LEADERBOARD_WINDOW_LABEL_KEYS: Record<LeaderboardWindow, string> = {
+  daily: "leaderboardWindowDaily",
+  weekly: "leaderboardWindowWeekly",
+  all: "leaderboardWindowAll",
 };
-const DEFAULT_OPPONENT_NAME: Record<Lang, string> = {
-  pl: "Przeciwnik",
-  en: "Opponent",
+const RULESET_LABEL_KEYS: Record<RulesetId, string> = {
+  classic: "rulesetClassic",
+  quick: "rulesetQuick",
+  big_fleet: "rulesetBigFleet",
 };
-const CHAT_GIF_LABELS: Record<(typeof CHAT_GIF_IDS)[number], Record<Lang, string>> = {
-  direct_hit: { pl: "Celny strzał", en: "Direct hit" },
-  missed_shot: { pl: "Pudło", en: "Missed shot" },
-  ship_sunk: { pl: "Statek zatopiony", en: "Ship sunk" },
-  nice_move: { pl: "Dobry ruch", en: "Nice move" },
-  gg: { pl: "GG", en: "GG" },
+const ADJACENCY_LABEL_KEYS: Record<AdjacencyPolicy, string> = {
+  none: "adjacencyNone",
+  "diagonal-only": "adjacencyDiagonalOnly",
+  any: "adjacencyAny",
+};
+const SALVO_LABEL_KEYS: Record<SalvoMode, string> = {
+  off: "salvoOff",
+  fixed: "salvoFixed",
+  per_ship: "salvoPerShip",
+};
+const DIFFICULTY_LABEL_KEYS: Record<BotDifficulty, string> = {
+  easy: "difficultyEasy",
+  normal: "difficultyNormal",
+  hard: "difficultyHard",
+};
+const BOARD_THEME_LABEL_KEYS: Record<BoardTheme, string> = {
+  auto: "boardThemeAuto",
+  standard: "boardThemeStandard",
+  colorblind: "boardThemeColorblind",
+  contrast: "boardThemeContrast",
+};
+const CHAT_GIF_LABEL_KEYS: Record<(typeof CHAT_GIF_IDS)[number], string> = {
+  direct_hit: "chatGifDirectHit",
+  missed_shot: "chatGifMissedShot",
+  ship_sunk: "chatGifShipSunk",
+  nice_move: "chatGifNiceMove",
+  gg: "chatGifGg",
 };
 
 const resetShotInputState = (clearValue = false) => {
   if (clearValue) {
     shotInput.value = "";
   }
+  pendingSalvo = [];
   previousCanShoot = false;
 };
 
 let state: LocalState = {
   phase: "setup",
   placement: "manual",
-  remainingShips: [...STANDARD_FLEET],
+  remainingShips: [...activeRuleset.fleet],
   orientation: "H",
-  yourBoard: createEmptyBoard(),
-  enemyBoard: createEmptyBoard(),
+  yourBoard: createEmptyBoard(activeRuleset),
+  enemyBoard: createEmptyBoard(activeRuleset),
   turn: "you",
   yourTurn: true,
   shots: 0,
   opponentShots: 0,
-  aiState: createAiState(),
+  aiState: createAiState(activeRuleset.adjacency, selectedDifficulty),
   enemyShipHits: {},
   ownShipHits: {},
   enemySunkCells: new Set<string>(),
   yourSunkCells: new Set<string>(),
+  moves: [],
 };
 
-const I18N: Record<Lang, Record<string, string>> = {
-  pl: {
-    title: "GRA W STATKI",
-    subtitle: "Tryb taktyczny: ręczne ustawianie i walka online",
-    objectiveLabel: "Cel taktyczny",
-    objectiveSetup: "Ustaw flotę i przygotuj konfigurację ataku.",
-    objectiveSetupReadyWait: "Czekaj na gotowość przeciwnika i monitoruj łącze.",
-    objectivePlayingYourTurn: "Twoja tura: wybierz precyzyjny cel i oddaj strzał.",
-    objectivePlayingOpponentTurn: "Trzymaj pozycję. Oczekiwanie na ruch przeciwnika.",
-    objectiveOverLocal: "Misja zakończona. Uruchom nową grę PvA.",
-    objectiveOverOnline: "Mecz zakończony. Rozpocznij nową grę online.",
-    boardHelperSetup: "Ustawiaj statki na swojej planszy i kontroluj orientację.",
-    boardHelperSetupReadyWait: "Flota gotowa. Czekaj na sygnał startowy przeciwnika.",
-    boardHelperPlayingYourTurn: "Twoja plansza pokazuje uszkodzenia, prawa plansza to strefa ataku.",
-    boardHelperPlayingOpponentTurn: "Obserwuj raport trafień i przygotuj następny cel.",
-    boardHelperOver: "Bitwa zakończona. Sprawdź statystyki i wybierz kolejny tryb.",
-    labelNickname: "Nickname:",
-    labelShot: "Strzał (A1-J10):",
-    labelLanguage: "Język:",
-    labelShots: "Strzały:",
-    labelYou: "Ty",
-    labelOpponentInline: "Przeciwnik",
-    labelTotal: "Razem",
-    labelEnemyName: "Przeciwnik:",
-    myBoard: "Moja plansza",
-    enemyBoard: "Plansza przeciwnika",
-    legendShip: "Twój statek",
-    legendHit: "Trafienie",
-    legendMiss: "Pudło",
-    legendSunk: "Zatopiony segment",
-    hintPlacement: "Ustawianie: PPM / scroll / R / podwójny tap = obrót",
-    btnRotate: "Obróć ręczny (H/V)",
-    btnAuto: "Losowe rozstawienie",
-    btnClear: "Wyczyść do ręcznego",
-    btnJoinQueue: "Szukaj online",
-    btnPlayAgainOnline: "Nowa gra online",
-    btnCancel: "Anuluj/wyjdź",
-    btnFire: "Oddaj strzał",
-    btnAdvancedShow: "Zaawansowane",
-    btnAdvancedHide: "Ukryj zaawansowane",
-    btnStartPva: "Start PvA",
-    btnReadyWaiting: "Gotowy - czekam",
-    btnReadySubmit: "Gotowe (wyślij ustawienie)",
-    btnNewPva: "Nowa gra PvA",
-    orientation: "Orientacja: {orientation}",
-    remaining: "Pozostałe: {ships}",
-    randomMode: "Tryb: losowe rozmieszczenie",
-    localModeBadge: "Tryb lokalny: PvA",
-    readiness: "Gotowość: Ty {you} / Przeciwnik {opponent}",
-    readyYes: "TAK",
-    readyNo: "NIE",
-    gameActiveBadge: "Gra aktywna",
-    gameOverBadge: "Gra zakończona",
-    winnerTitle: "ZWYCIEZCA",
-    nicknameRequired: "Ustaw własny nickname przed rozpoczęciem gry online.",
-    chatTitle: "Czat online",
-    chatPlaceholder: "Napisz wiadomość...",
-    chatShortcutHint: "Skróty: / fokus, Enter wysyła, Esc zamyka GIF, klik poza zamyka GIF.",
-    chatSendHint: "Enter wysyła wiadomość",
-    chatGifToggleHint: "GIF reakcje (Esc zamyka panel)",
-    chatMuteHint: "Ustawienie dźwięku zapisuje się lokalnie",
-    chatSend: "Wyślij",
-    chatHintDisabled: "Czat działa tylko w meczu online PvP.",
-    chatHintEnabled: "Czat aktywny: setup / gra / koniec gry (60s).",
-    chatEmoji: "Emoji",
-    chatGifs: "GIF reakcje",
-    chatMute: "Wycisz",
-    chatUnmute: "Włącz dźwięk",
-    chatOpen: "Pokaż czat",
-    chatHide: "Ukryj czat",
-    chatMoveHint: "Przeciągnij, aby przenieść do innego rogu",
-    chatYou: "Ty",
-    chatOpponent: "Przeciwnik",
-    chatSystem: "System",
-    chatUnread: "Nowe: {count}",
-  },
-  en: {
-    title: "BATTLESHIP",
-    subtitle: "Tactical mode: manual placement and online battle",
-    objectiveLabel: "Tactical objective",
-    objectiveSetup: "Position the fleet and prepare your attack layout.",
-    objectiveSetupReadyWait: "Hold readiness. Waiting for opponent confirmation.",
-    objectivePlayingYourTurn: "Your turn: pick a precise target and fire.",
-    objectivePlayingOpponentTurn: "Hold position. Waiting for opponent move.",
-    objectiveOverLocal: "Mission complete. Launch a new local PvA game.",
-    objectiveOverOnline: "Match complete. Queue a new online mission.",
-    boardHelperSetup: "Place ships on your board and control orientation.",
-    boardHelperSetupReadyWait: "Fleet locked in. Waiting for opponent start signal.",
-    boardHelperPlayingYourTurn: "Your board tracks damage, enemy board is your strike zone.",
-    boardHelperPlayingOpponentTurn: "Track hit reports and prepare your next target.",
-    boardHelperOver: "Battle complete. Review metrics and pick next mode.",
-    labelNickname: "Nickname:",
-    labelShot: "Shot (A1-J10):",
-    labelLanguage: "Language:",
-    labelShots: "Shots:",
-    labelYou: "You",
-    labelOpponentInline: "Opponent",
-    labelTotal: "Total",
-    labelEnemyName: "Opponent:",
-    myBoard: "My Board",
-    enemyBoard: "Enemy Board",
-    legendShip: "Your ship",
-    legendHit: "Hit",
-    legendMiss: "Miss",
-    legendSunk: "Sunk segment",
-    hintPlacement: "Placement: RMB / scroll / R / double tap = rotate",
-    btnRotate: "Rotate manual (H/V)",
-    btnAuto: "Random placement",
-    btnClear: "Reset to manual",
-    btnJoinQueue: "Find online",
-    btnPlayAgainOnline: "New online game",
-    btnCancel: "Cancel/leave",
-    btnFire: "Fire shot",
-    btnAdvancedShow: "Advanced",
-    btnAdvancedHide: "Hide advanced",
-    btnStartPva: "Start PvA",
-    btnReadyWaiting: "Ready - waiting",
-    btnReadySubmit: "Ready (send placement)",
-    btnNewPva: "New PvA game",
-    orientation: "Orientation: {orientation}",
-    remaining: "Remaining: {ships}",
-    randomMode: "Mode: random placement",
-    localModeBadge: "Local mode: PvA",
-    readiness: "Ready: You {you} / Opponent {opponent}",
-    readyYes: "YES",
-    readyNo: "NO",
-    gameActiveBadge: "Game active",
-    gameOverBadge: "Game finished",
-    winnerTitle: "WINNER",
-    nicknameRequired: "Set your own nickname before starting an online game.",
-    chatTitle: "Online Chat",
-    chatPlaceholder: "Type a message...",
-    chatShortcutHint: "Shortcuts: / focuses chat, Enter sends, Esc closes GIF, click outside closes GIF.",
-    chatSendHint: "Press Enter to send",
-    chatGifToggleHint: "GIF reactions (Esc closes panel)",
-    chatMuteHint: "Sound preference is saved locally",
-    chatSend: "Send",
-    chatHintDisabled: "Chat is available only in online PvP match.",
-    chatHintEnabled: "Chat active: setup / playing / game over (60s).",
-    chatEmoji: "Emoji",
-    chatGifs: "GIF reactions",
-    chatMute: "Mute",
-    chatUnmute: "Unmute",
-    chatOpen: "Open chat",
-    chatHide: "Hide chat",
-    chatMoveHint: "Drag to move between corners",
-    chatYou: "You",
-    chatOpponent: "Opponent",
-    chatSystem: "System",
-    chatUnread: "Unread: {count}",
-  },
+const locales = new Map<Lang, LocaleCatalog>();
+let availableLanguages: LocaleInfo[] = [{ code: SOURCE_LANGUAGE, name: "Polski" }];
+
+const t = (key: string, vars?: Record<string, string | number>): string => {
+  const template = locales.get(language)?.ui[key] ?? locales.get(SOURCE_LANGUAGE)?.ui[key] ?? key;
+  return formatTemplate(template, vars, language);
 };
 
-const formatI18n = (template: string, vars?: Record<string, string | number>): string => {
-  if (!vars) return template;
-  return template.replace(/\{(\w+)\}/g, (_, name: string) => String(vars[name] ?? ""));
+const statusText = (key: string, params?: StatusParams): string => {
+  const template = locales.get(language)?.status?.[key] ?? locales.get(SOURCE_LANGUAGE)?.status?.[key] ?? key;
+  return formatTemplate(template, params, language);
 };
 
-const t = (key: string, vars?: Record<string, string | number>): string => {
-  const template = I18N[language][key] ?? I18N.pl[key] ?? key;
-  return formatI18n(template, vars);
+const fetchJson = async <T>(url: string): Promise<T | null> => {
+  try {
+    const response = await fetch(url);
+    return response.ok ? ((await response.json()) as T) : null;
+  } catch {
+    return null;
+  }
+};
+
+const loadLocale = async (code: Lang): Promise<boolean> => {
+  if (locales.has(code)) return true;
+  if (!isLocaleCode(code)) return false;
+  const catalog = await fetchJson<LocaleCatalog>(`/locales/${code}.json`);
+  if (!catalog?.ui) return false;
+  locales.set(code, catalog);
+  return true;
+};
+
+// The API adds a pick from Accept-Language; plain static hosting still has the manifest.
+const loadLocaleList = async (): Promise<LocalesResponse | null> => {
+  const list = await fetchJson<LocalesResponse>("/api/locales");
+  if (list) return list;
+  const manifest = await fetchJson<LocaleManifest>("/locales/manifest.json");
+  return manifest ? { ...manifest, preferred: null } : null;
 };
 
 const defaultLanguageForHostname = (): Lang => {
   const hostname = window.location.hostname.trim().toLowerCase();
   if (hostname === "battleship.devos.uk") return "en";
   if (hostname === "grawstatki.devos.uk") return "pl";
-  return "pl";
+  return SOURCE_LANGUAGE;
 };
 
-const getStoredLanguage = (): Lang => {
+const getStoredLanguage = (): Lang | null => {
   try {
     const value = localStorage.getItem(LANGUAGE_KEY);
-    if (value === "en" || value === "pl") return value;
+    return isLocaleCode(value) ? value : null;
   } catch {
-    return defaultLanguageForHostname();
+    return null;
   }
-  return defaultLanguageForHostname();
 };
 
 const storeLanguage = (value: Lang) => {
@@ -532,6 +700,31 @@ const storeLanguage = (value: Lang) => {
   }
 };
 
+// Stored choice, then the browser's languages, then the server's Accept-Language pick, then the host default.
+const pickLanguage = (available: string[], preferred: Lang | null): Lang => {
+  const stored = getStoredLanguage();
+  if (stored && available.includes(stored)) return stored;
+  return (
+    negotiateLanguage(navigator.languages ?? [navigator.language], available) ??
+    preferred ??
+    negotiateLanguage([defaultLanguageForHostname()], available) ??
+    SOURCE_LANGUAGE
+  );
+};
+
+const loadInitialLanguage = async () => {
+  const list = await loadLocaleList();
+  if (list && list.languages.length > 0) {
+    availableLanguages = list.languages;
+  }
+  const chosen = pickLanguage(
+    availableLanguages.map((entry) => entry.code),
+    list?.preferred ?? null,
+  );
+  const [, loaded] = await Promise.all([loadLocale(SOURCE_LANGUAGE), loadLocale(chosen)]);
+  language = loaded ? chosen : SOURCE_LANGUAGE;
+};
+
 const getStoredChatMuted = (): boolean => {
   try {
     return localStorage.getItem(CHAT_MUTED_KEY) === "1";
@@ -548,6 +741,22 @@ const storeChatMuted = (value: boolean) => {
   }
 };
 
+const getStoredChatHideOpponent = (): boolean => {
+  try {
+    return localStorage.getItem(CHAT_HIDE_OPPONENT_KEY) === "1";
+  } catch {
+    return false;
+  }
+};
+
+const storeChatHideOpponent = (value: boolean) => {
+  try {
+    localStorage.setItem(CHAT_HIDE_OPPONENT_KEY, value ? "1" : "0");
+  } catch {
+    // Ignore storage issues.
+  }
+};
+
 const getStoredChatCollapsed = (): boolean | null => {
   try {
     const value = localStorage.getItem(CHAT_COLLAPSED_KEY);
@@ -608,183 +817,271 @@ const storeAdvancedPanelOpen = (value: boolean) => {
   }
 };
 
-const applyNicknameDefaultForLanguage = (nextLanguage: Lang, prevLanguage?: Lang) => {
-  const current = nickInput.value.trim();
-  const shouldReplace =
-    current.length === 0 ||
-    current === DEFAULT_NICK_BY_LANG.pl ||
-    current === DEFAULT_NICK_BY_LANG.en ||
-    (prevLanguage ? current === DEFAULT_NICK_BY_LANG[prevLanguage] : false);
-  if (shouldReplace) {
-    nickInput.value = DEFAULT_NICK_BY_LANG[nextLanguage];
-  }
-  nickInput.placeholder = DEFAULT_NICK_BY_LANG[nextLanguage];
-};
-
-const translateStatus = (text: string): string => {
-  if (language === "pl") return text;
-  const readyWord = (value: string): string => (value === "TAK" ? "YES" : "NO");
-
-  const exact: Record<string, string> = {
-    "Gra gotowa. Ustaw statki ręcznie albo startuj losowo.": "Game ready. Place ships manually or start with random setup.",
-    "Ręczne ustawienie statków. Klikaj pola na swojej planszy.": "Manual ship placement. Click cells on your board.",
-    "Losowe rozmieszczenie gotowe.": "Random placement ready.",
-    "Błędne ustawienie tego statku.": "Invalid ship placement.",
-    "Gotowe. Kliknij Start PvA.": "Placement complete. Click Start PvA.",
-    "Nowa gra lokalna rozpoczęta. Twoja tura.": "New local game started. Your turn.",
-    "Gra lokalna rozpoczęta. Twoja tura.": "Local game started. Your turn.",
-    "To pole jest już strzelane.": "This cell was already targeted.",
-    "To pole jest już zajęte.": "This cell is already used.",
-    "Brak aktywnego pokoju. Poczekaj na połączenie.": "No active room. Wait for connection.",
-    "Nie Twoja tura.": "Not your turn.",
-    "Brak aktywnej gry.": "No active game.",
-    "Nieprawidłowe id pokoju.": "Invalid room id.",
-    "Nieprawidłowy pokój.": "Invalid room.",
-    "Nieprawidłowe dane strzału.": "Invalid shot payload.",
-    "Błędne współrzędne.": "Invalid coordinates.",
-    "To pole zostało już trafione.": "This cell was already targeted.",
-    "Niewłaściwe pole.": "Invalid target cell.",
-    "Rozpocznij po ustawieniu wszystkich statków.": "Start after placing all ships.",
-    "Pozycjonowanie statków jest niedostępne podczas gry.": "Ship placement is unavailable during active game.",
-    "Nieprawidłowe dane ustawienia statków.": "Invalid ship placement payload.",
-    "Nieprawidłowe ustawienie statków.": "Invalid ship placement.",
-    "Brak planszy w danych.": "Missing board in payload.",
-    "Brak celu strzału.": "No shot target available.",
-    "Tura bota.": "Bot turn.",
-    "Zbyt wiele ustawień statków. Poczekaj chwilę.": "Too many ship placements. Wait a moment.",
-    "Zbyt wiele strzałów. Poczekaj chwilę.": "Too many shots. Wait a moment.",
-    "Za dużo żądań do kolejki. Spróbuj ponownie za chwilę.": "Too many queue requests. Try again shortly.",
-    "Za dużo prób reconnect. Spróbuj ponownie za chwilę.": "Too many reconnect attempts. Try again shortly.",
-    "Za dużo żądań anulowania. Spróbuj ponownie za chwilę.": "Too many cancel requests. Try again shortly.",
-    "Zbyt wiele błędnych żądań. Spróbuj ponownie za chwilę.": "Too many invalid requests. Try again shortly.",
-    "Za dużo wiadomości czatu. Spróbuj ponownie za chwilę.": "Too many chat messages. Try again shortly.",
-    "Wiadomość zawiera niedozwolony link.": "Links are blocked in chat messages.",
-    "Wiadomość zawiera niedozwolone znaki sterujące.": "Message contains forbidden control characters.",
-    "Wiadomość jest pusta po normalizacji.": "Message is empty after normalization.",
-    "Wysyłasz wiadomości zbyt szybko. Spróbuj ponownie za chwilę.": "You are sending messages too fast. Try again shortly.",
-    "Wiadomość jest zbyt podobna do poprzednich. Spróbuj ponownie za chwilę.": "Message is too similar to recent ones. Try again shortly.",
-    "Błędny format. Użyj A1..J10.": "Invalid format. Use A1..J10.",
-    "Czekaj na odpowiedź serwera.": "Wait for server response.",
-    "Poczekaj na swoją kolej.": "Wait for your turn.",
-    "Gra nie jest aktywna.": "Game is not active.",
-    "Brak socket.io. Uruchom serwer i odśwież stronę.": "Socket.io unavailable. Start server and refresh page.",
-    "Dołączono do kolejki...": "Joined queue...",
-    "Już czekasz na przeciwnika.": "You are already waiting for an opponent.",
-    "Już jesteś online. Odśwież, aby zrestartować.": "You are already online. Refresh to restart.",
-    "Jesteś już w grze. Wyjdź do menu przed dołączeniem.": "You are already in a game. Leave to menu before joining again.",
-    "Anulowanie oczekiwania...": "Cancelling queue...",
-    "Anulowanie gry...": "Cancelling game...",
-    "Anulowano oczekiwanie w kolejce.": "Queue waiting canceled.",
-    "Brak aktywnego oczekiwania w kolejce.": "No active queue waiting session.",
-    "Brak połączenia z serwerem.": "No server connection.",
-    "Możesz rozpocząć nowy mecz online po zakończeniu aktualnej gry.": "You can start a new online match after the current one ends.",
-    "Połączenie utracone. Czekam na ponowne połączenie...": "Connection lost. Waiting for reconnect...",
-    "Połączenie utracone.": "Connection lost.",
-    "Próba odzyskania połączenia...": "Trying to restore connection...",
-    "Próba dołączenia do gry...": "Trying to join game...",
-    "Brak połączenia.": "No connection.",
-    "Najpierw dołącz do kolejki.": "Join queue first.",
-    "Token sesji wygasł. Tworzymy nową kolejkę.": "Session token expired. Creating a new queue.",
-    "Token reconnecta jest już używany w aktywnej sesji.": "Reconnect token is already used in an active session.",
-    "Token reconnecta jest nieaktualny.": "Reconnect token is no longer valid.",
-    "Token reconnecta stracił ważność. Tworzę nową kolejkę.": "Reconnect token expired. Creating a new queue.",
-    "Odzyskano połączenie z kolejką.": "Queue connection restored.",
-    "Odzyskano token sesji.": "Session token restored.",
-    "Nie znaleziono aktywnej gry ani kolejki z tym tokenem. Tworzę nową kolejkę.": "No active game or queue found for this token. Creating a new queue.",
-    "Timeout kolejki. Gra z botem.": "Queue timeout. Starting game against bot.",
-    "Połączenie z grą przywrócone.": "Game connection restored.",
-    "Przeciwnik wrócił do gry. Gra została wznowiona.": "Opponent reconnected. Game resumed.",
-    "Przeciwnik chwilowo niedostępny. Oczekiwanie na reconnect.": "Opponent temporarily unavailable. Waiting for reconnect.",
-    "Połączenie z przeciwnikiem przywrócone.": "Opponent connection restored.",
-    "Wysłano ustawienie statków. Czekam na gotowość przeciwnika.": "Ship placement sent. Waiting for opponent readiness.",
-    "Obaj gracze gotowi. Rozpoczyna się gra...": "Both players are ready. Starting game...",
-    "Akcja została anulowana.": "Action was canceled.",
-    "Anulowano lokalną grę. Rozstaw ponownie lub kliknij Start PvA.": "Local game cancelled. Place ships again or click Start PvA.",
-    "Błąd gry. Anulowano.": "Game error. Action canceled.",
-    "Błąd gry.": "Game error.",
-    "Przechodzisz do lokalnej rozgrywki.": "Switching to local game.",
-    "Zakończono tryb online, wracasz do PvA.": "Online mode ended, returning to PvA.",
-    "Twoja tura.": "Your turn.",
-    "Czeka na ruch przeciwnika.": "Waiting for opponent move.",
-  };
+const getStoredRulesetId = (): RulesetId => {
+  try {
+    const stored = localStorage.getItem(RULESET_KEY);
+    return isRulesetId(stored) ? stored : DEFAULT_RULESET_ID;
+  } catch {
+    return DEFAULT_RULESET_ID;
+  }
+};
 
-  if (exact[text]) return exact[text];
-
-  let result = text;
-  result = result.replace(/^Ustaw następny statek \((\d) maszt\)\.$/, "Place next ship ($1 mast).");
-  result = result.replace(/^Orientacja: ([HV]) \((button|PPM|scroll|R)\)\.$/, "Orientation: $1 ($2).");
-  result = result.replace(/^Pudło: (.+)\. Tura bota\.$/, "Miss: $1. Bot turn.");
-  result = result.replace(/^Trafiony: (.+)\. Oddajesz dalej\.$/, "Hit: $1. Shoot again.");
-  result = result.replace(/^Bot pudłuje na (.+)\. Twoja tura\.$/, "Bot misses at $1. Your turn.");
-  result = result.replace(/^Bot trafia na (.+)\. Bot kontynuuje\.$/, "Bot hits at $1. Bot continues.");
-  result = result.replace(
-    /^Gotowość: Ty (TAK|NIE), przeciwnik (TAK|NIE)$/,
-    (_match: string, you: string, opponent: string) =>
-      `Ready: You ${readyWord(you)}, opponent ${readyWord(opponent)}`,
-  );
-  result = result.replace(/^Czekanie na przeciwnika \((\d+)s\)\.$/, "Waiting for opponent ($1s).");
-  result = result.replace(/^Czekanie na przeciwnika \(max (\d+)s, potem bot\)\.$/, "Waiting for opponent (max $1s, then bot).");
-  result = result.replace(
-    /^Przeciwnik rozłączył się\. Gra jest zawieszona na (\d+)s na próbę ponownego połączenia\.$/,
-    "Opponent disconnected. The game is paused for $1s while waiting for reconnect.",
-  );
-  result = result.replace(/^Przeciwnik rozłączył się\. Wygrana przyznana\.$/, "Opponent disconnected. Victory awarded.");
-  result = result.replace(/^Znaleziono przeciwnika: (.+) \| Ustaw flota i kliknij Start PvA\.$/, "Opponent found: $1 | Place your fleet and click Start PvA.");
-  result = result.replace(/^Znaleziono przeciwnika: (.+) \| Gotowe do gry z botem\.$/, "Opponent found: $1 | Ready to play against bot.");
-  result = result.replace(/Znaleziono przeciwnika\./g, "Opponent found.");
-  result = result.replace(/^Ustaw wszystkie statki\. Brakuje: (.+)$/, "Place all ships. Missing: $1");
-  result = result.replace(/^Koniec gry: wygrałeś \((.+)\)! (.+)$/, "Game over: winner ($1)! $2");
-  result = result.replace(/^Koniec gry: przegrałeś\. Wygrał (.+)\. (.+)$/, "Game over: you lost. Winner: $1. $2");
-  result = result.replace(
-    /^Koniec gry\. Wygrałeś! Twoje strzały: (\d+), strzały przeciwnika: (\d+), łącznie: (\d+) tur\.$/,
-    "Game over. You won! Your shots: $1, opponent shots: $2, total turns: $3.",
-  );
-  result = result.replace(
-    /^Koniec gry\. Bot wygrał\. Twoje strzały: (\d+), strzały bota: (\d+), łącznie: (\d+) tur\.$/,
-    "Game over. Bot won. Your shots: $1, bot shots: $2, total turns: $3.",
-  );
-  result = result.replace(
-    /^Koniec gry: wygrałeś! Twoje strzały: (\d+), strzały przeciwnika: (\d+), łącznie ruchów: (\d+)\.$/,
-    "Game over: you won! Your shots: $1, opponent shots: $2, total moves: $3.",
+const storeRulesetId = (value: RulesetId) => {
+  try {
+    localStorage.setItem(RULESET_KEY, value);
+  } catch {
+    // Ignore storage issues.
+  }
+};
+
+const getStoredAdjacency = (): AdjacencyPolicy => {
+  try {
+    const stored = localStorage.getItem(ADJACENCY_KEY);
+    return isAdjacencyPolicy(stored) ? stored : CLASSIC_RULESET.adjacency;
+  } catch {
+    return CLASSIC_RULESET.adjacency;
+  }
+};
+
+const storeAdjacency = (value: AdjacencyPolicy) => {
+  try {
+    localStorage.setItem(ADJACENCY_KEY, value);
+  } catch {
+    // Ignore storage issues.
+  }
+};
+
+const getStoredSalvo = (): SalvoMode => {
+  try {
+    const stored = localStorage.getItem(SALVO_KEY);
+    return isSalvoMode(stored) ? stored : CLASSIC_RULESET.salvo;
+  } catch {
+    return CLASSIC_RULESET.salvo;
+  }
+};
+
+const storeSalvo = (value: SalvoMode) => {
+  try {
+    localStorage.setItem(SALVO_KEY, value);
+  } catch {
+    // Ignore storage issues.
+  }
+};
+
+const getStoredDifficulty = (): BotDifficulty => {
+  try {
+    const stored = localStorage.getItem(DIFFICULTY_KEY);
+    return isBotDifficulty(stored) ? stored : DEFAULT_BOT_DIFFICULTY;
+  } catch {
+    return DEFAULT_BOT_DIFFICULTY;
+  }
+};
+
+const storeDifficulty = (value: BotDifficulty) => {
+  try {
+    localStorage.setItem(DIFFICULTY_KEY, value);
+  } catch {
+    // Ignore storage issues.
+  }
+};
+
+const isBoardTheme = (value: unknown): value is BoardTheme =>
+  typeof value === "string" && BOARD_THEMES.includes(value as BoardTheme);
+
+const getStoredBoardTheme = (): BoardTheme => {
+  try {
+    const stored = localStorage.getItem(BOARD_THEME_KEY);
+    return isBoardTheme(stored) ? stored : "auto";
+  } catch {
+    return "auto";
+  }
+};
+
+const storeBoardTheme = (value: BoardTheme) => {
+  try {
+    localStorage.setItem(BOARD_THEME_KEY, value);
+  } catch {
+    // Ignore storage issues.
+  }
+};
+
+const getStoredCellGlyphs = (): boolean => {
+  try {
+    return localStorage.getItem(CELL_GLYPHS_KEY) === "1";
+  } catch {
+    return false;
+  }
+};
+
+const storeCellGlyphs = (value: boolean) => {
+  try {
+    localStorage.setItem(CELL_GLYPHS_KEY, value ? "1" : "0");
+  } catch {
+    // Ignore storage issues.
+  }
+};
+
+const contrastQuery = window.matchMedia("(prefers-contrast: more)");
+
+const applyBoardTheme = () => {
+  const resolved = boardTheme === "auto" ? (contrastQuery.matches ? "contrast" : "standard") : boardTheme;
+  document.documentElement.dataset.boardTheme = resolved;
+};
+
+const isStringList = (value: unknown): value is string[] =>
+  Array.isArray(value) && value.every((item) => typeof item === "string");
+
+const isShotTracker = (value: unknown): value is ShotTracker =>
+  typeof value === "object" &&
+  value !== null &&
+  Object.values(value).every(
+    (coords) =>
+      Array.isArray(coords) && coords.every((coord) => Number.isInteger(coord?.row) && Number.isInteger(coord?.col)),
   );
-  result = result.replace(
-    /^Koniec gry: przegrałeś\. Twoje strzały: (\d+), strzały przeciwnika: (\d+), łącznie ruchów: (\d+)\.$/,
-    "Game over: you lost. Your shots: $1, opponent shots: $2, total moves: $3.",
+
+const isLocalMoveList = (value: unknown): value is MatchReplayMove[] =>
+  Array.isArray(value) &&
+  value.every(
+    (move) =>
+      (move?.shooter === "you" || move?.shooter === "bot") &&
+      Array.isArray(move.shots) &&
+      move.shots.every(
+        (shot: MatchReplayMove["shots"][number]) =>
+          Number.isInteger(shot?.coord?.row) &&
+          Number.isInteger(shot?.coord?.col) &&
+          typeof shot.outcome === "string" &&
+          isCountableShotOutcome(shot.outcome),
+      ),
   );
-  result = result.replace(/Przeciwnik rozłączył się\./g, "Opponent disconnected.");
-  result = result.replace(/Gra zakończona z powodu braku aktywności\./g, "Game ended due to inactivity.");
-  result = result.replace(/Gra anulowana przez gracza\./g, "Game canceled by player.");
-  result = result.replace(/Gra anulowana\./g, "Game canceled.");
-  result = result.replace(/Koniec gry\./g, "Game over.");
-  result = result.replace(/Gra zakończona\./g, "Game finished.");
-  result = result.replace(/^(.+): pudło\.$/, "$1: miss.");
-  result = result.replace(/^(.+): trafiony\.$/, "$1: hit.");
-  result = result.replace(/^(.+): zatopiony!$/, "$1: sunk!");
-  result = result.replace(/^(.+): już strzelano\.$/, "$1: already targeted.");
-  return result;
+
+const restoreStoredBoard = (value: unknown, ruleset: Ruleset): BoardModel | null => {
+  const raw = value as Partial<SerializedBoard> | null;
+  if (!raw || !Array.isArray(raw.ships) || !isStringList(raw.shots) || !isStringList(raw.hits)) return null;
+  const board = deserializeBoard(raw as SerializedBoard);
+  return validateFleet(board, ruleset) ? board : null;
+};
+
+interface PendingLocalGame {
+  rulesetId: RulesetId;
+  adjacency: AdjacencyPolicy;
+  salvo: SalvoMode;
+  state: LocalState;
+}
+
+// Anything unreadable or from another version is treated as no saved game.
+const getStoredLocalGame = (): PendingLocalGame | null => {
+  try {
+    const raw = localStorage.getItem(LOCAL_GAME_KEY);
+    if (!raw) return null;
+    const saved = JSON.parse(raw) as Partial<StoredLocalGame>;
+    if (saved.v !== LOCAL_GAME_VERSION) return null;
+    if (!isRulesetId(saved.ruleset) || !isAdjacencyPolicy(saved.adjacency) || !isSalvoMode(saved.salvo)) return null;
+    if (saved.turn !== "you" && saved.turn !== "bot") return null;
+    if (!Number.isInteger(saved.shots) || !Number.isInteger(saved.opponentShots)) return null;
+    if (!isShotTracker(saved.enemyShipHits) || !isShotTracker(saved.ownShipHits)) return null;
+    if (!isStringList(saved.enemySunkCells) || !isStringList(saved.yourSunkCells)) return null;
+    if (!isLocalMoveList(saved.moves)) return null;
+    const ruleset = getRuleset(saved.ruleset, saved.adjacency, saved.salvo);
+    const yourBoard = restoreStoredBoard(saved.yourBoard, ruleset);
+    const enemyBoard = restoreStoredBoard(saved.enemyBoard, ruleset);
+    const aiState = deserializeAiState(saved.aiState);
+    if (!yourBoard || !enemyBoard || !aiState) return null;
+    if (isFleetSunk(yourBoard) || isFleetSunk(enemyBoard)) return null;
+    return {
+      rulesetId: saved.ruleset,
+      adjacency: saved.adjacency,
+      salvo: saved.salvo,
+      state: {
+        phase: "playing",
+        placement: "random",
+        remainingShips: [],
+        orientation: "H",
+        yourBoard,
+        enemyBoard,
+        turn: saved.turn,
+        yourTurn: saved.turn === "you",
+        shots: saved.shots as number,
+        opponentShots: saved.opponentShots as number,
+        aiState,
+        enemyShipHits: saved.enemyShipHits,
+        ownShipHits: saved.ownShipHits,
+        enemySunkCells: new Set(saved.enemySunkCells),
+        yourSunkCells: new Set(saved.yourSunkCells),
+        moves: saved.moves,
+      },
+    };
+  } catch {
+    return null;
+  }
+};
+
+const storeLocalGame = (value: StoredLocalGame) => {
+  try {
+    localStorage.setItem(LOCAL_GAME_KEY, JSON.stringify(value));
+  } catch {
+    // Ignore storage issues.
+  }
+};
+
+const clearStoredLocalGame = () => {
+  try {
+    localStorage.removeItem(LOCAL_GAME_KEY);
+  } catch {
+    // Ignore storage issues.
+  }
+};
+
+// True for the default nickname or opponent name of any catalog loaded so far.
+const isDefaultName = (value: string, key: "defaultNickname" | "defaultOpponent"): boolean =>
+  Array.from(locales.values()).some((catalog) => catalog.ui[key] === value);
+
+const applyNicknameDefault = () => {
+  const current = nickInput.value.trim();
+  if (current.length === 0 || isDefaultName(current, "defaultNickname")) {
+    nickInput.value = t("defaultNickname");
+  }
+  nickInput.placeholder = t("defaultNickname");
 };
 
-const setStatus = (text: string) => {
-  statusRaw = text;
-  statusEl.textContent = translateStatus(text);
+// Kept as a function so a language switch re-renders the current line.
+const setStatus = (text: StatusText, params?: StatusParams) => {
+  statusRaw = typeof text === "string" ? () => statusText(text, params) : text;
+  statusEl.textContent = statusRaw();
 };
 
+interface ServerMessage {
+  code?: MessageCode;
+  detail?: string;
+  params?: MessageParams;
+  message?: string;
+}
+
+// Server texts render from their code; the Polish message only covers codes this client does not know.
+const serverText = (payload: ServerMessage, fallback: string): string =>
+  payload.code && isMessageKey(payload.code)
+    ? formatMessage(
+        { code: payload.code, detail: payload.detail, params: payload.params },
+        language,
+        locales.get(language)?.messages,
+      )
+    : payload.message || fallback;
+
 const getCurrentPlayerName = (): string => {
   const nick = nickInput.value.trim();
   if (nick.length > 0) return nick;
-  return DEFAULT_NICK_BY_LANG[language];
+  return t("defaultNickname");
 };
 
 const hasValidOnlineNickname = (): boolean => {
   const nick = nickInput.value.trim();
   if (nick.length === 0) return false;
-  if (nick === DEFAULT_NICK_BY_LANG.pl || nick === DEFAULT_NICK_BY_LANG.en) return false;
+  if (isDefaultName(nick, "defaultNickname")) return false;
   return true;
 };
 
 const requireOnlineNickname = (): boolean => {
   if (hasValidOnlineNickname()) return true;
-  setStatus(t("nicknameRequired"));
+  setStatus(() => t("nicknameRequired"));
   nickInput.focus();
   nickInput.select();
   return false;
@@ -827,15 +1124,12 @@ const showWinnerFx = (winnerName: string) => {
   }, 5600);
 };
 
-const queueTimeoutText = (seconds: number): string =>
-  language === "en" ? `Queue timeout in: ${seconds}s` : `Pozostało do timeoutu: ${seconds}s`;
+const queueTimeoutText = (seconds: number): string => t("queueTimeout", { seconds });
 
-const reconnectCountdownText = (seconds: number): string =>
-  language === "en"
-    ? `Opponent reconnect window: ${seconds}s`
-    : `Ponowne połączenie przeciwnika za ${seconds}s`;
+const reconnectCountdownText = (seconds: number): string => t("reconnectCountdown", { seconds });
 
 const isManualPlacementActive = (): boolean => {
+  if (isViewerMode()) return false;
   if (state.phase !== "setup") return false;
   if (state.placement !== "manual") return false;
   if (state.remainingShips.length === 0) return false;
@@ -849,13 +1143,13 @@ const getPlacementPreview = (): PlacementPreview | null => {
   if (!nextType) return null;
   const previewShip = createShip(
     "__preview__",
-    nextType as 4 | 3 | 2 | 1,
+    nextType,
     hoverCoord,
     state.orientation,
   );
   return {
     keys: new Set(previewShip.cells.map(coordKey)),
-    valid: validatePlacement(state.yourBoard, previewShip),
+    valid: validatePlacement(state.yourBoard, previewShip, activeRuleset.adjacency),
   };
 };
 
@@ -875,7 +1169,7 @@ const isTypingContext = (element: Element | null): boolean => {
 const rotatePlacementOrientation = (source: "button" | "PPM" | "scroll" | "R" | "tap"): boolean => {
   if (!isManualPlacementActive()) return false;
   state.orientation = state.orientation === "H" ? "V" : "H";
-  setStatus(`Orientacja: ${state.orientation} (${source}).`);
+  setStatus("orientation", { orientation: state.orientation, source });
   render();
   return true;
 };
@@ -902,13 +1196,32 @@ const storeReconnectToken = (value: string | null) => {
 };
 
 reconnectToken = getStoredReconnectToken();
-language = getStoredLanguage();
 chatMuted = getStoredChatMuted();
+chatHideOpponent = getStoredChatHideOpponent();
 chatDock = getStoredChatDock() ?? "bottom-right";
 advancedPanelOpen = getStoredAdvancedPanelOpen();
+selectedRulesetId = getStoredRulesetId();
+selectedAdjacency = getStoredAdjacency();
+selectedSalvo = getStoredSalvo();
+activeRuleset = getRuleset(selectedRulesetId, selectedAdjacency, selectedSalvo);
+rulesetSelect.value = selectedRulesetId;
+adjacencySelect.value = selectedAdjacency;
+salvoSelect.value = selectedSalvo;
+selectedDifficulty = getStoredDifficulty();
+difficultySelect.value = selectedDifficulty;
+state.aiState.difficulty = selectedDifficulty;
+boardTheme = getStoredBoardTheme();
+boardThemeSelect.value = boardTheme;
+applyBoardTheme();
+cellGlyphs = getStoredCellGlyphs();
+cellGlyphsInput.checked = cellGlyphs;
+pendingLocalGame = getStoredLocalGame();
+localGameSaved = pendingLocalGame !== null;
+if (!localGameSaved) {
+  clearStoredLocalGame();
+}
 const initialChatCollapsed = getStoredChatCollapsed();
 chatCollapsed = initialChatCollapsed !== null ? initialChatCollapsed : window.matchMedia("(max-width: 860px)").matches;
-applyNicknameDefaultForLanguage(language);
 
 const applyChatDockClasses = () => {
   const cornerClasses: ChatDockCorner[] = ["bottom-right", "bottom-left", "top-right", "top-left"];
@@ -973,15 +1286,69 @@ const applyStaticTranslations = () => {
   subtitleEl.textContent = t("subtitle");
   objectiveLabelEl.textContent = t("objectiveLabel");
   labelNicknameEl.textContent = t("labelNickname");
-  labelShotEl.textContent = t("labelShot");
+  labelShotEl.textContent = t("labelShot", { last: lastCoordLabel() });
+  labelRulesetEl.textContent = t("labelRuleset");
+  for (const option of Array.from(rulesetSelect.options)) {
+    if (isRulesetId(option.value)) {
+      option.textContent = t(RULESET_LABEL_KEYS[option.value]);
+    }
+  }
+  labelAdjacencyEl.textContent = t("labelAdjacency");
+  for (const option of Array.from(adjacencySelect.options)) {
+    if (isAdjacencyPolicy(option.value)) {
+      option.textContent = t(ADJACENCY_LABEL_KEYS[option.value]);
+    }
+  }
+  labelSalvoEl.textContent = t("labelSalvo");
+  for (const option of Array.from(salvoSelect.options)) {
+    if (isSalvoMode(option.value)) {
+      option.textContent = t(SALVO_LABEL_KEYS[option.value]);
+    }
+  }
+  labelDifficultyEl.textContent = t("labelDifficulty");
+  for (const option of Array.from(difficultySelect.options)) {
+    if (isBotDifficulty(option.value)) {
+      option.textContent = t(DIFFICULTY_LABEL_KEYS[option.value]);
+    }
+  }
+  labelBoardThemeEl.textContent = t("labelBoardTheme");
+  for (const option of Array.from(boardThemeSelect.options)) {
+    if (isBoardTheme(option.value)) {
+      option.textContent = t(BOARD_THEME_LABEL_KEYS[option.value]);
+    }
+  }
+  labelCellGlyphsEl.textContent = t("labelCellGlyphs");
   labelLanguageEl.textContent = t("labelLanguage");
   labelShotsEl.textContent = t("labelShots");
   labelYouEl.textContent = t("labelYou");
   labelOpponentInlineEl.textContent = t("labelOpponentInline");
   labelTotalEl.textContent = t("labelTotal");
   labelEnemyNameEl.textContent = t("labelEnemyName");
-  myBoardTitleEl.textContent = t("myBoard");
-  enemyBoardTitleEl.textContent = t("enemyBoard");
+  labelSeriesEl.textContent = t("labelSeries");
+  labelSpectatorsEl.textContent = t("labelSpectators");
+  labelAccountEl.textContent = t("labelAccount");
+  labelUsernameEl.textContent = t("labelUsername");
+  labelPasswordEl.textContent = t("labelPassword");
+  btnLogin.textContent = t("btnLogin");
+  btnRegister.textContent = t("btnRegister");
+  btnLogout.textContent = t("btnLogout");
+  btnLeaderboard.textContent = t("btnLeaderboard");
+  labelLeaderboardSortEl.textContent = t("labelLeaderboardSort");
+  for (const option of Array.from(leaderboardSortSelect.options)) {
+    option.textContent = t(LEADERBOARD_SORT_LABEL_KEYS[option.value as LeaderboardSort]);
+  }
+  labelLeaderboardWindowEl.textContent = t("labelLeaderboardWindow");
+  for (const option of Array.from(leaderboardWindowSelect.options)) {
+    option.textContent = t(LEADERBOARD_WINDOW_LABEL_KEYS[option.value as LeaderboardWindow]);
+  }
+  leaderboardHeadNameEl.textContent = t("leaderboardHeadName");
+  leaderboardHeadRatingEl.textContent = t("leaderboardHeadRating");
+  leaderboardHeadGamesEl.textContent = t("leaderboardHeadGames");
+  leaderboardHeadWinsEl.textContent = t("leaderboardHeadWins");
+  leaderboardHeadWinRateEl.textContent = t("leaderboardHeadWinRate");
+  leaderboardHeadAccuracyEl.textContent = t("leaderboardHeadAccuracy");
+  myBoardTitleEl.textContent = isViewerMode() ? viewerPlayerName(0) : t("myBoard");
+  enemyBoardTitleEl.textContent = isViewerMode() ? viewerPlayerName(1) : t("enemyBoard");
   legendShipEl.textContent = t("legendShip");
   legendHitEl.textContent = t("legendHit");
   legendMissEl.textContent = t("legendMiss");
@@ -991,9 +1358,26 @@ const applyStaticTranslations = () => {
   btnAutoPlace.textContent = t("btnAuto");
   btnClearPlacement.textContent = t("btnClear");
   btnJoinQueue.textContent = t("btnJoinQueue");
+  btnCreateRoom.textContent = t("btnCreateRoom");
+  btnJoinRoom.textContent = t("btnJoinRoom");
+  labelRoomCodeEl.textContent = t("labelRoomCode");
+  btnSpectate.textContent = t("btnSpectate");
+  labelSpectateEl.textContent = t("labelSpectate");
+  btnReplay.textContent = t("btnReplay");
+  btnAnalysis.textContent = t("btnAnalysis");
+  btnReplayLoad.textContent = t("btnReplayLoad");
+  labelReplayEl.textContent = t("labelReplay");
+  btnReplayBack.textContent = t("btnReplayBack");
+  btnReplayForward.textContent = t("btnReplayForward");
+  labelReplaySpeedEl.textContent = t("labelReplaySpeed");
+  labelResumeLocalEl.textContent = t("labelResumeLocal");
+  btnResumeLocal.textContent = t("btnResumeLocal");
+  btnDiscardLocal.textContent = t("btnDiscardLocal");
   btnPlayAgainOnline.textContent = t("btnPlayAgainOnline");
   btnCancel.textContent = t("btnCancel");
   btnFire.textContent = t("btnFire");
+  btnUndo.textContent = t("btnUndo");
+  btnHint.textContent = t("btnHint");
   btnAdvancedToggle.textContent = advancedPanelOpen ? t("btnAdvancedHide") : t("btnAdvancedShow");
   btnAdvancedToggle.setAttribute("aria-expanded", advancedPanelOpen ? "true" : "false");
   chatTitleEl.textContent = t("chatTitle");
@@ -1010,6 +1394,9 @@ const applyStaticTranslations = () => {
   chatMuteBtnEl.textContent = chatMuted ? t("chatUnmute") : t("chatMute");
   chatMuteBtnEl.title = `${chatMuteBtnEl.textContent} - ${t("chatMuteHint")}`;
   chatMuteBtnEl.setAttribute("aria-label", chatMuteBtnEl.title);
+  chatHideOpponentBtnEl.textContent = chatHideOpponent ? t("chatShowOpponent") : t("chatHideOpponent");
+  chatHideOpponentBtnEl.title = `${chatHideOpponentBtnEl.textContent} - ${t("chatHideOpponentHint")}`;
+  chatHideOpponentBtnEl.setAttribute("aria-label", chatHideOpponentBtnEl.title);
   chatLauncherEl.title = chatCollapsed ? t("chatOpen") : t("chatHide");
   chatLauncherEl.setAttribute("aria-label", `${chatLauncherEl.title}. ${t("chatMoveHint")}`);
   chatEmojiButtons.forEach((button) => {
@@ -1018,8 +1405,8 @@ const applyStaticTranslations = () => {
   });
   chatGifButtons.forEach((button) => {
     const gifId = button.dataset.chatGif as (typeof CHAT_GIF_IDS)[number] | undefined;
-    if (!gifId || !(gifId in CHAT_GIF_LABELS)) return;
-    const gifLabel = CHAT_GIF_LABELS[gifId][language];
+    if (!gifId || !(gifId in CHAT_GIF_LABEL_KEYS)) return;
+    const gifLabel = t(CHAT_GIF_LABEL_KEYS[gifId]);
     button.title = gifLabel;
     button.setAttribute("aria-label", button.title);
     const label = button.querySelector(".chat-gif__label");
@@ -1031,8 +1418,8 @@ const applyStaticTranslations = () => {
       image.alt = gifLabel;
     }
   });
-  langPlBtn.classList.toggle("active", language === "pl");
-  langEnBtn.classList.toggle("active", language === "en");
+  document.documentElement.lang = language;
+  languageSelect.value = language;
 };
 
 const isCurrentRoomEvent = (payload?: { roomId?: string | null } | null): boolean => {
@@ -1061,7 +1448,7 @@ const toRenderBoard = (board: BoardModel) => {
   return { width: board.width, height: board.height, shots, hits, shipByCoord };
 };
 
-const resetToLocalMode = (message: string) => {
+const resetToLocalMode = (message: StatusText) => {
   inQueue = false;
   online = false;
   autoReconnectQueued = false;
@@ -1070,10 +1457,19 @@ const resetToLocalMode = (message: string) => {
   onlineVsBot = false;
   yourTurnOnline = false;
   roomId = null;
+  privateRoomPending = false;
+  spectating = false;
+  spectatorView = null;
+  spectatorCount = 0;
+  closeReplay();
+  resetRematchState();
   clearReconnectCountdown();
+  stopTurnClock();
   storeReconnectToken(null);
   opponentName = "AI";
   awaitingShot = false;
+  resetLocalHistory();
+  activeRuleset = getRuleset(selectedRulesetId, selectedAdjacency, selectedSalvo);
   stopQueueTimer();
   resetChatState();
   clearWinnerFxTimer();
@@ -1084,19 +1480,20 @@ const resetToLocalMode = (message: string) => {
     ...state,
     phase: "setup",
     placement: "manual",
-    remainingShips: [...STANDARD_FLEET],
+    remainingShips: [...activeRuleset.fleet],
     orientation: "H",
-    yourBoard: createEmptyBoard(),
-    enemyBoard: createEmptyBoard(),
+    yourBoard: createEmptyBoard(activeRuleset),
+    enemyBoard: createEmptyBoard(activeRuleset),
     turn: "you",
     yourTurn: true,
     shots: 0,
     opponentShots: 0,
-    aiState: createAiState(),
+    aiState: createAiState(activeRuleset.adjacency, selectedDifficulty),
     enemyShipHits: {},
     ownShipHits: {},
     enemySunkCells: new Set<string>(),
     yourSunkCells: new Set<string>(),
+    moves: [],
   };
   setStatus(message);
   render();
@@ -1133,7 +1530,7 @@ const chatMessageBody = (message: ChatMessage): string => {
   if (message.kind === "emoji") return message.emoji ?? "";
   if (message.kind === "gif") {
     const gifId = message.gifId as (typeof CHAT_GIF_IDS)[number] | undefined;
-    if (gifId && CHAT_GIF_LABELS[gifId]) return CHAT_GIF_LABELS[gifId][language];
+    if (gifId && CHAT_GIF_LABEL_KEYS[gifId]) return t(CHAT_GIF_LABEL_KEYS[gifId]);
     return "GIF";
   }
   return message.text ?? "";
@@ -1217,6 +1614,7 @@ const renderChat = () => {
   chatInputEl.disabled = !chatState.enabled;
   chatGifToggleEl.disabled = !chatState.enabled;
   chatMuteBtnEl.disabled = !chatState.enabled;
+  chatHideOpponentBtnEl.disabled = !chatState.enabled;
   chatEmojiButtons.forEach((button) => {
     button.disabled = !chatState.enabled;
   });
@@ -1228,10 +1626,19 @@ const renderChat = () => {
   chatMuteBtnEl.setAttribute("aria-label", chatMuteBtnEl.title);
   chatMuteBtnEl.classList.toggle("chat-panel__toggle--active", chatMuted);
   chatMuteBtnEl.setAttribute("aria-pressed", chatMuted ? "true" : "false");
+  chatHideOpponentBtnEl.textContent = chatHideOpponent ? t("chatShowOpponent") : t("chatHideOpponent");
+  chatHideOpponentBtnEl.title = `${chatHideOpponentBtnEl.textContent} - ${t("chatHideOpponentHint")}`;
+  chatHideOpponentBtnEl.setAttribute("aria-label", chatHideOpponentBtnEl.title);
+  chatHideOpponentBtnEl.classList.toggle("chat-panel__toggle--active", chatHideOpponent);
+  chatHideOpponentBtnEl.setAttribute("aria-pressed", chatHideOpponent ? "true" : "false");
   chatGifToggleEl.classList.toggle("chat-panel__toggle--active", chatState.enabled && chatGifOpen);
   chatGifToggleEl.setAttribute("aria-expanded", chatState.enabled && chatGifOpen ? "true" : "false");
   chatGifBarEl.hidden = !chatState.enabled || !chatGifOpen;
-  chatHintEl.textContent = chatState.enabled ? t("chatHintEnabled") : t("chatHintDisabled");
+  chatHintEl.textContent = chatState.enabled
+    ? t("chatHintEnabled")
+    : spectating
+      ? t("chatHintSpectator")
+      : t("chatHintDisabled");
   chatUnreadEl.textContent = chatState.unread > 0 ? t("chatUnread", { count: chatState.unread }) : "";
   chatUnreadEl.classList.toggle("chat-panel__unread--active", chatState.unread > 0);
   chatLauncherUnreadEl.textContent = chatState.unread > 0 ? String(chatState.unread) : "";
@@ -1241,10 +1648,12 @@ const renderChat = () => {
 
   chatListEl.innerHTML = "";
   for (const message of chatState.messages) {
+    const fromOpponent = message.kind !== "system" && message.senderId !== yourId;
+    if (fromOpponent && chatHideOpponent) continue;
     const item = document.createElement("div");
     item.className = "chat-message";
     if (message.kind === "system") item.classList.add("chat-message--system");
-    else item.classList.add(message.senderId === yourId ? "chat-message--you" : "chat-message--opponent");
+    else item.classList.add(fromOpponent ? "chat-message--opponent" : "chat-message--you");
 
     const head = document.createElement("div");
     head.className = "chat-message__head";
@@ -1253,8 +1662,12 @@ const renderChat = () => {
     author.textContent = chatMessageAuthor(message);
     const time = document.createElement("time");
     time.className = "chat-message__time";
-    time.textContent = new Date(message.createdAt).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
-    head.append(author, time);
+    time.textContent = new Date(message.createdAt).toLocaleTimeString(language, { hour: "2-digit", minute: "2-digit" });
+    head.append(author);
+    if (fromOpponent && chatState.enabled && !spectating) {
+      head.appendChild(chatReportButton(message));
+    }
+    head.appendChild(time);
 
     const body = document.createElement("div");
     body.className = "chat-message__body";
@@ -1284,6 +1697,25 @@ const renderChat = () => {
   }
 };
 
+const chatReportButton = (message: ChatMessage): HTMLButtonElement => {
+  const reported = reportedChatMessageIds.has(message.id);
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = "chat-message__report";
+  button.textContent = "⚑";
+  button.disabled = reported;
+  button.title = reported ? t("chatReported") : t("chatReport");
+  button.setAttribute("aria-label", `${button.title}: ${chatMessageAuthor(message)}`);
+  button.addEventListener("click", () => {
+    if (!socket || !roomId || reportedChatMessageIds.has(message.id)) return;
+    const payload: ChatReportPayload = { roomId, messageId: message.id, reason: "abuse" };
+    socket.emit("chat:report", payload);
+    reportedChatMessageIds.add(message.id);
+    render();
+  });
+  return button;
+};
+
 const replaceChatHistory = (messages: ChatMessage[]) => {
   chatState.messages = messages.slice(-80);
   chatState.unread = 0;
@@ -1294,7 +1726,7 @@ const appendChatMessage = (message: ChatMessage) => {
   if (chatState.messages.length > 80) {
     chatState.messages = chatState.messages.slice(-80);
   }
-  const incomingFromOpponent = message.kind !== "system" && message.senderId !== yourId;
+  const incomingFromOpponent = message.kind !== "system" && message.senderId !== yourId && !chatHideOpponent;
   if (incomingFromOpponent && (document.hidden || chatCollapsed || !isChatNearBottom())) {
     chatState.unread += 1;
   }
@@ -1324,17 +1756,32 @@ const drawBoard = (
   onHover: ((coord: Coord) => void) | null = null,
   preview: PlacementPreview | null = null,
   sunkCells: Set<string> | null = null,
+  targetKeys: Set<string> | null = null,
+  hintKey: string | null = null,
 ) => {
   const render = toRenderBoard(board);
+  // Redrawing replaces every cell, so keyboard focus has to be put back on the cursor cell.
+  const hadFocus = container.contains(document.activeElement);
+  const storedCursor = boardCursors.get(container);
+  const cursor = {
+    row: Math.min(storedCursor?.row ?? 0, render.height - 1),
+    col: Math.min(storedCursor?.col ?? 0, render.width - 1),
+  };
+  boardCursors.set(container, cursor);
+  let cursorCell: HTMLButtonElement | null = null;
   container.innerHTML = "";
+  container.style.setProperty("--board-cols", String(render.width));
   const header = document.createElement("div");
   header.className = "grid-row";
+  header.setAttribute("role", "row");
   const empty = document.createElement("div");
   empty.className = "coord-label";
+  empty.setAttribute("role", "columnheader");
   header.appendChild(empty);
   for (let col = 0; col < render.width; col += 1) {
     const colLabel = document.createElement("div");
     colLabel.className = "coord-label";
+    colLabel.setAttribute("role", "columnheader");
     colLabel.textContent = labels[col];
     header.appendChild(colLabel);
   }
@@ -1343,8 +1790,10 @@ const drawBoard = (
   for (let row = 0; row < render.height; row += 1) {
     const rowEl = document.createElement("div");
     rowEl.className = "grid-row";
+    rowEl.setAttribute("role", "row");
     const rowLabel = document.createElement("div");
     rowLabel.className = "coord-label";
+    rowLabel.setAttribute("role", "rowheader");
     rowLabel.textContent = String(row + 1);
     rowEl.appendChild(rowLabel);
 
@@ -1364,6 +1813,10 @@ const drawBoard = (
         } else {
           cellState = "miss";
         }
+      } else if (targetKeys?.has(key)) {
+        cellState = "target";
+      } else if (key === hintKey) {
+        cellState = "hint";
       } else if (revealShips && shipState) {
         cellState = "ship";
       }
@@ -1385,8 +1838,23 @@ const drawBoard = (
       }
       cell.dataset.row = String(row);
       cell.dataset.col = String(col);
+      cell.setAttribute("role", "gridcell");
       cell.setAttribute("aria-label", cellDescription(coord, cellState));
-      cell.textContent = cellIcon(cellState);
+      const glyph = cellIcon(cellState);
+      if (glyph) {
+        const glyphEl = document.createElement("span");
+        glyphEl.className = "cell__glyph";
+        glyphEl.setAttribute("aria-hidden", "true");
+        glyphEl.textContent = glyph;
+        cell.classList.add("cell--glyph");
+        cell.appendChild(glyphEl);
+      }
+      if (coordEquals(coord, cursor)) {
+        cell.tabIndex = 0;
+        cursorCell = cell;
+      } else {
+        cell.tabIndex = -1;
+      }
 
       if (onCell) {
         cell.addEventListener("click", () => onCell(coord));
@@ -1398,10 +1866,50 @@ const drawBoard = (
     }
     container.appendChild(rowEl);
   }
+  if (hadFocus) {
+    cursorCell?.focus({ preventScroll: true });
+  }
+};
+
+const boardCell = (container: HTMLDivElement, coord: Coord): HTMLButtonElement | null =>
+  container.querySelector<HTMLButtonElement>(`button.cell[data-row="${coord.row}"][data-col="${coord.col}"]`);
+
+const cellCoord = (target: EventTarget | null): Coord | null => {
+  if (!(target instanceof HTMLElement) || !target.matches("button.cell")) return null;
+  return { row: Number(target.dataset.row), col: Number(target.dataset.col) };
+};
+
+const moveBoardCursor = (container: HTMLDivElement, coord: Coord) => {
+  const next = boardCell(container, coord);
+  if (!next) return;
+  const previous = boardCursors.get(container);
+  if (previous) {
+    const current = boardCell(container, previous);
+    if (current) current.tabIndex = -1;
+  }
+  boardCursors.set(container, coord);
+  next.tabIndex = 0;
+  if (document.activeElement !== next) next.focus();
+};
+
+// Arrows move one cell, Home/End jump within the row and PageUp/PageDown within the column.
+const boardKeyTarget = (key: string, from: Coord, width: number, height: number): Coord | null => {
+  if (key === "ArrowUp") return { row: Math.max(0, from.row - 1), col: from.col };
+  if (key === "ArrowDown") return { row: Math.min(height - 1, from.row + 1), col: from.col };
+  if (key === "ArrowLeft") return { row: from.row, col: Math.max(0, from.col - 1) };
+  if (key === "ArrowRight") return { row: from.row, col: Math.min(width - 1, from.col + 1) };
+  if (key === "Home") return { row: from.row, col: 0 };
+  if (key === "End") return { row: from.row, col: width - 1 };
+  if (key === "PageUp") return { row: 0, col: from.col };
+  if (key === "PageDown") return { row: height - 1, col: from.col };
+  return null;
 };
 
 const canShootEnemy = () =>
-  state.phase === "playing" && !awaitingShot && (online ? yourTurnOnline : state.turn === "you" && state.yourTurn);
+  !isViewerMode() &&
+  state.phase === "playing" &&
+  !awaitingShot &&
+  (online ? yourTurnOnline : state.turn === "you" && state.yourTurn);
 
 const updateRemaining = () => {
   remainingEl.textContent =
@@ -1411,6 +1919,8 @@ const updateRemaining = () => {
 };
 
 const getObjectiveText = (): string => {
+  if (replay) return t("objectiveReplay");
+  if (spectating) return t("objectiveSpectator");
   if (state.phase === "setup") {
     if (online && onlineReady) return t("objectiveSetupReadyWait");
     return t("objectiveSetup");
@@ -1422,6 +1932,8 @@ const getObjectiveText = (): string => {
 };
 
 const getBoardHelperText = (): string => {
+  if (replay) return t("boardHelperReplay");
+  if (spectating) return t("boardHelperSpectator");
   if (state.phase === "setup") {
     if (online && onlineReady) return t("boardHelperSetupReadyWait");
     return t("boardHelperSetup");
@@ -1438,7 +1950,7 @@ const updateTacticalNarrative = () => {
 };
 
 const updateAppDataHooks = () => {
-  appEl.dataset.mode = online ? "online" : "local";
+  appEl.dataset.mode = replay ? "replay" : spectating ? "spectator" : online ? "online" : "local";
   appEl.dataset.phase = state.phase;
   appEl.dataset.turn = canShootEnemy() ? "you" : "opponent";
 };
@@ -1449,7 +1961,217 @@ const updateAdvancedPanel = () => {
   appEl.dataset.advanced = advancedPanelOpen ? "open" : "closed";
 };
 
+const formatPercent = (value: number | null): string => (value === null ? "–" : `${Math.round(value * 1000) / 10}%`);
+
+const renderLeaderboardRows = () => {
+  const rows = (leaderboard?.entries ?? []).map((entry) => {
+    const row = document.createElement("tr");
+    row.classList.toggle("leaderboard-row--you", entry.accountId === account?.accountId);
+    const values = [
+      String(entry.rank),
+      entry.name,
+      String(entry.rating),
+      String(entry.games),
+      String(entry.wins),
+      formatPercent(entry.winRate),
+      formatPercent(entry.accuracy),
+    ];
+    for (const value of values) {
+      const cell = document.createElement("td");
+      cell.textContent = value;
+      row.append(cell);
+    }
+    return row;
+  });
+  leaderboardBodyEl.replaceChildren(...rows);
+};
+
+const updateLeaderboardPanel = () => {
+  leaderboardPanelEl.hidden = !leaderboardOpen;
+  btnLeaderboard.setAttribute("aria-expanded", leaderboardOpen ? "true" : "false");
+  if (!leaderboardOpen) return;
+  if (leaderboardStatus === "loading") {
+    leaderboardNoteEl.textContent = t("leaderboardLoading");
+  } else if (leaderboardStatus === "unavailable") {
+    leaderboardNoteEl.textContent = t("leaderboardUnavailable");
+  } else if (leaderboardStatus === "failed") {
+    leaderboardNoteEl.textContent = t("leaderboardFailed");
+  } else if (leaderboard && leaderboard.entries.length === 0) {
+    leaderboardNoteEl.textContent = t("leaderboardEmpty");
+  } else {
+    leaderboardNoteEl.textContent =
+      leaderboard && leaderboard.minGames > 1 ? t("leaderboardMinGames", { count: leaderboard.minGames }) : "";
+  }
+  leaderboardMyStatsEl.hidden = !myStats || myStats.games === 0;
+  if (myStats && myStats.games > 0) {
+    leaderboardMyStatsEl.textContent = t("leaderboardMyStats", {
+      games: myStats.games,
+      wins: myStats.wins,
+      accuracy: formatPercent(myStats.accuracy),
+      shots: myStats.averageShotsToWin ?? "–",
+      opening: myStats.favouriteOpening ? coordLabel(myStats.favouriteOpening) : "–",
+    });
+  }
+};
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+const canAnalyseGame = (): boolean =>
+  replay !== null || (!spectating && state.phase === "over" && (!online || roomId !== null));
+
+const closeAnalysis = () => {
+  analysisOpen = false;
+  analysis = null;
+  analysisStatus = "idle";
+  analysisRequestId += 1;
+};
+
+const analysisStat = (label: string, value: string): HTMLElement[] => {
+  const term = document.createElement("dt");
+  term.textContent = label;
+  const detail = document.createElement("dd");
+  detail.textContent = value;
+  return [term, detail];
+};
+
+const analysisCaption = (text: string): HTMLParagraphElement => {
+  const caption = document.createElement("p");
+  caption.className = "analysis-caption";
+  caption.textContent = text;
+  return caption;
+};
+
+const renderAccuracyTimeline = (timeline: number[]): SVGSVGElement => {
+  const svg = document.createElementNS(SVG_NS, "svg");
+  svg.setAttribute("class", "analysis-timeline");
+  svg.setAttribute("viewBox", "0 0 100 100");
+  svg.setAttribute("preserveAspectRatio", "none");
+  svg.setAttribute("role", "img");
+  svg.setAttribute("aria-label", t("analysisTimeline"));
+  const line = document.createElementNS(SVG_NS, "polyline");
+  const step = timeline.length > 1 ? 100 / (timeline.length - 1) : 0;
+  line.setAttribute(
+    "points",
+    timeline.map((accuracy, index) => `${(index * step).toFixed(2)},${(100 - accuracy * 100).toFixed(2)}`).join(" "),
+  );
+  svg.append(line);
+  return svg;
+};
+
+// Cells light up with the shot number, so the order of fire shows as well as the spread.
+const renderShotHeatmap = (heatmap: number[][]): HTMLDivElement => {
+  const grid = document.createElement("div");
+  grid.className = "analysis-heatmap";
+  grid.style.setProperty("--board-cols", String(heatmap[0]?.length ?? 0));
+  const lastShot = Math.max(1, ...heatmap.flat());
+  heatmap.forEach((cells, row) => {
+    cells.forEach((order, col) => {
+      const cell = document.createElement("span");
+      if (order > 0) {
+        cell.classList.add("analysis-heat--fired");
+        cell.style.setProperty("--heat", (0.25 + (0.75 * order) / lastShot).toFixed(2));
+        cell.title = `${coordLabel({ row, col })}: #${order}`;
+      }
+      grid.append(cell);
+    });
+  });
+  return grid;
+};
+
+const renderShipTable = (player: PlayerMatchAnalysis): HTMLTableElement => {
+  const table = document.createElement("table");
+  table.className = "analysis-ships";
+  const head = document.createElement("tr");
+  for (const key of ["analysisShip", "analysisShipFirstHit", "analysisShipSunk"]) {
+    const cell = document.createElement("th");
+    cell.scope = "col";
+    cell.textContent = t(key);
+    head.append(cell);
+  }
+  const rows = player.ships.map((ship) => {
+    const row = document.createElement("tr");
+    for (const value of [
+      t("analysisShipLabel", { length: ship.length }),
+      ship.firstHitShot === null ? "–" : `#${ship.firstHitShot}`,
+      ship.sunkShot === null ? "–" : `#${ship.sunkShot}`,
+    ]) {
+      const cell = document.createElement("td");
+      cell.textContent = value;
+      row.append(cell);
+    }
+    return row;
+  });
+  table.append(head, ...rows);
+  return table;
+};
+
+const renderAnalysisCard = (player: PlayerMatchAnalysis, winner: string | null): HTMLElement => {
+  const card = document.createElement("article");
+  card.className = "analysis-card";
+  const title = document.createElement("h3");
+  title.textContent = player.playerId === winner ? `${player.nickname} · ${t("analysisWinner")}` : player.nickname;
+  const stats = document.createElement("dl");
+  stats.className = "analysis-stats";
+  stats.append(
+    ...analysisStat(t("analysisShots"), String(player.shots)),
+    ...analysisStat(t("analysisAccuracy"), `${formatPercent(player.accuracy)} (${player.hits}/${player.shots})`),
+    ...analysisStat(t("analysisFirstHit"), player.shotsToFirstHit === null ? "–" : String(player.shotsToFirstHit)),
+    ...analysisStat(t("analysisShotsToWin"), player.shotsToWin === null ? "–" : String(player.shotsToWin)),
+    ...analysisStat(
+      t("analysisLuck"),
+      t("analysisLuckValue", {
+        hits: player.hits,
+        expected: player.expectedHits.toFixed(1),
+        luck: `${player.luck >= 0 ? "+" : ""}${player.luck.toFixed(1)}`,
+      }),
+    ),
+    ...analysisStat(t("analysisSkill"), t("analysisSkillValue", { shots: player.aiExpectedShots.toFixed(1) })),
+  );
+  card.append(
+    title,
+    stats,
+    analysisCaption(t("analysisTimeline")),
+    renderAccuracyTimeline(player.accuracyTimeline),
+    analysisCaption(t("analysisHeatmap")),
+    renderShotHeatmap(player.heatmap),
+    renderShipTable(player),
+  );
+  return card;
+};
+
+const updateAnalysisPanel = () => {
+  if (analysisOpen && !canAnalyseGame()) closeAnalysis();
+  btnAnalysis.disabled = !canAnalyseGame();
+  btnAnalysis.setAttribute("aria-expanded", analysisOpen ? "true" : "false");
+  analysisPanelEl.hidden = !analysisOpen;
+  if (!analysisOpen) return;
+  const notes: Record<AnalysisStatus, string> = {
+    idle: "",
+    loading: t("analysisLoading"),
+    ready: "",
+    unavailable: t("analysisUnavailable"),
+    not_found: t("analysisNotFound"),
+    busy: t("analysisBusy"),
+    failed: t("analysisFailed"),
+  };
+  analysisNoteEl.textContent = notes[analysisStatus];
+  analysisNoteEl.hidden = notes[analysisStatus] === "";
+  // Cards are rebuilt only when the data or language changes, not on every render.
+  const renderedKey = `${analysisRequestId}:${analysisStatus}:${language}`;
+  if (renderedKey === analysisRenderedKey) return;
+  analysisRenderedKey = renderedKey;
+  const currentAnalysis = analysisStatus === "ready" ? analysis : null;
+  analysisBodyEl.replaceChildren(
+    ...(currentAnalysis?.players.map((player) => renderAnalysisCard(player, currentAnalysis.winner)) ?? []),
+  );
+};
+
 const updateReadinessBadge = () => {
+  if (isViewerMode()) {
+    readinessBadgeEl.textContent = replay ? t("replayBadge") : t("spectatorBadge");
+    readinessBadgeEl.classList.remove("readiness-ready", "readiness-wait");
+    return;
+  }
   if (!online) {
     readinessBadgeEl.textContent = t("localModeBadge");
     readinessBadgeEl.classList.remove("readiness-ready");
@@ -1472,7 +2194,56 @@ const updateReadinessBadge = () => {
   readinessBadgeEl.classList.remove("readiness-ready", "readiness-wait");
 };
 
+const syncPrivateRoomControls = () => {
+  btnCreateRoom.disabled = btnJoinQueue.disabled || privateRoomPending || (online && state.phase !== "over");
+  btnJoinRoom.disabled = btnCreateRoom.disabled;
+  roomCodeInput.disabled = btnCreateRoom.disabled;
+  btnSpectate.disabled = !socket || inQueue || privateRoomPending || (online && state.phase !== "over");
+  spectateInput.disabled = btnSpectate.disabled;
+};
+
+const opponentRequestedRematch = (): boolean => rematchRequestedBy.some((playerId) => playerId !== yourId);
+
+const syncRematchControls = () => {
+  btnRematch.textContent = opponentRequestedRematch() ? t("btnRematchAccept") : t("btnRematch");
+  btnRematch.disabled =
+    !socket ||
+    !online ||
+    !roomId ||
+    state.phase !== "over" ||
+    rematchUnavailable ||
+    rematchRequestedBy.includes(yourId);
+};
+
 const updateControls = () => {
+  rulesetSelect.disabled = online || inQueue || state.phase === "playing";
+  adjacencySelect.disabled = rulesetSelect.disabled;
+  salvoSelect.disabled = rulesetSelect.disabled;
+  difficultySelect.disabled = rulesetSelect.disabled;
+  btnReplay.disabled = !online || !roomId || state.phase !== "over";
+  btnReplayLoad.disabled = inQueue || privateRoomPending || (online && state.phase !== "over");
+  replayInput.disabled = btnReplayLoad.disabled;
+  btnUndo.hidden = !isLocalPractice();
+  btnHint.hidden = btnUndo.hidden;
+  btnUndo.disabled = !canUndoLocalMove();
+  btnHint.disabled = !canShowHint();
+  if (isViewerMode()) {
+    rulesetSelect.disabled = true;
+    adjacencySelect.disabled = true;
+    salvoSelect.disabled = true;
+    difficultySelect.disabled = true;
+    btnStartLocal.disabled = true;
+    btnJoinQueue.disabled = true;
+    btnPlayAgainOnline.disabled = true;
+    btnAutoPlace.disabled = true;
+    btnClearPlacement.disabled = true;
+    btnRotate.disabled = true;
+    btnFire.disabled = true;
+    shotInput.disabled = true;
+    syncPrivateRoomControls();
+    syncRematchControls();
+    return;
+  }
   if (!online) {
     btnStartLocal.textContent = state.phase === "over" ? t("btnNewPva") : t("btnStartPva");
     btnPlayAgainOnline.textContent = t("btnPlayAgainOnline");
@@ -1484,6 +2255,8 @@ const updateControls = () => {
     btnRotate.disabled = !isManualPlacementActive();
     btnFire.disabled = !canShootEnemy();
     shotInput.disabled = !canShootEnemy();
+    syncPrivateRoomControls();
+    syncRematchControls();
     return;
   }
 
@@ -1530,6 +2303,8 @@ const updateControls = () => {
     btnFire.disabled = !canShootEnemy();
     shotInput.disabled = !canShootEnemy();
   }
+  syncPrivateRoomControls();
+  syncRematchControls();
 };
 
 const shouldAutoFocusShotInput = (): boolean => {
@@ -1555,7 +2330,7 @@ const render = () => {
       ? state.phase === "setup" && !onlineReady
         ? onManualPlace
         : null
-      : state.phase === "setup" && state.placement === "manual"
+      : !isViewerMode() && state.phase === "setup" && state.placement === "manual"
         ? onManualPlace
         : null,
     manualPlacementActive ? setPlacementHoverCoord : null,
@@ -1565,13 +2340,21 @@ const render = () => {
   drawBoard(
     boardEnemyEl,
     state.enemyBoard,
-    false,
+    isViewerMode(),
     canShootEnemy() ? onFireAtEnemy : null,
     null,
     null,
     state.enemySunkCells,
+    new Set(pendingSalvo.map(coordKey)),
+    hintCoord && canShowHint() ? coordKey(hintCoord) : null,
   );
-  modeEl.textContent = online ? "Online" : "PvA";
+  modeEl.textContent = replay
+    ? t("modeReplay")
+    : spectating
+      ? t("modeSpectator")
+      : online
+        ? "Online"
+        : "PvA";
   orientationBadgeEl.textContent = t("orientation", { orientation: state.orientation });
   orientationBadgeEl.classList.toggle("orientation-active", manualPlacementActive);
   updateReadinessBadge();
@@ -1587,10 +2370,30 @@ const render = () => {
     shotsOpponentEl.textContent = String(opponentShots);
     shotsTotalEl.textContent = String(totalShots);
   }
-  opponentNameEl.textContent = online ? opponentName : "AI";
+  opponentNameEl.textContent = isViewerMode()
+    ? `${viewerPlayerName(0)} vs ${viewerPlayerName(1)}`
+    : online
+      ? opponentName
+      : "AI";
+  spectatorsPillEl.hidden = (!online && !spectating) || spectatorCount === 0;
+  spectatorsCountEl.textContent = String(spectatorCount);
+  accountNameEl.textContent = account
+    ? `${account.username ?? t("accountGuest")} · ${account.rating}`
+    : t("accountGuest");
+  seriesPillEl.hidden = !online || !seriesScore || seriesScore.you + seriesScore.opponent === 0;
+  if (seriesScore) {
+    seriesScoreEl.textContent = `${seriesScore.you}–${seriesScore.opponent}`;
+  }
   updateRemaining();
   updateControls();
+  updateReplayBar();
+  syncStoredLocalGame();
+  resumeBarEl.hidden = pendingLocalGame === null;
+  updateAccountControls();
   updateAdvancedPanel();
+  updateLeaderboardPanel();
+  updateAnalysisPanel();
+  updateTurnClock();
   updateTacticalNarrative();
   updateAppDataHooks();
   renderChat();
@@ -1602,57 +2405,149 @@ const render = () => {
   previousCanShoot = nowCanShoot;
 };
 
+const isViewerMode = (): boolean => spectating || replay !== null;
+
+const viewerPlayerName = (index: number): string =>
+  (replay?.players[index] ?? spectatorView?.players[index])?.nickname ?? t("defaultOpponent");
+
+const resetRematchState = () => {
+  seriesScore = null;
+  rematchRequestedBy = [];
+  rematchUnavailable = false;
+};
+
 const resetOnlineQueueSetupState = () => {
   resetChatState();
+  resetRematchState();
+  resetOnlineBoards();
+};
+
+const resetOnlineBoards = () => {
+  resetLocalHistory();
   state = {
     ...state,
     phase: "setup",
     placement: "manual",
-    remainingShips: [...STANDARD_FLEET],
+    remainingShips: [...activeRuleset.fleet],
     orientation: "H",
-    yourBoard: createEmptyBoard(),
-    enemyBoard: createEmptyBoard(),
+    yourBoard: createEmptyBoard(activeRuleset),
+    enemyBoard: createEmptyBoard(activeRuleset),
     turn: "you",
     yourTurn: true,
     shots: 0,
     opponentShots: 0,
-    aiState: createAiState(),
+    aiState: createAiState(activeRuleset.adjacency, selectedDifficulty),
     enemyShipHits: {},
     ownShipHits: {},
     enemySunkCells: new Set<string>(),
     yourSunkCells: new Set<string>(),
+    moves: [],
   };
 };
 
-const resetLocalSetup = () => {
-  state = {
+// Local games have no shot history, so "anti_heatmap" falls back to spreading the fleet.
+const placeBotFleet = (): BoardModel =>
+  placeFleetWithStrategy(activeRuleset, BOT_PLACEMENT_BY_DIFFICULTY[selectedDifficulty]);
+
+const scheduleAiTurn = (delayMs: number) => {
+  if (localAiTimer) clearTimeout(localAiTimer);
+  localAiTimer = setTimeout(() => {
+    localAiTimer = null;
+    handleAiTurn();
+  }, delayMs);
+};
+
+const cloneShotTracker = (tracker: ShotTracker): ShotTracker =>
+  Object.fromEntries(Object.entries(tracker).map(([shipId, coords]) => [shipId, coords.map((coord) => ({ ...coord }))]));
+
+const cloneLocalState = (source: LocalState): LocalState => ({
+  ...source,
+  remainingShips: [...source.remainingShips],
+  yourBoard: cloneBoard(source.yourBoard),
+  enemyBoard: cloneBoard(source.enemyBoard),
+  aiState: cloneAiState(source.aiState),
+  enemyShipHits: cloneShotTracker(source.enemyShipHits),
+  ownShipHits: cloneShotTracker(source.ownShipHits),
+  enemySunkCells: new Set(source.enemySunkCells),
+  yourSunkCells: new Set(source.yourSunkCells),
+  moves: [...source.moves],
+});
+
+const resetLocalHistory = () => {
+  if (localAiTimer) clearTimeout(localAiTimer);
+  localAiTimer = null;
+  localHistory = [];
+  hintCoord = null;
+};
+
+const recordLocalMove = (before: LocalState) => {
+  localHistory.push(before);
+  hintCoord = null;
+};
+
+const isLocalPractice = (): boolean => !online && !inQueue && !isViewerMode();
+
+const canUndoLocalMove = (): boolean => isLocalPractice() && state.phase !== "setup" && localHistory.length > 0;
+
+const canShowHint = (): boolean => isLocalPractice() && canShootEnemy();
+
+// Takes back your last shot (or salvo) together with every bot reply that followed it.
+const undoLocalMove = () => {
+  if (!canUndoLocalMove()) return;
+  const previous = localHistory.pop();
+  if (!previous) return;
+  if (localAiTimer) clearTimeout(localAiTimer);
+  localAiTimer = null;
+  clearWinnerFxTimer();
+  winnerFxEl.classList.remove("active");
+  winnerFxConfettiEl.innerHTML = "";
+  state = previous;
+  hintCoord = null;
+  resetShotInputState(true);
+  setStatus("moveUndone");
+  render();
+};
+
+const showShotHint = () => {
+  if (!canShowHint()) return;
+  const shot = suggestShot(state.enemyBoard, activeRuleset.adjacency);
+  if (shot.row < 0 || shot.col < 0) return;
+  hintCoord = shot;
+  setStatus("shotHint", { coord: coordLabel(shot) });
+  render();
+};
+
+const resetLocalSetup = () => {
+  resetLocalHistory();
+  state = {
     ...state,
     phase: "setup",
     placement: "manual",
-    remainingShips: [...STANDARD_FLEET],
+    remainingShips: [...activeRuleset.fleet],
     orientation: "H",
-    yourBoard: createEmptyBoard(),
-    enemyBoard: placeFleetRandomly(createEmptyBoard()),
+    yourBoard: createEmptyBoard(activeRuleset),
+    enemyBoard: placeBotFleet(),
     turn: "you",
     yourTurn: true,
     shots: 0,
     opponentShots: 0,
-    aiState: createAiState(),
+    aiState: createAiState(activeRuleset.adjacency, selectedDifficulty),
     enemyShipHits: {},
     ownShipHits: {},
     enemySunkCells: new Set<string>(),
     yourSunkCells: new Set<string>(),
+    moves: [],
   };
-  setStatus("Ręczne ustawienie statków. Klikaj pola na swojej planszy.");
+  setStatus("manualPlacement");
   resetShotInputState(true);
   render();
 };
 
 const applyRandomPlacement = () => {
   state.placement = "random";
-  state.yourBoard = placeFleetRandomly(createEmptyBoard());
+  state.yourBoard = placeFleetRandomly(createEmptyBoard(activeRuleset), activeRuleset);
   state.remainingShips = [];
-  setStatus("Losowe rozmieszczenie gotowe.");
+  setStatus("randomPlacementReady");
   resetShotInputState(true);
   render();
 };
@@ -1669,10 +2564,10 @@ const onManualPlace = (coord: Coord) => {
   if (state.phase !== "setup" || state.placement !== "manual" || state.remainingShips.length === 0) {
     return;
   }
-  const type = state.remainingShips[0] as 4 | 3 | 2 | 1;
+  const type = state.remainingShips[0];
   const ship = createShip(`manual-${Date.now()}`, type, coord, state.orientation);
-  if (!validatePlacement(state.yourBoard, ship)) {
-    setStatus("Błędne ustawienie tego statku.");
+  if (!validatePlacement(state.yourBoard, ship, activeRuleset.adjacency)) {
+    setStatus("invalidShipPlacement");
     render();
     return;
   }
@@ -1682,14 +2577,15 @@ const onManualPlace = (coord: Coord) => {
   };
   state.remainingShips = [...state.remainingShips.slice(1)];
   if (state.remainingShips.length === 0) {
-    setStatus("Gotowe. Kliknij Start PvA.");
+    setStatus("placementComplete");
   } else {
-    setStatus(`Ustaw następny statek (${state.remainingShips[0]} maszt).`);
+    setStatus("placeNextShip", { length: state.remainingShips[0] });
   }
   render();
 };
 
 const startLocalGame = () => {
+  resetLocalHistory();
   clearWinnerFxTimer();
   winnerFxEl.classList.remove("active");
   winnerFxConfettiEl.innerHTML = "";
@@ -1700,39 +2596,41 @@ const startLocalGame = () => {
       placement: "random",
       remainingShips: [],
       orientation: "H",
-      yourBoard: placeFleetRandomly(createEmptyBoard()),
-      enemyBoard: createEmptyBoard(),
+      yourBoard: placeFleetRandomly(createEmptyBoard(activeRuleset), activeRuleset),
+      enemyBoard: placeBotFleet(),
       turn: "you",
       yourTurn: true,
       shots: 0,
       opponentShots: 0,
-      aiState: createAiState(),
+      aiState: createAiState(activeRuleset.adjacency, selectedDifficulty),
       enemyShipHits: {},
       ownShipHits: {},
       enemySunkCells: new Set<string>(),
       yourSunkCells: new Set<string>(),
+      moves: [],
     };
-    setStatus("Nowa gra lokalna rozpoczęta. Twoja tura.");
+    setStatus("newLocalGameStarted");
     resetShotInputState(true);
     render();
     return;
   }
 
   if (state.placement === "manual" && state.remainingShips.length > 0) {
-    state.yourBoard = placeFleetRandomly(createEmptyBoard());
+    state.yourBoard = placeFleetRandomly(createEmptyBoard(activeRuleset), activeRuleset);
   }
   state.phase = "playing";
   state.turn = "you";
   state.yourTurn = true;
   state.shots = 0;
   state.opponentShots = 0;
-  state.enemyBoard = placeFleetRandomly(createEmptyBoard());
-  state.aiState = createAiState();
+  state.enemyBoard = placeBotFleet();
+  state.aiState = createAiState(activeRuleset.adjacency, selectedDifficulty);
   state.enemyShipHits = {};
   state.ownShipHits = {};
   state.enemySunkCells = new Set<string>();
   state.yourSunkCells = new Set<string>();
-  setStatus("Gra lokalna rozpoczęta. Twoja tura.");
+  state.moves = [];
+  setStatus("localGameStarted");
   resetShotInputState(true);
   render();
 };
@@ -1746,20 +2644,166 @@ const finishLocalGame = (winner: Turn) => {
   state.yourTurn = false;
   if (winner === "you") {
     showWinnerFx(getCurrentPlayerName());
-    setStatus(
-      `Koniec gry. Wygrałeś! Twoje strzały: ${yourShots}, strzały przeciwnika: ${opponentShots}, łącznie: ${totalShots} tur.`,
-    );
+    setStatus("localWon", { yourShots, opponentShots, total: totalShots });
   } else {
     showWinnerFx("Bot");
-    setStatus(
-      `Koniec gry. Bot wygrał. Twoje strzały: ${yourShots}, strzały bota: ${opponentShots}, łącznie: ${totalShots} tur.`,
-    );
+    setStatus("localLost", { yourShots, opponentShots, total: totalShots });
   }
   render();
 };
 
+// Saves the local game whenever a move changed it and drops the save once the game ends or is left.
+const syncStoredLocalGame = () => {
+  if (pendingLocalGame && (online || inQueue || isViewerMode() || state.phase !== "setup")) {
+    pendingLocalGame = null;
+  }
+  if (pendingLocalGame || online || isViewerMode()) return;
+  if (state.phase !== "playing") {
+    if (localGameSaved) {
+      clearStoredLocalGame();
+      localGameSaved = false;
+      storedLocalGameSignature = null;
+    }
+    return;
+  }
+  const signature = [
+    state.aiState.rng.value,
+    state.aiState.difficulty,
+    state.turn,
+    state.shots,
+    state.opponentShots,
+  ].join(":");
+  if (localGameSaved && signature === storedLocalGameSignature) return;
+  localGameSaved = true;
+  storedLocalGameSignature = signature;
+  storeLocalGame({
+    v: LOCAL_GAME_VERSION,
+    ruleset: selectedRulesetId,
+    adjacency: selectedAdjacency,
+    salvo: selectedSalvo,
+    yourBoard: asServerBoard(state.yourBoard),
+    enemyBoard: asServerBoard(state.enemyBoard),
+    turn: state.turn,
+    shots: state.shots,
+    opponentShots: state.opponentShots,
+    aiState: serializeAiState(state.aiState),
+    enemyShipHits: state.enemyShipHits,
+    ownShipHits: state.ownShipHits,
+    enemySunkCells: [...state.enemySunkCells],
+    yourSunkCells: [...state.yourSunkCells],
+    moves: state.moves,
+  });
+};
+
+const resumeLocalGame = () => {
+  const saved = pendingLocalGame;
+  if (!saved || online || inQueue || isViewerMode()) return;
+  pendingLocalGame = null;
+  resetLocalHistory();
+  selectedRulesetId = saved.rulesetId;
+  selectedAdjacency = saved.adjacency;
+  selectedSalvo = saved.salvo;
+  selectedDifficulty = saved.state.aiState.difficulty;
+  storeRulesetId(selectedRulesetId);
+  storeAdjacency(selectedAdjacency);
+  storeSalvo(selectedSalvo);
+  storeDifficulty(selectedDifficulty);
+  rulesetSelect.value = selectedRulesetId;
+  adjacencySelect.value = selectedAdjacency;
+  salvoSelect.value = selectedSalvo;
+  difficultySelect.value = selectedDifficulty;
+  activeRuleset = getRuleset(selectedRulesetId, selectedAdjacency, selectedSalvo);
+  state = saved.state;
+  resetShotInputState(true);
+  setStatus(state.turn === "you" ? "botGameResumedYourTurn" : "botGameResumedBotTurn");
+  render();
+  if (state.turn === "bot") {
+    scheduleAiTurn(400);
+  }
+};
+
+const discardLocalGame = () => {
+  if (!pendingLocalGame) return;
+  pendingLocalGame = null;
+  setStatus("savedGameDiscarded");
+  render();
+};
+
+const logLocalShots = (shooter: Turn, results: SalvoShotResult[]) => {
+  const shots = results
+    .filter((entry) => isCountableShotOutcome(entry.outcome))
+    .map((entry) => ({ coord: entry.coord, outcome: entry.outcome, shipId: entry.shipId ?? null }));
+  if (shots.length === 0) return;
+  state.moves.push({ shooter, target: shooter === "you" ? "bot" : "you", shots, at: Date.now() });
+};
+
+const countSalvoHits = (results: SalvoShotResult[]): number =>
+  results.filter((entry) => entry.outcome === "hit" || entry.outcome === "sink").length;
+
+// Call after the shot is recorded in `tracker`, so a sunk ship's length is known.
+const describeShot = (shot: SalvoShotResult, tracker: ShotTracker): string | null => {
+  if (shot.outcome === "miss") return cellDescription(shot.coord, "miss");
+  if (shot.outcome === "hit") return cellDescription(shot.coord, "hit");
+  if (shot.outcome !== "sink") return null;
+  const length = shot.shipId ? tracker[shot.shipId]?.length : undefined;
+  if (!length) return cellDescription(shot.coord, "sunk");
+  return t("announceShipSunk", {
+    shot: cellDescription(shot.coord, "hit"),
+    ship: t("analysisShipLabel", { length }),
+  });
+};
+
+// The status line is not a live region; shot results are read out from here instead.
+const announceShots = (isYourShot: boolean, shots: SalvoShotResult[]) => {
+  const tracker = isYourShot ? state.enemyShipHits : state.ownShipHits;
+  const described = shots
+    .map((shot) => describeShot(shot, tracker))
+    .filter((text): text is string => Boolean(text));
+  if (described.length === 0) return;
+  const text = described.join("; ");
+  boardAnnouncerEl.textContent = isYourShot ? text : `${opponentName}: ${text}`;
+};
+
+const handleAiSalvo = () => {
+  if (state.phase !== "playing" || state.turn !== "bot") return;
+  const volley = nextSalvo(
+    state.yourBoard,
+    state.aiState,
+    salvoShotCount(activeRuleset, state.enemyBoard, state.yourBoard),
+  );
+  const results: SalvoShotResult[] = [];
+  for (const shot of volley) {
+    const result = fireShot(state.yourBoard, shot);
+    addShotPoint(state, false);
+    registerAiShot(state.yourBoard, state.aiState, shot, result.outcome);
+    results.push({ coord: shot, outcome: result.outcome, shipId: result.shipId });
+    if (result.shipId) {
+      const hits = recordShipHit(state.ownShipHits, result.shipId, shot);
+      if (result.outcome === "sink") {
+        markAroundSunkShip(state.yourBoard, hits);
+        markSunkCells(state.yourSunkCells, hits);
+      }
+    }
+    if (result.gameOver) break;
+  }
+  logLocalShots("bot", results);
+  announceShots(false, results);
+  if (isFleetSunk(state.yourBoard)) {
+    finishLocalGame("bot");
+    return;
+  }
+  state.turn = "you";
+  state.yourTurn = true;
+  setStatus("botSalvo", { hits: countSalvoHits(results), shots: results.length });
+  render();
+};
+
 const handleAiTurn = () => {
   if (state.phase !== "playing" || state.turn !== "bot") return;
+  if (activeRuleset.salvo !== "off") {
+    handleAiSalvo();
+    return;
+  }
   const shot = nextShot(state.yourBoard, state.aiState);
   if (shot.row < 0 || shot.col < 0) {
     finishLocalGame("you");
@@ -1769,11 +2813,14 @@ const handleAiTurn = () => {
   if (result.outcome === "miss" || result.outcome === "hit" || result.outcome === "sink") {
     addShotPoint(state, false);
   }
+  const botShot: SalvoShotResult = { coord: shot, outcome: result.outcome, shipId: result.shipId };
+  logLocalShots("bot", [botShot]);
   registerAiShot(state.yourBoard, state.aiState, shot, result.outcome);
   if (result.outcome === "miss") {
+    announceShots(false, [botShot]);
     state.turn = "you";
     state.yourTurn = true;
-    setStatus(`Bot pudłuje na ${coordLabel(shot)}. Twoja tura.`);
+    setStatus("botMiss", { coord: coordLabel(shot) });
     render();
     return;
   }
@@ -1785,34 +2832,103 @@ const handleAiTurn = () => {
         markSunkCells(state.yourSunkCells, hits);
       }
     }
+    announceShots(false, [botShot]);
     if (isFleetSunk(state.yourBoard)) {
       finishLocalGame("bot");
       return;
     }
-    setStatus(`Bot trafia na ${coordLabel(shot)}. Bot kontynuuje.`);
+    setStatus("botHit", { coord: coordLabel(shot) });
     render();
-    setTimeout(handleAiTurn, 350);
+    scheduleAiTurn(350);
     return;
   }
   if (result.outcome === "invalid" || result.outcome === "already_shot") {
-    setTimeout(handleAiTurn, 1);
+    scheduleAiTurn(1);
+  }
+};
+
+const salvoShotsNeeded = (): number =>
+  online ? onlineSalvoShots : salvoShotCount(activeRuleset, state.yourBoard, state.enemyBoard);
+
+const fireLocalSalvo = (coords: Coord[]) => {
+  recordLocalMove(cloneLocalState(state));
+  const results: SalvoShotResult[] = [];
+  for (const coord of coords) {
+    const result = fireShot(state.enemyBoard, coord);
+    addShotPoint(state, true);
+    results.push({ coord, outcome: result.outcome, shipId: result.shipId });
+    if (result.shipId) {
+      const hits = recordShipHit(state.enemyShipHits, result.shipId, coord);
+      if (result.outcome === "sink") {
+        markAroundSunkShip(state.enemyBoard, hits);
+        markSunkCells(state.enemySunkCells, hits);
+      }
+    }
+    if (result.gameOver) break;
+  }
+  logLocalShots("you", results);
+  announceShots(true, results);
+  if (isFleetSunk(state.enemyBoard)) {
+    finishLocalGame("you");
+    return;
+  }
+  state.turn = "bot";
+  state.yourTurn = false;
+  setStatus("localSalvo", { hits: countSalvoHits(results), shots: results.length });
+  render();
+  scheduleAiTurn(400);
+};
+
+const addSalvoTarget = (coord: Coord): boolean => {
+  const existing = pendingSalvo.findIndex((entry) => coordEquals(entry, coord));
+  if (existing >= 0) {
+    pendingSalvo.splice(existing, 1);
+  } else {
+    pendingSalvo.push(coord);
   }
+  const needed = salvoShotsNeeded();
+  if (pendingSalvo.length < needed) {
+    setStatus("salvoTargets", { selected: pendingSalvo.length, needed });
+    render();
+    return true;
+  }
+  const volley = pendingSalvo;
+  pendingSalvo = [];
+  if (online) {
+    if (!roomId) {
+      setStatus("noActiveRoom");
+      return false;
+    }
+    awaitingShot = true;
+    socket?.emit("game:salvo", { roomId, coords: volley });
+    render();
+    return true;
+  }
+  fireLocalSalvo(volley);
+  return true;
 };
 
 const onFireAtEnemy = (coord: Coord): boolean => {
   if (!canShootEnemy()) return false;
   const shotKey = coordKey(coord);
   if (state.enemyBoard.shots.has(shotKey)) {
-    setStatus("To pole jest już strzelane.");
+    setStatus("cellAlreadyShot");
     return false;
   }
+  if (activeRuleset.salvo !== "off") {
+    if (online && !yourTurnOnline) {
+      setStatus("notYourTurn");
+      return false;
+    }
+    return addSalvoTarget(coord);
+  }
   if (online) {
     if (!roomId) {
-      setStatus("Brak aktywnego pokoju. Poczekaj na połączenie.");
+      setStatus("noActiveRoom");
       return false;
     }
     if (!yourTurnOnline) {
-      setStatus("Nie Twoja tura.");
+      setStatus("notYourTurn");
       return false;
     }
     awaitingShot = true;
@@ -1820,11 +2936,15 @@ const onFireAtEnemy = (coord: Coord): boolean => {
     return true;
   }
 
+  const before = cloneLocalState(state);
   const result = fireShot(state.enemyBoard, coord);
   if (result.outcome === "already_shot" || result.outcome === "invalid") {
-    setStatus("To pole jest już zajęte.");
+    setStatus("cellAlreadyUsed");
     return false;
   }
+  recordLocalMove(before);
+  const yourShot: SalvoShotResult = { coord, outcome: result.outcome, shipId: result.shipId };
+  logLocalShots("you", [yourShot]);
   if (result.outcome === "miss" || result.outcome === "hit" || result.outcome === "sink") {
     addShotPoint(state, true);
   }
@@ -1835,12 +2955,13 @@ const onFireAtEnemy = (coord: Coord): boolean => {
       markSunkCells(state.enemySunkCells, hits);
     }
   }
+  announceShots(true, [yourShot]);
   if (result.outcome === "miss") {
     state.turn = "bot";
     state.yourTurn = false;
-    setStatus(`Pudło: ${coordLabel(coord)}. Tura bota.`);
+    setStatus("localMiss", { coord: coordLabel(coord) });
     render();
-    setTimeout(handleAiTurn, 400);
+    scheduleAiTurn(400);
     return true;
   }
   if (result.outcome === "hit" || result.outcome === "sink") {
@@ -1848,7 +2969,7 @@ const onFireAtEnemy = (coord: Coord): boolean => {
       finishLocalGame("you");
       return true;
     }
-    setStatus(`Trafiony: ${coordLabel(coord)}. Oddajesz dalej.`);
+    setStatus("localHit", { coord: coordLabel(coord) });
     render();
     return true;
   }
@@ -1858,17 +2979,17 @@ const onFireAtEnemy = (coord: Coord): boolean => {
 const fireFromInput = () => {
   if (!canShootEnemy()) {
     if (!online) {
-      setStatus(state.phase === "playing" ? "Poczekaj na swoją kolej." : "Gra nie jest aktywna.");
+      setStatus(state.phase === "playing" ? "waitForYourTurn" : "gameNotActive");
     } else if (awaitingShot) {
-      setStatus("Czekaj na odpowiedź serwera.");
+      setStatus("waitForServer");
     } else {
-      setStatus("Nie Twoja tura.");
+      setStatus("notYourTurn");
     }
     return;
   }
-  const coord = parseBoardCoordInput(shotInput.value);
+  const coord = parseBoardCoordInput(shotInput.value, activeRuleset.width, activeRuleset.height);
   if (!coord) {
-    setStatus("Błędny format. Użyj A1..J10.");
+    setStatus("invalidCoordFormat", { last: lastCoordLabel() });
     return;
   }
   const accepted = onFireAtEnemy(coord);
@@ -1877,16 +2998,55 @@ const fireFromInput = () => {
   }
 };
 
+const applyOnlineShotResult = (isYourShot: boolean, coord: Coord, outcome: string, shipId?: string) => {
+  if (isYourShot) {
+    const shouldCount = applyShotToBoardState(state.enemyBoard, coord, outcome);
+    if (shouldCount && shipId) {
+      const hits = recordShipHit(state.enemyShipHits, shipId, coord);
+      if (outcome === "sink") {
+        markAroundSunkShip(state.enemyBoard, hits);
+        markSunkCells(state.enemySunkCells, hits);
+      }
+    }
+    if (outcome === "sink") {
+      state.enemySunkCells.add(coordKey(coord));
+      markAroundKnownSunkCells(state.enemyBoard, state.enemySunkCells);
+    }
+  } else {
+    const shouldCount = applyShotToBoardState(state.yourBoard, coord, outcome);
+    if (shouldCount && shipId) {
+      const hits = recordShipHit(state.ownShipHits, shipId, coord);
+      if (outcome === "sink") {
+        markAroundSunkShip(state.yourBoard, hits);
+        markSunkCells(state.yourSunkCells, hits);
+        syncSunkCellsFromBoard(state.yourBoard, state.yourSunkCells);
+      }
+    }
+    if (outcome === "sink") {
+      state.yourSunkCells.add(coordKey(coord));
+      syncSunkCellsFromBoard(state.yourBoard, state.yourSunkCells);
+      markAroundKnownSunkCells(state.yourBoard, state.yourSunkCells);
+    }
+  }
+};
+
 type PublicState = GameStatePayload;
 type PublicTurn = GameTurnPayload;
 type PublicOver = GameOverPayload;
 type PublicMatchQueued = QueueMatchedPayload;
 type PublicQueueQueued = QueueQueuedPayload;
 type PublicShotResult = GameShotResultPayload;
+type PublicSalvoResult = GameSalvoResultPayload;
 type PublicError = GameErrorPayload;
 type PublicCancelled = GameCancelledPayload;
+type PublicRoomCreated = RoomCreatedPayload;
+type PublicRematchRequested = GameRematchRequestedPayload;
+type PublicRematchStarted = GameRematchStartedPayload;
+type PublicSpectatorState = SpectatorStatePayload;
+type PublicSpectateEnded = SpectateEndedPayload;
 type PublicChatHistory = ChatHistoryPayload;
 type PublicChatMessage = ChatMessagePayload;
+type PublicChatReported = ChatReportedPayload;
 type PlaceShipsPayload = GamePlaceShipsPayload;
 
 const stopQueueTimer = () => {
@@ -1938,6 +3098,72 @@ const clearReconnectCountdown = () => {
   stopReconnectTimer();
 };
 
+const stopTurnClock = () => {
+  if (turnClockTicker) {
+    clearInterval(turnClockTicker);
+    turnClockTicker = null;
+  }
+  turnClockDeadline = 0;
+  turnClockEl.hidden = true;
+};
+
+const formatClockMs = (ms: number): string => {
+  const totalSeconds = Math.ceil(Math.max(0, ms) / 1000);
+  if (totalSeconds < 60) return String(totalSeconds);
+  return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, "0")}`;
+};
+
+const updateTimeBankLine = () => {
+  if (!online || state.phase !== "playing" || !timeBank) {
+    timeBankLineEl.hidden = true;
+    return;
+  }
+  const elapsed = timeBank.running ? Date.now() - timeBankReceivedAt : 0;
+  const you = timeBank.yourMs - (yourTurnOnline ? elapsed : 0);
+  const opponent = timeBank.opponentMs - (yourTurnOnline ? 0 : elapsed);
+  timeBankLineEl.hidden = false;
+  timeBankLineEl.textContent = t("timeBankLine", { you: formatClockMs(you), opponent: formatClockMs(opponent) });
+};
+
+const updateTurnClock = () => {
+  updateTimeBankLine();
+  if (!online || state.phase !== "playing" || turnClockDeadline <= 0) {
+    stopTurnClock();
+    return;
+  }
+  const remainingMs = Math.max(0, turnClockDeadline - Date.now());
+  const seconds = Math.ceil(remainingMs / 1000);
+  turnClockEl.hidden = false;
+  turnClockEl.dataset.owner = yourTurnOnline ? "you" : "opponent";
+  turnClockEl.dataset.urgent = remainingMs <= TURN_CLOCK_URGENT_MS ? "true" : "false";
+  turnClockArcEl.style.strokeDashoffset = String(100 - (remainingMs / Math.max(1, turnClockTotalMs)) * 100);
+  turnClockTextEl.textContent = formatClockMs(remainingMs);
+  turnClockTextEl.dataset.long = seconds >= 60 ? "true" : "false";
+  turnClockEl.setAttribute("aria-label", t(yourTurnOnline ? "turnClockYou" : "turnClockOpponent", { seconds }));
+};
+
+// Counts down from the server's remaining time, so a skewed local clock does not matter.
+const syncTurnClock = (payload: {
+  turnDeadline?: number | null;
+  turnRemainingMs?: number | null;
+  timeBank?: TimeBankPayload | null;
+}) => {
+  timeBank = payload.timeBank ?? null;
+  timeBankReceivedAt = Date.now();
+  if (payload.turnDeadline == null || payload.turnRemainingMs == null) {
+    turnClockServerDeadline = null;
+    stopTurnClock();
+    return;
+  }
+  if (payload.turnDeadline !== turnClockServerDeadline) {
+    turnClockServerDeadline = payload.turnDeadline;
+    turnClockTotalMs = payload.turnRemainingMs;
+  }
+  turnClockDeadline = Date.now() + payload.turnRemainingMs;
+  turnClockTicker ??= setInterval(updateTurnClock, 250);
+  updateTurnClock();
+};
+
 const startQueueTimer = (payload: PublicQueueQueued) => {
   stopQueueTimer();
   clearReconnectCountdown();
@@ -1963,7 +3189,7 @@ const startQueueTimer = (payload: PublicQueueQueued) => {
         queueTimerEl.classList.remove("urgent");
       }
     }
-    setStatus(`Czekanie na przeciwnika (${remainingSeconds}s).`);
+    setStatus("queueCountdown", { seconds: remainingSeconds });
   }, 1000);
 };
 
@@ -1976,11 +3202,28 @@ const applyOnlineState = (payload: PublicState) => {
   yourTurnOnline = payload.yourTurn;
   onlineReady = payload.youReady ?? false;
   onlineOpponentReady = payload.opponentReady ?? false;
-  opponentName = payload.opponentName ?? DEFAULT_OPPONENT_NAME[language];
-  const wasSetup = state.phase === "setup";
+  opponentName = payload.opponentName ?? t("defaultOpponent");
+  seriesScore = payload.series ?? null;
+  spectatorCount = payload.spectators ?? 0;
+  rematchRequestedBy = payload.rematchRequestedBy ?? [];
+  const rulesetChanged =
+    Boolean(payload.ruleset) &&
+    (payload.ruleset.id !== activeRuleset.id ||
+      payload.ruleset.adjacency !== activeRuleset.adjacency ||
+      payload.ruleset.salvo !== activeRuleset.salvo);
+  if (rulesetChanged) {
+    activeRuleset = getRuleset(payload.ruleset.id, payload.ruleset.adjacency, payload.ruleset.salvo);
+    state.remainingShips = [];
+  }
+  const wasSetup = state.phase === "setup" && !rulesetChanged;
   state.phase = payload.phase ?? (payload.gameOver ? "over" : "playing");
   state.shots = payload.yourShots;
   state.opponentShots = payload.opponentShots;
+  onlineSalvoShots = payload.salvoShots ?? 1;
+  syncTurnClock(payload);
+  if (!yourTurnOnline) {
+    pendingSalvo = [];
+  }
   if (!wasSetup || state.phase !== "setup") {
     state.yourBoard = {
       width: payload.yourBoard.width,
@@ -2008,81 +3251,555 @@ const applyOnlineState = (payload: PublicState) => {
 
   if (payload.gameOver || state.phase === "over") {
     const totalShots = payload.yourShots + payload.opponentShots;
-    if (payload.winner === yourId) {
-      setStatus(
-        `Koniec gry: wygrałeś! Twoje strzały: ${payload.yourShots}, strzały przeciwnika: ${payload.opponentShots}, łącznie ruchów: ${totalShots}.`,
-      );
-    } else {
-      setStatus(
-        `Koniec gry: przegrałeś. Twoje strzały: ${payload.yourShots}, strzały przeciwnika: ${payload.opponentShots}, łącznie ruchów: ${totalShots}.`,
-      );
-    }
+    setStatus(payload.winner === yourId ? "onlineWon" : "onlineLost", {
+      yourShots: payload.yourShots,
+      opponentShots: payload.opponentShots,
+      total: totalShots,
+    });
   } else {
-    if (state.phase === "setup") {
+    if (state.phase === "setup" && payload.inviteCode) {
+      showPrivateRoomInvite(payload.inviteCode);
+    } else if (state.phase === "setup") {
       const myReady = payload.youReady ?? false;
       const opponentReady = payload.opponentReady ?? false;
       if (myReady && opponentReady) {
-        setStatus("Obaj gracze gotowi. Rozpoczyna się gra...");
+        setStatus("bothPlayersReady");
       } else {
-        setStatus(
-          `Gotowość: Ty ${myReady ? "TAK" : "NIE"}, przeciwnik ${opponentReady ? "TAK" : "NIE"}`,
+        setStatus(() =>
+          t("readyStatus", {
+            you: t(myReady ? "readyYes" : "readyNo"),
+            opponent: t(opponentReady ? "readyYes" : "readyNo"),
+          }),
         );
       }
     } else {
-      setStatus(yourTurnOnline ? "Twoja tura." : "Czeka na ruch przeciwnika.");
+      setStatus(yourTurnOnline ? "yourTurn" : "opponentTurn");
     }
   }
   render();
 };
 
-const joinQueue = () => {
+const spectatorBoard = (view: SpectatorPlayerView | undefined): BoardModel =>
+  view
+    ? {
+        width: view.board.width,
+        height: view.board.height,
+        ships: view.board.ships,
+        shots: new Set(view.board.shots),
+        hits: new Set(view.board.hits ?? []),
+      }
+    : createEmptyBoard(activeRuleset);
+
+const spectatorStatusText = (payload: PublicSpectatorState): string => {
+  const first = viewerPlayerName(0);
+  const second = viewerPlayerName(1);
+  if (payload.gameOver || payload.phase === "over") {
+    const winner = payload.players.find((player) => player.id === payload.winner);
+    return winner ? statusText("spectateWinner", { name: winner.nickname }) : statusText("gameFinished");
+  }
+  if (payload.phase === "setup") {
+    return statusText("spectatingSetup", { first, second });
+  }
+  const current = payload.players.find((player) => player.id === payload.turn);
+  return statusText("spectatingTurn", { first, second, current: current?.nickname ?? first });
+};
+
+const applySpectatorState = (payload: PublicSpectatorState) => {
+  closeReplay();
+  if (!spectating || payload.roomId !== roomId) {
+    resetChatState();
+  }
+  spectating = true;
+  spectatorView = payload;
+  roomId = payload.roomId;
+  spectatorCount = payload.spectators;
+  if (
+    payload.ruleset.id !== activeRuleset.id ||
+    payload.ruleset.adjacency !== activeRuleset.adjacency ||
+    payload.ruleset.salvo !== activeRuleset.salvo
+  ) {
+    activeRuleset = getRuleset(payload.ruleset.id, payload.ruleset.adjacency, payload.ruleset.salvo);
+  }
+  const [first, second] = payload.players;
+  state.phase = payload.phase;
+  state.remainingShips = [];
+  state.yourBoard = spectatorBoard(first);
+  state.enemyBoard = spectatorBoard(second);
+  state.shots = first?.shots ?? 0;
+  state.opponentShots = second?.shots ?? 0;
+  state.yourSunkCells = new Set(first?.board.sunkCells ?? []);
+  state.enemySunkCells = new Set(second?.board.sunkCells ?? []);
+  markAroundKnownSunkCells(state.yourBoard, state.yourSunkCells);
+  markAroundKnownSunkCells(state.enemyBoard, state.enemySunkCells);
+  pendingSalvo = [];
+  setStatus(() => spectatorStatusText(payload));
+  render();
+};
+
+const startSpectating = (target: string) => {
+  if (!socket) {
+    setStatus("socketUnavailable");
+    return;
+  }
+  if ((online || inQueue) && state.phase !== "over") {
+    setStatus("finishOnlineGameFirst");
+    return;
+  }
+  const value = target.trim();
+  if (!value) {
+    setStatus("spectateTargetRequired");
+    return;
+  }
+  if (online) {
+    resetToLocalMode("onlineEnded");
+  }
+  const code = normalizeInviteCode(value);
+  const payload: SpectateJoinPayload = code ? { code } : { roomId: value };
+  socket.emit("spectate:join", payload);
+  setStatus("spectateConnecting");
+};
+
+const replayStatusText = (current: MatchReplay, step: number): string => {
+  const total = current.moves.length;
+  const nameOf = (playerId: string) =>
+    current.players.find((player) => player.id === playerId)?.nickname ?? t("defaultOpponent");
+  if (step === 0) {
+    return t("replayStart", {
+      game: current.game,
+      first: viewerPlayerName(0),
+      second: viewerPlayerName(1),
+      starter: nameOf(current.firstTurn),
+    });
+  }
+  const move = current.moves[step - 1];
+  const shooter = nameOf(move.shooter);
+  const [shot] = move.shots;
+  const text =
+    move.shots.length === 1
+      ? t("replayShot", {
+          step,
+          total,
+          shooter,
+          coord: coordLabel(shot.coord),
+          outcome: REPLAY_OUTCOME_KEYS[shot.outcome] ? t(REPLAY_OUTCOME_KEYS[shot.outcome]) : shot.outcome,
+        })
+      : t("replaySalvo", {
+          step,
+          total,
+          shooter,
+          hits: move.shots.filter((entry) => entry.outcome !== "miss").length,
+          shots: move.shots.length,
+        });
+  return step === total && current.winner ? `${text} ${t("replayWinner", { name: nameOf(current.winner) })}` : text;
+};
+
+const applyReplayStep = () => {
+  if (!replay) return;
+  const [first, second] = replay.players;
+  const boards = replayBoardsAt(replay, replayStep);
+  const played = replay.moves.slice(0, replayStep);
+  const shotsBy = (playerId: string) =>
+    played.filter((move) => move.shooter === playerId).reduce((sum, move) => sum + move.shots.length, 0);
+  state.phase = replayStep >= replay.moves.length ? "over" : "playing";
+  state.remainingShips = [];
+  state.yourBoard = boards[first.id];
+  state.enemyBoard = boards[second.id];
+  state.shots = shotsBy(first.id);
+  state.opponentShots = shotsBy(second.id);
+  syncSunkCellsFromBoard(state.yourBoard, state.yourSunkCells);
+  syncSunkCellsFromBoard(state.enemyBoard, state.enemySunkCells);
+  const current = replay;
+  const step = replayStep;
+  setStatus(() => replayStatusText(current, step));
+  render();
+};
+
+const stopReplayPlayback = () => {
+  if (!replayTimer) return;
+  clearInterval(replayTimer);
+  replayTimer = null;
+};
+
+const setReplayStep = (step: number) => {
+  if (!replay) return;
+  replayStep = Math.max(0, Math.min(step, replay.moves.length));
+  if (replayStep >= replay.moves.length) {
+    stopReplayPlayback();
+  }
+  applyReplayStep();
+};
+
+const startReplayPlayback = () => {
+  if (!replay) return;
+  stopReplayPlayback();
+  if (replayStep >= replay.moves.length) {
+    replayStep = 0;
+  }
+  replayTimer = setInterval(() => {
+    setReplayStep(replayStep + 1);
+  }, REPLAY_STEP_MS / replaySpeed);
+  applyReplayStep();
+};
+
+const toggleReplayPlayback = () => {
+  if (replayTimer) {
+    stopReplayPlayback();
+    render();
+    return;
+  }
+  startReplayPlayback();
+};
+
+const closeReplay = () => {
+  closeAnalysis();
+  stopReplayPlayback();
+  replay = null;
+  replayStep = 0;
+};
+
+const updateReplayBar = () => {
+  replayBarEl.hidden = !replay;
+  if (!replay) return;
+  const total = replay.moves.length;
+  btnReplayBack.disabled = replayStep <= 0;
+  btnReplayForward.disabled = replayStep >= total;
+  btnReplayPlay.disabled = total === 0;
+  btnReplayPlay.textContent = replayTimer ? t("btnReplayPause") : t("btnReplayPlay");
+  replayRange.max = String(total);
+  replayRange.value = String(replayStep);
+  replayProgressEl.textContent = `${replayStep}/${total}`;
+};
+
+const loadReplay = async (target: string) => {
+  const matchId = target.trim();
+  if (!matchId) {
+    setStatus("replayIdRequired");
+    return;
+  }
+  if ((online || inQueue) && state.phase !== "over") {
+    setStatus("finishOnlineGameFirst");
+    return;
+  }
+  setStatus("replayLoading");
+  let loaded: MatchReplay;
+  try {
+    const response = await fetch(`/api/matches/${encodeURIComponent(matchId)}/replay`);
+    const body = await response.json().catch(() => null);
+    if (!response.ok) {
+      setStatus(REPLAY_ERROR_STATUS_KEYS[body?.error] ?? "replayFailed");
+      return;
+    }
+    loaded = body as MatchReplay;
+  } catch {
+    setStatus("replayFailed");
+    return;
+  }
+  if (spectating && socket) {
+    socket.emit("spectate:leave");
+  }
+  if (online || spectating || replay) {
+    resetToLocalMode("replayLoading");
+  }
+  closeAnalysis();
+  replay = loaded;
+  replayStep = 0;
+  replayInput.value = loaded.roomId;
+  activeRuleset = getRuleset(loaded.ruleset.id, loaded.ruleset.adjacency, loaded.ruleset.salvo);
+  applyReplayStep();
+};
+
+// Local games carry their own shot history; the ids match the local Turn values.
+const localMatchReplay = (): MatchReplay => {
+  const endedAt = state.moves[state.moves.length - 1]?.at ?? Date.now();
+  return {
+    roomId: "local",
+    game: 1,
+    ruleset: activeRuleset,
+    vsBot: true,
+    seed: null,
+    players: [
+      { id: "you", nickname: getCurrentPlayerName(), board: asServerBoard(state.yourBoard) },
+      { id: "bot", nickname: "Bot", board: asServerBoard(state.enemyBoard) },
+    ],
+    firstTurn: "you",
+    moves: state.moves,
+    winner: isFleetSunk(state.enemyBoard) ? "you" : isFleetSunk(state.yourBoard) ? "bot" : null,
+    startedAt: state.moves[0]?.at ?? endedAt,
+    endedAt,
+  };
+};
+
+const ANALYSIS_ERROR_STATUS: Record<string, AnalysisStatus> = {
+  replay_unavailable: "unavailable",
+  replay_not_found: "not_found",
+  rate_limited: "busy",
+  analysis_busy: "busy",
+};
+
+const loadAnalysis = async () => {
+  const requestId = ++analysisRequestId;
+  analysisStatus = "loading";
+  render();
+  if (replay || !online) {
+    // Let the loading note paint before the analysis blocks the page for a moment.
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    if (requestId !== analysisRequestId) return;
+    analysis = buildMatchAnalysis(replay ?? localMatchReplay());
+    analysisStatus = "ready";
+    render();
+    return;
+  }
+  try {
+    const response = await fetch(`/api/matches/${encodeURIComponent(roomId ?? "")}/analysis`);
+    const body = await response.json().catch(() => null);
+    if (requestId !== analysisRequestId) return;
+    analysis = response.ok ? (body as MatchAnalysis) : null;
+    analysisStatus = response.ok ? "ready" : (ANALYSIS_ERROR_STATUS[body?.error] ?? "failed");
+  } catch {
+    if (requestId !== analysisRequestId) return;
+    analysis = null;
+    analysisStatus = "failed";
+  }
+  render();
+};
+
+const loadLeaderboard = async () => {
+  const requestId = ++leaderboardRequestId;
+  leaderboardStatus = "loading";
+  render();
+  const query = new URLSearchParams({ sort: leaderboardSortSelect.value, window: leaderboardWindowSelect.value });
+  try {
+    const [boardResponse, statsResponse] = await Promise.all([
+      fetch(`/api/leaderboard?${query}`),
+      account ? fetch(`/api/players/${encodeURIComponent(account.accountId)}/stats`) : Promise.resolve(null),
+    ]);
+    const body = await boardResponse.json().catch(() => null);
+    const stats = statsResponse?.ok ? await statsResponse.json().catch(() => null) : null;
+    if (requestId !== leaderboardRequestId) return;
+    leaderboard = boardResponse.ok ? (body as Leaderboard) : null;
+    leaderboardStatus = boardResponse.ok
+      ? "ready"
+      : body?.error === "stats_unavailable"
+        ? "unavailable"
+        : "failed";
+    myStats = stats as PlayerStats | null;
+  } catch {
+    if (requestId !== leaderboardRequestId) return;
+    leaderboard = null;
+    leaderboardStatus = "failed";
+  }
+  renderLeaderboardRows();
+  render();
+};
+
+const isAccountLocked = (): boolean => online || inQueue || spectating || privateRoomPending;
+
+const updateAccountControls = () => {
+  const registered = Boolean(account?.username);
+  const locked = !account || accountBusy || isAccountLocked();
+  btnLogin.disabled = locked || registered;
+  btnRegister.disabled = btnLogin.disabled;
+  usernameInput.disabled = btnLogin.disabled;
+  passwordInput.disabled = btnLogin.disabled;
+  btnLogout.disabled = locked || !registered;
+};
+
+const requestAccountSession = async (
+  endpoint: string,
+  method: "GET" | "POST",
+  body?: Record<string, string>,
+): Promise<{ session: AccountSession | null; error?: string }> => {
+  const response = await fetch(`/api/auth/${endpoint}`, {
+    method,
+    credentials: "same-origin",
+    headers: body ? { "Content-Type": "application/json" } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const payload = await response.json().catch(() => null);
+  if (!response.ok) {
+    return { session: null, error: typeof payload?.error === "string" ? payload.error : "accounts_unavailable" };
+  }
+  return { session: typeof payload?.accountId === "string" ? (payload as AccountSession) : null };
+};
+
+// A fresh handshake is the only way for the server to see a changed session cookie.
+const reconnectSocketSession = () => {
+  if (!socket) return;
+  if (socket.connected) {
+    sessionReconnecting = true;
+    socket.disconnect();
+  }
+  socket.connect();
+};
+
+const ensureGuestSession = async (): Promise<void> => {
+  const current = await requestAccountSession("me", "GET");
+  account = current.session ?? (await requestAccountSession("guest", "POST")).session;
+};
+
+const initAccountSession = async (): Promise<void> => {
+  try {
+    await ensureGuestSession();
+  } catch {
+    account = null;
+  } finally {
+    socket?.connect();
+    render();
+  }
+};
+
+const submitAccount = async (action: "login" | "register" | "logout") => {
+  if (isAccountLocked()) {
+    setStatus("leaveOnlineGameFirst");
+    return;
+  }
+  accountBusy = true;
+  render();
+  try {
+    if (action === "logout") {
+      await requestAccountSession("logout", "POST");
+      account = (await requestAccountSession("guest", "POST")).session;
+      setStatus("signedOut");
+    } else {
+      const result = await requestAccountSession(action, "POST", {
+        username: usernameInput.value.trim().toLowerCase(),
+        password: passwordInput.value,
+      });
+      if (!result.session) {
+        setStatus(ACCOUNT_ERROR_STATUS_KEYS[result.error ?? ""] ?? "accountsUnavailable");
+        return;
+      }
+      account = result.session;
+      passwordInput.value = "";
+      setStatus(action === "register" ? "accountCreated" : "signedIn", { name: account.username ?? "" });
+    }
+    reconnectSocketSession();
+  } catch {
+    setStatus("accountServerUnreachable");
+  } finally {
+    accountBusy = false;
+    render();
+  }
+};
+
+const prepareOnlineEntry = (): string | null => {
   clearWinnerFxTimer();
   winnerFxEl.classList.remove("active");
   winnerFxConfettiEl.innerHTML = "";
   if (!socket) {
-    setStatus("Brak socket.io. Uruchom serwer i odśwież stronę.");
-    return;
+    setStatus("socketUnavailable");
+    return null;
   }
   if ((online || inQueue) && state.phase !== "over") {
-    setStatus(inQueue ? "Już czekasz na przeciwnika." : "Już jesteś online. Odśwież, aby zrestartować.");
-    return;
+    setStatus(inQueue ? "alreadyQueued" : "alreadyOnline");
+    return null;
   }
   if (!requireOnlineNickname()) {
-    return;
+    return null;
   }
   autoReconnectQueued = true;
   awaitingShot = false;
   clearReconnectCountdown();
   stopQueueTimer();
   resetShotInputState(true);
-  const nickname = nickInput.value.trim() || DEFAULT_NICK_BY_LANG[language];
+  const nickname = nickInput.value.trim() || t("defaultNickname");
   resetOnlineQueueSetupState();
   roomId = null;
+  spectating = false;
+  spectatorView = null;
   yourTurnOnline = false;
-  opponentName = DEFAULT_OPPONENT_NAME[language];
+  opponentName = t("defaultOpponent");
   online = true;
+  onlineReady = false;
+  onlineOpponentReady = false;
+  onlineVsBot = false;
+  return nickname;
+};
+
+const joinQueue = () => {
+  const nickname = prepareOnlineEntry();
+  if (!nickname) return;
   inQueue = true;
   const payload: SearchJoinPayload = {
     nickname,
+    ruleset: selectedRulesetId,
+    adjacency: selectedAdjacency,
+    salvo: selectedSalvo,
+    botDifficulty: selectedDifficulty,
   };
   if (reconnectToken) {
     payload.reconnectToken = reconnectToken;
   }
   socket.emit("search:join", payload);
-  onlineReady = false;
-  onlineOpponentReady = false;
-  onlineVsBot = false;
-  setStatus("Dołączono do kolejki...");
+  setStatus("queueJoined");
+  render();
+};
+
+const createPrivateRoom = () => {
+  const nickname = prepareOnlineEntry();
+  if (!nickname) return;
+  const payload: RoomCreatePayload = {
+    nickname,
+    ruleset: selectedRulesetId,
+    adjacency: selectedAdjacency,
+    salvo: selectedSalvo,
+  };
+  if (reconnectToken) {
+    payload.reconnectToken = reconnectToken;
+  }
+  privateRoomPending = true;
+  socket.emit("room:create", payload);
+  setStatus("creatingPrivateRoom");
   render();
 };
 
+const joinPrivateRoom = (code: string | null) => {
+  if (!code) {
+    setStatus("roomCodeRequired", { length: INVITE_CODE_LENGTH });
+    return;
+  }
+  const nickname = prepareOnlineEntry();
+  if (!nickname) return;
+  const payload: RoomJoinPayload = { code, nickname };
+  if (reconnectToken) {
+    payload.reconnectToken = reconnectToken;
+  }
+  privateRoomPending = true;
+  socket.emit("room:join", payload);
+  setStatus("joiningRoom", { code });
+  render();
+};
+
+const privateRoomLink = (code: string): string =>
+  `${window.location.origin}${window.location.pathname}?room=${encodeURIComponent(code)}`;
+
+const showPrivateRoomInvite = (code: string) => {
+  setStatus("privateRoomCreated", { code, link: privateRoomLink(code) });
+};
+
+const requestRematch = () => {
+  if (!socket || !roomId || state.phase !== "over") return;
+  if (opponentRequestedRematch()) {
+    socket.emit("game:rematch_accept", { roomId });
+    setStatus("rematchAccepted");
+    return;
+  }
+  socket.emit("game:rematch_request", { roomId });
+  setStatus(onlineVsBot ? "rematchBot" : "rematchRequested");
+};
+
 const cancelOnline = () => {
   if (!socket) return;
+  if (spectating) {
+    socket.emit("spectate:leave");
+    resetToLocalMode("spectateStopped");
+    return;
+  }
   if (state.phase === "over") {
     isCancelling = false;
     awaitingShot = false;
     autoReconnectQueued = false;
-    resetToLocalMode("Zakończono tryb online, wracasz do PvA.");
+    resetToLocalMode("onlineEnded");
     return;
   }
   isCancelling = true;
@@ -2093,23 +3810,23 @@ const cancelOnline = () => {
     inQueue = false;
     roomId = null;
     onlineOpponentReady = false;
-    setStatus("Anulowanie oczekiwania...");
+    setStatus("cancellingQueue");
     socket.emit("search:cancel");
     return;
   }
 
   autoReconnectQueued = false;
   socket.emit("game:cancel");
-  setStatus("Anulowanie gry...");
+  setStatus("cancellingGame");
 };
 
 const startOnlineAgain = () => {
   if (!socket) {
-    setStatus("Brak połączenia z serwerem.");
+    setStatus("noServerConnection");
     return;
   }
   if (state.phase !== "over") {
-    setStatus("Możesz rozpocząć nowy mecz online po zakończeniu aktualnej gry.");
+    setStatus("onlineAfterGameEnds");
     return;
   }
   autoReconnectQueued = false;
@@ -2129,23 +3846,158 @@ btnClearPlacement.addEventListener("click", () => {
 btnAdvancedToggle.addEventListener("click", () => {
   toggleAdvancedPanel();
 });
+btnAnalysis.addEventListener("click", () => {
+  if (analysisOpen) {
+    closeAnalysis();
+    render();
+    return;
+  }
+  if (!canAnalyseGame()) return;
+  analysisOpen = true;
+  void loadAnalysis();
+});
+btnLeaderboard.addEventListener("click", () => {
+  leaderboardOpen = !leaderboardOpen;
+  if (leaderboardOpen) {
+    void loadLeaderboard();
+    return;
+  }
+  render();
+});
+leaderboardSortSelect.addEventListener("change", () => {
+  void loadLeaderboard();
+});
+leaderboardWindowSelect.addEventListener("change", () => {
+  void loadLeaderboard();
+});
+rulesetSelect.addEventListener("change", () => {
+  if (!isRulesetId(rulesetSelect.value) || online || inQueue) return;
+  selectedRulesetId = rulesetSelect.value;
+  storeRulesetId(selectedRulesetId);
+  activeRuleset = getRuleset(selectedRulesetId, selectedAdjacency, selectedSalvo);
+  resetLocalSetup();
+});
+adjacencySelect.addEventListener("change", () => {
+  if (!isAdjacencyPolicy(adjacencySelect.value) || online || inQueue) return;
+  selectedAdjacency = adjacencySelect.value;
+  storeAdjacency(selectedAdjacency);
+  activeRuleset = getRuleset(selectedRulesetId, selectedAdjacency, selectedSalvo);
+  resetLocalSetup();
+});
+salvoSelect.addEventListener("change", () => {
+  if (!isSalvoMode(salvoSelect.value) || online || inQueue) return;
+  selectedSalvo = salvoSelect.value;
+  storeSalvo(selectedSalvo);
+  activeRuleset = getRuleset(selectedRulesetId, selectedAdjacency, selectedSalvo);
+  resetLocalSetup();
+});
+difficultySelect.addEventListener("change", () => {
+  if (!isBotDifficulty(difficultySelect.value) || online || inQueue) return;
+  selectedDifficulty = difficultySelect.value;
+  storeDifficulty(selectedDifficulty);
+  state.aiState.difficulty = selectedDifficulty;
+});
+boardThemeSelect.addEventListener("change", () => {
+  if (!isBoardTheme(boardThemeSelect.value)) return;
+  boardTheme = boardThemeSelect.value;
+  storeBoardTheme(boardTheme);
+  applyBoardTheme();
+});
+contrastQuery.addEventListener("change", applyBoardTheme);
+cellGlyphsInput.addEventListener("change", () => {
+  cellGlyphs = cellGlyphsInput.checked;
+  storeCellGlyphs(cellGlyphs);
+  render();
+});
+btnUndo.addEventListener("click", undoLocalMove);
+btnHint.addEventListener("click", showShotHint);
+btnResumeLocal.addEventListener("click", () => {
+  resumeLocalGame();
+});
+btnDiscardLocal.addEventListener("click", () => {
+  discardLocalGame();
+});
+btnCreateRoom.addEventListener("click", () => {
+  createPrivateRoom();
+});
+btnJoinRoom.addEventListener("click", () => {
+  joinPrivateRoom(normalizeInviteCode(roomCodeInput.value));
+});
+roomCodeInput.addEventListener("keydown", (event) => {
+  if (event.key !== "Enter") return;
+  event.preventDefault();
+  joinPrivateRoom(normalizeInviteCode(roomCodeInput.value));
+});
+btnLogin.addEventListener("click", () => {
+  void submitAccount("login");
+});
+btnRegister.addEventListener("click", () => {
+  void submitAccount("register");
+});
+btnLogout.addEventListener("click", () => {
+  void submitAccount("logout");
+});
+passwordInput.addEventListener("keydown", (event) => {
+  if (event.key !== "Enter") return;
+  event.preventDefault();
+  void submitAccount("login");
+});
+btnSpectate.addEventListener("click", () => {
+  startSpectating(spectateInput.value);
+});
+spectateInput.addEventListener("keydown", (event) => {
+  if (event.key !== "Enter") return;
+  event.preventDefault();
+  startSpectating(spectateInput.value);
+});
 btnJoinQueue.addEventListener("click", () => {
   joinQueue();
 });
 btnPlayAgainOnline.addEventListener("click", startOnlineAgain);
+btnRematch.addEventListener("click", requestRematch);
+btnReplay.addEventListener("click", () => {
+  if (roomId) void loadReplay(roomId);
+});
+btnReplayLoad.addEventListener("click", () => {
+  void loadReplay(replayInput.value);
+});
+replayInput.addEventListener("keydown", (event) => {
+  if (event.key !== "Enter") return;
+  event.preventDefault();
+  void loadReplay(replayInput.value);
+});
+btnReplayBack.addEventListener("click", () => {
+  stopReplayPlayback();
+  setReplayStep(replayStep - 1);
+});
+btnReplayForward.addEventListener("click", () => {
+  stopReplayPlayback();
+  setReplayStep(replayStep + 1);
+});
+btnReplayPlay.addEventListener("click", toggleReplayPlayback);
+replaySpeedSelect.addEventListener("change", () => {
+  const speed = Number.parseFloat(replaySpeedSelect.value);
+  replaySpeed = Number.isFinite(speed) && speed > 0 ? speed : 1;
+  if (replayTimer) startReplayPlayback();
+});
+replayRange.addEventListener("input", () => {
+  stopReplayPlayback();
+  setReplayStep(Number.parseInt(replayRange.value, 10) || 0);
+});
 
 btnCancel.addEventListener("click", () => {
-  if (online) cancelOnline();
+  if (replay) resetToLocalMode("replayClosed");
+  else if (online || spectating) cancelOnline();
   else {
     resetLocalSetup();
-    setStatus("Anulowano lokalną grę. Rozstaw ponownie lub kliknij Start PvA.");
+    setStatus("localGameCancelled");
   }
 });
 
 btnStartLocal.addEventListener("click", () => {
   if (online) {
     if (state.phase === "over") {
-      resetToLocalMode("Przechodzisz do lokalnej rozgrywki.");
+      resetToLocalMode("switchingToLocal");
       startLocalGame();
       return;
     }
@@ -2206,6 +4058,12 @@ chatMuteBtnEl.addEventListener("click", () => {
   render();
 });
 
+chatHideOpponentBtnEl.addEventListener("click", () => {
+  chatHideOpponent = !chatHideOpponent;
+  storeChatHideOpponent(chatHideOpponent);
+  render();
+});
+
 chatEmojiButtons.forEach((button) => {
   button.addEventListener("click", () => {
     const emoji = button.dataset.chatEmoji;
@@ -2336,6 +4194,32 @@ document.addEventListener("keydown", (event) => {
   chatInputEl.focus();
 });
 
+for (const container of [boardOwnEl, boardEnemyEl]) {
+  container.addEventListener("keydown", (event) => {
+    const from = cellCoord(event.target);
+    if (!from || event.altKey || event.ctrlKey || event.metaKey) return;
+    const cells = container.querySelectorAll("button.cell");
+    const last = cellCoord(cells[cells.length - 1] ?? null);
+    const next = last ? boardKeyTarget(event.key, from, last.col + 1, last.row + 1) : null;
+    if (!next) return;
+    event.preventDefault();
+    moveBoardCursor(container, next);
+  });
+  container.addEventListener("focusin", (event) => {
+    const coord = cellCoord(event.target);
+    if (coord) moveBoardCursor(container, coord);
+  });
+}
+
+// Keyboard focus previews the next ship like the mouse hover does. Pointer focus is skipped:
+// redrawing under a press would swallow its click.
+boardOwnEl.addEventListener("focusin", (event) => {
+  const coord = cellCoord(event.target);
+  if (!coord || !isManualPlacementActive()) return;
+  if (!(event.target as HTMLElement).matches(":focus-visible")) return;
+  setPlacementHoverCoord(coord);
+});
+
 boardOwnEl.addEventListener("mouseleave", () => {
   setPlacementHoverCoord(null);
 });
@@ -2381,6 +4265,15 @@ boardOwnEl.addEventListener(
   { passive: false },
 );
 
+document.addEventListener("keydown", (event) => {
+  if (!replay || (event.key !== "ArrowLeft" && event.key !== "ArrowRight")) return;
+  if (event.defaultPrevented) return;
+  if (isTypingContext(document.activeElement)) return;
+  event.preventDefault();
+  stopReplayPlayback();
+  setReplayStep(replayStep + (event.key === "ArrowRight" ? 1 : -1));
+});
+
 document.addEventListener("keydown", (event) => {
   if (event.key.toLowerCase() !== "r") return;
   if (isTypingContext(document.activeElement)) return;
@@ -2389,24 +4282,46 @@ document.addEventListener("keydown", (event) => {
   rotatePlacementOrientation("R");
 });
 
-const switchLanguage = (nextLanguage: Lang) => {
+const renderLanguageOptions = () => {
+  languageSelect.replaceChildren(
+    ...availableLanguages.map((entry) => {
+      const option = document.createElement("option");
+      option.value = entry.code;
+      option.lang = entry.code;
+      option.textContent = entry.name;
+      return option;
+    }),
+  );
+  languageSelect.value = language;
+};
+
+const switchLanguage = async (nextLanguage: Lang) => {
   if (nextLanguage === language) return;
-  const previousLanguage = language;
-  const shouldSwitchOpponentDefault =
-    opponentName === DEFAULT_OPPONENT_NAME.pl ||
-    opponentName === DEFAULT_OPPONENT_NAME.en;
+  if (!(await loadLocale(nextLanguage))) {
+    languageSelect.value = language;
+    return;
+  }
+  // A newer pick may have landed while this catalog was loading.
+  if (languageSelect.value !== nextLanguage) return;
+  const shouldSwitchOpponentDefault = isDefaultName(opponentName, "defaultOpponent");
   language = nextLanguage;
   storeLanguage(language);
-  applyNicknameDefaultForLanguage(language, previousLanguage);
+  applyNicknameDefault();
   if (shouldSwitchOpponentDefault) {
-    opponentName = DEFAULT_OPPONENT_NAME[language];
+    opponentName = t("defaultOpponent");
   }
   setStatus(statusRaw);
   render();
 };
 
-langPlBtn.addEventListener("click", () => switchLanguage("pl"));
-langEnBtn.addEventListener("click", () => switchLanguage("en"));
+languageSelect.addEventListener("change", () => {
+  void switchLanguage(languageSelect.value);
+});
+
+const matchedIntro = (payload: PublicMatchQueued): string =>
+  payload.message || payload.code
+    ? serverText(payload, "")
+    : t("statusOpponentFound", { name: payload.opponent ?? (payload.vsBot ? "Bot" : t("defaultOpponent")) });
 
 if (socket) {
   socket.on("queue:queued", (payload?: PublicQueueQueued) => {
@@ -2418,25 +4333,15 @@ if (socket) {
     onlineReady = false;
     onlineOpponentReady = false;
     resetOnlineQueueSetupState();
-    let introMessage = "";
     if (payload?.reconnectToken) {
       storeReconnectToken(payload.reconnectToken);
       autoReconnectQueued = true;
     }
-    if (payload?.recovered) {
-      introMessage = payload?.message
-        ? payload.message
-        : language === "en"
-          ? "Queue session restored."
-          : "Odzyskano połączenie z kolejką.";
-    } else if (payload?.message) {
-      introMessage = payload.message;
-    } else if (payload?.reconnectToken) {
-      introMessage =
-        language === "en"
-          ? "No active game to resume, waiting for a new opponent."
-          : "Brak aktywnej gry do wznowienia, czeka na nowego przeciwnika.";
-    }
+    const introMessage = (): string => {
+      if (payload?.recovered || payload?.message) return serverText(payload, statusText("queueRecovered"));
+      if (payload?.reconnectToken) return t("queueNoActiveGame");
+      return "";
+    };
     if (payload) {
       startQueueTimer(payload);
       queueTimeoutMs = payload.timeoutMs;
@@ -2445,11 +4350,12 @@ if (socket) {
         queueTimerEl.textContent = queueTimeoutText(Math.ceil(payload.timeoutMs / 1000));
       }
     }
-    const waiting =
-      language === "en"
-        ? `Waiting for opponent (max ${Math.ceil(queueTimeoutMs / 1000)}s, then bot).`
-        : `Czekanie na przeciwnika (max ${Math.ceil(queueTimeoutMs / 1000)}s, potem bot).`;
-    setStatus(introMessage ? `${introMessage} ${waiting}` : waiting);
+    const waitingSeconds = Math.ceil(queueTimeoutMs / 1000);
+    setStatus(() => {
+      const waiting = t("queueWaiting", { seconds: waitingSeconds });
+      const intro = introMessage();
+      return intro ? `${intro} ${waiting}` : waiting;
+    });
     render();
   });
 
@@ -2458,12 +4364,54 @@ if (socket) {
       return;
     }
     isCancelling = false;
-    resetToLocalMode(payload?.message ?? "Akcja została anulowana.");
+    resetToLocalMode(() => serverText(payload ?? {}, statusText("actionCancelled")));
+  });
+
+  socket.on("room:created", (payload: PublicRoomCreated) => {
+    privateRoomPending = false;
+    inQueue = false;
+    online = true;
+    roomId = payload.roomId;
+    storeReconnectToken(payload.reconnectToken);
+    showPrivateRoomInvite(payload.code);
+    void navigator.clipboard?.writeText(privateRoomLink(payload.code)).catch(() => undefined);
+    render();
+  });
+
+  socket.on("game:rematch_requested", (payload: PublicRematchRequested) => {
+    if (!isCurrentRoomEvent(payload)) {
+      return;
+    }
+    if (!rematchRequestedBy.includes(payload.requestedBy)) {
+      rematchRequestedBy = [...rematchRequestedBy, payload.requestedBy];
+    }
+    setStatus(payload.requestedBy === yourId ? "rematchRequested" : "rematchOffered");
+    render();
+  });
+
+  socket.on("game:rematch_started", (payload: PublicRematchStarted) => {
+    if (!isCurrentRoomEvent(payload)) {
+      return;
+    }
+    clearWinnerFxTimer();
+    winnerFxEl.classList.remove("active");
+    winnerFxConfettiEl.innerHTML = "";
+    awaitingShot = false;
+    yourTurnOnline = false;
+    onlineReady = false;
+    onlineOpponentReady = onlineVsBot;
+    seriesScore = payload.series;
+    rematchRequestedBy = [];
+    resetShotInputState(true);
+    resetOnlineBoards();
+    setStatus("rematchStarted", { game: payload.game, you: payload.series.you, opponent: payload.series.opponent });
+    render();
   });
 
   socket.on("queue:matched", (payload: PublicMatchQueued) => {
     awaitingShot = false;
     inQueue = false;
+    privateRoomPending = false;
     autoReconnectQueued = true;
     clearReconnectCountdown();
     stopQueueTimer();
@@ -2472,24 +4420,34 @@ if (socket) {
     if (payload.reconnectToken) {
       storeReconnectToken(payload.reconnectToken);
     }
-    opponentName = payload.opponent ?? DEFAULT_OPPONENT_NAME[language];
+    opponentName = payload.opponent ?? t("defaultOpponent");
     onlineReady = false;
     onlineOpponentReady = payload.opponentReady ?? false;
+    if (
+      payload.rulesetId &&
+      (payload.rulesetId !== activeRuleset.id ||
+        payload.adjacency !== activeRuleset.adjacency ||
+        payload.salvo !== activeRuleset.salvo)
+    ) {
+      activeRuleset = getRuleset(payload.rulesetId, payload.adjacency, payload.salvo);
+      state.placement = "manual";
+      state.remainingShips = [...activeRuleset.fleet];
+      state.yourBoard = createEmptyBoard(activeRuleset);
+      state.enemyBoard = createEmptyBoard(activeRuleset);
+    }
     if (payload.vsBot) {
       state.placement = "random";
       state.remainingShips = [];
-      state.yourBoard = placeFleetRandomly(createEmptyBoard());
-      state.enemyBoard = createEmptyBoard();
-      setStatus(`${payload?.message || `Znaleziono przeciwnika: ${payload?.opponent ?? "Bot"}`} | Gotowe do gry z botem.`);
+      state.yourBoard = placeFleetRandomly(createEmptyBoard(activeRuleset), activeRuleset);
+      state.enemyBoard = createEmptyBoard(activeRuleset);
+      setStatus(() => `${matchedIntro(payload)} | ${t("statusMatchedBot")}`);
       setTimeout(() => {
         if (roomId) {
           submitPlacementOnline();
         }
       }, 0);
     } else {
-      setStatus(
-        `${payload?.message || `Znaleziono przeciwnika: ${payload?.opponent ?? DEFAULT_OPPONENT_NAME[language]}`} | Ustaw flota i kliknij Start PvA.`,
-      );
+      setStatus(() => `${matchedIntro(payload)} | ${t("statusMatchedPlace")}`);
     }
     render();
   });
@@ -2514,6 +4472,13 @@ if (socket) {
     render();
   });
 
+  socket.on("chat:reported", (payload: PublicChatReported) => {
+    if (payload.roomId !== roomId) return;
+    reportedChatMessageIds.add(payload.messageId);
+    render();
+    chatHintEl.textContent = serverText(payload, t("chatReported"));
+  });
+
   socket.on("game:turn", (payload: PublicTurn) => {
     if (payload.roomId !== roomId) {
       return;
@@ -2524,16 +4489,17 @@ if (socket) {
     state.phase = payload.phase;
     state.shots = payload.yourShots;
     state.opponentShots = payload.opponentShots;
+    syncTurnClock(payload);
     syncSunkCellsFromBoard(state.yourBoard, state.yourSunkCells);
     if (payload.gameOver || payload.phase === "over") {
       const totalShots = payload.yourShots + payload.opponentShots;
-      if (payload.winner && payload.winner === yourId) {
-        setStatus(`Koniec gry: wygrałeś! Twoje strzały: ${payload.yourShots}, strzały przeciwnika: ${payload.opponentShots}, łącznie: ${totalShots}.`);
-      } else {
-        setStatus(`Koniec gry: przegrałeś. Twoje strzały: ${payload.yourShots}, strzały przeciwnika: ${payload.opponentShots}, łącznie: ${totalShots}.`);
-      }
+      setStatus(payload.winner && payload.winner === yourId ? "onlineWon" : "onlineLost", {
+        yourShots: payload.yourShots,
+        opponentShots: payload.opponentShots,
+        total: totalShots,
+      });
     } else {
-      setStatus(yourTurnOnline ? "Twoja tura." : "Czeka na ruch przeciwnika.");
+      setStatus(yourTurnOnline ? "yourTurn" : "opponentTurn");
     }
     render();
   });
@@ -2548,40 +4514,39 @@ if (socket) {
       awaitingShot = false;
     }
     const pretty = coordLabel(payload.coord);
+    if (payload.coord) {
+      applyOnlineShotResult(isYourShot, payload.coord, payload.outcome, payload.shipId);
+    }
+    syncSunkCellsFromBoard(state.yourBoard, state.yourSunkCells);
+    if (payload.coord) {
+      announceShots(isYourShot, [{ coord: payload.coord, outcome: payload.outcome, shipId: payload.shipId }]);
+    }
+    if (payload.outcome === "miss") setStatus("shotMiss", { coord: pretty });
+    if (payload.outcome === "hit") setStatus("shotHit", { coord: pretty });
+    if (payload.outcome === "sink") setStatus("shotSink", { coord: pretty });
+    if (payload.outcome === "already_shot") setStatus("shotAlreadyShot", { coord: pretty });
+    render();
+  });
+
+  socket.on("game:salvo_result", (payload: PublicSalvoResult) => {
+    if (payload.roomId !== roomId) {
+      return;
+    }
+    clearReconnectCountdown();
+    const isYourShot = payload.shooter === yourId;
     if (isYourShot) {
-      const shouldCount = payload.coord && applyShotToBoardState(state.enemyBoard, payload.coord, payload.outcome);
-      if (shouldCount && payload.shipId && payload.coord) {
-        const hits = recordShipHit(state.enemyShipHits, payload.shipId, payload.coord);
-        if (payload.outcome === "sink") {
-          markAroundSunkShip(state.enemyBoard, hits);
-          markSunkCells(state.enemySunkCells, hits);
-        }
-      }
-      if (payload.outcome === "sink" && payload.coord) {
-        state.enemySunkCells.add(coordKey(payload.coord));
-        markAroundKnownSunkCells(state.enemyBoard, state.enemySunkCells);
-      }
-    } else if (payload.coord) {
-      const shouldCount = applyShotToBoardState(state.yourBoard, payload.coord, payload.outcome);
-      if (shouldCount && payload.shipId) {
-        const hits = recordShipHit(state.ownShipHits, payload.shipId, payload.coord);
-        if (payload.outcome === "sink") {
-          markAroundSunkShip(state.yourBoard, hits);
-          markSunkCells(state.yourSunkCells, hits);
-          syncSunkCellsFromBoard(state.yourBoard, state.yourSunkCells);
-        }
-      }
-      if (payload.outcome === "sink") {
-        state.yourSunkCells.add(coordKey(payload.coord));
-        syncSunkCellsFromBoard(state.yourBoard, state.yourSunkCells);
-        markAroundKnownSunkCells(state.yourBoard, state.yourSunkCells);
+      awaitingShot = false;
+    }
+    const results = Array.isArray(payload.results) ? payload.results : [];
+    for (const entry of results) {
+      if (entry.coord) {
+        applyOnlineShotResult(isYourShot, entry.coord, entry.outcome, entry.shipId);
       }
     }
     syncSunkCellsFromBoard(state.yourBoard, state.yourSunkCells);
-    if (payload.outcome === "miss") setStatus(`${pretty}: pudło.`);
-    if (payload.outcome === "hit") setStatus(`${pretty}: trafiony.`);
-    if (payload.outcome === "sink") setStatus(`${pretty}: zatopiony!`);
-    if (payload.outcome === "already_shot") setStatus(`${pretty}: już strzelano.`);
+    announceShots(isYourShot, results.filter((entry) => entry.coord));
+    const hitCount = countSalvoHits(results);
+    setStatus(isYourShot ? "yourSalvo" : "opponentSalvo", { hits: hitCount, shots: results.length });
     render();
   });
 
@@ -2593,38 +4558,62 @@ if (socket) {
       payload.code === "chat_invalid_payload" ||
       payload.code === "chat_rate_limited" ||
       payload.code === "chat_not_allowed" ||
-      payload.code === "chat_room_mismatch"
+      payload.code === "chat_room_mismatch" ||
+      payload.code === "chat_report_invalid"
     ) {
-      chatHintEl.textContent = translateStatus(payload?.message ?? t("chatHintDisabled"));
+      chatHintEl.textContent = serverText(payload, t("chatHintDisabled"));
+      return;
+    }
+    const errorText = (fallbackKey: string) => () => serverText(payload, statusText(fallbackKey));
+    if (payload.code === "spectate_unavailable") {
+      setStatus(errorText("spectateNotFound"));
+      render();
       return;
     }
     if (payload.code === "reconnect_grace") {
       const remainingMs = payload.remainingMs ?? RECONNECT_GRACE_MS_FALLBACK;
-      setStatus(payload?.message ?? "Przeciwnik chwilowo niedostępny. Oczekiwanie na reconnect.");
+      setStatus(errorText("opponentUnavailable"));
       startReconnectTimer(remainingMs);
       awaitingShot = false;
       yourTurnOnline = false;
       render();
       return;
     }
+    if (payload.code === "turn_timeout") {
+      awaitingShot = false;
+      setStatus(errorText("turnTimeout"));
+      render();
+      return;
+    }
+    if (payload.code === "rematch_unavailable") {
+      rematchUnavailable = true;
+      rematchRequestedBy = [];
+      setStatus(errorText("rematchUnavailable"));
+      render();
+      return;
+    }
     if (payload.code === "reconnect_restored") {
-      setStatus(payload?.message ?? "Połączenie z przeciwnikiem przywrócone.");
+      setStatus(errorText("opponentReconnected"));
       clearReconnectCountdown();
       return;
     }
     if (payload.code === "reconnect_token_expired") {
       storeReconnectToken(null);
       clearReconnectCountdown();
-      setStatus(payload?.message ?? "Token sesji wygasł. Tworzymy nową kolejkę.");
+      setStatus(errorText("sessionTokenExpired"));
       return;
     }
     if (isCancelling) {
       isCancelling = false;
-      resetToLocalMode(payload?.message ?? "Błąd gry. Anulowano.");
+      resetToLocalMode(errorText("gameErrorCancelled"));
+      return;
+    }
+    if (privateRoomPending) {
+      resetToLocalMode(errorText("privateRoomFailed"));
       return;
     }
     awaitingShot = false;
-    setStatus(payload?.message ?? "Błąd gry.");
+    setStatus(errorText("gameError"));
     if (state.phase === "setup") {
       onlineReady = false;
       render();
@@ -2645,16 +4634,23 @@ if (socket) {
     state.opponentShots = payload.opponentShots;
     const totalShots = payload.totalShots ?? payload.yourShots + payload.opponentShots;
     const reason = payload?.reason ?? "normal";
-    const reasonMessage =
-      payload.message
-        ? payload.message
-        : reason === "disconnect"
-          ? "Przeciwnik rozłączył się."
-          : reason === "manual_cancel"
-            ? "Gra anulowana."
-            : reason === "inactivity_timeout"
-              ? "Gra zakończona z powodu braku aktywności."
-              : "";
+    const reasonMessage = (): string =>
+      payload.message || reason !== "normal"
+        ? serverText({ ...payload, code: payload.code ?? GAME_OVER_STATUS[reason] }, "")
+        : "";
+    const { rating } = payload;
+    const ratingMessage = (): string =>
+      rating
+        ? statusText("ratingChange", {
+            before: rating.before,
+            after: rating.after,
+            delta: `${rating.delta > 0 ? "+" : ""}${rating.delta}`,
+          })
+        : "";
+    const outcomeNote = (): string => [reasonMessage(), ratingMessage()].filter(Boolean).join(" ");
+    if (payload.rating && account) {
+      account = { ...account, rating: payload.rating.after };
+    }
     const localPlayerName = getCurrentPlayerName();
     const winnerName =
       payload?.winner === yourId
@@ -2665,16 +4661,18 @@ if (socket) {
     if (winnerName) {
       showWinnerFx(winnerName);
     }
+    const summaryParams = {
+      name: winnerName,
+      yourShots: payload.yourShots,
+      opponentShots: payload.opponentShots,
+      total: totalShots,
+    };
     if (payload?.winner && payload.winner === yourId) {
-      setStatus(
-        `Koniec gry: wygrałeś (${winnerName})! Twoje strzały: ${payload.yourShots}, strzały przeciwnika: ${payload.opponentShots}, łącznie ruchów: ${totalShots}. ${reasonMessage}`.trim(),
-      );
+      setStatus(() => `${statusText("onlineWonAs", summaryParams)} ${outcomeNote()}`.trim());
     } else if (payload?.winner === null) {
-      setStatus(`Gra zakończona. ${reasonMessage}`.trim());
+      setStatus(() => `${statusText("gameFinished")} ${reasonMessage()}`.trim());
     } else {
-      setStatus(
-        `Koniec gry: przegrałeś. Wygrał ${winnerName}. Twoje strzały: ${payload.yourShots}, strzały przeciwnika: ${payload.opponentShots}, łącznie ruchów: ${totalShots}. ${reasonMessage}`.trim(),
-      );
+      setStatus(() => `${statusText("onlineLostTo", summaryParams)} ${outcomeNote()}`.trim());
     }
     yourTurnOnline = false;
     onlineReady = false;
@@ -2684,48 +4682,70 @@ if (socket) {
   });
 
   socket.on("disconnect", () => {
+    if (sessionReconnecting) {
+      sessionReconnecting = false;
+      return;
+    }
     stopQueueTimer();
     clearReconnectCountdown();
     if (autoReconnectQueued) {
-      setStatus("Połączenie utracone. Czekam na ponowne połączenie...");
+      setStatus("connectionLostReconnecting");
       awaitingShot = false;
       render();
       return;
     }
-    resetToLocalMode("Połączenie utracone.");
+    resetToLocalMode("connectionLost");
+  });
+
+  socket.on("spectate:state", (payload: PublicSpectatorState) => {
+    if (online || inQueue) return;
+    applySpectatorState(payload);
+  });
+
+  socket.on("spectate:ended", (payload: PublicSpectateEnded) => {
+    if (!spectating || payload.roomId !== roomId) return;
+    resetToLocalMode(() => serverText(payload, statusText("spectateEnded")));
   });
 
   socket.on("connect", () => {
+    if (spectating && roomId) {
+      const payload: SpectateJoinPayload = { roomId };
+      socket.emit("spectate:join", payload);
+      return;
+    }
     if (!autoReconnectQueued) {
       return;
     }
-    const nickname = nickInput.value.trim() || DEFAULT_NICK_BY_LANG[language];
+    const nickname = nickInput.value.trim() || t("defaultNickname");
     const payload: SearchJoinPayload = {
       nickname,
+      ruleset: selectedRulesetId,
+      adjacency: selectedAdjacency,
+      salvo: selectedSalvo,
     };
     if (reconnectToken) {
       payload.reconnectToken = reconnectToken;
     }
     socket.emit("search:join", payload);
     if (online || inQueue) {
-      setStatus("Próba odzyskania połączenia...");
+      setStatus("restoringConnection");
     } else {
-      setStatus("Próba dołączenia do gry...");
+      setStatus("joiningGame");
     }
   });
 }
 
 const submitPlacementOnline = () => {
   if (!socket) {
-    setStatus("Brak połączenia.");
+    setStatus("noConnection");
     return;
   }
   if (!roomId) {
-    setStatus("Najpierw dołącz do kolejki.");
+    setStatus("joinQueueFirst");
     return;
   }
   if (state.placement === "manual" && state.remainingShips.length > 0) {
-    setStatus(`Ustaw wszystkie statki. Brakuje: ${state.remainingShips.join(", ")}`);
+    setStatus("placeAllShips", { missing: state.remainingShips.join(", ") });
     return;
   }
   const payload: PlaceShipsPayload = {
@@ -2736,7 +4756,7 @@ const submitPlacementOnline = () => {
   }
   socket?.emit("game:place_ships", payload);
   onlineReady = true;
-  setStatus("Wysłano ustawienie statków. Czekam na gotowość przeciwnika.");
+  setStatus("placementSent");
   state.phase = "setup";
   resetShotInputState();
   render();
@@ -2750,22 +4770,64 @@ const init = () => {
   state = {
     phase: "setup",
     placement: "manual",
-    remainingShips: [...STANDARD_FLEET],
+    remainingShips: [...activeRuleset.fleet],
     orientation: "H",
-    yourBoard: createEmptyBoard(),
-    enemyBoard: createEmptyBoard(),
+    yourBoard: createEmptyBoard(activeRuleset),
+    enemyBoard: createEmptyBoard(activeRuleset),
     turn: "you",
     yourTurn: true,
     shots: 0,
     opponentShots: 0,
-    aiState: createAiState(),
+    aiState: createAiState(activeRuleset.adjacency, selectedDifficulty),
     enemyShipHits: {},
     ownShipHits: {},
     enemySunkCells: new Set<string>(),
     yourSunkCells: new Set<string>(),
+    moves: [],
   };
-  setStatus("Gra gotowa. Ustaw statki ręcznie albo startuj losowo.");
+  setStatus("gameReady");
   render();
 };
 
-init();
+const consumeRoomDeepLink = () => {
+  const params = new URLSearchParams(window.location.search);
+  const rawCode = params.get("room");
+  const rawWatch = params.get("watch");
+  const rawReplay = params.get("replay");
+  if (rawCode === null && rawWatch === null && rawReplay === null) return;
+  params.delete("room");
+  params.delete("watch");
+  params.delete("replay");
+  const query = params.toString();
+  window.history.replaceState(null, "", `${window.location.pathname}${query ? `?${query}` : ""}${window.location.hash}`);
+  if (rawCode === null) {
+    setAdvancedPanelOpen(true, false);
+    if (rawWatch !== null) {
+      spectateInput.value = rawWatch.trim();
+      startSpectating(rawWatch);
+    } else if (rawReplay !== null) {
+      replayInput.value = rawReplay.trim();
+      void loadReplay(rawReplay);
+    }
+    return;
+  }
+  const code = normalizeInviteCode(rawCode);
+  if (!code) {
+    setStatus("invalidRoomCode");
+    return;
+  }
+  roomCodeInput.value = code;
+  setAdvancedPanelOpen(true, false);
+  joinPrivateRoom(code);
+};
+
+// The app stays hidden until the chosen catalog is in, so nothing renders as raw keys.
+void loadInitialLanguage()
+  .then(() => {
+    renderLanguageOptions();
+    applyNicknameDefault();
+    delete appEl.dataset.locale;
+    init();
+    return initAccountSession();
+  })
+  .finally(consumeRoomDeepLink);
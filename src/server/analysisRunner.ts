@@ -0,0 +1,70 @@
+import path from "path";
+import { Worker } from "node:worker_threads";
+import type { MatchAnalysis, MatchReplay } from "../shared";
+
+type PendingJob = {
+  resolve: (analysis: MatchAnalysis) => void;
+  reject: (error: Error) => void;
+};
+
+type WorkerReply = { id: number; analysis?: MatchAnalysis; error?: string };
+
+export type AnalysisRunner = {
+  // Returns null when `maxPending` jobs are already queued, so callers can answer "busy" instead of piling up work.
+  run: (replay: MatchReplay) => Promise<MatchAnalysis> | null;
+  close: () => Promise<void>;
+};
+
+// One lazily started worker thread runs analyses one at a time; a crash fails the queued jobs and the next run starts a fresh worker.
+export const createAnalysisRunner = (maxPending: number): AnalysisRunner => {
+  const pending = new Map<number, PendingJob>();
+  let worker: Worker | null = null;
+  let nextId = 1;
+
+  const failAll = (error: Error) => {
+    for (const job of pending.values()) job.reject(error);
+    pending.clear();
+  };
+
+  const ensureWorker = (): Worker => {
+    if (worker) return worker;
+    const created = new Worker(path.join(__dirname, "analysisWorker.js"));
+    created.unref();
+    created.on("message", ({ id, analysis, error }: WorkerReply) => {
+      const job = pending.get(id);
+      if (!job) return;
+      pending.delete(id);
+      if (analysis) job.resolve(analysis);
+      else job.reject(new Error(error ?? "analysis_failed"));
+    });
+    created.on("error", (error) => {
+      if (worker === created) worker = null;
+      failAll(error);
+    });
+    created.on("exit", (code) => {
+      if (worker === created) worker = null;
+      failAll(new Error(`analysis worker exited with code ${code}`));
+    });
+    worker = created;
+    return created;
+  };
+
+  return {
+    run: (replay) => {
+      if (pending.size >= maxPending) return null;
+      const id = nextId;
+      nextId += 1;
+      const target = ensureWorker();
+      return new Promise<MatchAnalysis>((resolve, reject) => {
+        pending.set(id, { resolve, reject });
+        target.postMessage({ id, replay });
+      });
+    },
+    close: async () => {
+      const current = worker;
+      worker = null;
+      if (current) await current.terminate();
+      failAll(new Error("analysis runner closed"));
+    },
+  };
+};
@@ -0,0 +1,12 @@
+import { parentPort } from "node:worker_threads";
+import { buildMatchAnalysis, MatchReplay } from "../shared";
+
+// Worker side of analysisRunner: replaying hard-AI games takes hundreds of milliseconds,
+// so it runs here instead of on the server's event loop.
+parentPort?.on("message", ({ id, replay }: { id: number; replay: MatchReplay }) => {
+  try {
+    parentPort?.postMessage({ id, analysis: buildMatchAnalysis(replay) });
+  } catch (error) {
+    parentPort?.postMessage({ id, error: error instanceof Error ? error.message : String(error) });
+  }
+});
@@ -0,0 +1,118 @@
+import { createHmac, randomBytes, scrypt, timingSafeEqual } from "node:crypto";
+
+const parsePositiveInt = (value: string | undefined, fallback: number): number => {
+  const parsed = Number.parseInt((value ?? "").replace(/_/g, ""), 10);
+  if (!Number.isFinite(parsed) || parsed <= 0) return fallback;
+  return parsed;
+};
+
+export const SESSION_COOKIE_NAME = "battleship_session";
+export const SESSION_TTL_MS = parsePositiveInt(process.env.SESSION_TTL_MS, 30 * 24 * 60 * 60_000);
+
+const SESSION_SECRET_MIN_LENGTH = 16;
+const configuredSecret = (process.env.SESSION_SECRET ?? "").trim();
+// Without a configured secret sessions only survive until the process restarts.
+const SESSION_SECRET =
+  configuredSecret.length >= SESSION_SECRET_MIN_LENGTH ? configuredSecret : randomBytes(32).toString("hex");
+if (!configuredSecret && process.env.NODE_ENV === "production") {
+  console.warn("[security] SESSION_SECRET is empty in production; sessions will not survive restarts.");
+} else if (configuredSecret && configuredSecret.length < SESSION_SECRET_MIN_LENGTH) {
+  console.warn(`[security] SESSION_SECRET is shorter than ${SESSION_SECRET_MIN_LENGTH} characters; using a random secret.`);
+}
+
+const ACCOUNT_ID_PATTERN = /^acc-[a-f0-9]{24}$/;
+const USERNAME_PATTERN = /^[a-z0-9_]{3,24}$/;
+const PASSWORD_MIN_LENGTH = 8;
+const PASSWORD_MAX_LENGTH = 128;
+const SCRYPT_KEY_LENGTH = 64;
+const SCRYPT_SALT_BYTES = 16;
+
+export const makeAccountId = (): string => `acc-${randomBytes(12).toString("hex")}`;
+
+export const isAccountId = (value: unknown): value is string =>
+  typeof value === "string" && ACCOUNT_ID_PATTERN.test(value);
+
+export const normalizeUsername = (value: unknown): string => {
+  if (typeof value !== "string") return "";
+  const normalized = value.trim().toLowerCase();
+  return USERNAME_PATTERN.test(normalized) ? normalized : "";
+};
+
+export const isValidPassword = (value: unknown): value is string =>
+  typeof value === "string" && value.length >= PASSWORD_MIN_LENGTH && value.length <= PASSWORD_MAX_LENGTH;
+
+const deriveKey = (password: string, salt: Buffer): Promise<Buffer> =>
+  new Promise((resolve, reject) => {
+    scrypt(password, salt, SCRYPT_KEY_LENGTH, (error, key) => {
+      if (error) reject(error);
+      else resolve(key);
+    });
+  });
+
+export const hashPassword = async (password: string): Promise<string> => {
+  const salt = randomBytes(SCRYPT_SALT_BYTES);
+  const key = await deriveKey(password, salt);
+  return `scrypt$${salt.toString("base64url")}$${key.toString("base64url")}`;
+};
+
+export const verifyPassword = async (password: string, stored: string): Promise<boolean> => {
+  const [scheme, saltRaw, keyRaw] = stored.split("$");
+  if (scheme !== "scrypt" || !saltRaw || !keyRaw) return false;
+  const expected = Buffer.from(keyRaw, "base64url");
+  if (expected.length !== SCRYPT_KEY_LENGTH) return false;
+  const actual = await deriveKey(password, Buffer.from(saltRaw, "base64url"));
+  return timingSafeEqual(actual, expected);
+};
+
+const sign = (value: string): string => createHmac("sha256", SESSION_SECRET).update(value).digest("base64url");
+
+export const createSessionToken = (accountId: string, now = Date.now()): string => {
+  const body = `${accountId}.${(now + SESSION_TTL_MS).toString(36)}`;
+  return `${body}.${sign(body)}`;
+};
+
+export const verifySessionToken = (token: string, now = Date.now()): string | null => {
+  const [accountId, expiresRaw, signature] = token.split(".");
+  if (!isAccountId(accountId) || !expiresRaw || !signature) return null;
+  const expected = Buffer.from(sign(`${accountId}.${expiresRaw}`));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) return null;
+  const expiresAt = Number.parseInt(expiresRaw, 36);
+  if (!Number.isFinite(expiresAt) || expiresAt <= now) return null;
+  return accountId;
+};
+
+export const parseCookieHeader = (header: unknown): Record<string, string> => {
+  const cookies: Record<string, string> = {};
+  if (typeof header !== "string") return cookies;
+  for (const part of header.split(";")) {
+    const separator = part.indexOf("=");
+    if (separator <= 0) continue;
+    const name = part.slice(0, separator).trim();
+    const value = part.slice(separator + 1).trim();
+    if (!name || Object.prototype.hasOwnProperty.call(cookies, name)) continue;
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch {
+      cookies[name] = value;
+    }
+  }
+  return cookies;
+};
+
+export const accountIdFromCookieHeader = (header: unknown): string | null => {
+  const token = parseCookieHeader(header)[SESSION_COOKIE_NAME];
+  return token ? verifySessionToken(token) : null;
+};
+
+export const sessionCookieHeader = (token: string | null, secure: boolean): string => {
+  const parts = [
+    `${SESSION_COOKIE_NAME}=${token ?? ""}`,
+    "Path=/",
+    "HttpOnly",
+    "SameSite=Lax",
+    token ? `Max-Age=${Math.floor(SESSION_TTL_MS / 1000)}` : "Max-Age=0",
+  ];
+  if (secure) parts.push("Secure");
+  return parts.join("; ");
+};
@@ -0,0 +1,76 @@
+import { createHash } from "node:crypto";
+import { BoardModel, coordToKey } from "../shared";
+
+const parsePositiveInt = (value: string | undefined, fallback: number): number => {
+  const parsed = Number.parseInt((value ?? "").replace(/_/g, ""), 10);
+  if (!Number.isFinite(parsed) || parsed <= 0) return fallback;
+  return parsed;
+};
+
+export const BOT_CLIENT_MOVE_BUDGET_MS = parsePositiveInt(process.env.BOT_CLIENT_MOVE_BUDGET_MS, 2_000);
+
+const BOT_NAME_PATTERN = /^[a-z0-9_-]{1,24}$/i;
+const BOT_KEY_MIN_LENGTH = 16;
+const BOT_KEY_MAX_LENGTH = 256;
+
+const digestKey = (key: string): string => createHash("sha256").update(key).digest("hex");
+
+// BOT_API_KEYS="name:key,name2:key2"; only key digests are kept in memory.
+const parseBotApiKeys = (raw: string | undefined): Map<string, string> => {
+  const keys = new Map<string, string>();
+  for (const entry of (raw ?? "").split(",")) {
+    const separator = entry.indexOf(":");
+    if (separator < 0) continue;
+    const name = entry.slice(0, separator).trim();
+    const key = entry.slice(separator + 1).trim();
+    if (!BOT_NAME_PATTERN.test(name) || key.length < BOT_KEY_MIN_LENGTH || key.length > BOT_KEY_MAX_LENGTH) {
+      console.warn(`[security] ignoring malformed BOT_API_KEYS entry for "${name.slice(0, 24)}"`);
+      continue;
+    }
+    keys.set(digestKey(key), name);
+  }
+  return keys;
+};
+
+const botApiKeys = parseBotApiKeys(process.env.BOT_API_KEYS);
+
+// Returns the bot name for a valid key. Lookup goes by digest, so the raw key is never compared directly.
+export const resolveBotApiKey = (value: unknown): string | undefined => {
+  if (typeof value !== "string" || value.length === 0 || value.length > BOT_KEY_MAX_LENGTH) return undefined;
+  return botApiKeys.get(digestKey(value));
+};
+
+export const botClientNickname = (name: string): string => `${name} [bot]`;
+
+// "." water, "S" ship, "o" miss, "x" hit ship.
+export const encodeOwnBoard = (board: BoardModel): string[] => {
+  const rows = Array.from({ length: board.height }, () => Array.from({ length: board.width }, () => "."));
+  for (const ship of board.ships) {
+    for (const cell of ship.cells) rows[cell.row][cell.col] = "S";
+  }
+  for (const key of board.shots) {
+    const [row, col] = key.split(",").map(Number);
+    if (rows[row]?.[col] === undefined) continue;
+    rows[row][col] = rows[row][col] === "S" ? "x" : "o";
+  }
+  return rows.map((row) => row.join(""));
+};
+
+// "." unknown, "o" miss, "x" hit, "#" cell of a sunk ship.
+export const encodeTargetBoard = (board: BoardModel): string[] => {
+  const rows = Array.from({ length: board.height }, () => Array.from({ length: board.width }, () => "."));
+  const shipCells = new Map<string, boolean>();
+  for (const ship of board.ships) {
+    for (const cell of ship.cells) shipCells.set(coordToKey(cell), ship.sunk);
+  }
+  for (const key of board.shots) {
+    const [row, col] = key.split(",").map(Number);
+    if (rows[row]?.[col] === undefined) continue;
+    const sunk = shipCells.get(key);
+    rows[row][col] = sunk === undefined ? "o" : sunk ? "#" : "x";
+  }
+  return rows.map((row) => row.join(""));
+};
+
+export const remainingShipLengths = (board: BoardModel): number[] =>
+  board.ships.filter((ship) => !ship.sunk).map((ship) => ship.cells.length);
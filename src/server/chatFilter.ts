@@ -0,0 +1,117 @@
+// Word-list chat filter. Entries match whole words; `*` at either end widens that side, so
+// "bitch*" also catches "bitches" and "*kurw*" catches "skurwysyn". Extra entries come from CHAT_BLOCKED_WORDS.
+export const DEFAULT_CHAT_BLOCKED_WORDS: readonly string[] = [
+  // Polish
+  "*kurw*",
+  "*pierdol*",
+  "*pierdal*",
+  "*jeb*",
+  "*chuj*",
+  "huj*",
+  "pizd*",
+  "gowno*",
+  "gowna*",
+  "dziwk*",
+  "cwel*",
+  // English
+  "*fuck*",
+  "shit",
+  "shits",
+  "shitty",
+  "shithead*",
+  "bullshit*",
+  "bitch*",
+  "cunt*",
+  "asshole*",
+  "dickhead*",
+  "bastard*",
+  "whore*",
+  "slut*",
+  "fag",
+  "faggot*",
+  "nigger*",
+  "nigga*",
+  "retard*",
+];
+
+// Digits and symbols commonly swapped in for letters ("k0rw4", "sh1t", "@ss").
+const LEET_LETTERS: Record<string, string> = {
+  "0": "o",
+  "1": "i",
+  "!": "i",
+  "|": "i",
+  "3": "e",
+  "4": "a",
+  "@": "a",
+  "5": "s",
+  "$": "s",
+  "7": "t",
+  "+": "t",
+  "8": "b",
+  "9": "g",
+};
+
+// Punctuation around a word is not leetspeak: "shit!" must not read as "shiti".
+const EDGE_PUNCTUATION_REGEX = /^[^\p{L}\p{N}@$]+|[^\p{L}\p{N}@$]+$/gu;
+
+// Lower-case, strip diacritics (ł has no decomposition), undo leetspeak, drop separators and squeeze repeats,
+// so "F.u-u-U-c_k", "sh1t" and "Gówno" fold to the same form as the list entries.
+export const foldChatWord = (word: string): string =>
+  Array.from(
+    word
+      .normalize("NFKD")
+      .toLowerCase()
+      .replace(/\p{M}/gu, "")
+      .replace(/ł/g, "l")
+      .replace(EDGE_PUNCTUATION_REGEX, ""),
+  )
+    .map((char) => LEET_LETTERS[char] ?? char)
+    .filter((char) => /\p{L}/u.test(char))
+    .join("")
+    .replace(/(.)\1+/g, "$1");
+
+interface BlockedWord {
+  stem: string;
+  prefix: boolean;
+  suffix: boolean;
+}
+
+const parseBlockedWord = (entry: string): BlockedWord | null => {
+  const trimmed = entry.trim();
+  const stem = foldChatWord(trimmed);
+  if (!stem) return null;
+  return { stem, prefix: trimmed.startsWith("*"), suffix: trimmed.endsWith("*") };
+};
+
+const matchesBlockedWord = (folded: string, word: BlockedWord): boolean => {
+  if (word.prefix && word.suffix) return folded.includes(word.stem);
+  if (word.prefix) return folded.endsWith(word.stem);
+  if (word.suffix) return folded.startsWith(word.stem);
+  return folded === word.stem;
+};
+
+export const parseChatWordList = (value: string | undefined): string[] =>
+  (value ?? "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter((entry) => entry.length > 0);
+
+export type ChatWordFilter = (text: string) => { text: string; filtered: boolean };
+
+// Offending words are masked with `*` of the same length; whitespace and other words are left untouched.
+export const createChatWordFilter = (entries: readonly string[]): ChatWordFilter => {
+  const words = entries.map(parseBlockedWord).filter((word): word is BlockedWord => word !== null);
+  return (text) => {
+    let filtered = false;
+    const masked = text
+      .split(/(\s+)/)
+      .map((part) => {
+        const folded = foldChatWord(part);
+        if (!folded || !words.some((word) => matchesBlockedWord(folded, word))) return part;
+        filtered = true;
+        return "*".repeat(Array.from(part).length);
+      })
+      .join("");
+    return { text: masked, filtered };
+  };
+};
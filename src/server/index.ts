@@ -1,43 +1,132 @@
 import "dotenv/config";
 import express, { Request, Response } from "express";
 import path from "path";
+import { readFileSync } from "fs";
 import { createServer } from "http";
-import { randomBytes } from "node:crypto";
+import { randomBytes, randomInt } from "node:crypto";
 import { Server, Socket } from "socket.io";
 import helmet from "helmet";
 import { registerSocketHandlers } from "./socket";
+import { createChatWordFilter, DEFAULT_CHAT_BLOCKED_WORDS, parseChatWordList } from "./chatFilter";
+import { eloDelta } from "./rating";
+import { createAnalysisRunner } from "./analysisRunner";
 import { createRuntimeServices } from "./runtime";
+import { AccountRecord } from "./runtime/accounts";
 import { RoomSnapshot } from "./stores/interfaces";
 import {
+  accountIdFromCookieHeader,
+  createSessionToken,
+  hashPassword,
+  isAccountId,
+  isValidPassword,
+  normalizeUsername,
+  sessionCookieHeader,
+  verifyPassword,
+} from "./auth";
+import {
+  BOT_CLIENT_MOVE_BUDGET_MS,
+  botClientNickname,
+  encodeOwnBoard,
+  encodeTargetBoard,
+  remainingShipLengths,
+  resolveBotApiKey,
+} from "./botClients";
+import {
+  BOT_STATE_VERSION,
   BoardModel,
+  BotStatePayload,
+  CLASSIC_RULESET,
   Coord,
-  BOARD_SIZE,
+  getRuleset,
+  MAX_BOARD_SIZE,
+  MAX_FLEET_SIZE,
+  Ruleset,
+  RulesetId,
+  BotDifficulty,
+  DEFAULT_BOT_DIFFICULTY,
+  isBotDifficulty,
   ChatHistoryPayload,
   ChatMessage,
   ChatMessagePayload,
+  ChatReportPayload,
+  ChatReportedPayload,
   ChatSendPayload,
   Orientation,
   ShipType,
+  ShotResult,
   createEmptyBoard,
   createAiState,
   coordToKey,
   fireShot,
   inBounds,
   placeFleetRandomly,
+  placeFleetWithStrategy,
+  RandomSource,
+  RngState,
+  createRngState,
+  deriveSeed,
+  isSeed,
+  makeSeed,
+  randomFrom,
+  randomIndex,
+  shotHeatFromCounts,
+  BOT_PLACEMENT_BY_DIFFICULTY,
   registerAiShot,
+  nextSalvo,
   nextShot,
+  salvoShotCount,
   serializeBoard,
   deserializeBoard,
   validateFleet,
   GamePlaceShipsPayload,
+  GameSalvoPayload,
   GameShotPayload,
+  SalvoShotResult,
   SearchJoinPayload,
   SearchCancelPayload,
   GameCancelPayload,
   GameCancelledPayload,
+  GameRematchPayload,
+  GameRematchRequestedPayload,
+  GameRematchStartedPayload,
+  SeriesScore,
+  SpectateEndedPayload,
+  SpectateJoinPayload,
+  SpectatorStatePayload,
+  INVITE_CODE_ALPHABET,
+  INVITE_CODE_LENGTH,
+  RoomCreatePayload,
+  RoomCreatedPayload,
+  RoomJoinPayload,
+  buildMatchReplay,
+  MatchAnalysis,
+  MatchReplay,
+  boardShotStats,
+  keyToCoord,
+  AccountErrorCode,
+  AccountSession,
+  RatingChange,
+  GameOverReason,
+  LEADERBOARD_SORTS,
+  LEADERBOARD_WINDOWS,
+  Leaderboard,
+  LeaderboardSort,
+  LeaderboardWindow,
+  PlayerStats,
+  gameError,
+  statusMessage,
+  GAME_OVER_STATUS,
+  StatusCode,
+  StatusMessage,
+  LocaleManifest,
+  LocalesResponse,
+  isLocaleCode,
+  negotiateLanguage,
+  parseAcceptLanguage,
 } from "../shared";
 import {
   QueueEntry,
+  RatingWindow,
   joinQueue,
   leaveQueue,
   parkQueue,
@@ -68,8 +157,15 @@ const parseTimeoutMs = (value: string | undefined, fallback: number): number =>
 const MATCH_TIMEOUT_MS = parseTimeoutMs(process.env.MATCH_TIMEOUT_MS, 60_000);
 const ROOM_INACTIVITY_TIMEOUT_MS = parseTimeoutMs(process.env.ROOM_INACTIVITY_TIMEOUT_MS, 10 * 60_000);
 const ROOM_RECONNECT_GRACE_MS = parseTimeoutMs(process.env.ROOM_RECONNECT_GRACE_MS, 3_000);
+const PRIVATE_ROOM_TTL_MS = parseTimeoutMs(process.env.PRIVATE_ROOM_TTL_MS, 15 * 60_000);
+const MAX_SPECTATORS_PER_ROOM = parseTimeoutMs(process.env.MAX_SPECTATORS_PER_ROOM, 50);
 const RECONNECT_TOKEN_TTL_MS = parseTimeoutMs(process.env.RECONNECT_TOKEN_TTL_MS, 60 * 60_000);
 const READY_CACHE_MS = parseTimeoutMs(process.env.READY_CACHE_MS, 250);
+const LEADERBOARD_CACHE_MS = parseTimeoutMs(process.env.LEADERBOARD_CACHE_MS, 30_000);
+const LEADERBOARD_MIN_GAMES = parseTimeoutMs(process.env.LEADERBOARD_MIN_GAMES, 5);
+const LEADERBOARD_LIMIT = 50;
+const BOT_SHOT_HEAT_REFRESH_MS = parseTimeoutMs(process.env.BOT_SHOT_HEAT_REFRESH_MS, 10 * 60_000);
+const BOT_SHOT_HEAT_WINDOW_MS = 30 * 24 * 60 * 60_000;
 const SOCKET_PRESENCE_TTL_MS = parseTimeoutMs(process.env.SOCKET_PRESENCE_TTL_MS, 45_000);
 const SOCKET_PRESENCE_REFRESH_MS = parseTimeoutMs(process.env.SOCKET_PRESENCE_REFRESH_MS, 15_000);
 const SOCKET_MAX_PAYLOAD_BYTES = parseTimeoutMs(process.env.SOCKET_MAX_PAYLOAD_BYTES, 128_000);
@@ -92,8 +188,24 @@ const TRUST_PROXY_SETTING: boolean | number | string =
         : TRUST_PROXY_RAW;
 
 const MAINTENANCE_INTERVAL_MS = 250;
+// "0" turns the shot clock off; any other invalid value falls back to 30 s.
+const TURN_TIME_LIMIT_MS =
+  (process.env.TURN_TIME_LIMIT_MS ?? "").trim() === "0" ? 0 : parseTimeoutMs(process.env.TURN_TIME_LIMIT_MS, 30_000);
+const TURN_TIMEOUT_ACTION: "pass" | "random_shot" = process.env.TURN_TIMEOUT_ACTION === "pass" ? "pass" : "random_shot";
+const TURN_TIMEOUTS_TO_FORFEIT = parseTimeoutMs(process.env.TURN_TIMEOUTS_TO_FORFEIT, 3);
+// Total thinking time per player in PvP games; 0 (the default) plays without a chess clock.
+const TIME_BANK_MS = parseTimeoutMs(process.env.TIME_BANK_MS, 0);
+const TIME_BANK_INCREMENT_MS =
+  (process.env.TIME_BANK_INCREMENT_MS ?? "").trim() === "0"
+    ? 0
+    : parseTimeoutMs(process.env.TIME_BANK_INCREMENT_MS, 2_000);
 const MATCH_TIMEOUT_EFFECTIVE_MS = Math.min(MATCH_TIMEOUT_MS, ROOM_INACTIVITY_TIMEOUT_MS);
 const runtimeServices = createRuntimeServices();
+const RATING_WINDOW: RatingWindow = {
+  base: parseTimeoutMs(process.env.RATING_WINDOW_BASE, 100),
+  growthPerSecond: parseTimeoutMs(process.env.RATING_WINDOW_GROWTH_PER_SECOND, 10),
+  openAfterMs: parseTimeoutMs(process.env.RATING_WINDOW_OPEN_MS, Math.floor(MATCH_TIMEOUT_EFFECTIVE_MS * 0.75)),
+};
 const QUEUE_ENTRY_TTL_MS = parseTimeoutMs(
   process.env.QUEUE_ENTRY_TTL_MS,
   Math.max(RECONNECT_TOKEN_TTL_MS, MATCH_TIMEOUT_EFFECTIVE_MS * 2),
@@ -215,6 +327,16 @@ const RATE_LIMITS = {
   JOIN_WINDOW_MS: parseTimeoutMs(process.env.RATE_LIMIT_JOIN_WINDOW_MS, 1_500),
   PLACE_SHIPS_WINDOW_MS: parseTimeoutMs(process.env.RATE_LIMIT_PLACE_SHIPS_WINDOW_MS, 1_500),
   CHAT_WINDOW_MS: parseTimeoutMs(process.env.RATE_LIMIT_CHAT_WINDOW_MS, 4_000),
+  CHAT_REPORT_PER_WINDOW: parseTimeoutMs(process.env.RATE_LIMIT_CHAT_REPORT_PER_WINDOW, 5),
+  CHAT_REPORT_WINDOW_MS: parseTimeoutMs(process.env.RATE_LIMIT_CHAT_REPORT_WINDOW_MS, 60_000),
+  AUTH_PER_WINDOW: parseTimeoutMs(process.env.RATE_LIMIT_AUTH_PER_WINDOW, 10),
+  AUTH_WINDOW_MS: parseTimeoutMs(process.env.RATE_LIMIT_AUTH_WINDOW_MS, 60_000),
+  ANALYSIS_PER_WINDOW: parseTimeoutMs(process.env.RATE_LIMIT_ANALYSIS_PER_WINDOW, 12),
+  ANALYSIS_WINDOW_MS: parseTimeoutMs(process.env.RATE_LIMIT_ANALYSIS_WINDOW_MS, 60_000),
+  // Bot clients are counted per API key rather than per socket and IP, since one key often runs many sockets from one host.
+  BOT_SHOT_PER_WINDOW: parseTimeoutMs(process.env.RATE_LIMIT_BOT_SHOT_PER_WINDOW, 400),
+  BOT_ACTION_PER_WINDOW: parseTimeoutMs(process.env.RATE_LIMIT_BOT_ACTION_PER_WINDOW, 40),
+  BOT_WINDOW_MS: parseTimeoutMs(process.env.RATE_LIMIT_BOT_WINDOW_MS, 1_000),
 };
 const CHAT_HISTORY_MAX = parseTimeoutMs(process.env.CHAT_HISTORY_MAX, 80);
 const CHAT_REPLAY_MAX = parseTimeoutMs(process.env.CHAT_REPLAY_MAX, 50);
@@ -223,6 +345,15 @@ const CHAT_MIN_INTERVAL_MS = parseTimeoutMs(process.env.CHAT_MIN_INTERVAL_MS, 70
 const CHAT_DUPLICATE_WINDOW_MS = parseTimeoutMs(process.env.CHAT_DUPLICATE_WINDOW_MS, 8_000);
 const CHAT_MAX_SIMILAR_IN_WINDOW = parseTimeoutMs(process.env.CHAT_MAX_SIMILAR_IN_WINDOW, 2);
 const CHAT_BLOCK_LINKS = !/^(0|false|no)$/i.test(process.env.CHAT_BLOCK_LINKS ?? "true");
+const CHAT_WORD_FILTER = !/^(0|false|no)$/i.test(process.env.CHAT_WORD_FILTER ?? "true");
+const chatWordFilter = createChatWordFilter([
+  ...DEFAULT_CHAT_BLOCKED_WORDS,
+  ...parseChatWordList(process.env.CHAT_BLOCKED_WORDS),
+]);
+// Reports from this many different addresses within the window soft-ban the sender's socket.
+const CHAT_REPORT_SOFT_BAN_REPORTERS = parseTimeoutMs(process.env.CHAT_REPORT_SOFT_BAN_REPORTERS, 3);
+const CHAT_REPORT_WINDOW_MS = parseTimeoutMs(process.env.CHAT_REPORT_WINDOW_MS, 30 * 60_000);
+const CHAT_REPORT_CONTEXT_MESSAGES = parseTimeoutMs(process.env.CHAT_REPORT_CONTEXT_MESSAGES, 5);
 const INVALID_INPUT_LIMIT = parseTimeoutMs(process.env.INVALID_INPUT_LIMIT_PER_WINDOW, 12);
 const INVALID_INPUT_WINDOW_MS = parseTimeoutMs(process.env.INVALID_INPUT_WINDOW_MS, 10_000);
 const INVALID_INPUT_BAN_MS = parseTimeoutMs(process.env.INVALID_INPUT_BAN_MS, 30_000);
@@ -242,9 +373,15 @@ type ChatAntiSpamState = {
   recentFingerprints: Array<{ fingerprint: string; at: number }>;
   lastSeen: number;
 };
+type ChatReportState = {
+  reporters: Map<string, number>;
+  messageIds: Set<string>;
+  lastSeen: number;
+};
 const actionRate = new Map<string, RateState>();
 const invalidInputRate = new Map<string, InvalidInputState>();
 const chatAntiSpamState = new Map<string, ChatAntiSpamState>();
+const chatReportState = new Map<string, ChatReportState>();
 let lastPresenceRefreshTs = 0;
 const CHAT_LINK_REGEX = /\b(?:https?:\/\/|www\.)\S+/i;
 const CHAT_UNSAFE_TEXT_REGEX = /[\p{Cc}\p{Cf}]/gu;
@@ -269,7 +406,14 @@ const isRateLimited = (identity: string, action: string, max: number, windowMs:
   bucket.lastSeen = now;
   return bucket.count > max;
 };
+const isBotClientRateLimited = async (botName: string, action: string): Promise<boolean> => {
+  const max = action === "game_shot" ? RATE_LIMITS.BOT_SHOT_PER_WINDOW : RATE_LIMITS.BOT_ACTION_PER_WINDOW;
+  if (isRateLimited(`bot:${botName}`, action, max, RATE_LIMITS.BOT_WINDOW_MS)) return true;
+  if (!runtimeServices.redisLimiter.isEnabled) return false;
+  return runtimeServices.redisLimiter.consume(`bot:${botName}:${action}`, max, RATE_LIMITS.BOT_WINDOW_MS);
+};
 const isRateLimitedByIdentity = async (socket: Socket, action: string, max: number, windowMs: number): Promise<boolean> => {
+  if (typeof socket.data.botClient === "string") return isBotClientRateLimited(socket.data.botClient, action);
   const socketLimited = isRateLimited(socket.id, action, max, windowMs);
   const ip = socketIpAddress(socket);
   const ipLimited = ip ? isRateLimited(`ip:${ip}`, action, max * 4, windowMs * 4) : false;
@@ -336,10 +480,7 @@ const guardSoftBan = (socket: Socket): boolean => {
     socketId: socket.id,
     ip: socketIpAddress(socket),
   });
-  socket.emit("game:error", {
-    code: "soft_ban",
-    message: "Zbyt wiele błędnych żądań. Spróbuj ponownie za chwilę.",
-  });
+  socket.emit("game:error", gameError("soft_ban"));
   return true;
 };
 
@@ -435,17 +576,55 @@ const clearChatAntiSpamForRoom = (roomId: string): void => {
     }
   }
 };
-const normalizeChatText = (text: string): { cleaned: string; fingerprint: string; hadUnsafeChars: boolean } => {
+const normalizeChatText = (
+  text: string,
+): { cleaned: string; fingerprint: string; hadUnsafeChars: boolean; hadBlockedWords: boolean } => {
   const normalized = text.normalize("NFKC").trim();
-  const cleaned = normalized.replace(CHAT_UNSAFE_TEXT_REGEX, "");
+  const safe = normalized.replace(CHAT_UNSAFE_TEXT_REGEX, "");
+  const { text: cleaned, filtered } = CHAT_WORD_FILTER ? chatWordFilter(safe) : { text: safe, filtered: false };
   const fingerprint = cleaned.replace(/\s+/g, " ").trim().toLowerCase();
   return {
     cleaned,
     fingerprint,
-    hadUnsafeChars: cleaned !== normalized,
+    hadUnsafeChars: safe !== normalized,
+    hadBlockedWords: filtered,
   };
 };
 const hasBlockedChatLink = (text: string): boolean => CHAT_LINK_REGEX.test(text);
+const getChatReportState = (offenderKey: string, now: number): ChatReportState => {
+  const existing = chatReportState.get(offenderKey);
+  if (existing) {
+    existing.lastSeen = now;
+    return existing;
+  }
+  const created: ChatReportState = { reporters: new Map(), messageIds: new Set(), lastSeen: now };
+  chatReportState.set(offenderKey, created);
+  return created;
+};
+const pruneChatReporters = (state: ChatReportState, now: number): void => {
+  for (const [reporter, at] of state.reporters.entries()) {
+    if (now - at > CHAT_REPORT_WINDOW_MS) {
+      state.reporters.delete(reporter);
+    }
+  }
+};
+const cleanupChatReportState = (now = Date.now()): void => {
+  for (const [key, state] of chatReportState.entries()) {
+    pruneChatReporters(state, now);
+    if (now - state.lastSeen > CHAT_REPORT_WINDOW_MS) {
+      chatReportState.delete(key);
+    }
+  }
+};
+// Same soft ban as repeated invalid payloads, so every guarded handler rejects the socket until it expires.
+const softBanForChatReports = (socket: Socket, now: number): number => {
+  const key = makeInvalidKey(socket);
+  const current = invalidInputRate.get(key) ?? { windowStart: now, count: 0, bannedUntil: 0, lastSeen: now };
+  current.bannedUntil = now + INVALID_INPUT_BAN_MS;
+  current.lastSeen = now;
+  invalidInputRate.set(key, current);
+  return current.bannedUntil;
+};
 const normalizeIp = (value: string | undefined): string => {
   if (!value) return "";
   const trimmed = value.trim();
@@ -472,15 +651,63 @@ const recordMatchEvent = (roomId: string, eventType: string, payload: Record<str
   runtimeServices.telemetry.recordMatchEvent(roomId, eventType, payload);
 };
 
+// The session cookie is fixed for the lifetime of a socket, so the lookup is cached on it.
+const resolveSocketAccountId = async (socket: Socket): Promise<string | undefined> => {
+  if (typeof socket.data.accountId === "string") return socket.data.accountId || undefined;
+  const accountId = accountIdFromCookieHeader(socket.handshake.headers.cookie);
+  if (!accountId) {
+    socket.data.accountId = "";
+    return undefined;
+  }
+  try {
+    const account = await runtimeServices.accounts.findById(accountId);
+    socket.data.accountId = account?.id ?? "";
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    console.warn(`[accounts] session lookup failed: ${message}`);
+    return undefined;
+  }
+  if (socket.data.accountId) {
+    runtimeServices.accounts.touch(socket.data.accountId);
+  }
+  return socket.data.accountId || undefined;
+};
+
+const accountRating = async (accountId: string): Promise<number | undefined> => {
+  try {
+    return (await runtimeServices.accounts.findById(accountId))?.rating;
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    console.warn(`[accounts] rating lookup failed: ${message}`);
+    return undefined;
+  }
+};
+
 const toRoomSnapshot = (room: GameRoom): RoomSnapshot => ({
   roomId: room.roomId,
+  rulesetId: room.ruleset.id,
+  adjacency: room.ruleset.adjacency,
+  salvo: room.ruleset.salvo,
   vsBot: room.vsBot,
   botId: room.botId,
+  botDifficulty: room.botDifficulty,
+  seed: room.seed,
+  rngState: room.rng.value,
+  botRngState: room.aiState?.rng.value,
   phase: room.phase,
   status: room.status,
+  inviteCode: room.inviteCode,
   players: [...room.players],
   nicknames: room.nicknames,
+  accountIds: room.accountIds,
+  rated: room.rated,
+  ratings: room.ratings,
   turn: room.turn,
+  turnDeadline: room.turnDeadline,
+  turnClockPausedMs: room.turnClockPausedMs,
+  turnTimeouts: room.turnTimeouts,
+  timeBanks: room.timeBanks,
+  timeBankSince: room.timeBankSince,
   winner: room.winner,
   over: room.over,
   createdAt: room.createdAt,
@@ -496,6 +723,10 @@ const toRoomSnapshot = (room: GameRoom): RoomSnapshot => ({
   chatMessages: [...room.chatMessages],
   chatSeq: room.chatSeq,
   postGameExpiresAt: room.postGameExpiresAt,
+  gameNumber: room.gameNumber,
+  gameStartedAt: room.gameStartedAt,
+  seriesWins: room.seriesWins,
+  rematchRequests: [...room.rematchRequests],
 });
 
 const persistRoomSnapshot = (room: GameRoom): void => {
@@ -586,6 +817,12 @@ const getQueueEntryForPlayerId = async (playerId: string): Promise<QueueEntry |
     persisted.nickname,
     persisted.joinedAt,
     persisted.reconnectToken,
+    persisted.rulesetId,
+    persisted.adjacency,
+    persisted.salvo,
+    persisted.accountId,
+    persisted.rating,
+    persisted.botDifficulty,
   );
   persistQueueEntry(restored);
   return restored;
@@ -601,18 +838,42 @@ const getActiveQueueEntryForToken = async (token: string): Promise<QueueEntry |
 };
 
 const restoreRoomFromSnapshot = (snapshot: RoomSnapshot): GameRoom => {
+  const seed = isSeed(snapshot.seed) ? snapshot.seed : makeSeed();
+  const botDifficulty = isBotDifficulty(snapshot.botDifficulty) ? snapshot.botDifficulty : DEFAULT_BOT_DIFFICULTY;
   const room: GameRoom = {
     roomId: snapshot.roomId,
+    ruleset: getRuleset(snapshot.rulesetId, snapshot.adjacency, snapshot.salvo),
     status: snapshot.status,
+    inviteCode: snapshot.inviteCode,
     players: [...snapshot.players],
     nicknames: { ...snapshot.nicknames },
+    accountIds: { ...snapshot.accountIds },
+    rated: Boolean(snapshot.rated),
+    ratings: { ...snapshot.ratings },
     boards: Object.fromEntries(
       Object.entries(snapshot.boards).map(([playerId, board]) => [playerId, deserializeBoard(board)]),
     ),
     shotCounters: { ...snapshot.shotCounters },
     turn: snapshot.turn,
+    turnDeadline:
+      typeof snapshot.turnDeadline === "number" && Number.isFinite(snapshot.turnDeadline)
+        ? snapshot.turnDeadline
+        : undefined,
+    turnClockPausedMs:
+      typeof snapshot.turnClockPausedMs === "number" && Number.isFinite(snapshot.turnClockPausedMs)
+        ? snapshot.turnClockPausedMs
+        : undefined,
+    turnTimeouts: { ...snapshot.turnTimeouts },
+    timeBanks: { ...snapshot.timeBanks },
+    timeBankSince:
+      typeof snapshot.timeBankSince === "number" && Number.isFinite(snapshot.timeBankSince)
+        ? snapshot.timeBankSince
+        : undefined,
     vsBot: snapshot.vsBot,
     botId: snapshot.botId,
+    botDifficulty,
+    seed,
+    rng: createRngState(isSeed(snapshot.rngState) ? snapshot.rngState : seed),
     phase: snapshot.phase,
     winner: snapshot.winner,
     over: snapshot.over,
@@ -622,14 +883,26 @@ const restoreRoomFromSnapshot = (snapshot: RoomSnapshot): GameRoom => {
     tokenToPlayerId: { ...snapshot.tokenToPlayerId },
     disconnectedAtByToken: { ...snapshot.disconnectedAtByToken },
     readyPlayers: new Set(snapshot.readyPlayers),
-    aiState: snapshot.vsBot ? createAiState() : undefined,
+    aiState: undefined,
     chatMessages: Array.isArray(snapshot.chatMessages) ? [...snapshot.chatMessages] : [],
     chatSeq: typeof snapshot.chatSeq === "number" && Number.isFinite(snapshot.chatSeq) ? snapshot.chatSeq : 0,
     postGameExpiresAt:
       typeof snapshot.postGameExpiresAt === "number" && Number.isFinite(snapshot.postGameExpiresAt)
         ? snapshot.postGameExpiresAt
         : undefined,
+    gameNumber: typeof snapshot.gameNumber === "number" && snapshot.gameNumber > 0 ? snapshot.gameNumber : 1,
+    gameStartedAt:
+      typeof snapshot.gameStartedAt === "number" && Number.isFinite(snapshot.gameStartedAt)
+        ? snapshot.gameStartedAt
+        : snapshot.createdAt,
+    seriesWins: { ...snapshot.seriesWins },
+    rematchRequests: new Set(snapshot.rematchRequests ?? []),
+    spectators: new Set<string>(),
   };
+  if (room.vsBot) {
+    room.aiState = createBotAiState(room);
+    if (isSeed(snapshot.botRngState)) room.aiState.rng.value = snapshot.botRngState;
+  }
   return room;
 };
 
@@ -641,6 +914,9 @@ const hydrateRoomFromRedis = async (roomId: string): Promise<GameRoom | null> =>
   if (!snapshot) return null;
   const restored = restoreRoomFromSnapshot(snapshot);
   rooms.set(restored.roomId, restored);
+  if (restored.inviteCode) {
+    inviteCodes.set(restored.inviteCode, restored.roomId);
+  }
   for (const token of Object.keys(restored.tokenToPlayerId)) {
     registerRoomToken(token, restored.roomId);
     persistTokenRoomMap(token, restored.roomId);
@@ -712,12 +988,24 @@ type RoomStatus = "setup" | "active" | "ended" | "cancelled";
 
 interface GameRoom {
   roomId: string;
+  ruleset: Ruleset;
   status: RoomStatus;
+  inviteCode?: string;
   players: PlayerId[];
   nicknames: Record<PlayerId, string>;
+  accountIds: Record<PlayerId, string>;
+  rated: boolean;
+  ratings: Record<PlayerId, number>;
   boards: Record<PlayerId, BoardModel>;
   shotCounters: Record<PlayerId, number>;
   turn: PlayerId;
+  turnDeadline?: number;
+  // Shot clock left on the turn while a reconnect grace window holds it; turnDeadline is unset meanwhile.
+  turnClockPausedMs?: number;
+  turnTimeouts: Record<PlayerId, number>;
+  // Bank left per player as of timeBankSince; the player on turn is charged from then on.
+  timeBanks: Record<PlayerId, number>;
+  timeBankSince?: number;
   vsBot: boolean;
   botId?: PlayerId;
   phase: "setup" | "playing" | "over";
@@ -728,15 +1016,27 @@ interface GameRoom {
   reconnectTokens: Record<PlayerId, string>;
   tokenToPlayerId: Record<string, PlayerId>;
   disconnectedAtByToken: Record<string, number>;
+  botDifficulty: BotDifficulty;
+  // Seed of the current game; rng drives fleets, the first turn and timeout shots, the bot has its own stream.
+  seed: number;
+  rng: RngState;
   aiState?: ReturnType<typeof createAiState>;
   readyPlayers: Set<PlayerId>;
   chatMessages: ChatMessage[];
   chatSeq: number;
   postGameExpiresAt?: number;
+  gameNumber: number;
+  // Start of the current game; createdAt keeps the room's own creation time across rematches.
+  gameStartedAt: number;
+  seriesWins: Record<PlayerId, number>;
+  rematchRequests: Set<PlayerId>;
+  spectators: Set<string>;
 }
 
 const rooms = new Map<string, GameRoom>();
 const playerRooms = new Map<PlayerId, string>();
+const inviteCodes = new Map<string, string>();
+const spectatorRooms = new Map<string, string>();
 const roomHydrationInFlight = new Map<string, Promise<GameRoom | null>>();
 
 const PUBLIC_DIR = path.join(process.cwd(), "public");
@@ -890,6 +1190,9 @@ const metricsHandler = (_req: Request, res: Response): void => {
     "# HELP battleship_players_bound Number of socket-to-room bindings.",
     "# TYPE battleship_players_bound gauge",
     `battleship_players_bound ${playerRooms.size}`,
+    "# HELP battleship_spectators_active Number of sockets watching a room as spectators.",
+    "# TYPE battleship_spectators_active gauge",
+    `battleship_spectators_active ${spectatorRooms.size}`,
     "# HELP battleship_matchmaking_queue_size Number of players waiting in queue.",
     "# TYPE battleship_matchmaking_queue_size gauge",
     `battleship_matchmaking_queue_size ${stats.queueSize}`,
@@ -910,17 +1213,422 @@ const metricsHandler = (_req: Request, res: Response): void => {
   res.status(200).send(`${lines.join("\n")}\n`);
 };
 
+const REPLAY_ERROR_STATUS = {
+  invalid_room_id: 400,
+  invalid_game: 400,
+  replay_not_found: 404,
+  match_in_progress: 409,
+  rate_limited: 429,
+  replay_unavailable: 503,
+  analysis_busy: 503,
+} as const;
+
+// Sends the error response itself and returns null when the game cannot be rebuilt.
+const loadRequestedReplay = async (req: Request, res: Response): Promise<MatchReplay | null> => {
+  applyNoStoreHeaders(res);
+  const fail = (error: keyof typeof REPLAY_ERROR_STATUS) => {
+    res.status(REPLAY_ERROR_STATUS[error]).json({ error });
+    return null;
+  };
+  const roomId = normalizeRoomId(req.params.roomId);
+  if (!roomId) {
+    return fail("invalid_room_id");
+  }
+  const rawGame = req.query.game;
+  const game = typeof rawGame === "string" ? Number.parseInt(rawGame, 10) : undefined;
+  if (rawGame !== undefined && (!Number.isInteger(game) || (game ?? 0) < 1)) {
+    return fail("invalid_game");
+  }
+  if (!runtimeServices.telemetry.isEnabled) {
+    return fail("replay_unavailable");
+  }
+  let events;
+  try {
+    events = await runtimeServices.telemetry.listMatchEvents(roomId);
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    console.warn(`[replay] match events query failed: ${message}`);
+    return fail("replay_unavailable");
+  }
+  const result = buildMatchReplay(roomId, events, game);
+  if (!result.ok) {
+    return fail(result.reason === "in_progress" ? "match_in_progress" : "replay_not_found");
+  }
+  return result.replay;
+};
+
+const replayHandler = async (req: Request, res: Response): Promise<void> => {
+  const replay = await loadRequestedReplay(req, res);
+  if (replay) res.status(200).json(replay);
+};
+
+// Finished games never change and the analysis replays a few hard-AI games, so results are kept.
+const MATCH_ANALYSIS_CACHE_LIMIT = 200;
+const matchAnalysisCache = new Map<string, MatchAnalysis>();
+// Cache misses run on a worker thread; concurrent requests for one game share a job.
+const MATCH_ANALYSIS_MAX_PENDING = parseTimeoutMs(process.env.MATCH_ANALYSIS_MAX_PENDING, 8);
+const matchAnalysisRunner = createAnalysisRunner(MATCH_ANALYSIS_MAX_PENDING);
+const matchAnalysisJobs = new Map<string, Promise<MatchAnalysis>>();
+
+const analysisHandler = async (req: Request, res: Response): Promise<void> => {
+  const ip = normalizeIp(req.ip) || "unknown";
+  if (isRateLimited(`ip:${ip}`, "analysis", RATE_LIMITS.ANALYSIS_PER_WINDOW, RATE_LIMITS.ANALYSIS_WINDOW_MS)) {
+    applyNoStoreHeaders(res);
+    res.status(REPLAY_ERROR_STATUS.rate_limited).json({ error: "rate_limited" });
+    return;
+  }
+  const replay = await loadRequestedReplay(req, res);
+  if (!replay) return;
+  const cacheKey = `${replay.roomId}:${replay.game}`;
+  const cached = matchAnalysisCache.get(cacheKey);
+  if (cached) {
+    res.status(200).json(cached);
+    return;
+  }
+  let job = matchAnalysisJobs.get(cacheKey);
+  if (!job) {
+    const started = matchAnalysisRunner.run(replay);
+    if (!started) {
+      res.status(REPLAY_ERROR_STATUS.analysis_busy).json({ error: "analysis_busy" });
+      return;
+    }
+    job = started
+      .then((analysis) => {
+        matchAnalysisCache.set(cacheKey, analysis);
+        if (matchAnalysisCache.size > MATCH_ANALYSIS_CACHE_LIMIT) {
+          const oldest = matchAnalysisCache.keys().next().value;
+          if (oldest !== undefined) matchAnalysisCache.delete(oldest);
+        }
+        return analysis;
+      })
+      .finally(() => {
+        matchAnalysisJobs.delete(cacheKey);
+      });
+    matchAnalysisJobs.set(cacheKey, job);
+  }
+  try {
+    res.status(200).json(await job);
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    console.warn(`[analysis] match analysis failed: ${message}`);
+    res.status(REPLAY_ERROR_STATUS.analysis_busy).json({ error: "analysis_busy" });
+  }
+};
+
+const STATS_ERROR_STATUS = {
+  invalid_sort: 400,
+  invalid_window: 400,
+  invalid_player_id: 400,
+  player_not_found: 404,
+  stats_unavailable: 503,
+} as const;
+
+const LEADERBOARD_WINDOW_MS: Record<LeaderboardWindow, number> = {
+  daily: 24 * 60 * 60_000,
+  weekly: 7 * 24 * 60 * 60_000,
+  all: Number.POSITIVE_INFINITY,
+};
+
+const ratio = (part: number, total: number, digits = 3): number | null => {
+  if (total <= 0) return null;
+  const scale = 10 ** digits;
+  return Math.round((part / total) * scale) / scale;
+};
+
+const leaderboardCache = new Map<string, Leaderboard>();
+
+const leaderboardHandler = async (req: Request, res: Response): Promise<void> => {
+  applyNoStoreHeaders(res);
+  const fail = (error: keyof typeof STATS_ERROR_STATUS) => {
+    res.status(STATS_ERROR_STATUS[error]).json({ error });
+  };
+  const sort = req.query.sort ?? "wins";
+  const window = req.query.window ?? "all";
+  if (!LEADERBOARD_SORTS.includes(sort as LeaderboardSort)) {
+    fail("invalid_sort");
+    return;
+  }
+  if (!LEADERBOARD_WINDOWS.includes(window as LeaderboardWindow)) {
+    fail("invalid_window");
+    return;
+  }
+  if (!runtimeServices.telemetry.isEnabled) {
+    fail("stats_unavailable");
+    return;
+  }
+  const cacheKey = `${sort}:${window}`;
+  const cached = leaderboardCache.get(cacheKey);
+  if (cached && Date.now() - cached.generatedAt <= LEADERBOARD_CACHE_MS) {
+    res.status(200).json(cached);
+    return;
+  }
+  // Rates from a couple of games are noise, so they need a minimum sample to rank.
+  const minGames = sort === "win_rate" || sort === "accuracy" ? LEADERBOARD_MIN_GAMES : 1;
+  const now = Date.now();
+  let rows;
+  try {
+    rows = await runtimeServices.telemetry.listLeaderboard({
+      sort: sort as LeaderboardSort,
+      since: Math.max(0, now - LEADERBOARD_WINDOW_MS[window as LeaderboardWindow]),
+      minGames,
+      limit: LEADERBOARD_LIMIT,
+    });
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    console.warn(`[stats] leaderboard query failed: ${message}`);
+    fail("stats_unavailable");
+    return;
+  }
+  const leaderboard: Leaderboard = {
+    sort: sort as LeaderboardSort,
+    window: window as LeaderboardWindow,
+    minGames,
+    entries: rows.map((row, index) => ({
+      rank: index + 1,
+      accountId: row.accountId,
+      name: row.username ?? row.nickname,
+      rating: row.rating,
+      games: row.games,
+      wins: row.wins,
+      winRate: ratio(row.wins, row.games) ?? 0,
+      accuracy: ratio(row.hits, row.shots),
+    })),
+    generatedAt: now,
+  };
+  leaderboardCache.set(cacheKey, leaderboard);
+  res.status(200).json(leaderboard);
+};
+
+const playerStatsHandler = async (req: Request, res: Response): Promise<void> => {
+  applyNoStoreHeaders(res);
+  const fail = (error: keyof typeof STATS_ERROR_STATUS) => {
+    res.status(STATS_ERROR_STATUS[error]).json({ error });
+  };
+  const accountId = req.params.id;
+  if (!isAccountId(accountId)) {
+    fail("invalid_player_id");
+    return;
+  }
+  if (!runtimeServices.telemetry.isEnabled) {
+    fail("stats_unavailable");
+    return;
+  }
+  let account;
+  let totals;
+  try {
+    [account, totals] = await Promise.all([
+      runtimeServices.accounts.findById(accountId),
+      runtimeServices.telemetry.getPlayerStats(accountId),
+    ]);
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    console.warn(`[stats] player stats query failed: ${message}`);
+    fail("stats_unavailable");
+    return;
+  }
+  if (!account) {
+    fail("player_not_found");
+    return;
+  }
+  const stats: PlayerStats = {
+    accountId: account.id,
+    username: account.username,
+    rating: account.rating,
+    ratedGames: account.ratedGames,
+    games: totals.games,
+    wins: totals.wins,
+    losses: totals.games - totals.wins,
+    winRate: ratio(totals.wins, totals.games) ?? 0,
+    accuracy: ratio(totals.hits, totals.shots),
+    averageShotsToWin: totals.averageShotsToWin === null ? null : Math.round(totals.averageShotsToWin * 10) / 10,
+    favouriteOpening: totals.openingCell
+      ? { ...keyToCoord(totals.openingCell), games: totals.openingGames }
+      : null,
+  };
+  res.status(200).json(stats);
+};
+
+const ACCOUNT_ERROR_STATUS: Record<AccountErrorCode, number> = {
+  not_signed_in: 401,
+  invalid_username: 400,
+  invalid_password: 400,
+  username_taken: 409,
+  invalid_credentials: 401,
+  already_registered: 409,
+  rate_limited: 429,
+  accounts_unavailable: 503,
+};
+
+type AccountFail = (error: AccountErrorCode) => void;
+
+const toAccountSession = (account: AccountRecord): AccountSession => ({
+  accountId: account.id,
+  username: account.username,
+  guest: !account.username,
+  rating: account.rating,
+});
+
+const requestAccount = async (req: Request): Promise<AccountRecord | null> => {
+  const accountId = accountIdFromCookieHeader(req.headers.cookie);
+  return accountId ? runtimeServices.accounts.findById(accountId) : null;
+};
+
+const startAccountSession = (req: Request, res: Response, account: AccountRecord): void => {
+  res.setHeader("Set-Cookie", sessionCookieHeader(createSessionToken(account.id), req.secure));
+  res.status(200).json(toAccountSession(account));
+};
+
+const requestCredentials = (req: Request): { username: string; password: unknown } => {
+  const body = isRecord(req.body) ? req.body : {};
+  return { username: normalizeUsername(body.username), password: body.password };
+};
+
+const accountHandler =
+  (action: string, handle: (req: Request, res: Response, fail: AccountFail) => Promise<void>) =>
+  async (req: Request, res: Response): Promise<void> => {
+    applyNoStoreHeaders(res);
+    const fail: AccountFail = (error) => {
+      res.status(ACCOUNT_ERROR_STATUS[error]).json({ error });
+    };
+    const ip = normalizeIp(req.ip) || "unknown";
+    if (isRateLimited(`ip:${ip}`, action, RATE_LIMITS.AUTH_PER_WINDOW, RATE_LIMITS.AUTH_WINDOW_MS)) {
+      fail("rate_limited");
+      return;
+    }
+    try {
+      await handle(req, res, fail);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      console.warn(`[accounts] ${action} failed: ${message}`);
+      fail("accounts_unavailable");
+    }
+  };
+
+const authMeHandler = accountHandler("auth_me", async (req, res, fail) => {
+  const account = await requestAccount(req);
+  if (!account) {
+    fail("not_signed_in");
+    return;
+  }
+  res.status(200).json(toAccountSession(account));
+});
+
+const authGuestHandler = accountHandler("auth_guest", async (req, res) => {
+  const account = (await requestAccount(req)) ?? (await runtimeServices.accounts.createGuest());
+  startAccountSession(req, res, account);
+});
+
+const authRegisterHandler = accountHandler("auth_register", async (req, res, fail) => {
+  const { username, password } = requestCredentials(req);
+  if (!username) {
+    fail("invalid_username");
+    return;
+  }
+  if (!isValidPassword(password)) {
+    fail("invalid_password");
+    return;
+  }
+  const current = await requestAccount(req);
+  if (current?.username) {
+    fail("already_registered");
+    return;
+  }
+  const result = await runtimeServices.accounts.register(username, await hashPassword(password), current?.id);
+  if (!result.ok) {
+    fail(result.reason);
+    return;
+  }
+  startAccountSession(req, res, result.account);
+});
+
+const authLoginHandler = accountHandler("auth_login", async (req, res, fail) => {
+  const { username, password } = requestCredentials(req);
+  if (!username || !isValidPassword(password)) {
+    fail("invalid_credentials");
+    return;
+  }
+  const account = await runtimeServices.accounts.findByUsername(username);
+  if (!account?.passwordHash || !(await verifyPassword(password, account.passwordHash))) {
+    fail("invalid_credentials");
+    return;
+  }
+  runtimeServices.accounts.touch(account.id);
+  startAccountSession(req, res, account);
+});
+
+const authLogoutHandler = accountHandler("auth_logout", async (req, res) => {
+  res.setHeader("Set-Cookie", sessionCookieHeader(null, req.secure));
+  res.status(200).json({ ok: true });
+});
+
+// The manifest ships with the static client; without it the client falls back to Polish.
+const readLocaleManifest = (): LocaleManifest | null => {
+  try {
+    const manifest = JSON.parse(readFileSync(path.join(PUBLIC_DIR, "locales", "manifest.json"), "utf8")) as LocaleManifest;
+    return manifest.languages.every((entry) => isLocaleCode(entry.code)) ? manifest : null;
+  } catch {
+    return null;
+  }
+};
+
+const localeManifest = readLocaleManifest();
+
+const localesHandler = (req: Request, res: Response): void => {
+  res.setHeader("Vary", "Accept-Language");
+  if (!localeManifest) {
+    res.status(503).json({ error: "locales_unavailable" });
+    return;
+  }
+  const available = localeManifest.languages.map((entry) => entry.code);
+  const payload: LocalesResponse = {
+    ...localeManifest,
+    preferred: negotiateLanguage(parseAcceptLanguage(req.get("accept-language")), available),
+  };
+  res.status(200).json(payload);
+};
+
 app.get("/health", healthHandler);
 app.post("/health", healthHandler);
 app.get("/ready", readyHandler);
 app.post("/ready", readyHandler);
 app.get("/metrics", metricsHandler);
 app.post("/metrics", metricsHandler);
+app.get("/api/matches/:roomId/replay", replayHandler);
+app.get("/api/matches/:roomId/analysis", analysisHandler);
+app.get("/api/leaderboard", leaderboardHandler);
+app.get("/api/locales", localesHandler);
+app.get("/api/players/:id/stats", playerStatsHandler);
+app.get("/api/auth/me", authMeHandler);
+app.post("/api/auth/guest", authGuestHandler);
+app.post("/api/auth/register", authRegisterHandler);
+app.post("/api/auth/login", authLoginHandler);
+app.post("/api/auth/logout", authLogoutHandler);
 
 const makeRoomId = () => `room-${Date.now().toString(36)}-${randomBytes(6).toString("hex")}`;
 
 const botIdFor = (roomId: string) => `bot-${roomId}`;
 
+const makeInviteCode = (): string => {
+  for (let attempt = 0; attempt < 16; attempt += 1) {
+    let code = "";
+    for (let i = 0; i < INVITE_CODE_LENGTH; i += 1) {
+      code += INVITE_CODE_ALPHABET[randomInt(INVITE_CODE_ALPHABET.length)];
+    }
+    if (!inviteCodes.has(code)) return code;
+  }
+  throw new Error("Unable to allocate invite code");
+};
+
+const releaseInviteCode = (room: GameRoom): void => {
+  if (!room.inviteCode) return;
+  if (inviteCodes.get(room.inviteCode) === room.roomId) {
+    inviteCodes.delete(room.inviteCode);
+  }
+  room.inviteCode = undefined;
+};
+
+const isAwaitingGuest = (room: GameRoom): boolean => Boolean(room.inviteCode) && room.players.length < 2;
+
 const getRoomForPlayer = (playerId: PlayerId): GameRoom | null => {
   const roomId = playerRooms.get(playerId);
   if (!roomId) return null;
@@ -932,9 +1640,8 @@ const RECONNECT_TOKEN_PATTERN = /^[A-Za-z0-9._-]+$/;
 const NICKNAME_MAX_LENGTH = 40;
 const ROOM_ID_PATTERN = /^room-[a-z0-9]+-[a-z0-9]+$/i;
 const SHIP_ID_PATTERN = /^[a-zA-Z0-9._-]+$/;
-const MAX_BOARD_DIMENSION = BOARD_SIZE;
-const MAX_SHIPS_PER_BOARD = 10;
-const MAX_CELLS_PER_SHIP = 10;
+const MAX_SHIPS_PER_BOARD = MAX_FLEET_SIZE;
+const MAX_CELLS_PER_SHIP = MAX_BOARD_SIZE;
 const MIN_CELLS_PER_SHIP = 1;
 
 const isRecord = (value: unknown): value is Record<string, unknown> =>
@@ -963,6 +1670,10 @@ const sanitizeNickname = (value: unknown): string => {
   return normalized.length > 0 ? normalized : "Gracz";
 };
 
+// Bot clients always show up under their key's name, so humans can tell who they play.
+const socketNickname = (socket: Socket, value: unknown): string =>
+  typeof socket.data.botClient === "string" ? botClientNickname(socket.data.botClient) : sanitizeNickname(value);
+
 const normalizeCoordValue = (value: unknown): number => {
   if (typeof value === "number" && Number.isInteger(value)) {
     return value;
@@ -979,16 +1690,17 @@ const normalizeCoordValue = (value: unknown): number => {
   return Number.NaN;
 };
 
-const parseCoord = (value: unknown): Coord | null => {
+const parseCoord = (value: unknown, ruleset: Ruleset): Coord | null => {
   if (!isRecord(value)) return null;
   const row = normalizeCoordValue(value.row);
   const col = normalizeCoordValue(value.col);
   if (!Number.isFinite(row) || !Number.isFinite(col)) return null;
-  if (row < 0 || col < 0 || row >= MAX_BOARD_DIMENSION || col >= MAX_BOARD_DIMENSION) return null;
+  if (row < 0 || col < 0 || row >= ruleset.height || col >= ruleset.width) return null;
   return { row, col };
 };
 
-const isShipType = (value: number): value is ShipType => value === 1 || value === 2 || value === 3 || value === 4;
+const isShipType = (value: number): value is ShipType =>
+  value === 1 || value === 2 || value === 3 || value === 4 || value === 5;
 const isOrientation = (value: unknown): value is Orientation =>
   value === "H" || value === "V";
 
@@ -1020,21 +1732,19 @@ const isReconnectWindowExpired = (room: GameRoom, token: string): boolean => {
   return Date.now() - disconnectedAt > ROOM_RECONNECT_GRACE_MS;
 };
 
-const normalizeBoardFromClient = (incoming: unknown): BoardModel => {
+const normalizeBoardFromClient = (incoming: unknown, ruleset: Ruleset): BoardModel => {
   if (!incoming || typeof incoming !== "object") {
     throw new Error("Invalid board payload");
   }
 
   const raw = incoming as Partial<Record<string, unknown>>;
-  const width = Number.parseInt(String(raw.width ?? BOARD_SIZE), 10);
-  const height = Number.parseInt(String(raw.height ?? BOARD_SIZE), 10);
+  const width = Number.parseInt(String(raw.width ?? ruleset.width), 10);
+  const height = Number.parseInt(String(raw.height ?? ruleset.height), 10);
   if (
     !Number.isInteger(width) ||
     !Number.isInteger(height) ||
-    width <= 0 ||
-    height <= 0 ||
-    width > BOARD_SIZE ||
-    height > BOARD_SIZE
+    width !== ruleset.width ||
+    height !== ruleset.height
   ) {
     throw new Error("Invalid board dimensions");
   }
@@ -1123,10 +1833,59 @@ const normalizeBoardFromClient = (incoming: unknown): BoardModel => {
   return board;
 };
 
+const botShotHeat = new Map<RulesetId, { heat: number[][]; loadedAt: number }>();
+const botShotHeatLoading = new Set<RulesetId>();
+
+// Refreshes in the background; a bot placed before the first load simply plays without shot history.
+const refreshBotShotHeat = (ruleset: Ruleset): void => {
+  if (!runtimeServices.telemetry.isEnabled || botShotHeatLoading.has(ruleset.id)) return;
+  const cached = botShotHeat.get(ruleset.id);
+  if (cached && Date.now() - cached.loadedAt <= BOT_SHOT_HEAT_REFRESH_MS) return;
+  botShotHeatLoading.add(ruleset.id);
+  runtimeServices.telemetry
+    .listShotHeat(ruleset.id, Date.now() - BOT_SHOT_HEAT_WINDOW_MS)
+    .then((rows) => {
+      botShotHeat.set(ruleset.id, { heat: shotHeatFromCounts(ruleset, rows), loadedAt: Date.now() });
+    })
+    .catch((error) => {
+      const message = error instanceof Error ? error.message : String(error);
+      console.warn(`[bot] shot heat load failed: ${message}`);
+    })
+    .finally(() => botShotHeatLoading.delete(ruleset.id));
+};
+
+const placeBotFleet = (ruleset: Ruleset, difficulty: BotDifficulty, random: RandomSource): BoardModel => {
+  refreshBotShotHeat(ruleset);
+  return placeFleetWithStrategy(
+    ruleset,
+    BOT_PLACEMENT_BY_DIFFICULTY[difficulty],
+    botShotHeat.get(ruleset.id)?.heat,
+    random,
+  );
+};
+
+const BOT_RNG_STREAM = 1;
+
+const createBotAiState = (room: GameRoom) =>
+  createAiState(room.ruleset.adjacency, room.botDifficulty, deriveSeed(room.seed, BOT_RNG_STREAM));
+
+const placeRoomFleets = (room: GameRoom, playerIds: PlayerId[]): void => {
+  const random = randomFrom(room.rng);
+  for (const playerId of playerIds) {
+    room.boards[playerId] =
+      playerId === room.botId
+        ? placeBotFleet(room.ruleset, room.botDifficulty, random)
+        : placeFleetRandomly(createEmptyBoard(room.ruleset), room.ruleset, random);
+    room.shotCounters[playerId] = 0;
+  }
+};
+
 const createRoom = (
   participants: PlayerId[],
   vsBot = false,
   reconnectTokens: Record<PlayerId, string> = {},
+  ruleset: Ruleset = CLASSIC_RULESET,
+  botDifficulty: BotDifficulty = DEFAULT_BOT_DIFFICULTY,
 ): GameRoom => {
   const roomId = makeRoomId();
   const roomPlayers = [...participants];
@@ -1134,13 +1893,7 @@ const createRoom = (
   const boardOwnerIds = [...roomPlayers];
   if (vsBot && botId) boardOwnerIds.push(botId);
 
-  const boards: Record<PlayerId, BoardModel> = {};
-  const shotCounters: Record<PlayerId, number> = {};
-  for (const playerId of boardOwnerIds) {
-    boards[playerId] = placeFleetRandomly(createEmptyBoard());
-    shotCounters[playerId] = 0;
-  }
-
+  const seed = makeSeed();
   const nicknames: Record<PlayerId, string> = {};
   for (const playerId of roomPlayers) {
     nicknames[playerId] = "Gracz";
@@ -1148,12 +1901,18 @@ const createRoom = (
 
   const room: GameRoom = {
     roomId,
+    ruleset,
     status: "setup",
     players: roomPlayers,
     nicknames,
-    boards,
-    shotCounters,
+    accountIds: {},
+    rated: false,
+    ratings: {},
+    boards: {},
+    shotCounters: {},
     turn: roomPlayers[0],
+    turnTimeouts: {},
+    timeBanks: {},
     vsBot,
     botId,
     phase: "setup",
@@ -1164,11 +1923,21 @@ const createRoom = (
     tokenToPlayerId: {},
     disconnectedAtByToken: {},
     readyPlayers: new Set<PlayerId>(vsBot && botId ? [botId] : []),
-    aiState: vsBot ? createAiState() : undefined,
+    botDifficulty,
+    seed,
+    rng: createRngState(seed),
+    aiState: undefined,
     chatMessages: [],
     chatSeq: 0,
     postGameExpiresAt: undefined,
+    gameNumber: 1,
+    gameStartedAt: Date.now(),
+    seriesWins: {},
+    rematchRequests: new Set<PlayerId>(),
+    spectators: new Set<string>(),
   };
+  placeRoomFleets(room, boardOwnerIds);
+  if (vsBot) room.aiState = createBotAiState(room);
 
   if (vsBot && botId) {
     const token = resolveReconnectToken(reconnectTokens[botId]);
@@ -1195,6 +1964,10 @@ const createRoom = (
     roomId,
     players: roomPlayers,
     vsBot,
+    rulesetId: ruleset.id,
+    adjacency: ruleset.adjacency,
+    salvo: ruleset.salvo,
+    seed,
     createdAt: Date.now(),
   });
   persistRoomSnapshot(room);
@@ -1216,7 +1989,14 @@ const replaceRoomPlayerId = (
     return;
   }
 
+  recordMatchEvent(room.roomId, "player_id_replaced", {
+    roomId: room.roomId,
+    from: oldPlayerId,
+    to: newPlayerId,
+    at: Date.now(),
+  });
   const reconnectToken = room.reconnectTokens[oldPlayerId];
+  const accountId = room.accountIds[oldPlayerId];
   const board = room.boards[oldPlayerId];
   const nicknameValue = room.nicknames[oldPlayerId] || nickname || "Gracz";
 
@@ -1233,6 +2013,14 @@ const replaceRoomPlayerId = (
     delete room.reconnectTokens[oldPlayerId];
   }
 
+  if (accountId) {
+    room.accountIds[newPlayerId] = accountId;
+    delete room.accountIds[oldPlayerId];
+  }
+  if (Object.prototype.hasOwnProperty.call(room.ratings, oldPlayerId)) {
+    room.ratings[newPlayerId] = room.ratings[oldPlayerId];
+    delete room.ratings[oldPlayerId];
+  }
   if (board) {
     room.boards[newPlayerId] = board;
     delete room.boards[oldPlayerId];
@@ -1241,10 +2029,28 @@ const replaceRoomPlayerId = (
     room.shotCounters[newPlayerId] = room.shotCounters[oldPlayerId] ?? 0;
     delete room.shotCounters[oldPlayerId];
   }
+  if (Object.prototype.hasOwnProperty.call(room.turnTimeouts, oldPlayerId)) {
+    room.turnTimeouts[newPlayerId] = room.turnTimeouts[oldPlayerId];
+    delete room.turnTimeouts[oldPlayerId];
+  }
+  if (Object.prototype.hasOwnProperty.call(room.timeBanks, oldPlayerId)) {
+    room.timeBanks[newPlayerId] = room.timeBanks[oldPlayerId];
+    delete room.timeBanks[oldPlayerId];
+  }
 
   if (room.readyPlayers.delete(oldPlayerId)) {
     room.readyPlayers.add(newPlayerId);
   }
+  if (room.rematchRequests.delete(oldPlayerId)) {
+    room.rematchRequests.add(newPlayerId);
+  }
+  if (Object.prototype.hasOwnProperty.call(room.seriesWins, oldPlayerId)) {
+    room.seriesWins[newPlayerId] = room.seriesWins[oldPlayerId];
+    delete room.seriesWins[oldPlayerId];
+  }
+  if (room.winner === oldPlayerId) {
+    room.winner = newPlayerId;
+  }
 
   if (room.turn === oldPlayerId) {
     room.turn = newPlayerId;
@@ -1253,6 +2059,8 @@ const replaceRoomPlayerId = (
   delete room.nicknames[oldPlayerId];
   playerRooms.delete(oldPlayerId);
   playerRooms.set(newPlayerId, room.roomId);
+  syncTimeBank(room);
+  syncTurnClock(room);
 };
 
 const reconnectPlayerFromToken = (
@@ -1272,14 +2080,126 @@ const emitGameStatePersisted = async (room: GameRoom): Promise<void> => {
   emitGameState(room);
 };
 
+const botClientName = (playerId: PlayerId): string | undefined => {
+  const name: unknown = io.sockets.sockets.get(playerId)?.data.botClient;
+  return typeof name === "string" ? name : undefined;
+};
+
+const isInReconnectGrace = (room: GameRoom): boolean => Object.keys(room.disconnectedAtByToken).length > 0;
+
+// Bot clients always move against BOT_CLIENT_MOVE_BUDGET_MS, also in games with the built-in bot.
+// Other bot games have no shot clock: a stalling human only delays their own game.
+// A turn that starts inside the reconnect grace window starts with its clock paused.
+const restartTurnClock = (room: GameRoom): void => {
+  const limitMs = botClientName(room.turn) ? BOT_CLIENT_MOVE_BUDGET_MS : room.vsBot ? 0 : TURN_TIME_LIMIT_MS;
+  const active = limitMs > 0 && room.phase === "playing" && !room.over;
+  const paused = active && isInReconnectGrace(room);
+  room.turnDeadline = active && !paused ? Date.now() + limitMs : undefined;
+  room.turnClockPausedMs = paused ? limitMs : undefined;
+};
+
+// Like the time bank, the shot clock stops while anyone is inside the reconnect grace window
+// and resumes with the time that was left. Call it whenever disconnectedAtByToken changes.
+const syncTurnClock = (room: GameRoom): void => {
+  const now = Date.now();
+  if (isInReconnectGrace(room)) {
+    if (room.turnDeadline === undefined) return;
+    room.turnClockPausedMs = Math.max(0, room.turnDeadline - now);
+    room.turnDeadline = undefined;
+    return;
+  }
+  if (room.turnClockPausedMs === undefined) return;
+  room.turnDeadline = room.phase === "playing" && !room.over ? now + room.turnClockPausedMs : undefined;
+  room.turnClockPausedMs = undefined;
+};
+
+const hasTimeBank = (room: GameRoom): boolean =>
+  Object.prototype.hasOwnProperty.call(room.timeBanks, room.turn);
+
+// The bank stops while anyone is inside the reconnect grace window.
+const isTimeBankRunning = (room: GameRoom): boolean =>
+  hasTimeBank(room) && room.phase === "playing" && !room.over && !isInReconnectGrace(room);
+
+const timeBankLeft = (room: GameRoom, playerId: PlayerId, now = Date.now()): number => {
+  const banked = room.timeBanks[playerId] ?? 0;
+  return playerId === room.turn && room.timeBankSince !== undefined
+    ? Math.max(0, banked - (now - room.timeBankSince))
+    : banked;
+};
+
+// Books the running player's elapsed time and starts or pauses the clock to match the room.
+// Call it before room.turn changes, so the time lands on the player who used it.
+const syncTimeBank = (room: GameRoom): void => {
+  const now = Date.now();
+  if (room.timeBankSince !== undefined && hasTimeBank(room)) {
+    room.timeBanks[room.turn] = timeBankLeft(room, room.turn, now);
+  }
+  room.timeBankSince = isTimeBankRunning(room) ? now : undefined;
+};
+
+// Credited per shot fired, so a salvo volley earns one increment for every shot in it.
+const creditTimeBankIncrement = (room: GameRoom, playerId: PlayerId, shots = 1): void => {
+  if (!Object.prototype.hasOwnProperty.call(room.timeBanks, playerId)) return;
+  syncTimeBank(room);
+  room.timeBanks[playerId] += TIME_BANK_INCREMENT_MS * shots;
+};
+
+// Earliest of the shot clock and the running bank, so one countdown covers both.
+const turnClockFields = (room: GameRoom, playerId: PlayerId) => {
+  const now = Date.now();
+  const active = room.phase === "playing" && !room.over;
+  const bankDeadline = active && room.timeBankSince !== undefined ? now + timeBankLeft(room, room.turn, now) : null;
+  const shotDeadline = active ? (room.turnDeadline ?? null) : null;
+  const turnDeadline =
+    bankDeadline === null ? shotDeadline : shotDeadline === null ? bankDeadline : Math.min(bankDeadline, shotDeadline);
+  const opponentId = getOpponentId(room, playerId);
+  return {
+    turnDeadline,
+    turnRemainingMs: turnDeadline === null ? null : Math.max(0, turnDeadline - now),
+    timeBank:
+      hasTimeBank(room) && opponentId
+        ? {
+            yourMs: timeBankLeft(room, playerId, now),
+            opponentMs: timeBankLeft(room, opponentId, now),
+            running: room.timeBankSince !== undefined,
+          }
+        : null,
+  };
+};
+
 const startRoomIfReady = (room: GameRoom) => {
   if (room.phase !== "setup" || room.over) return;
   const participants = allPlayersInRoom(room);
+  if (participants.length < 2) return;
   if (room.readyPlayers.size < participants.length) return;
   room.status = "active";
   room.phase = "playing";
-  room.turn = room.vsBot && room.botId ? participants[0] : participants[Math.floor(Math.random() * participants.length)];
+  room.turn =
+    room.vsBot && room.botId ? participants[0] : participants[randomIndex(randomFrom(room.rng), participants.length)];
   room.lastActionTs = Date.now();
+  room.turnTimeouts = {};
+  room.timeBanks =
+    TIME_BANK_MS > 0 && !room.vsBot
+      ? Object.fromEntries(participants.map((playerId) => [playerId, TIME_BANK_MS]))
+      : {};
+  room.timeBankSince = undefined;
+  restartTurnClock(room);
+  syncTimeBank(room);
+  recordMatchEvent(room.roomId, "game_started", {
+    roomId: room.roomId,
+    game: room.gameNumber,
+    ruleset: { id: room.ruleset.id, adjacency: room.ruleset.adjacency, salvo: room.ruleset.salvo },
+    vsBot: room.vsBot,
+    seed: room.seed,
+    players: participants.map((playerId) => ({
+      id: playerId,
+      accountId: room.accountIds[playerId] ?? null,
+      nickname: room.nicknames[playerId] ?? "Gracz",
+      board: serializeBoard(room.boards[playerId], true),
+    })),
+    firstTurn: room.turn,
+    at: room.lastActionTs,
+  });
   if (room.vsBot && room.botId && room.turn === room.botId) {
     setTimeout(() => runBotTurn(room.roomId), 250);
   }
@@ -1296,29 +2216,67 @@ const getOpponentId = (room: GameRoom, playerId: PlayerId): PlayerId | undefined
   return getOpponentByPlayerId(room, playerId);
 };
 
+const seriesForPlayer = (room: GameRoom, playerId: PlayerId): SeriesScore => {
+  const opponentId = getOpponentId(room, playerId);
+  return {
+    you: room.seriesWins[playerId] ?? 0,
+    opponent: opponentId ? (room.seriesWins[opponentId] ?? 0) : 0,
+  };
+};
+
+const buildBotState = (room: GameRoom, playerId: PlayerId): BotStatePayload => {
+  const opponentId = getOpponentId(room, playerId) ?? room.botId ?? playerId;
+  const targetBoard = room.boards[opponentId];
+  return {
+    v: BOT_STATE_VERSION,
+    roomId: room.roomId,
+    yourId: playerId,
+    opponentId,
+    phase: room.phase,
+    yourTurn: room.turn === playerId && room.phase === "playing" && !room.over,
+    shots: room.ruleset.salvo === "off" ? 1 : salvoShotCount(room.ruleset, room.boards[playerId], targetBoard),
+    deadline: room.turn === playerId ? (room.turnDeadline ?? null) : null,
+    budgetMs: BOT_CLIENT_MOVE_BUDGET_MS,
+    ruleset: room.ruleset,
+    remaining: remainingShipLengths(targetBoard),
+    yourBoard: encodeOwnBoard(room.boards[playerId]),
+    targetBoard: encodeTargetBoard(targetBoard),
+    gameOver: room.over,
+    winner: room.winner ?? null,
+  };
+};
+
 const emitGameState = (room: GameRoom) => {
   const state = (playerId: PlayerId) => {
     const opponentId = getOpponentId(room, playerId) ?? room.botId ?? playerId;
+    const hasOpponent = opponentId !== playerId;
     const youReady = room.readyPlayers.has(playerId);
-    const opponentReady = opponentId ? room.readyPlayers.has(opponentId) : false;
+    const opponentReady = hasOpponent && room.readyPlayers.has(opponentId);
     const { yourShots, opponentShots } = shotCountsForPlayer(room, playerId);
     return {
       roomId: room.roomId,
+      ruleset: room.ruleset,
       vsBot: room.vsBot,
       yourTurn: room.turn === playerId,
       turn: room.turn,
       phase: room.phase,
       yourShots,
       opponentShots,
+      salvoShots: salvoShotCount(room.ruleset, room.boards[playerId], room.boards[opponentId]),
       youReady,
       opponentReady,
       gameOver: room.over,
       winner: room.winner ?? null,
       yourBoard: serializeBoard(room.boards[playerId], true),
       opponentBoard: serializeBoard(room.boards[opponentId], false),
-      opponentName: room.nicknames[opponentId] ?? "Przeciwnik",
+      opponentName: hasOpponent ? (room.nicknames[opponentId] ?? "Przeciwnik") : "Przeciwnik",
       opponentId,
       yourId: playerId,
+      inviteCode: isAwaitingGuest(room) ? room.inviteCode : undefined,
+      series: seriesForPlayer(room, playerId),
+      rematchRequestedBy: [...room.rematchRequests],
+      spectators: room.spectators.size,
+      ...turnClockFields(room, playerId),
     };
   };
 
@@ -1336,11 +2294,41 @@ const emitGameState = (room: GameRoom) => {
       yourShots,
       opponentShots,
       yourTurn: room.turn === playerId,
+      ...turnClockFields(room, playerId),
     });
+    if (botClientName(playerId)) {
+      io.to(playerId).emit("bot:state", buildBotState(room, playerId));
+    }
   }
+  emitSpectatorState(room);
   persistRoomSnapshot(room);
 };
 
+const spectatorChannel = (roomId: string): string => `${roomId}:spectators`;
+
+const buildSpectatorState = (room: GameRoom): SpectatorStatePayload => ({
+  roomId: room.roomId,
+  ruleset: room.ruleset,
+  vsBot: room.vsBot,
+  phase: room.phase,
+  turn: room.turn,
+  gameOver: room.over,
+  winner: room.winner ?? null,
+  players: allPlayersInRoom(room).map((playerId) => ({
+    id: playerId,
+    nickname: room.nicknames[playerId] ?? "Gracz",
+    shots: room.shotCounters[playerId] ?? 0,
+    ready: room.readyPlayers.has(playerId),
+    board: serializeBoard(room.boards[playerId], room.over),
+  })),
+  spectators: room.spectators.size,
+});
+
+const emitSpectatorState = (room: GameRoom): void => {
+  if (room.spectators.size === 0) return;
+  io.to(spectatorChannel(room.roomId)).emit("spectate:state", buildSpectatorState(room));
+};
+
 const emitChatHistoryToPlayer = (room: GameRoom, playerId: PlayerId, replayed: boolean): void => {
   if (room.vsBot) return;
   const payload: ChatHistoryPayload = {
@@ -1351,12 +2339,41 @@ const emitChatHistoryToPlayer = (room: GameRoom, playerId: PlayerId, replayed: b
   io.to(playerId).emit("chat:history", payload);
 };
 
+const stopSpectating = (socket: Socket): void => {
+  const roomId = spectatorRooms.get(socket.id);
+  if (!roomId) return;
+  spectatorRooms.delete(socket.id);
+  void socket.leave(spectatorChannel(roomId));
+  const room = rooms.get(roomId);
+  if (!room) return;
+  room.spectators.delete(socket.id);
+  emitGameState(room);
+};
+
 const resolveOpponentForDisconnect = (
   room: GameRoom,
   playerId: PlayerId,
 ): PlayerId | undefined => getOpponentByPlayerId(room, playerId);
 
+const leaveFinishedRoom = (room: GameRoom, playerId: PlayerId) => {
+  for (const otherId of room.players) {
+    if (otherId === playerId) continue;
+    io.to(otherId).emit("game:error", gameError("rematch_unavailable", { roomId: room.roomId, detail: "opponent_left" }));
+  }
+  removeRoom(room);
+};
+
 const removeRoom = (room: GameRoom) => {
+  releaseInviteCode(room);
+  if (room.spectators.size > 0) {
+    const ended: SpectateEndedPayload = { roomId: room.roomId, ...statusMessage("spectate_ended") };
+    io.to(spectatorChannel(room.roomId)).emit("spectate:ended", ended);
+    io.in(spectatorChannel(room.roomId)).socketsLeave(spectatorChannel(room.roomId));
+    for (const spectatorId of room.spectators) {
+      spectatorRooms.delete(spectatorId);
+    }
+    room.spectators.clear();
+  }
   for (const token of Object.keys(room.tokenToPlayerId)) {
     unregisterRoomToken(token);
     deleteTokenRoomMap(token);
@@ -1390,20 +2407,14 @@ const shotCountsForPlayer = (room: GameRoom, playerId: PlayerId) => {
   };
 };
 
-const reasonMessage = (reason: string) =>
-  reason === "manual_cancel"
-    ? "Gra anulowana przez gracza."
-    : reason === "disconnect"
-      ? "Przeciwnik rozłączył się."
-      : reason === "inactivity_timeout"
-        ? "Gra zakończona z powodu braku aktywności."
-        : "Koniec gry.";
+const reasonStatus = (reason: GameOverReason): StatusMessage => statusMessage(GAME_OVER_STATUS[reason]);
 
 const emitGameOver = (
   room: GameRoom,
   winner: PlayerId | null,
-  reason: "normal" | "manual_cancel" | "disconnect" | "inactivity_timeout",
-  message?: string,
+  reason: GameOverReason,
+  status: StatusMessage = reasonStatus(reason),
+  ratingChanges: Record<PlayerId, RatingChange> = {},
 ) => {
   for (const playerId of room.players) {
     const { yourShots, opponentShots } = shotCountsForPlayer(room, playerId);
@@ -1415,68 +2426,114 @@ const emitGameOver = (
       opponentShots,
       totalShots: yourShots + opponentShots,
       reason,
-      message: message ?? reasonMessage(reason),
+      ...status,
+      rating: ratingChanges[playerId],
     });
   }
 };
 
-const recordNoWinnerSummary = (
-  room: GameRoom,
-  status: "manual_cancel" | "disconnect" | "inactivity_timeout",
-): void => {
-  runtimeServices.telemetry.recordMatchSummary({
+type MatchSummary = Parameters<typeof runtimeServices.telemetry.recordMatchSummary>[0];
+
+// Only matchmade games between two different accounts move ratings; bots and private rooms stay unrated.
+const applyMatchRatings = (room: GameRoom, summary: MatchSummary): Record<PlayerId, RatingChange> => {
+  if (!room.rated || summary.mode !== "online" || !summary.winnerPlayerId) return {};
+  const winner = summary.players.find((player) => player.isWinner);
+  const loser = summary.players.find((player) => !player.isWinner);
+  if (!winner?.accountId || !loser?.accountId || winner.accountId === loser.accountId) return {};
+  const winnerBefore = room.ratings[winner.playerId];
+  const loserBefore = room.ratings[loser.playerId];
+  if (typeof winnerBefore !== "number" || typeof loserBefore !== "number") return {};
+
+  const delta = eloDelta(winnerBefore, loserBefore);
+  room.ratings[winner.playerId] = winnerBefore + delta;
+  room.ratings[loser.playerId] = loserBefore - delta;
+  for (const [accountId, change] of [[winner.accountId, delta], [loser.accountId, -delta]] as const) {
+    runtimeServices.accounts.applyRatingDelta(accountId, change).catch((error) => {
+      const message = error instanceof Error ? error.message : String(error);
+      console.warn(`[accounts] rating update failed: ${message}`);
+    });
+  }
+  recordMatchEvent(room.roomId, "rating_updated", {
     roomId: room.roomId,
-    mode: room.vsBot ? "pva" : "online",
-    status,
-    winnerPlayerId: null,
-    startedAt: room.createdAt,
-    endedAt: Date.now(),
-    players: room.players.map((playerId) => ({
-      playerId,
-      nickname: room.nicknames[playerId] ?? "Gracz",
-      shots: room.shotCounters[playerId] ?? 0,
-      isWinner: false,
-    })),
+    game: room.gameNumber,
+    winner: { playerId: winner.playerId, accountId: winner.accountId, before: winnerBefore, delta },
+    loser: { playerId: loser.playerId, accountId: loser.accountId, before: loserBefore, delta: -delta },
+    at: Date.now(),
+  });
+  return {
+    [winner.playerId]: { before: winnerBefore, after: winnerBefore + delta, delta },
+    [loser.playerId]: { before: loserBefore, after: loserBefore - delta, delta: -delta },
+  };
+};
+
+const summaryPlayer = (room: GameRoom, playerId: PlayerId, isWinner: boolean): MatchSummary["players"][number] => {
+  const targetId = getOpponentId(room, playerId) ?? room.botId;
+  const targetBoard = targetId ? room.boards[targetId] : undefined;
+  const { hits, openingCell } = targetBoard ? boardShotStats(targetBoard) : { hits: 0, openingCell: null };
+  return {
+    playerId,
+    accountId: room.accountIds[playerId] ?? null,
+    nickname: room.nicknames[playerId] ?? "Gracz",
+    shots: room.shotCounters[playerId] ?? 0,
+    hits,
+    openingCell,
+    isWinner,
+  };
+};
+
+const recordNoWinnerSummary = (
+  room: GameRoom,
+  status: "manual_cancel" | "disconnect" | "inactivity_timeout",
+): void => {
+  runtimeServices.telemetry.recordMatchSummary({
+    roomId: room.roomId,
+    mode: room.vsBot ? "pva" : "online",
+    status,
+    winnerPlayerId: null,
+    gameNumber: room.gameNumber,
+    startedAt: room.gameStartedAt,
+    endedAt: Date.now(),
+    players: room.players.map((playerId) => summaryPlayer(room, playerId, false)),
   });
 };
 
 const endGame = (
   room: GameRoom,
   winner: PlayerId,
-  reason: "normal" | "manual_cancel" | "disconnect" | "inactivity_timeout" = "normal",
-  message?: string,
+  reason: Exclude<GameOverReason, "inactivity_timeout"> = "normal",
+  status: StatusMessage = reasonStatus(reason),
 ) => {
   if (room.over || room.status === "ended") return;
   room.over = true;
   room.status = "ended";
   room.phase = "over";
   room.winner = winner;
-  runtimeServices.telemetry.recordMatchSummary({
+  syncTimeBank(room);
+  room.seriesWins[winner] = (room.seriesWins[winner] ?? 0) + 1;
+  const summary: MatchSummary = {
     roomId: room.roomId,
     mode: room.vsBot ? "pva" : "online",
     status: reason,
     winnerPlayerId: winner,
-    startedAt: room.createdAt,
+    gameNumber: room.gameNumber,
+    startedAt: room.gameStartedAt,
     endedAt: Date.now(),
-    players: room.players.map((playerId) => ({
-      playerId,
-      nickname: room.nicknames[playerId] ?? "Gracz",
-      shots: room.shotCounters[playerId] ?? 0,
-      isWinner: playerId === winner,
-    })),
-  });
+    players: room.players.map((playerId) => summaryPlayer(room, playerId, playerId === winner)),
+  };
+  runtimeServices.telemetry.recordMatchSummary(summary);
+  const ratingChanges = applyMatchRatings(room, summary);
   recordMatchEvent(room.roomId, "game_over", {
     roomId: room.roomId,
     winner,
     reason,
-    message: message ?? reasonMessage(reason),
+    message: status.message,
     shotCounters: room.shotCounters,
     finishedAt: Date.now(),
   });
   room.postGameExpiresAt = Date.now() + POST_GAME_CHAT_TTL_MS;
   room.lastActionTs = Date.now();
   emitGameState(room);
-  emitGameOver(room, winner, reason, message);
+  emitGameOver(room, winner, reason, status, ratingChanges);
   persistRoomSnapshot(room);
 };
 
@@ -1485,14 +2542,26 @@ const processQueueTimeoutEntry = (entry: QueueEntry): void => {
   leaveQueue(entry.playerId);
   const socket = io.sockets.sockets.get(entry.playerId);
   if (!socket) return;
-  const room = createRoom([entry.playerId], true, { [entry.playerId]: entry.reconnectToken });
+  const room = createRoom(
+    [entry.playerId],
+    true,
+    { [entry.playerId]: entry.reconnectToken },
+    getRuleset(entry.rulesetId, entry.adjacency, entry.salvo),
+    entry.botDifficulty,
+  );
+  if (entry.accountId) {
+    room.accountIds[entry.playerId] = entry.accountId;
+  }
   socket.join(room.roomId);
   socket.emit("queue:matched", {
     roomId: room.roomId,
+    rulesetId: room.ruleset.id,
+    adjacency: room.ruleset.adjacency,
+    salvo: room.ruleset.salvo,
     opponent: "Bot",
     reconnectToken: room.reconnectTokens[entry.playerId],
     vsBot: true,
-    message: "Timeout kolejki. Gra z botem.",
+    ...statusMessage("queue_timeout_bot"),
     youReady: false,
     opponentReady: true,
   });
@@ -1500,6 +2569,8 @@ const processQueueTimeoutEntry = (entry: QueueEntry): void => {
     roomId: room.roomId,
     playerId: entry.playerId,
     timeoutMs: MATCH_TIMEOUT_EFFECTIVE_MS,
+    botDifficulty: room.botDifficulty,
+    botPlacement: BOT_PLACEMENT_BY_DIFFICULTY[room.botDifficulty],
     at: Date.now(),
   });
   emitGameState(room);
@@ -1521,8 +2592,10 @@ const resolveQueueTimeout = async () => {
 };
 
 const tryMatchmaking = async () => {
-  const redisMatch = runtimeServices.redisQueue.isEnabled ? await runtimeServices.redisQueue.takeMatch() : null;
-  const match = redisMatch ?? takeMatch();
+  const redisMatch = runtimeServices.redisQueue.isEnabled
+    ? await runtimeServices.redisQueue.takeMatch(RATING_WINDOW)
+    : null;
+  const match = redisMatch ?? takeMatch(RATING_WINDOW);
   if (!match) return;
   const [first, second] = match;
   deleteQueueEntry(first.playerId, first.reconnectToken);
@@ -1537,27 +2610,43 @@ const tryMatchmaking = async () => {
       [first.playerId]: first.reconnectToken,
       [second.playerId]: second.reconnectToken,
     },
+    getRuleset(first.rulesetId, first.adjacency, first.salvo),
   );
   io.sockets.sockets.get(first.playerId)?.join(room.roomId);
   io.sockets.sockets.get(second.playerId)?.join(room.roomId);
   room.nicknames[first.playerId] = first.nickname;
   room.nicknames[second.playerId] = second.nickname;
+  room.rated = true;
+  for (const entry of [first, second]) {
+    if (entry.accountId) {
+      room.accountIds[entry.playerId] = entry.accountId;
+    }
+    if (typeof entry.rating === "number") {
+      room.ratings[entry.playerId] = entry.rating;
+    }
+  }
 
   io.to(first.playerId).emit("queue:matched", {
     roomId: room.roomId,
+    rulesetId: room.ruleset.id,
+    adjacency: room.ruleset.adjacency,
+    salvo: room.ruleset.salvo,
     opponent: second.nickname,
     reconnectToken: room.reconnectTokens[first.playerId],
     vsBot: false,
-    message: "Znaleziono przeciwnika.",
+    ...statusMessage("opponent_found"),
     youReady: false,
     opponentReady: false,
   });
   io.to(second.playerId).emit("queue:matched", {
     roomId: room.roomId,
+    rulesetId: room.ruleset.id,
+    adjacency: room.ruleset.adjacency,
+    salvo: room.ruleset.salvo,
     opponent: first.nickname,
     reconnectToken: room.reconnectTokens[second.playerId],
     vsBot: false,
-    message: "Znaleziono przeciwnika.",
+    ...statusMessage("opponent_found"),
     youReady: false,
     opponentReady: false,
   });
@@ -1578,15 +2667,56 @@ const runBotTurn = (roomId: string) => {
   const botId = room.botId;
   if (room.turn !== botId) return;
   const humanId = room.players[0];
-  const state = room.aiState ?? createAiState();
+  const state = room.aiState ?? createBotAiState(room);
   room.aiState = state;
   const board = room.boards[humanId];
+  // Gives the turn back with a fresh clock, so a bot client keeps its move budget against the built-in bot.
+  const passTurnToHuman = () => {
+    room.turn = humanId;
+    restartTurnClock(room);
+    emitGameState(room);
+  };
+  const fireSalvo = () => {
+    if (room.over || room.turn !== botId) return;
+    const volley = nextSalvo(board, state, salvoShotCount(room.ruleset, room.boards[botId], board));
+    const results: SalvoShotResult[] = [];
+    let gameOver = false;
+    for (const shot of volley) {
+      const result = fireShot(board, shot);
+      registerAiShot(board, state, shot, result.outcome);
+      room.shotCounters[botId] = (room.shotCounters[botId] ?? 0) + 1;
+      results.push({ coord: shot, outcome: result.outcome, shipId: result.shipId });
+      if (result.gameOver) {
+        gameOver = true;
+        break;
+      }
+    }
+    room.lastActionTs = Date.now();
+    io.to(humanId).emit("game:salvo_result", {
+      roomId,
+      shooter: botId,
+      results,
+      gameOver,
+    });
+    recordMatchEvent(room.roomId, "salvo_result", {
+      roomId: room.roomId,
+      shooter: botId,
+      target: humanId,
+      results,
+      gameOver,
+      at: Date.now(),
+    });
+    if (gameOver) {
+      endGame(room, botId);
+      return;
+    }
+    passTurnToHuman();
+  };
   const fire = () => {
     if (room.over || room.turn !== botId) return;
     const shot = nextShot(board, state);
     if (shot.row < 0 || shot.col < 0) {
-      room.turn = humanId;
-      emitGameState(room);
+      passTurnToHuman();
       return;
     }
     const result = fireShot(board, shot);
@@ -1618,26 +2748,30 @@ const runBotTurn = (roomId: string) => {
       return;
     }
     if (result.outcome === "miss") {
-      room.turn = humanId;
-      emitGameState(room);
+      passTurnToHuman();
       return;
     }
     emitGameState(room);
     setTimeout(fire, 250);
   };
-  setTimeout(fire, 250);
+  setTimeout(room.ruleset.salvo === "off" ? fire : fireSalvo, 250);
 };
 
 const onSearchJoin = async (socket: Socket, payload: SearchJoinPayload) => {
   if (guardSoftBan(socket)) return;
   await touchSocketPresenceNow(socket.id);
   if (await isRateLimitedByIdentity(socket, "search_join", RATE_LIMITS.JOIN_PER_WINDOW, RATE_LIMITS.JOIN_WINDOW_MS)) {
-    socket.emit("game:error", { message: "Za dużo żądań do kolejki. Spróbuj ponownie za chwilę." });
+    socket.emit("game:error", gameError("rate_limited", { detail: "queue" }));
     return;
   }
+  stopSpectating(socket);
 
-  const nickname = sanitizeNickname(payload.nickname);
+  const nickname = socketNickname(socket, payload.nickname);
+  const requestedRuleset = getRuleset(payload.ruleset, payload.adjacency, payload.salvo);
+  const botDifficulty = payload.botDifficulty ?? DEFAULT_BOT_DIFFICULTY;
   const normalizedToken = normalizeReconnectToken(payload.reconnectToken);
+  const accountId = await resolveSocketAccountId(socket);
+  const rating = accountId ? await accountRating(accountId) : undefined;
   if (
     normalizedToken &&
     await isRateLimitedByIdentity(
@@ -1647,16 +2781,16 @@ const onSearchJoin = async (socket: Socket, payload: SearchJoinPayload) => {
       RATE_LIMITS.JOIN_WINDOW_MS,
     )
   ) {
-    socket.emit("game:error", { message: "Za dużo prób reconnect. Spróbuj ponownie za chwilę." });
+    socket.emit("game:error", gameError("rate_limited", { detail: "reconnect" }));
     return;
   }
-  let reconnectMessage: string | undefined;
+  let reconnectStatus: StatusCode | undefined;
   const existingRoom = getRoomForPlayer(socket.id);
   if (existingRoom) {
     if (existingRoom.over || existingRoom.phase === "over") {
-      removeRoom(existingRoom);
+      leaveFinishedRoom(existingRoom, socket.id);
     } else {
-      socket.emit("game:error", { message: "Jesteś już w grze. Wyjdź do menu przed dołączeniem." });
+      socket.emit("game:error", gameError("already_in_game"));
       return;
     }
   }
@@ -1672,7 +2806,7 @@ const onSearchJoin = async (socket: Socket, payload: SearchJoinPayload) => {
     if (currentPlayerId) {
       delete roomFromReconnect.reconnectTokens[currentPlayerId];
     }
-    reconnectMessage = "Token reconnecta stracił ważność. Tworzę nową kolejkę.";
+    reconnectStatus = "reconnect_token_expired";
     persistRoomSnapshot(roomFromReconnect);
   }
   if (roomFromReconnect && !roomFromReconnect.over) {
@@ -1689,10 +2823,7 @@ const onSearchJoin = async (socket: Socket, payload: SearchJoinPayload) => {
           token: normalizedToken,
           roomId: roomFromReconnect.roomId,
         });
-        socket.emit("game:error", {
-          message: "Token reconnecta jest już używany w aktywnej sesji.",
-          code: "reconnect_token_expired",
-        });
+        socket.emit("game:error", gameError("reconnect_token_expired", { detail: "in_use" }));
         return;
       }
       if (!isReconnectWindowExpired(roomFromReconnect, normalizedToken)) {
@@ -1706,20 +2837,14 @@ const onSearchJoin = async (socket: Socket, payload: SearchJoinPayload) => {
         if (reconnected) {
           socket.join(roomFromReconnect.roomId);
           if (wasDisconnected) {
-            const message = `Przeciwnik wrócił do gry. Gra została wznowiona.`;
             const opponent = getOpponentByPlayerId(roomFromReconnect, currentPlayerId);
             if (opponent && opponent !== roomFromReconnect.botId) {
-              io.to(opponent).emit("game:error", {
-                roomId: roomFromReconnect.roomId,
-                code: "reconnect_restored",
-                message,
-              });
+              io.to(opponent).emit(
+                "game:error",
+                gameError("reconnect_restored", { roomId: roomFromReconnect.roomId, detail: "opponent" }),
+              );
             }
-            io.to(socket.id).emit("game:error", {
-              roomId: roomFromReconnect.roomId,
-              code: "reconnect_restored",
-              message: "Połączenie z grą przywrócone.",
-            });
+            io.to(socket.id).emit("game:error", gameError("reconnect_restored", { roomId: roomFromReconnect.roomId }));
           }
           deleteParkedQueueEntry(normalizedToken);
           deleteQueueEntry(socket.id, normalizedToken);
@@ -1735,7 +2860,7 @@ const onSearchJoin = async (socket: Socket, payload: SearchJoinPayload) => {
           }
           return;
         }
-        reconnectMessage = "Token reconnecta jest nieaktualny.";
+        reconnectStatus = "reconnect_token_stale";
       } else {
         unregisterRoomToken(normalizedToken);
         deleteTokenRoomMap(normalizedToken);
@@ -1744,7 +2869,9 @@ const onSearchJoin = async (socket: Socket, payload: SearchJoinPayload) => {
         delete roomFromReconnect.disconnectedAtByToken[normalizedToken];
         delete roomFromReconnect.tokenToPlayerId[normalizedToken];
         delete roomFromReconnect.reconnectTokens[currentPlayerId];
-        reconnectMessage = "Token reconnecta stracił ważność. Tworzę nową kolejkę.";
+        syncTimeBank(roomFromReconnect);
+        syncTurnClock(roomFromReconnect);
+        reconnectStatus = "reconnect_token_expired";
       }
     }
   }
@@ -1759,10 +2886,16 @@ const onSearchJoin = async (socket: Socket, payload: SearchJoinPayload) => {
         recoveredParked.nickname || nickname,
         recoveredParked.joinedAt,
         recoveredParked.reconnectToken,
+        recoveredParked.rulesetId,
+        recoveredParked.adjacency,
+        recoveredParked.salvo,
+        accountId,
+        rating,
+        recoveredParked.botDifficulty,
       );
       await persistQueueEntryNow(queued);
       deleteParkedQueueEntry(recoveredParked.reconnectToken);
-      reconnectMessage = reconnectMessage ?? "Odzyskano połączenie z kolejką.";
+      reconnectStatus = reconnectStatus ?? "queue_restored";
     } else {
       const activeQueueEntry = await getActiveQueueEntryForToken(normalizedToken);
       if (activeQueueEntry) {
@@ -1778,9 +2911,15 @@ const onSearchJoin = async (socket: Socket, payload: SearchJoinPayload) => {
             activeQueueEntry.nickname || nickname,
             activeQueueEntry.joinedAt,
             activeQueueEntry.reconnectToken,
+            activeQueueEntry.rulesetId,
+            activeQueueEntry.adjacency,
+            activeQueueEntry.salvo,
+            accountId,
+            rating,
+            activeQueueEntry.botDifficulty,
           );
           await persistQueueEntryNow(queued);
-          reconnectMessage = reconnectMessage ?? "Odzyskano połączenie z kolejką.";
+          reconnectStatus = reconnectStatus ?? "queue_restored";
         } else {
           recordSecurityEvent("queue_token_active_conflict", {
             socketId: socket.id,
@@ -1789,10 +2928,7 @@ const onSearchJoin = async (socket: Socket, payload: SearchJoinPayload) => {
             queuePlayerId: activeQueueEntry.playerId,
             at: Date.now(),
           });
-          socket.emit("game:error", {
-            message: "Token reconnecta jest już używany w aktywnej sesji.",
-            code: "reconnect_token_expired",
-          });
+          socket.emit("game:error", gameError("reconnect_token_expired", { detail: "in_use" }));
           return;
         }
       }
@@ -1800,6 +2936,12 @@ const onSearchJoin = async (socket: Socket, payload: SearchJoinPayload) => {
   }
   if (queued && !normalizedToken) {
     queued.nickname = nickname;
+    queued.rulesetId = requestedRuleset.id;
+    queued.adjacency = requestedRuleset.adjacency;
+    queued.salvo = requestedRuleset.salvo;
+    queued.accountId = accountId;
+    queued.rating = rating;
+    queued.botDifficulty = botDifficulty;
     await persistQueueEntryNow(queued);
     socket.emit("queue:queued", {
       playerId: socket.id,
@@ -1811,38 +2953,215 @@ const onSearchJoin = async (socket: Socket, payload: SearchJoinPayload) => {
     return;
   }
 
-  const entry = joinQueue(socket.id, nickname, Date.now(), normalizedToken);
+  const entry = joinQueue(
+    socket.id,
+    nickname,
+    Date.now(),
+    normalizedToken,
+    requestedRuleset.id,
+    requestedRuleset.adjacency,
+    requestedRuleset.salvo,
+    accountId,
+    rating,
+    botDifficulty,
+  );
   await persistQueueEntryNow(entry);
   const wasRecovered = Boolean(normalizedToken && entry.reconnectToken === normalizedToken);
+  const queuedStatus: StatusCode | undefined = wasRecovered
+    ? "session_restored"
+    : reconnectStatus ?? (normalizedToken ? "reconnect_token_unknown" : undefined);
   socket.emit("queue:queued", {
     playerId: socket.id,
     joinedAt: entry.joinedAt,
     timeoutMs: MATCH_TIMEOUT_EFFECTIVE_MS,
     reconnectToken: entry.reconnectToken,
     recovered: wasRecovered,
-    message: wasRecovered
-      ? "Odzyskano token sesji."
-      : reconnectMessage
-        ? reconnectMessage
-      : normalizedToken
-        ? "Nie znaleziono aktywnej gry ani kolejki z tym tokenem. Tworzę nową kolejkę."
-        : undefined,
+    ...(queuedStatus ? statusMessage(queuedStatus) : {}),
   });
   await tryMatchmaking();
 };
 
+const canEnterPrivateRoom = async (socket: Socket): Promise<boolean> => {
+  const existingRoom = getRoomForPlayer(socket.id);
+  if (existingRoom) {
+    if (existingRoom.over || existingRoom.phase === "over") {
+      leaveFinishedRoom(existingRoom, socket.id);
+    } else {
+      socket.emit("game:error", gameError("already_in_game"));
+      return false;
+    }
+  }
+  if (await getQueueEntryForPlayerId(socket.id)) {
+    socket.emit("game:error", gameError("already_queued"));
+    return false;
+  }
+  stopSpectating(socket);
+  return true;
+};
+
+const spectateUnavailable = (socket: Socket, detail?: string): void => {
+  socket.emit("game:error", gameError("spectate_unavailable", { detail }));
+};
+
+const onSpectateJoin = async (socket: Socket, payload: SpectateJoinPayload) => {
+  if (guardSoftBan(socket)) return;
+  if (await isRateLimitedByIdentity(socket, "search_join", RATE_LIMITS.JOIN_PER_WINDOW, RATE_LIMITS.JOIN_WINDOW_MS)) {
+    socket.emit("game:error", gameError("rate_limited", { detail: "queue" }));
+    return;
+  }
+  const roomId = payload.code ? inviteCodes.get(payload.code) : payload.roomId;
+  const room = roomId ? (rooms.get(roomId) ?? (await hydrateRoomFromRedisOnce(roomId))) : null;
+  if (!room) {
+    spectateUnavailable(socket);
+    return;
+  }
+  if (room.players.includes(socket.id)) {
+    spectateUnavailable(socket, "own_game");
+    return;
+  }
+  const ownRoom = getRoomForPlayer(socket.id);
+  if ((ownRoom && !ownRoom.over) || (await getQueueEntryForPlayerId(socket.id))) {
+    spectateUnavailable(socket, "in_game");
+    return;
+  }
+  if (spectatorRooms.get(socket.id) === room.roomId) {
+    socket.emit("spectate:state", buildSpectatorState(room));
+    return;
+  }
+  if (room.spectators.size >= MAX_SPECTATORS_PER_ROOM) {
+    spectateUnavailable(socket, "full");
+    return;
+  }
+  stopSpectating(socket);
+  room.spectators.add(socket.id);
+  spectatorRooms.set(socket.id, room.roomId);
+  socket.join(spectatorChannel(room.roomId));
+  recordMatchEvent(room.roomId, "spectator_joined", {
+    roomId: room.roomId,
+    spectatorId: socket.id,
+    at: Date.now(),
+  });
+  emitGameState(room);
+  emitChatHistoryToPlayer(room, socket.id, false);
+};
+
+const onSpectateLeave = (socket: Socket) => {
+  stopSpectating(socket);
+};
+
+const onRoomCreate = async (socket: Socket, payload: RoomCreatePayload) => {
+  if (guardSoftBan(socket)) return;
+  await touchSocketPresenceNow(socket.id);
+  if (await isRateLimitedByIdentity(socket, "search_join", RATE_LIMITS.JOIN_PER_WINDOW, RATE_LIMITS.JOIN_WINDOW_MS)) {
+    socket.emit("game:error", gameError("rate_limited", { detail: "queue" }));
+    return;
+  }
+  if (!(await canEnterPrivateRoom(socket))) return;
+  const accountId = await resolveSocketAccountId(socket);
+
+  const room = createRoom(
+    [socket.id],
+    false,
+    { [socket.id]: normalizeReconnectToken(payload.reconnectToken) },
+    getRuleset(payload.ruleset, payload.adjacency, payload.salvo),
+  );
+  room.nicknames[socket.id] = socketNickname(socket, payload.nickname);
+  if (accountId) {
+    room.accountIds[socket.id] = accountId;
+  }
+  room.inviteCode = makeInviteCode();
+  inviteCodes.set(room.inviteCode, room.roomId);
+  socket.join(room.roomId);
+  const created: RoomCreatedPayload = {
+    roomId: room.roomId,
+    code: room.inviteCode,
+    reconnectToken: room.reconnectTokens[socket.id],
+    rulesetId: room.ruleset.id,
+    adjacency: room.ruleset.adjacency,
+    salvo: room.ruleset.salvo,
+    expiresAt: room.createdAt + PRIVATE_ROOM_TTL_MS,
+  };
+  socket.emit("room:created", created);
+  recordMatchEvent(room.roomId, "private_room_created", {
+    roomId: room.roomId,
+    playerId: socket.id,
+    at: Date.now(),
+  });
+  await emitGameStatePersisted(room);
+};
+
+const onRoomJoin = async (socket: Socket, payload: RoomJoinPayload) => {
+  if (guardSoftBan(socket)) return;
+  await touchSocketPresenceNow(socket.id);
+  if (await isRateLimitedByIdentity(socket, "search_join", RATE_LIMITS.JOIN_PER_WINDOW, RATE_LIMITS.JOIN_WINDOW_MS)) {
+    socket.emit("game:error", gameError("rate_limited", { detail: "queue" }));
+    return;
+  }
+  const roomId = inviteCodes.get(payload.code);
+  const room = roomId ? rooms.get(roomId) : undefined;
+  if (!room || room.over || room.players.length !== 1) {
+    socket.emit("game:error", gameError("room_not_found"));
+    return;
+  }
+  const hostId = room.players[0];
+  const accountId = await resolveSocketAccountId(socket);
+  if (hostId === socket.id || (accountId && room.accountIds[hostId] === accountId)) {
+    socket.emit("game:error", gameError("own_room"));
+    return;
+  }
+  if (!(await canEnterPrivateRoom(socket))) return;
+
+  const guestId = socket.id;
+  const reconnectToken = resolveReconnectToken(normalizeReconnectToken(payload.reconnectToken));
+  room.players.push(guestId);
+  room.nicknames[guestId] = socketNickname(socket, payload.nickname);
+  if (accountId) {
+    room.accountIds[guestId] = accountId;
+  }
+  placeRoomFleets(room, [guestId]);
+  room.reconnectTokens[guestId] = reconnectToken;
+  room.tokenToPlayerId[reconnectToken] = guestId;
+  registerRoomToken(reconnectToken, room.roomId);
+  persistTokenRoomMap(reconnectToken, room.roomId);
+  playerRooms.set(guestId, room.roomId);
+  room.lastActionTs = Date.now();
+  socket.join(room.roomId);
+
+  for (const [playerId, opponentId] of [[hostId, guestId], [guestId, hostId]]) {
+    io.to(playerId).emit("queue:matched", {
+      roomId: room.roomId,
+      rulesetId: room.ruleset.id,
+      adjacency: room.ruleset.adjacency,
+      salvo: room.ruleset.salvo,
+      opponent: room.nicknames[opponentId],
+      reconnectToken: room.reconnectTokens[playerId],
+      vsBot: false,
+      ...statusMessage("private_room_joined"),
+      youReady: room.readyPlayers.has(playerId),
+      opponentReady: room.readyPlayers.has(opponentId),
+    });
+    emitChatHistoryToPlayer(room, playerId, false);
+  }
+  recordMatchEvent(room.roomId, "private_room_joined", {
+    roomId: room.roomId,
+    players: [hostId, guestId],
+    at: Date.now(),
+  });
+  await emitGameStatePersisted(room);
+};
+
 const onSearchCancel = async (socket: Socket, _payload: SearchCancelPayload) => {
   if (guardSoftBan(socket)) return;
   if (await isRateLimitedByIdentity(socket, "search_cancel", RATE_LIMITS.SEARCH_CANCEL_PER_WINDOW, RATE_LIMITS.JOIN_WINDOW_MS)) {
-    socket.emit("game:error", { message: "Za dużo żądań anulowania. Spróbuj ponownie za chwilę." });
+    socket.emit("game:error", gameError("rate_limited", { detail: "cancel" }));
     return;
   }
   const room = getRoomForPlayer(socket.id);
   if (room && room.over) {
-    socket.emit("game:error", { message: "Brak aktywnej gry." });
+    socket.emit("game:error", gameError("no_active_game"));
     socket.emit("game:cancelled", {
       reason: "search_cancelled",
-      message: "Brak aktywnej gry.",
+      ...statusMessage("no_active_game"),
     });
     return;
   }
@@ -1858,13 +3177,13 @@ const onSearchCancel = async (socket: Socket, _payload: SearchCancelPayload) =>
     const payload: GameCancelledPayload = {
       roomId: getRoomForPlayer(socket.id)?.roomId,
       reason: "queue_cancelled",
-      message: "Anulowano oczekiwanie w kolejce.",
+      ...statusMessage("queue_cancelled"),
     };
     socket.emit("game:cancelled", payload);
   } else {
     socket.emit("game:cancelled", {
       reason: "search_cancelled",
-      message: "Brak aktywnego oczekiwania w kolejce.",
+      ...statusMessage("no_active_queue"),
     });
   }
 };
@@ -1874,37 +3193,37 @@ const onGamePlaceShips = async (socket: Socket, payload: GamePlaceShipsPayload)
   const room = getRoomForPlayer(socket.id);
   if (!room || room.over) return;
   if (await isRateLimitedByIdentity(socket, "game_place_ships", RATE_LIMITS.PLACE_SHIPS_PER_WINDOW, RATE_LIMITS.PLACE_SHIPS_WINDOW_MS)) {
-    socket.emit("game:error", { message: "Zbyt wiele ustawień statków. Poczekaj chwilę." });
+    socket.emit("game:error", gameError("rate_limited", { detail: "placement" }));
     return;
   }
   if (payload.roomId !== undefined) {
     const requestedRoomId = normalizeRoomId(payload.roomId);
     if (!requestedRoomId || requestedRoomId !== room.roomId) {
-      socket.emit("game:error", { message: "Nieprawidłowy pokój." });
+      socket.emit("game:error", gameError("invalid_room"));
       return;
     }
   }
   if (normalizeRoomId(room.roomId) !== room.roomId) {
-    socket.emit("game:error", { message: "Nieprawidłowy pokój." });
+    socket.emit("game:error", gameError("invalid_room"));
     return;
   }
   if (room.phase !== "setup") {
-    socket.emit("game:error", { message: "Pozycjonowanie statków jest niedostępne podczas gry." });
+    socket.emit("game:error", gameError("placement_locked"));
     return;
   }
   if (!payload?.board) {
-    socket.emit("game:error", { message: "Brak planszy w danych." });
+    socket.emit("game:error", gameError("missing_board"));
     return;
   }
   let parsed: BoardModel;
   try {
-    parsed = normalizeBoardFromClient(payload.board);
+    parsed = normalizeBoardFromClient(payload.board, room.ruleset);
   } catch {
-    socket.emit("game:error", { message: "Nieprawidłowe dane ustawienia statków." });
+    socket.emit("game:error", gameError("invalid_payload", { detail: "placement" }));
     return;
   }
-  if (!validateFleet(parsed)) {
-    socket.emit("game:error", { message: "Nieprawidłowe ustawienie statków." });
+  if (!validateFleet(parsed, room.ruleset)) {
+    socket.emit("game:error", gameError("invalid_placement"));
     return;
   }
   room.boards[socket.id] = parsed;
@@ -1914,65 +3233,87 @@ const onGamePlaceShips = async (socket: Socket, payload: GamePlaceShipsPayload)
   await emitGameStatePersisted(room);
 };
 
-const onGameShot = async (socket: Socket, payload: GameShotPayload) => {
-  if (guardSoftBan(socket)) return;
-  if (await isRateLimitedByIdentity(socket, "game_shot", RATE_LIMITS.SHOT_PER_WINDOW, RATE_LIMITS.SHOT_WINDOW_MS)) {
-    socket.emit("game:error", { message: "Zbyt wiele strzałów. Poczekaj chwilę." });
-    return;
-  }
+const resolveShotTarget = (
+  socket: Socket,
+  requestedRoomId?: string,
+): { room: GameRoom; targetId: PlayerId } | null => {
   const room = getRoomForPlayer(socket.id);
   if (!room || room.over) {
-    socket.emit("game:error", { message: "Brak aktywnej gry." });
-    return;
+    socket.emit("game:error", gameError("no_active_game"));
+    return null;
   }
-  if (payload.roomId !== undefined) {
-    const requestedRoomId = normalizeRoomId(payload.roomId);
-    if (!requestedRoomId || requestedRoomId !== room.roomId) {
-      socket.emit("game:error", { message: "Nieprawidłowe id pokoju." });
-      return;
+  if (requestedRoomId !== undefined) {
+    const normalizedRoomId = normalizeRoomId(requestedRoomId);
+    if (!normalizedRoomId || normalizedRoomId !== room.roomId) {
+      socket.emit("game:error", gameError("invalid_room_id"));
+      return null;
     }
   }
   if (!normalizeRoomId(room.roomId)) {
-    socket.emit("game:error", { message: "Nieprawidłowe id pokoju." });
-    return;
+    socket.emit("game:error", gameError("invalid_room_id"));
+    return null;
   }
   if (room.turn !== socket.id) {
-    socket.emit("game:error", { message: "Nie jest Twoja tura." });
-    return;
+    socket.emit("game:error", gameError("not_your_turn"));
+    return null;
   }
   if (room.vsBot && room.botId && room.turn === room.botId) {
-    socket.emit("game:error", { message: "Tura bota." });
-    return;
+    socket.emit("game:error", gameError("bot_turn"));
+    return null;
   }
   const targetId = getOpponentId(room, socket.id);
   if (!targetId) {
-    socket.emit("game:error", { message: "Brak celu strzału." });
+    socket.emit("game:error", gameError("no_target"));
+    return null;
+  }
+  return { room, targetId };
+};
+
+const onGameShot = async (socket: Socket, payload: GameShotPayload) => {
+  if (guardSoftBan(socket)) return;
+  if (await isRateLimitedByIdentity(socket, "game_shot", RATE_LIMITS.SHOT_PER_WINDOW, RATE_LIMITS.SHOT_WINDOW_MS)) {
+    socket.emit("game:error", gameError("rate_limited", { detail: "shot" }));
     return;
   }
-  const coord = parseCoord(payload.coord);
+  const target = resolveShotTarget(socket, payload.roomId);
+  if (!target) return;
+  const { room, targetId } = target;
+  const coord = parseCoord(payload.coord, room.ruleset);
   if (!coord) {
-    socket.emit("game:error", { message: "Błędne współrzędne." });
+    socket.emit("game:error", gameError("invalid_coordinates"));
     return;
   }
   if (room.phase !== "playing") {
-    socket.emit("game:error", { message: "Rozpocznij po ustawieniu wszystkich statków." });
+    socket.emit("game:error", gameError("fleet_not_ready"));
+    return;
+  }
+  if (room.ruleset.salvo !== "off") {
+    socket.emit("game:error", gameError("salvo_required"));
     return;
   }
+  const result = await resolveShot(room, socket.id, targetId, coord);
+  if (result.outcome === "already_shot" || result.outcome === "invalid") {
+    socket.emit("game:error", gameError(result.outcome === "already_shot" ? "already_shot" : "invalid_target"));
+  }
+};
+
+// Fires one shot for shooterId and moves the game on; already_shot/invalid results change nothing.
+const resolveShot = async (
+  room: GameRoom,
+  shooterId: PlayerId,
+  targetId: PlayerId,
+  coord: Coord,
+): Promise<ShotResult> => {
   const result = fireShot(room.boards[targetId], coord);
   if (result.outcome === "already_shot" || result.outcome === "invalid") {
-    socket.emit("game:error", {
-      message:
-        result.outcome === "already_shot"
-          ? "To pole zostało już trafione."
-          : "Niewłaściwe pole.",
-    });
-    return;
+    return result;
   }
-  room.shotCounters[socket.id] = (room.shotCounters[socket.id] ?? 0) + 1;
+  room.shotCounters[shooterId] = (room.shotCounters[shooterId] ?? 0) + 1;
   room.lastActionTs = Date.now();
+  creditTimeBankIncrement(room, shooterId);
   io.to(room.roomId).emit("game:shot_result", {
     roomId: room.roomId,
-    shooter: socket.id,
+    shooter: shooterId,
     coord,
     outcome: result.outcome,
     shipId: result.shipId,
@@ -1980,7 +3321,7 @@ const onGameShot = async (socket: Socket, payload: GameShotPayload) => {
   });
   recordMatchEvent(room.roomId, "shot_result", {
     roomId: room.roomId,
-    shooter: socket.id,
+    shooter: shooterId,
     target: targetId,
     coord,
     outcome: result.outcome,
@@ -1990,52 +3331,132 @@ const onGameShot = async (socket: Socket, payload: GameShotPayload) => {
   });
   if (result.outcome === "miss") {
     room.turn = targetId;
+    restartTurnClock(room);
     await emitGameStatePersisted(room);
     if (room.vsBot && room.turn === room.botId) {
       runBotTurn(room.roomId);
     }
-    return;
+    return result;
   }
   if (result.gameOver) {
-    endGame(room, socket.id);
+    endGame(room, shooterId);
+    return result;
+  }
+  restartTurnClock(room);
+  await emitGameStatePersisted(room);
+  return result;
+};
+
+const onGameSalvo = async (socket: Socket, payload: GameSalvoPayload) => {
+  if (guardSoftBan(socket)) return;
+  if (await isRateLimitedByIdentity(socket, "game_shot", RATE_LIMITS.SHOT_PER_WINDOW, RATE_LIMITS.SHOT_WINDOW_MS)) {
+    socket.emit("game:error", gameError("rate_limited", { detail: "shot" }));
+    return;
+  }
+  const target = resolveShotTarget(socket, payload.roomId);
+  if (!target) return;
+  const { room, targetId } = target;
+  if (room.phase !== "playing") {
+    socket.emit("game:error", gameError("fleet_not_ready"));
+    return;
+  }
+  if (room.ruleset.salvo === "off") {
+    socket.emit("game:error", gameError("salvo_disabled"));
+    return;
+  }
+  const targetBoard = room.boards[targetId];
+  const expected = salvoShotCount(room.ruleset, room.boards[socket.id], targetBoard);
+  if (payload.coords.length !== expected) {
+    socket.emit("game:error", gameError("salvo_size", { params: { expected } }));
     return;
   }
+  const coords: Coord[] = [];
+  const seen = new Set<string>();
+  for (const value of payload.coords) {
+    const coord = parseCoord(value, room.ruleset);
+    if (!coord) {
+      socket.emit("game:error", gameError("invalid_coordinates"));
+      return;
+    }
+    const key = coordToKey(coord);
+    if (seen.has(key) || targetBoard.shots.has(key)) {
+      socket.emit("game:error", gameError("already_shot"));
+      return;
+    }
+    seen.add(key);
+    coords.push(coord);
+  }
+  await resolveSalvo(room, socket.id, targetId, coords);
+};
+
+// Fires an already validated volley (distinct, unshot cells) and passes the turn.
+const resolveSalvo = async (
+  room: GameRoom,
+  shooterId: PlayerId,
+  targetId: PlayerId,
+  coords: Coord[],
+): Promise<void> => {
+  const targetBoard = room.boards[targetId];
+  const results: SalvoShotResult[] = [];
+  let gameOver = false;
+  for (const coord of coords) {
+    const result = fireShot(targetBoard, coord);
+    room.shotCounters[shooterId] = (room.shotCounters[shooterId] ?? 0) + 1;
+    results.push({ coord, outcome: result.outcome, shipId: result.shipId });
+    if (result.gameOver) {
+      gameOver = true;
+      break;
+    }
+  }
+  room.lastActionTs = Date.now();
+  creditTimeBankIncrement(room, shooterId, results.length);
+  io.to(room.roomId).emit("game:salvo_result", {
+    roomId: room.roomId,
+    shooter: shooterId,
+    results,
+    gameOver,
+  });
+  recordMatchEvent(room.roomId, "salvo_result", {
+    roomId: room.roomId,
+    shooter: shooterId,
+    target: targetId,
+    results,
+    gameOver,
+    at: Date.now(),
+  });
+  if (gameOver) {
+    endGame(room, shooterId);
+    return;
+  }
+  room.turn = targetId;
+  restartTurnClock(room);
   await emitGameStatePersisted(room);
+  if (room.vsBot && room.turn === room.botId) {
+    runBotTurn(room.roomId);
+  }
 };
 
 const onChatSend = async (socket: Socket, payload: ChatSendPayload) => {
   if (guardSoftBan(socket)) return;
   if (await isRateLimitedByIdentity(socket, "chat_send", RATE_LIMITS.CHAT_PER_WINDOW, RATE_LIMITS.CHAT_WINDOW_MS)) {
-    socket.emit("game:error", {
-      code: "chat_rate_limited",
-      message: "Za dużo wiadomości czatu. Spróbuj ponownie za chwilę.",
-    });
+    socket.emit("game:error", gameError("chat_rate_limited"));
     return;
   }
 
   const room = getRoomForPlayer(socket.id);
   if (!room || room.vsBot || room.status === "cancelled") {
-    socket.emit("game:error", {
-      code: "chat_not_allowed",
-      message: "Czat jest dostępny tylko w meczu online PvP.",
-    });
+    socket.emit("game:error", gameError("chat_not_allowed", { detail: "online_only" }));
     return;
   }
   if (payload.roomId !== undefined) {
     const requestedRoomId = normalizeRoomId(payload.roomId);
     if (!requestedRoomId || requestedRoomId !== room.roomId) {
-      socket.emit("game:error", {
-        code: "chat_room_mismatch",
-        message: "Nieprawidłowy pokój czatu.",
-      });
+      socket.emit("game:error", gameError("chat_room_mismatch"));
       return;
     }
   }
   if (!(room.phase === "setup" || room.phase === "playing" || room.phase === "over")) {
-    socket.emit("game:error", {
-      code: "chat_not_allowed",
-      message: "Czat jest niedostępny w tym etapie gry.",
-    });
+    socket.emit("game:error", gameError("chat_not_allowed"));
     return;
   }
 
@@ -2044,7 +3465,7 @@ const onChatSend = async (socket: Socket, payload: ChatSendPayload) => {
   let antiSpamFingerprint: string = payload.kind;
   if (payload.kind === "text") {
     const textPayload = payload.text ?? "";
-    const { cleaned, fingerprint, hadUnsafeChars } = normalizeChatText(textPayload);
+    const { cleaned, fingerprint, hadUnsafeChars, hadBlockedWords } = normalizeChatText(textPayload);
     if (cleaned.length === 0) {
       noteInvalidInput(socket);
       if (hadUnsafeChars) {
@@ -2054,12 +3475,7 @@ const onChatSend = async (socket: Socket, payload: ChatSendPayload) => {
           at: now,
         });
       }
-      socket.emit("game:error", {
-        code: "chat_invalid_payload",
-        message: hadUnsafeChars
-          ? "Wiadomość zawiera niedozwolone znaki sterujące."
-          : "Wiadomość jest pusta po normalizacji.",
-      });
+      socket.emit("game:error", gameError("chat_invalid_payload", { detail: hadUnsafeChars ? "control_chars" : "empty" }));
       return;
     }
     if (CHAT_BLOCK_LINKS && hasBlockedChatLink(cleaned)) {
@@ -2069,12 +3485,16 @@ const onChatSend = async (socket: Socket, payload: ChatSendPayload) => {
         senderId: socket.id,
         at: now,
       });
-      socket.emit("game:error", {
-        code: "chat_invalid_payload",
-        message: "Wiadomość zawiera niedozwolony link.",
-      });
+      socket.emit("game:error", gameError("chat_invalid_payload", { detail: "link" }));
       return;
     }
+    if (hadBlockedWords) {
+      recordSecurityEvent("chat_filtered_words", {
+        roomId: room.roomId,
+        senderId: socket.id,
+        at: now,
+      });
+    }
     normalizedText = cleaned;
     antiSpamFingerprint = `text:${fingerprint || cleaned.toLowerCase()}`;
   } else if (payload.kind === "emoji") {
@@ -2091,10 +3511,7 @@ const onChatSend = async (socket: Socket, payload: ChatSendPayload) => {
       at: now,
       minIntervalMs: CHAT_MIN_INTERVAL_MS,
     });
-    socket.emit("game:error", {
-      code: "chat_rate_limited",
-      message: "Wysyłasz wiadomości zbyt szybko. Spróbuj ponownie za chwilę.",
-    });
+    socket.emit("game:error", gameError("chat_rate_limited", { detail: "too_fast" }));
     return;
   }
   if (spamReason === "duplicate") {
@@ -2105,10 +3522,7 @@ const onChatSend = async (socket: Socket, payload: ChatSendPayload) => {
       windowMs: CHAT_DUPLICATE_WINDOW_MS,
       maxSimilar: CHAT_MAX_SIMILAR_IN_WINDOW,
     });
-    socket.emit("game:error", {
-      code: "chat_rate_limited",
-      message: "Wiadomość jest zbyt podobna do poprzednich. Spróbuj ponownie za chwilę.",
-    });
+    socket.emit("game:error", gameError("chat_rate_limited", { detail: "duplicate" }));
     return;
   }
 
@@ -2133,7 +3547,7 @@ const onChatSend = async (socket: Socket, payload: ChatSendPayload) => {
     roomId: room.roomId,
     message,
   };
-  io.to(room.roomId).emit("chat:message", outgoing);
+  io.to(room.roomId).to(spectatorChannel(room.roomId)).emit("chat:message", outgoing);
   recordMatchEvent(room.roomId, "chat_message", {
     roomId: room.roomId,
     senderId: socket.id,
@@ -2144,10 +3558,91 @@ const onChatSend = async (socket: Socket, payload: ChatSendPayload) => {
   persistRoomSnapshot(room);
 };
 
+const onChatReport = async (socket: Socket, payload: ChatReportPayload) => {
+  if (guardSoftBan(socket)) return;
+  if (
+    await isRateLimitedByIdentity(
+      socket,
+      "chat_report",
+      RATE_LIMITS.CHAT_REPORT_PER_WINDOW,
+      RATE_LIMITS.CHAT_REPORT_WINDOW_MS,
+    )
+  ) {
+    socket.emit("game:error", gameError("chat_rate_limited"));
+    return;
+  }
+
+  const room = getRoomForPlayer(socket.id);
+  if (!room || room.vsBot) {
+    socket.emit("game:error", gameError("chat_not_allowed", { detail: "online_only" }));
+    return;
+  }
+  if (payload.roomId !== undefined) {
+    const requestedRoomId = normalizeRoomId(payload.roomId);
+    if (!requestedRoomId || requestedRoomId !== room.roomId) {
+      socket.emit("game:error", gameError("chat_room_mismatch"));
+      return;
+    }
+  }
+  const index = room.chatMessages.findIndex((entry) => entry.id === payload.messageId);
+  const message = index >= 0 ? room.chatMessages[index] : undefined;
+  if (!message || message.kind === "system") {
+    socket.emit("game:error", gameError("chat_report_invalid", { detail: "not_found" }));
+    return;
+  }
+  if (message.senderId === socket.id) {
+    socket.emit("game:error", gameError("chat_report_invalid", { detail: "own_message" }));
+    return;
+  }
+
+  const now = Date.now();
+  const offender = io.sockets.sockets.get(message.senderId);
+  const offenderIp = offender ? socketIpAddress(offender) : undefined;
+  const state = getChatReportState(offenderIp ? `ip:${offenderIp}` : `socket:${message.senderId}`, now);
+  if (state.messageIds.has(message.id)) {
+    socket.emit("game:error", gameError("chat_report_invalid", { detail: "duplicate" }));
+    return;
+  }
+  state.messageIds.add(message.id);
+  const reporterIp = socketIpAddress(socket);
+  state.reporters.set(reporterIp, now);
+  pruneChatReporters(state, now);
+
+  const contextStart = Math.max(0, index - CHAT_REPORT_CONTEXT_MESSAGES);
+  recordSecurityEvent("chat_report", {
+    roomId: room.roomId,
+    socketId: message.senderId,
+    ip: offenderIp,
+    reporterId: socket.id,
+    reporterIp,
+    reason: payload.reason,
+    message,
+    context: room.chatMessages.slice(contextStart, index + CHAT_REPORT_CONTEXT_MESSAGES + 1),
+    at: now,
+  });
+  const reported: ChatReportedPayload = {
+    roomId: room.roomId,
+    messageId: message.id,
+    ...statusMessage("chat_report_received"),
+  };
+  socket.emit("chat:reported", reported);
+
+  if (offender && state.reporters.size >= CHAT_REPORT_SOFT_BAN_REPORTERS) {
+    const bannedUntil = softBanForChatReports(offender, now);
+    recordSecurityEvent("chat_report_soft_ban_activated", {
+      socketId: offender.id,
+      ip: offenderIp,
+      reporters: state.reporters.size,
+      bannedUntil,
+    });
+    state.reporters.clear();
+  }
+};
+
 const onGameCancel = async (socket: Socket, _payload: GameCancelPayload) => {
   if (guardSoftBan(socket)) return;
   if (await isRateLimitedByIdentity(socket, "game_cancel", RATE_LIMITS.GAME_CANCEL_PER_WINDOW, RATE_LIMITS.JOIN_WINDOW_MS)) {
-    socket.emit("game:error", { message: "Za dużo żądań anulowania. Spróbuj ponownie za chwilę." });
+    socket.emit("game:error", gameError("rate_limited", { detail: "cancel" }));
     return;
   }
 
@@ -2156,8 +3651,16 @@ const onGameCancel = async (socket: Socket, _payload: GameCancelPayload) => {
     io.to(room.roomId).emit("game:cancelled", {
       roomId: room.roomId,
       reason: "manual_cancel",
-      message: "Gra anulowana przez gracza.",
+      ...statusMessage("game_cancelled"),
     });
+    if (isAwaitingGuest(room)) {
+      recordMatchEvent(room.roomId, "private_room_closed", {
+        roomId: room.roomId,
+        at: Date.now(),
+      });
+      removeRoom(room);
+      return;
+    }
     const winner = resolveOpponentForDisconnect(room, socket.id);
     if (winner) {
       room.status = "cancelled";
@@ -2192,20 +3695,122 @@ const onGameCancel = async (socket: Socket, _payload: GameCancelPayload) => {
     socket.emit("game:cancelled", {
       roomId: queueRoom?.roomId,
       reason: "queue_cancelled",
-      message: "Anulowano oczekiwanie w kolejce.",
+      ...statusMessage("queue_cancelled"),
     });
     return;
   }
 
-  socket.emit("game:error", { message: "Brak aktywnej gry." });
+  socket.emit("game:error", gameError("no_active_game"));
   socket.emit("game:cancelled", {
     reason: "search_cancelled",
-    message: "Brak aktywnej gry.",
+    ...statusMessage("no_active_game"),
+  });
+};
+
+const resolveRematchRoom = (socket: Socket, requestedRoomId?: string): GameRoom | null => {
+  const room = getRoomForPlayer(socket.id);
+  if (!room) {
+    socket.emit("game:error", gameError("rematch_unavailable", { detail: "room_closed" }));
+    return null;
+  }
+  if (requestedRoomId && requestedRoomId !== room.roomId) {
+    socket.emit("game:error", gameError("invalid_room_id"));
+    return null;
+  }
+  if (!room.over || room.phase !== "over") {
+    socket.emit("game:error", gameError("rematch_too_early", { roomId: room.roomId }));
+    return null;
+  }
+  if (!room.vsBot) {
+    const opponentId = getOpponentId(room, socket.id);
+    if (!opponentId || playerRooms.get(opponentId) !== room.roomId || !io.sockets.sockets.has(opponentId)) {
+      socket.emit("game:error", gameError("rematch_unavailable", { roomId: room.roomId, detail: "opponent_left" }));
+      return null;
+    }
+  }
+  return room;
+};
+
+const startRematch = async (room: GameRoom) => {
+  const now = Date.now();
+  room.seed = makeSeed();
+  room.rng = createRngState(room.seed);
+  placeRoomFleets(room, allPlayersInRoom(room));
+  room.readyPlayers = new Set<PlayerId>(room.vsBot && room.botId ? [room.botId] : []);
+  room.rematchRequests.clear();
+  room.aiState = room.vsBot ? createBotAiState(room) : undefined;
+  room.status = "setup";
+  room.phase = "setup";
+  room.over = false;
+  room.winner = undefined;
+  room.postGameExpiresAt = undefined;
+  room.turn = room.players[0];
+  room.turnDeadline = undefined;
+  room.turnClockPausedMs = undefined;
+  room.turnTimeouts = {};
+  room.timeBanks = {};
+  room.timeBankSince = undefined;
+  room.gameStartedAt = now;
+  room.lastActionTs = now;
+  room.gameNumber += 1;
+  recordMatchEvent(room.roomId, "rematch_started", {
+    roomId: room.roomId,
+    game: room.gameNumber,
+    seriesWins: { ...room.seriesWins },
+    seed: room.seed,
+    at: now,
   });
+  for (const playerId of room.players) {
+    const payload: GameRematchStartedPayload = {
+      roomId: room.roomId,
+      series: seriesForPlayer(room, playerId),
+      game: room.gameNumber,
+    };
+    io.to(playerId).emit("game:rematch_started", payload);
+  }
+  await emitGameStatePersisted(room);
+};
+
+const onGameRematchRequest = async (socket: Socket, payload: GameRematchPayload) => {
+  if (guardSoftBan(socket)) return;
+  if (await isRateLimitedByIdentity(socket, "game_rematch", RATE_LIMITS.GAME_CANCEL_PER_WINDOW, RATE_LIMITS.JOIN_WINDOW_MS)) {
+    socket.emit("game:error", gameError("rate_limited", { detail: "rematch" }));
+    return;
+  }
+  const room = resolveRematchRoom(socket, payload.roomId);
+  if (!room) return;
+  room.rematchRequests.add(socket.id);
+  const opponentId = getOpponentId(room, socket.id);
+  if (room.vsBot || (opponentId && room.rematchRequests.has(opponentId))) {
+    await startRematch(room);
+    return;
+  }
+  room.postGameExpiresAt = Date.now() + POST_GAME_CHAT_TTL_MS;
+  room.lastActionTs = Date.now();
+  const requested: GameRematchRequestedPayload = { roomId: room.roomId, requestedBy: socket.id };
+  io.to(room.roomId).emit("game:rematch_requested", requested);
+  persistRoomSnapshot(room);
+};
+
+const onGameRematchAccept = async (socket: Socket, payload: GameRematchPayload) => {
+  if (guardSoftBan(socket)) return;
+  if (await isRateLimitedByIdentity(socket, "game_rematch", RATE_LIMITS.GAME_CANCEL_PER_WINDOW, RATE_LIMITS.JOIN_WINDOW_MS)) {
+    socket.emit("game:error", gameError("rate_limited", { detail: "rematch" }));
+    return;
+  }
+  const room = resolveRematchRoom(socket, payload.roomId);
+  if (!room) return;
+  const opponentId = getOpponentId(room, socket.id);
+  if (!room.vsBot && !(opponentId && room.rematchRequests.has(opponentId))) {
+    socket.emit("game:error", gameError("rematch_not_requested", { roomId: room.roomId }));
+    return;
+  }
+  await startRematch(room);
 };
 
 const onDisconnect = async (socket: Socket) => {
   await clearSocketPresence(socket.id);
+  stopSpectating(socket);
   if (shutdownRequested) {
     return;
   }
@@ -2231,15 +3836,19 @@ const onDisconnect = async (socket: Socket) => {
     const disconnectToken = room.reconnectTokens[socket.id];
     if (disconnectToken) {
       room.disconnectedAtByToken[disconnectToken] = Date.now();
+      syncTimeBank(room);
+      syncTurnClock(room);
       playerRooms.delete(socket.id);
       if (opponent && opponent !== room.botId) {
         const timeoutSeconds = Math.ceil(ROOM_RECONNECT_GRACE_MS / 1000);
-        io.to(opponent).emit("game:error", {
-          roomId: room.roomId,
-          code: "reconnect_grace",
-          remainingMs: ROOM_RECONNECT_GRACE_MS,
-          message: `Przeciwnik rozłączył się. Gra jest zawieszona na ${timeoutSeconds}s na próbę ponownego połączenia.`,
-        });
+        io.to(opponent).emit(
+          "game:error",
+          gameError("reconnect_grace", {
+            roomId: room.roomId,
+            remainingMs: ROOM_RECONNECT_GRACE_MS,
+            params: { seconds: timeoutSeconds },
+          }),
+        );
       }
       recordMatchEvent(room.roomId, "player_disconnected_grace", {
         roomId: room.roomId,
@@ -2251,10 +3860,7 @@ const onDisconnect = async (socket: Socket) => {
       return;
     }
     if (opponent) {
-      io.to(opponent).emit("game:error", {
-        roomId: room.roomId,
-        message: "Przeciwnik rozłączył się. Wygrana przyznana.",
-      });
+      io.to(opponent).emit("game:error", gameError("opponent_disconnected", { roomId: room.roomId }));
       endGame(room, opponent, "disconnect");
       return;
     }
@@ -2280,6 +3886,8 @@ const cleanupDisconnectedPlayers = () => {
       const playerId = room.tokenToPlayerId[token];
       if (!playerId) {
         delete room.disconnectedAtByToken[token];
+        syncTimeBank(room);
+        syncTurnClock(room);
         continue;
       }
       const winner = resolveDisconnectedWinner(room, playerId);
@@ -2294,7 +3902,7 @@ const cleanupDisconnectedPlayers = () => {
           room,
           winner,
           "disconnect",
-          `Przeciwnik nie wrócił w ${Math.ceil(ROOM_RECONNECT_GRACE_MS / 1000)}s. Gra zakończona.`,
+          statusMessage("game_over_disconnect_timeout", { seconds: Math.ceil(ROOM_RECONNECT_GRACE_MS / 1000) }),
         );
       } else {
         room.over = true;
@@ -2309,7 +3917,7 @@ const cleanupDisconnectedPlayers = () => {
           disconnectedPlayerId: playerId,
           at: Date.now(),
         });
-        emitGameOver(room, null, "disconnect", "Gra zakończona z powodu braku połączenia.");
+        emitGameOver(room, null, "disconnect", statusMessage("game_over_connection_lost"));
         persistRoomSnapshot(room);
       }
       break;
@@ -2321,7 +3929,7 @@ const cleanupInactiveRooms = () => {
   const now = Date.now();
   const staleRooms: GameRoom[] = [];
   for (const room of rooms.values()) {
-    if (room.over) continue;
+    if (room.over || isAwaitingGuest(room)) continue;
     if (now - room.lastActionTs >= ROOM_INACTIVITY_TIMEOUT_MS) {
       staleRooms.push(room);
     }
@@ -2335,9 +3943,7 @@ const cleanupInactiveRooms = () => {
     room.postGameExpiresAt = Date.now() + POST_GAME_CHAT_TTL_MS;
     room.lastActionTs = Date.now();
     recordNoWinnerSummary(room, "inactivity_timeout");
-    io.to(room.roomId).emit("game:error", {
-      message: "Gra zakończona z powodu braku aktywności.",
-    });
+    io.to(room.roomId).emit("game:error", gameError("inactivity_timeout"));
     recordMatchEvent(room.roomId, "room_inactivity_timeout", {
       roomId: room.roomId,
       at: Date.now(),
@@ -2347,6 +3953,124 @@ const cleanupInactiveRooms = () => {
   }
 };
 
+const randomUnshotCells = (board: BoardModel, count: number, random: RandomSource): Coord[] => {
+  const free: Coord[] = [];
+  for (let row = 0; row < board.height; row += 1) {
+    for (let col = 0; col < board.width; col += 1) {
+      if (!board.shots.has(coordToKey({ row, col }))) free.push({ row, col });
+    }
+  }
+  const picked: Coord[] = [];
+  while (picked.length < count && free.length > 0) {
+    picked.push(free.splice(randomIndex(random, free.length), 1)[0]);
+  }
+  return picked;
+};
+
+const fireRandomShots = async (room: GameRoom, shooterId: PlayerId, targetId: PlayerId): Promise<boolean> => {
+  const targetBoard = room.boards[targetId];
+  if (room.ruleset.salvo === "off") {
+    const [coord] = randomUnshotCells(targetBoard, 1, randomFrom(room.rng));
+    if (!coord) return false;
+    await resolveShot(room, shooterId, targetId, coord);
+    return true;
+  }
+  const coords = randomUnshotCells(
+    targetBoard,
+    salvoShotCount(room.ruleset, room.boards[shooterId], targetBoard),
+    randomFrom(room.rng),
+  );
+  if (coords.length === 0) return false;
+  await resolveSalvo(room, shooterId, targetId, coords);
+  return true;
+};
+
+const handleTurnTimeout = async (room: GameRoom): Promise<void> => {
+  const playerId = room.turn;
+  const opponentId = getOpponentId(room, playerId);
+  room.turnDeadline = undefined;
+  if (!opponentId) return;
+  const timeouts = (room.turnTimeouts[playerId] ?? 0) + 1;
+  room.turnTimeouts[playerId] = timeouts;
+  const botClient = botClientName(playerId);
+  const forfeit = Boolean(botClient) || timeouts >= TURN_TIMEOUTS_TO_FORFEIT;
+  recordMatchEvent(room.roomId, "turn_timeout", {
+    roomId: room.roomId,
+    playerId,
+    botClient: botClient ?? null,
+    timeouts,
+    action: forfeit ? "forfeit" : TURN_TIMEOUT_ACTION,
+    at: Date.now(),
+  });
+  if (forfeit) {
+    endGame(room, opponentId, "turn_timeout");
+    return;
+  }
+  const fired = TURN_TIMEOUT_ACTION === "random_shot" && (await fireRandomShots(room, playerId, opponentId));
+  if (!fired) {
+    syncTimeBank(room);
+    room.turn = opponentId;
+    restartTurnClock(room);
+    await emitGameStatePersisted(room);
+  }
+  if (room.over) return;
+  // Sent after the resulting game:turn, so the notice stays as the player's latest status.
+  io.to(playerId).emit(
+    "game:error",
+    gameError("turn_timeout", { roomId: room.roomId, params: { timeouts, limit: TURN_TIMEOUTS_TO_FORFEIT } }),
+  );
+};
+
+const handleTimeBankExhausted = (room: GameRoom): void => {
+  const playerId = room.turn;
+  const opponentId = getOpponentId(room, playerId);
+  if (!opponentId) return;
+  recordMatchEvent(room.roomId, "time_bank_exhausted", {
+    roomId: room.roomId,
+    playerId,
+    at: Date.now(),
+  });
+  endGame(room, opponentId, "time_bank_exhausted");
+};
+
+const enforceTurnClocks = () => {
+  const now = Date.now();
+  for (const room of [...rooms.values()]) {
+    if (room.over || room.phase !== "playing") continue;
+    if (room.timeBankSince !== undefined && timeBankLeft(room, room.turn, now) <= 0) {
+      handleTimeBankExhausted(room);
+      continue;
+    }
+    if (room.turnDeadline !== undefined && now >= room.turnDeadline) {
+      void handleTurnTimeout(room);
+    }
+  }
+};
+
+const cleanupUnclaimedPrivateRooms = () => {
+  const now = Date.now();
+  const expiredRooms: GameRoom[] = [];
+  for (const room of rooms.values()) {
+    if (room.over || !isAwaitingGuest(room)) continue;
+    if (now - room.createdAt >= PRIVATE_ROOM_TTL_MS) {
+      expiredRooms.push(room);
+    }
+  }
+  for (const room of expiredRooms) {
+    const payload: GameCancelledPayload = {
+      roomId: room.roomId,
+      reason: "invite_expired",
+      ...statusMessage("invite_expired"),
+    };
+    io.to(room.roomId).emit("game:cancelled", payload);
+    recordMatchEvent(room.roomId, "private_room_expired", {
+      roomId: room.roomId,
+      at: now,
+    });
+    removeRoom(room);
+  }
+};
+
 const cleanupOverRooms = () => {
   const now = Date.now();
   const finishedRooms: GameRoom[] = [];
@@ -2362,16 +4086,46 @@ const cleanupOverRooms = () => {
   }
 };
 
+// Bot clients send { botKey } in the handshake auth; anyone without one connects as a regular player.
+io.use((socket, next) => {
+  const auth: Record<string, unknown> = socket.handshake.auth ?? {};
+  if (auth.botKey === undefined) {
+    next();
+    return;
+  }
+  const ip = socketIpAddress(socket);
+  if (isRateLimited(`ip:${ip}`, "bot_auth", RATE_LIMITS.AUTH_PER_WINDOW, RATE_LIMITS.AUTH_WINDOW_MS)) {
+    next(new Error("rate_limited"));
+    return;
+  }
+  const botName = resolveBotApiKey(auth.botKey);
+  if (!botName) {
+    recordSecurityEvent("bot_auth_failed", { ip, at: Date.now() });
+    next(new Error("invalid_bot_key"));
+    return;
+  }
+  socket.data.botClient = botName;
+  next();
+});
+
 registerSocketHandlers(io, {
   onConnect: (socket) => {
     touchSocketPresence(socket.id);
   },
   onSearchJoin,
   onSearchCancel,
+  onRoomCreate,
+  onRoomJoin,
   onGamePlaceShips,
   onGameShot,
+  onGameSalvo,
   onChatSend,
+  onChatReport,
   onGameCancel,
+  onGameRematchRequest,
+  onGameRematchAccept,
+  onSpectateJoin,
+  onSpectateLeave,
   onDisconnect,
   onInvalidInput: (socket, eventName) => {
     noteInvalidInput(socket);
@@ -2398,8 +4152,11 @@ const maintenanceTimer = setInterval(() => {
   cleanupRateState();
   cleanupInvalidInputState();
   cleanupChatAntiSpamState();
+  cleanupChatReportState();
   cleanupOverRooms();
+  cleanupUnclaimedPrivateRooms();
   cleanupInactiveRooms();
+  enforceTurnClocks();
   cleanupDisconnectedPlayers();
 }, MAINTENANCE_INTERVAL_MS);
 
@@ -2435,6 +4192,7 @@ const shutdown = async (signal: string) => {
   await new Promise<void>((resolve) => {
     serverInstance.close(() => resolve());
   });
+  await matchAnalysisRunner.close();
   await runtimeServices.close();
   process.exit(0);
 };
@@ -1,12 +1,32 @@
 import { randomBytes, randomInt } from "node:crypto";
+import type { AdjacencyPolicy, BotDifficulty, RulesetId, SalvoMode } from "../shared";
 
 export interface QueueEntry {
   playerId: string;
   nickname: string;
   joinedAt: number;
   reconnectToken: string;
+  rulesetId: RulesetId;
+  adjacency: AdjacencyPolicy;
+  salvo: SalvoMode;
+  accountId?: string;
+  rating?: number;
+  botDifficulty?: BotDifficulty;
 }
 
+export interface RatingWindow {
+  base: number;
+  growthPerSecond: number;
+  // Past this wait any rating gap is accepted, so humans still meet before the bot fallback.
+  openAfterMs: number;
+}
+
+export const DEFAULT_RATING_WINDOW: RatingWindow = {
+  base: 100,
+  growthPerSecond: 10,
+  openAfterMs: Number.POSITIVE_INFINITY,
+};
+
 type PlayerId = string;
 
 type TokenKind = "queue" | "parked" | "room";
@@ -135,10 +155,22 @@ export const joinQueue = (
   nickname: string,
   joinedAt = Date.now(),
   reconnectToken?: string,
+  rulesetId: RulesetId = "classic",
+  adjacency: AdjacencyPolicy = "none",
+  salvo: SalvoMode = "off",
+  accountId?: string,
+  rating?: number,
+  botDifficulty?: BotDifficulty,
 ): QueueEntry => {
   const existing = queue.get(playerId);
   if (existing) {
     existing.nickname = normalizeNickname(nickname);
+    existing.rulesetId = rulesetId;
+    existing.adjacency = adjacency;
+    existing.salvo = salvo;
+    existing.accountId = accountId ?? existing.accountId;
+    existing.rating = rating ?? existing.rating;
+    existing.botDifficulty = botDifficulty ?? existing.botDifficulty;
     return existing;
   }
 
@@ -152,6 +184,12 @@ export const joinQueue = (
       nickname: normalizeNickname(nickname),
       joinedAt: parked.joinedAt,
       reconnectToken: parked.reconnectToken,
+      rulesetId: parked.rulesetId,
+      adjacency: parked.adjacency,
+      salvo: parked.salvo,
+      accountId: accountId ?? parked.accountId,
+      rating: rating ?? parked.rating,
+      botDifficulty: botDifficulty ?? parked.botDifficulty,
     };
     queue.set(playerId, restored);
     syncToken(restored);
@@ -163,6 +201,12 @@ export const joinQueue = (
     nickname: normalizeNickname(nickname),
     joinedAt,
     reconnectToken: reserveToken(normalizedToken),
+    rulesetId,
+    adjacency,
+    salvo,
+    accountId,
+    rating,
+    botDifficulty,
   };
   queue.set(playerId, entry);
   syncToken(entry);
@@ -241,7 +285,30 @@ export const cleanupParkedQueue = (timeoutMs: number): number => {
   return removed;
 };
 
-export const takeMatch = (): [QueueEntry, QueueEntry] | null => {
+const isSameRules = (a: QueueEntry, b: QueueEntry): boolean =>
+  a.rulesetId === b.rulesetId && a.adjacency === b.adjacency && a.salvo === b.salvo;
+
+// Two tabs signed in to the same account must never be paired against each other.
+const canPair = (a: QueueEntry, b: QueueEntry): boolean =>
+  a !== b && isSameRules(a, b) && !(a.accountId && a.accountId === b.accountId);
+
+export const ratingWindowFor = (window: RatingWindow, waitedMs: number): number => {
+  const waited = Math.max(0, waitedMs);
+  if (waited >= window.openAfterMs) return Number.POSITIVE_INFINITY;
+  return window.base + (window.growthPerSecond * waited) / 1000;
+};
+
+// Unrated entries (no account) accept any opponent; otherwise the longer waiter's window decides.
+const ratingGap = (a: QueueEntry, b: QueueEntry): number =>
+  typeof a.rating === "number" && typeof b.rating === "number" ? Math.abs(a.rating - b.rating) : 0;
+
+const withinRatingWindow = (a: QueueEntry, b: QueueEntry, window: RatingWindow, now: number): boolean =>
+  ratingGap(a, b) <= Math.max(ratingWindowFor(window, now - a.joinedAt), ratingWindowFor(window, now - b.joinedAt));
+
+export const takeMatch = (
+  window: RatingWindow = DEFAULT_RATING_WINDOW,
+  now = Date.now(),
+): [QueueEntry, QueueEntry] | null => {
   const entries = [...queue.values()];
   if (entries.length < 2) {
     return null;
@@ -251,8 +318,18 @@ export const takeMatch = (): [QueueEntry, QueueEntry] | null => {
     const j = randomInt(i + 1);
     [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
   }
-  const first = shuffled[0];
-  const second = shuffled[1];
+  // Longest waiter first (random among equal waits), then the closest rating it may face.
+  shuffled.sort((a, b) => a.joinedAt - b.joinedAt);
+  const isMatchable = (a: QueueEntry, b: QueueEntry) => canPair(a, b) && withinRatingWindow(a, b, window, now);
+  const first = shuffled.find((entry) => shuffled.some((other) => isMatchable(other, entry)));
+  const second = first
+    ? shuffled
+      .filter((entry) => isMatchable(entry, first))
+      .reduce<QueueEntry | undefined>(
+        (best, entry) => (!best || ratingGap(entry, first) < ratingGap(best, first) ? entry : best),
+        undefined,
+      )
+    : undefined;
   if (!first || !second) return null;
   queue.delete(first.playerId);
   queue.delete(second.playerId);
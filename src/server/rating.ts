@@ -0,0 +1,15 @@
+const parsePositiveInt = (value: string | undefined, fallback: number): number => {
+  const parsed = Number.parseInt((value ?? "").replace(/_/g, ""), 10);
+  if (!Number.isFinite(parsed) || parsed <= 0) return fallback;
+  return parsed;
+};
+
+export const RATING_DEFAULT = 1200;
+export const RATING_K_FACTOR = parsePositiveInt(process.env.RATING_K_FACTOR, 32);
+
+export const expectedScore = (rating: number, opponentRating: number): number =>
+  1 / (1 + 10 ** ((opponentRating - rating) / 400));
+
+// Elo is zero-sum, so the loser drops by exactly what the winner gains; a win is always worth at least a point.
+export const eloDelta = (winnerRating: number, loserRating: number, kFactor = RATING_K_FACTOR): number =>
+  Math.max(1, Math.round(kFactor * (1 - expectedScore(winnerRating, loserRating))));
@@ -0,0 +1,176 @@
+import { Pool } from "pg";
+import { makeAccountId } from "../auth";
+import { RATING_DEFAULT } from "../rating";
+import { withTimeout } from "./withTimeout";
+
+export interface AccountRecord {
+  id: string;
+  username: string | null;
+  passwordHash: string | null;
+  rating: number;
+  ratedGames: number;
+  createdAt: number;
+}
+
+export type RegisterAccountResult =
+  | { ok: true; account: AccountRecord }
+  | { ok: false; reason: "username_taken" };
+
+export interface RuntimeAccounts {
+  isPersistent: boolean;
+  createGuest: () => Promise<AccountRecord>;
+  findById: (accountId: string) => Promise<AccountRecord | null>;
+  findByUsername: (username: string) => Promise<AccountRecord | null>;
+  // Upgrades the guest account in place when given, so its match history is kept.
+  register: (username: string, passwordHash: string, guestId?: string) => Promise<RegisterAccountResult>;
+  touch: (accountId: string) => void;
+  applyRatingDelta: (accountId: string, delta: number) => Promise<void>;
+  close: () => Promise<void>;
+}
+
+const MEMORY_ACCOUNTS_MAX = 10_000;
+
+const safeLog = (scope: string, error: unknown) => {
+  const message = error instanceof Error ? error.message : String(error);
+  console.warn(`[accounts] ${scope} failed: ${message}`);
+};
+
+// Keeps accounts for the lifetime of the process when no database is configured.
+const createMemoryAccounts = (): RuntimeAccounts => {
+  const byId = new Map<string, AccountRecord>();
+  const byUsername = new Map<string, string>();
+
+  const remember = (account: AccountRecord): AccountRecord => {
+    if (byId.size >= MEMORY_ACCOUNTS_MAX) {
+      const oldestGuest = [...byId.values()].find((entry) => !entry.username);
+      if (oldestGuest) byId.delete(oldestGuest.id);
+    }
+    byId.set(account.id, account);
+    return account;
+  };
+
+  return {
+    isPersistent: false,
+    createGuest: async () =>
+      remember({
+        id: makeAccountId(),
+        username: null,
+        passwordHash: null,
+        rating: RATING_DEFAULT,
+        ratedGames: 0,
+        createdAt: Date.now(),
+      }),
+    findById: async (accountId) => byId.get(accountId) ?? null,
+    findByUsername: async (username) => {
+      const accountId = byUsername.get(username);
+      return accountId ? (byId.get(accountId) ?? null) : null;
+    },
+    register: async (username, passwordHash, guestId) => {
+      if (byUsername.has(username)) return { ok: false, reason: "username_taken" };
+      const guest = guestId ? byId.get(guestId) : undefined;
+      const account: AccountRecord =
+        guest && !guest.username
+          ? { ...guest, username, passwordHash }
+          : {
+              id: makeAccountId(),
+              username,
+              passwordHash,
+              rating: RATING_DEFAULT,
+              ratedGames: 0,
+              createdAt: Date.now(),
+            };
+      byUsername.set(username, account.id);
+      return { ok: true, account: remember(account) };
+    },
+    touch: () => undefined,
+    applyRatingDelta: async (accountId, delta) => {
+      const account = byId.get(accountId);
+      if (!account) return;
+      account.rating += delta;
+      account.ratedGames += 1;
+    },
+    close: async () => undefined,
+  };
+};
+
+const toAccount = (row: Record<string, unknown>): AccountRecord => ({
+  id: String(row.id),
+  username: typeof row.username === "string" ? row.username : null,
+  passwordHash: typeof row.password_hash === "string" ? row.password_hash : null,
+  rating: Number(row.rating ?? RATING_DEFAULT),
+  ratedGames: Number(row.rated_games ?? 0),
+  createdAt: new Date(row.created_at as string).getTime(),
+});
+
+const isUniqueViolation = (error: unknown): boolean =>
+  typeof error === "object" && error !== null && (error as { code?: unknown }).code === "23505";
+
+export const createRuntimeAccounts = (): RuntimeAccounts => {
+  const connectionString = (process.env.DATABASE_URL ?? "").trim();
+  if (!connectionString) {
+    return createMemoryAccounts();
+  }
+
+  const pool = new Pool({
+    connectionString,
+    max: Number.parseInt(process.env.DB_POOL_MAX ?? "8", 10) || 8,
+    idleTimeoutMillis: Number.parseInt(process.env.DB_IDLE_TIMEOUT_MS ?? "10000", 10) || 10000,
+    connectionTimeoutMillis: Number.parseInt(process.env.DB_CONNECT_TIMEOUT_MS ?? "3000", 10) || 3000,
+  });
+  const queryTimeoutMs =
+    Math.max(100, Number.parseInt(process.env.READY_PING_TIMEOUT_MS ?? "800", 10) || 800) * 4;
+
+  const columns = "id, username, password_hash, rating, rated_games, created_at";
+  const insertAccount = `
+    INSERT INTO accounts (id, username, password_hash, created_at, last_seen_at)
+    VALUES ($1, $2, $3, NOW(), NOW())
+    RETURNING ${columns}
+  `;
+  const upgradeGuest = `
+    UPDATE accounts SET username = $2, password_hash = $3, last_seen_at = NOW()
+    WHERE id = $1 AND username IS NULL
+    RETURNING ${columns}
+  `;
+  const selectById = `SELECT ${columns} FROM accounts WHERE id = $1`;
+  const selectByUsername = `SELECT ${columns} FROM accounts WHERE username = $1`;
+  const touchAccount = `UPDATE accounts SET last_seen_at = NOW() WHERE id = $1`;
+  // Relative update, so concurrent games of one account never overwrite each other's result.
+  const updateRating = `UPDATE accounts SET rating = rating + $2, rated_games = rated_games + 1 WHERE id = $1`;
+
+  const queryOne = async (sql: string, params: unknown[]): Promise<AccountRecord | null> => {
+    const result = await withTimeout(pool.query(sql, params), queryTimeoutMs);
+    const row = result.rows[0];
+    return row ? toAccount(row) : null;
+  };
+
+  return {
+    isPersistent: true,
+    createGuest: async () => {
+      const account = await queryOne(insertAccount, [makeAccountId(), null, null]);
+      if (!account) throw new Error("account_insert_failed");
+      return account;
+    },
+    findById: (accountId) => queryOne(selectById, [accountId]),
+    findByUsername: (username) => queryOne(selectByUsername, [username]),
+    register: async (username, passwordHash, guestId) => {
+      try {
+        const upgraded = guestId ? await queryOne(upgradeGuest, [guestId, username, passwordHash]) : null;
+        const account = upgraded ?? (await queryOne(insertAccount, [makeAccountId(), username, passwordHash]));
+        if (!account) throw new Error("account_insert_failed");
+        return { ok: true, account };
+      } catch (error) {
+        if (isUniqueViolation(error)) return { ok: false, reason: "username_taken" };
+        throw error;
+      }
+    },
+    touch: (accountId) => {
+      pool.query(touchAccount, [accountId]).catch((error) => safeLog("account_touch", error));
+    },
+    applyRatingDelta: async (accountId, delta) => {
+      await withTimeout(pool.query(updateRating, [accountId, delta]), queryTimeoutMs);
+    },
+    close: async () => {
+      await pool.end();
+    },
+  };
+};
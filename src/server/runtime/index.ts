@@ -1,3 +1,4 @@
+import { createRuntimeAccounts, RuntimeAccounts } from "./accounts";
 import { createRuntimeRedisLimiter, RuntimeRedisLimiter } from "./redisLimiter";
 import { createRuntimeRedisQueue, RuntimeRedisQueue } from "./redisQueue";
 import { createRuntimeRedisState, RuntimeRedisState } from "./redisState";
@@ -5,6 +6,7 @@ import { createRuntimeTelemetry, RuntimeTelemetry } from "./telemetry";
 
 export interface RuntimeServices {
   telemetry: RuntimeTelemetry;
+  accounts: RuntimeAccounts;
   redisLimiter: RuntimeRedisLimiter;
   redisQueue: RuntimeRedisQueue;
   redisState: RuntimeRedisState;
@@ -13,18 +15,21 @@ export interface RuntimeServices {
 
 export const createRuntimeServices = (): RuntimeServices => {
   const telemetry = createRuntimeTelemetry();
+  const accounts = createRuntimeAccounts();
   const redisLimiter = createRuntimeRedisLimiter();
   const redisQueue = createRuntimeRedisQueue();
   const redisState = createRuntimeRedisState();
 
   return {
     telemetry,
+    accounts,
     redisLimiter,
     redisQueue,
     redisState,
     close: async () => {
       await Promise.allSettled([
         telemetry.close(),
+        accounts.close(),
         redisLimiter.close(),
         redisQueue.close(),
         redisState.close(),
@@ -1,4 +1,17 @@
 import { createClient, RedisClientType } from "redis";
+import {
+  AdjacencyPolicy,
+  BotDifficulty,
+  DEFAULT_RULESET_ID,
+  getRuleset,
+  isAdjacencyPolicy,
+  isBotDifficulty,
+  isRulesetId,
+  isSalvoMode,
+  RulesetId,
+  SalvoMode,
+} from "../../shared";
+import type { RatingWindow } from "../matchmaking";
 import { withTimeout } from "./withTimeout";
 
 export interface PersistedQueueEntry {
@@ -6,6 +19,12 @@ export interface PersistedQueueEntry {
   nickname: string;
   joinedAt: number;
   reconnectToken: string;
+  rulesetId: RulesetId;
+  adjacency: AdjacencyPolicy;
+  salvo: SalvoMode;
+  accountId?: string;
+  rating?: number;
+  botDifficulty?: BotDifficulty;
 }
 
 export interface RuntimeRedisQueue {
@@ -17,7 +36,7 @@ export interface RuntimeRedisQueue {
   getQueueEntryByPlayerId: (playerId: string) => Promise<PersistedQueueEntry | null>;
   getQueueEntryByToken: (reconnectToken: string) => Promise<PersistedQueueEntry | null>;
   getParkedEntryByToken: (reconnectToken: string) => Promise<PersistedQueueEntry | null>;
-  takeMatch: () => Promise<[PersistedQueueEntry, PersistedQueueEntry] | null>;
+  takeMatch: (window: RatingWindow) => Promise<[PersistedQueueEntry, PersistedQueueEntry] | null>;
   takeTimedOutEntries: (cutoffJoinedAt: number, limit: number) => Promise<PersistedQueueEntry[]>;
   ping: () => Promise<boolean>;
   close: () => Promise<void>;
@@ -52,46 +71,105 @@ const QUEUE_JOINED_ZSET = prefixed("queue:joined");
 const queueTokenKey = (token: string): string => prefixed(`queue:token:${token}`);
 const parkedTokenKey = (token: string): string => prefixed(`queue:parked:${token}`);
 
+const TAKE_MATCH_SCAN_LIMIT = 64;
+
 const TAKE_MATCH_SCRIPT = `
 local zkey = KEYS[1]
 local hkey = KEYS[2]
 local queueTokenPrefix = KEYS[3]
 local parkedTokenPrefix = KEYS[4]
+local scanLimit = tonumber(ARGV[1])
+local defaultRuleset = ARGV[2]
+local defaultAdjacency = ARGV[3]
+local defaultSalvo = ARGV[4]
+local now = tonumber(ARGV[5])
+local windowBase = tonumber(ARGV[6])
+local windowGrowth = tonumber(ARGV[7])
+local windowOpenAfter = tonumber(ARGV[8])
 
-local ids = redis.call('ZRANGE', zkey, 0, 1)
+local ids = redis.call('ZRANGE', zkey, 0, scanLimit - 1)
 if #ids < 2 then
   return {}
 end
 
-local raw1 = redis.call('HGET', hkey, ids[1])
-local raw2 = redis.call('HGET', hkey, ids[2])
-if (not raw1) or (not raw2) then
-  if ids[1] then
-    redis.call('HDEL', hkey, ids[1])
-    redis.call('ZREM', zkey, ids[1])
+local function windowFor(entry)
+  local joinedAt = tonumber(entry.joinedAt) or now
+  local waited = math.max(0, now - joinedAt)
+  if windowOpenAfter >= 0 and waited >= windowOpenAfter then
+    return math.huge
   end
-  if ids[2] then
-    redis.call('HDEL', hkey, ids[2])
-    redis.call('ZREM', zkey, ids[2])
+  return windowBase + windowGrowth * waited / 1000
+end
+
+local function ratingGap(a, b)
+  if type(a.rating) ~= 'number' or type(b.rating) ~= 'number' then
+    return 0
   end
-  return {}
+  return math.abs(a.rating - b.rating)
 end
 
-local e1 = cjson.decode(raw1)
-local e2 = cjson.decode(raw2)
+local function canPair(a, b)
+  if type(a.accountId) == 'string' and a.accountId == b.accountId then
+    return false
+  end
+  return ratingGap(a, b) <= math.max(windowFor(a), windowFor(b))
+end
 
-redis.call('HDEL', hkey, ids[1], ids[2])
-redis.call('ZREM', zkey, ids[1], ids[2])
-if e1 and e1.reconnectToken then
-  redis.call('DEL', queueTokenPrefix .. e1.reconnectToken)
-  redis.call('DEL', parkedTokenPrefix .. e1.reconnectToken)
+local entries = {}
+for i = 1, #ids do
+  local id = ids[i]
+  local raw = redis.call('HGET', hkey, id)
+  if not raw then
+    redis.call('ZREM', zkey, id)
+  else
+    local entry = cjson.decode(raw)
+    if type(entry) ~= 'table' then
+      entry = {}
+    end
+    local ruleset = defaultRuleset
+    if type(entry.rulesetId) == 'string' then
+      ruleset = entry.rulesetId
+    end
+    if type(entry.adjacency) == 'string' then
+      ruleset = ruleset .. '|' .. entry.adjacency
+    else
+      ruleset = ruleset .. '|' .. defaultAdjacency
+    end
+    if type(entry.salvo) == 'string' then
+      ruleset = ruleset .. '|' .. entry.salvo
+    else
+      ruleset = ruleset .. '|' .. defaultSalvo
+    end
+    table.insert(entries, { id = id, raw = raw, entry = entry, ruleset = ruleset })
+  end
 end
-if e2 and e2.reconnectToken then
-  redis.call('DEL', queueTokenPrefix .. e2.reconnectToken)
-  redis.call('DEL', parkedTokenPrefix .. e2.reconnectToken)
+
+-- Longest waiter first, paired with the closest rating it may face.
+for i = 1, #entries do
+  local first = entries[i]
+  local second = nil
+  for j = i + 1, #entries do
+    local candidate = entries[j]
+    if candidate.ruleset == first.ruleset and canPair(first.entry, candidate.entry) then
+      if not second or ratingGap(first.entry, candidate.entry) < ratingGap(first.entry, second.entry) then
+        second = candidate
+      end
+    end
+  end
+  if second then
+    redis.call('HDEL', hkey, first.id, second.id)
+    redis.call('ZREM', zkey, first.id, second.id)
+    for _, picked in ipairs({ first, second }) do
+      if picked.entry.reconnectToken then
+        redis.call('DEL', queueTokenPrefix .. picked.entry.reconnectToken)
+        redis.call('DEL', parkedTokenPrefix .. picked.entry.reconnectToken)
+      end
+    end
+    return { first.raw, second.raw }
+  end
 end
 
-return { raw1, raw2 }
+return {}
 `;
 
 const TAKE_TIMEOUTS_SCRIPT = `
@@ -130,7 +208,16 @@ const parseEntry = (raw: string | null | undefined): PersistedQueueEntry | null
   try {
     const parsed = JSON.parse(raw) as PersistedQueueEntry;
     if (!parsed?.playerId || !parsed?.reconnectToken) return null;
-    return parsed;
+    const rulesetId = isRulesetId(parsed.rulesetId) ? parsed.rulesetId : DEFAULT_RULESET_ID;
+    return {
+      ...parsed,
+      rulesetId,
+      adjacency: isAdjacencyPolicy(parsed.adjacency) ? parsed.adjacency : getRuleset(rulesetId).adjacency,
+      salvo: isSalvoMode(parsed.salvo) ? parsed.salvo : getRuleset(rulesetId).salvo,
+      accountId: typeof parsed.accountId === "string" ? parsed.accountId : undefined,
+      rating: typeof parsed.rating === "number" && Number.isFinite(parsed.rating) ? parsed.rating : undefined,
+      botDifficulty: isBotDifficulty(parsed.botDifficulty) ? parsed.botDifficulty : undefined,
+    };
   } catch {
     return null;
   }
@@ -254,11 +341,21 @@ export const createRuntimeRedisQueue = (): RuntimeRedisQueue => {
     }
   };
 
-  const takeMatch = async (): Promise<[PersistedQueueEntry, PersistedQueueEntry] | null> => {
+  const takeMatch = async (window: RatingWindow): Promise<[PersistedQueueEntry, PersistedQueueEntry] | null> => {
     try {
       await ensureConnected();
       const result = await client.eval(TAKE_MATCH_SCRIPT, {
         keys: [QUEUE_JOINED_ZSET, QUEUE_HASH, `${queueTokenKey("")}`, `${parkedTokenKey("")}`],
+        arguments: [
+          String(TAKE_MATCH_SCAN_LIMIT),
+          DEFAULT_RULESET_ID,
+          getRuleset(DEFAULT_RULESET_ID).adjacency,
+          getRuleset(DEFAULT_RULESET_ID).salvo,
+          String(Date.now()),
+          String(window.base),
+          String(window.growthPerSecond),
+          Number.isFinite(window.openAfterMs) ? String(window.openAfterMs) : "-1",
+        ],
       });
       if (!Array.isArray(result) || result.length < 2) return null;
       const first = parseEntry(typeof result[0] === "string" ? result[0] : null);
@@ -1,14 +1,53 @@
 import { Pool } from "pg";
 import { withTimeout } from "./withTimeout";
+import type { LeaderboardSort, MatchEventRecord } from "../../shared";
 
 type JsonValue = Record<string, unknown>;
 
+const MATCH_EVENTS_LIMIT = 5000;
+
+export interface LeaderboardQuery {
+  sort: LeaderboardSort;
+  since: number;
+  minGames: number;
+  limit: number;
+}
+
+export interface LeaderboardRow {
+  accountId: string;
+  username: string | null;
+  nickname: string;
+  rating: number;
+  games: number;
+  wins: number;
+  shots: number;
+  hits: number;
+}
+
+export interface PlayerStatsRow {
+  games: number;
+  wins: number;
+  shots: number;
+  hits: number;
+  averageShotsToWin: number | null;
+  openingCell: string | null;
+  openingGames: number;
+}
+
+export interface ShotHeatRow {
+  row: number;
+  col: number;
+  shots: number;
+}
+
 export interface RuntimeTelemetry {
   isEnabled: boolean;
   recordSecurityEvent: (eventType: string, payload: JsonValue) => void;
   recordMatchEvent: (roomId: string, eventType: string, payload: JsonValue) => void;
+  // One row per game: rematches keep the room id and bump gameNumber.
   recordMatchSummary: (payload: {
     roomId: string;
+    gameNumber: number;
     mode: "pva" | "online";
     status: string;
     winnerPlayerId: string | null;
@@ -16,11 +55,19 @@ export interface RuntimeTelemetry {
     endedAt: number;
     players: Array<{
       playerId: string;
+      accountId: string | null;
       nickname: string;
       shots: number;
+      hits: number;
+      openingCell: string | null;
       isWinner: boolean;
     }>;
   }) => void;
+  listMatchEvents: (roomId: string) => Promise<MatchEventRecord[]>;
+  listLeaderboard: (query: LeaderboardQuery) => Promise<LeaderboardRow[]>;
+  getPlayerStats: (accountId: string) => Promise<PlayerStatsRow>;
+  // Human shots per cell since the given epoch ms, in games of one ruleset.
+  listShotHeat: (rulesetId: string, since: number) => Promise<ShotHeatRow[]>;
   ping: () => Promise<boolean>;
   close: () => Promise<void>;
 }
@@ -30,10 +77,30 @@ const NOOP: RuntimeTelemetry = {
   recordSecurityEvent: () => undefined,
   recordMatchEvent: () => undefined,
   recordMatchSummary: () => undefined,
+  listMatchEvents: async () => [],
+  listLeaderboard: async () => [],
+  getPlayerStats: async () => ({
+    games: 0,
+    wins: 0,
+    shots: 0,
+    hits: 0,
+    averageShotsToWin: null,
+    openingCell: null,
+    openingGames: 0,
+  }),
+  listShotHeat: async () => [],
   ping: async () => false,
   close: async () => undefined,
 };
 
+// Whitelisted ORDER BY expressions; the sort never reaches SQL as user input.
+const LEADERBOARD_ORDER: Record<LeaderboardSort, string> = {
+  wins: "wins DESC, games ASC",
+  win_rate: "wins::float / games DESC, games DESC",
+  rating: "rating DESC, games DESC",
+  accuracy: "COALESCE(hits::float / NULLIF(shots, 0), 0) DESC, games DESC",
+};
+
 const safeLog = (scope: string, error: unknown) => {
   const message = error instanceof Error ? error.message : String(error);
   console.warn(`[telemetry] ${scope} failed: ${message}`);
@@ -65,19 +132,93 @@ export const createRuntimeTelemetry = (): RuntimeTelemetry => {
     VALUES ($1, $2, $3::jsonb, NOW())
   `;
   const upsertMatch = `
-    INSERT INTO matches (room_id, mode, status, winner_player_id, started_at, ended_at)
-    VALUES ($1, $2, $3, $4, to_timestamp($5 / 1000.0), to_timestamp($6 / 1000.0))
-    ON CONFLICT (room_id) DO UPDATE SET
+    INSERT INTO matches (room_id, game_number, mode, status, winner_player_id, started_at, ended_at)
+    VALUES ($1, $2, $3, $4, $5, to_timestamp($6 / 1000.0), to_timestamp($7 / 1000.0))
+    ON CONFLICT (room_id, game_number) DO UPDATE SET
       mode = EXCLUDED.mode,
       status = EXCLUDED.status,
       winner_player_id = EXCLUDED.winner_player_id,
       ended_at = EXCLUDED.ended_at
     RETURNING id
   `;
+  const selectMatchEvents = `
+    SELECT event_type, payload, created_at
+    FROM match_events
+    WHERE room_id = $1
+    ORDER BY created_at ASC, id ASC
+    LIMIT $2
+  `;
   const deletePlayers = `DELETE FROM match_players WHERE match_id = $1`;
   const insertPlayer = `
-    INSERT INTO match_players (match_id, player_id, nickname, shots, is_winner)
-    VALUES ($1, $2, $3, $4, $5)
+    INSERT INTO match_players (match_id, player_id, account_id, nickname, shots, hits, opening_cell, is_winner)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+  `;
+  // Only decided online games count; bot games would make wins trivially farmable.
+  const selectLeaderboard = (sort: LeaderboardSort) => `
+    SELECT * FROM (
+      SELECT
+        mp.account_id,
+        a.username,
+        a.rating,
+        (ARRAY_AGG(mp.nickname ORDER BY m.ended_at DESC))[1] AS nickname,
+        COUNT(*)::int AS games,
+        (COUNT(*) FILTER (WHERE mp.is_winner))::int AS wins,
+        SUM(mp.shots)::int AS shots,
+        SUM(mp.hits)::int AS hits
+      FROM match_players mp
+      JOIN matches m ON m.id = mp.match_id
+      JOIN accounts a ON a.id = mp.account_id
+      WHERE m.mode = 'online'
+        AND m.winner_player_id IS NOT NULL
+        AND m.ended_at >= to_timestamp($1 / 1000.0)
+      GROUP BY mp.account_id, a.username, a.rating
+      HAVING COUNT(*) >= $2
+    ) AS totals
+    ORDER BY ${LEADERBOARD_ORDER[sort]}, account_id ASC
+    LIMIT $3
+  `;
+  const selectPlayerTotals = `
+    SELECT
+      COUNT(*)::int AS games,
+      (COUNT(*) FILTER (WHERE mp.is_winner))::int AS wins,
+      COALESCE(SUM(mp.shots), 0)::int AS shots,
+      COALESCE(SUM(mp.hits), 0)::int AS hits,
+      (AVG(mp.shots) FILTER (WHERE mp.is_winner))::float AS average_shots_to_win
+    FROM match_players mp
+    JOIN matches m ON m.id = mp.match_id
+    WHERE mp.account_id = $1 AND m.winner_player_id IS NOT NULL
+  `;
+  const selectPlayerOpening = `
+    SELECT opening_cell, COUNT(*)::int AS games
+    FROM match_players
+    WHERE account_id = $1 AND opening_cell IS NOT NULL
+    GROUP BY opening_cell
+    ORDER BY games DESC, opening_cell ASC
+    LIMIT 1
+  `;
+
+  // Bots shoot as "bot-<roomId>"; their shots would only teach the bot about itself.
+  // EXISTS rather than a join, so rooms with several games (rematches) are not counted twice.
+  const selectShotHeat = `
+    SELECT (coord->>'row')::int AS row, (coord->>'col')::int AS col, COUNT(*)::int AS shots
+    FROM match_events e
+    CROSS JOIN LATERAL (
+      SELECT e.payload->'coord' AS coord WHERE e.event_type = 'shot_result'
+      UNION ALL
+      SELECT result->'coord' FROM jsonb_array_elements(
+        CASE WHEN e.event_type = 'salvo_result' THEN e.payload->'results' ELSE '[]'::jsonb END
+      ) AS result
+    ) AS shots
+    WHERE e.event_type IN ('shot_result', 'salvo_result')
+      AND e.created_at >= to_timestamp($2 / 1000.0)
+      AND e.payload->>'shooter' NOT LIKE 'bot-%'
+      AND EXISTS (
+        SELECT 1 FROM match_events started
+        WHERE started.room_id = e.room_id
+          AND started.event_type = 'game_started'
+          AND started.payload->'ruleset'->>'id' = $1
+      )
+    GROUP BY 1, 2
   `;
 
   return {
@@ -98,6 +239,7 @@ export const createRuntimeTelemetry = (): RuntimeTelemetry => {
       pool
         .query(upsertMatch, [
           payload.roomId,
+          payload.gameNumber,
           payload.mode,
           payload.status,
           payload.winnerPlayerId,
@@ -112,14 +254,66 @@ export const createRuntimeTelemetry = (): RuntimeTelemetry => {
             await pool.query(insertPlayer, [
               matchId,
               player.playerId,
+              player.accountId,
               player.nickname,
               player.shots,
+              player.hits,
+              player.openingCell,
               player.isWinner,
             ]);
           }
         })
         .catch((error) => safeLog("match_summary_upsert", error));
     },
+    listMatchEvents: async (roomId) => {
+      const result = await withTimeout(pool.query(selectMatchEvents, [roomId, MATCH_EVENTS_LIMIT]), pingTimeoutMs * 4);
+      return result.rows.map((row) => ({
+        eventType: String(row.event_type),
+        payload: (row.payload ?? {}) as JsonValue,
+        createdAt: new Date(row.created_at).getTime(),
+      }));
+    },
+    listLeaderboard: async ({ sort, since, minGames, limit }) => {
+      const result = await withTimeout(
+        pool.query(selectLeaderboard(sort), [since, minGames, limit]),
+        pingTimeoutMs * 4,
+      );
+      return result.rows.map((row) => ({
+        accountId: String(row.account_id),
+        username: typeof row.username === "string" ? row.username : null,
+        nickname: String(row.nickname ?? "Gracz"),
+        rating: Number(row.rating),
+        games: Number(row.games),
+        wins: Number(row.wins),
+        shots: Number(row.shots),
+        hits: Number(row.hits),
+      }));
+    },
+    getPlayerStats: async (accountId) => {
+      const [totals, opening] = await withTimeout(
+        Promise.all([pool.query(selectPlayerTotals, [accountId]), pool.query(selectPlayerOpening, [accountId])]),
+        pingTimeoutMs * 4,
+      );
+      const row = totals.rows[0] ?? {};
+      const openingRow = opening.rows[0];
+      return {
+        games: Number(row.games ?? 0),
+        wins: Number(row.wins ?? 0),
+        shots: Number(row.shots ?? 0),
+        hits: Number(row.hits ?? 0),
+        averageShotsToWin: row.average_shots_to_win == null ? null : Number(row.average_shots_to_win),
+        openingCell: openingRow ? String(openingRow.opening_cell) : null,
+        openingGames: openingRow ? Number(openingRow.games) : 0,
+      };
+    },
+    listShotHeat: async (rulesetId, since) => {
+      const result = await withTimeout(pool.query(selectShotHeat, [rulesetId, since]), pingTimeoutMs * 4);
+      return result.rows.map((row) => ({
+        row: Number(row.row),
+        col: Number(row.col),
+        shots: Number(row.shots),
+      }));
+    },
     ping: async () => {
       try {
         await withTimeout(pool.query("SELECT 1"), pingTimeoutMs);
@@ -3,26 +3,51 @@ import {
   BOARD_SIZE,
   CHAT_EMOJI,
   CHAT_GIF_IDS,
+  CHAT_REPORT_REASONS,
+  ChatReportPayload,
+  ChatReportReason,
   ChatSendPayload,
   Coord,
   GameCancelPayload,
   GamePlaceShipsPayload,
+  GameRematchPayload,
+  GameSalvoPayload,
   GameShotPayload,
+  isAdjacencyPolicy,
+  isRulesetId,
+  isSalvoMode,
+  isBotDifficulty,
+  MAX_BOARD_SIZE,
+  MAX_FLEET_SIZE,
+  normalizeInviteCode,
   Orientation,
+  RoomCreatePayload,
+  RoomJoinPayload,
   SearchCancelPayload,
   SearchJoinPayload,
   SerializedBoard,
+  SpectateJoinPayload,
   ShipType,
+  gameError,
+  GameErrorCode,
 } from "../shared";
 
 export interface GameSocketHandlers {
   onConnect?: (socket: Socket) => void | Promise<void>;
   onSearchJoin: (socket: Socket, payload: SearchJoinPayload) => void | Promise<void>;
   onSearchCancel: (socket: Socket, payload: SearchCancelPayload) => void | Promise<void>;
+  onRoomCreate: (socket: Socket, payload: RoomCreatePayload) => void | Promise<void>;
+  onRoomJoin: (socket: Socket, payload: RoomJoinPayload) => void | Promise<void>;
   onGamePlaceShips: (socket: Socket, payload: GamePlaceShipsPayload) => void | Promise<void>;
   onGameShot: (socket: Socket, payload: GameShotPayload) => void | Promise<void>;
+  onGameSalvo: (socket: Socket, payload: GameSalvoPayload) => void | Promise<void>;
   onGameCancel: (socket: Socket, payload: GameCancelPayload) => void | Promise<void>;
+  onGameRematchRequest: (socket: Socket, payload: GameRematchPayload) => void | Promise<void>;
+  onGameRematchAccept: (socket: Socket, payload: GameRematchPayload) => void | Promise<void>;
+  onSpectateJoin: (socket: Socket, payload: SpectateJoinPayload) => void | Promise<void>;
+  onSpectateLeave: (socket: Socket) => void | Promise<void>;
   onChatSend: (socket: Socket, payload: ChatSendPayload) => void | Promise<void>;
+  onChatReport: (socket: Socket, payload: ChatReportPayload) => void | Promise<void>;
   onDisconnect: (socket: Socket) => void | Promise<void>;
   onInvalidInput?: (socket: Socket, eventName: string) => void;
 }
@@ -33,9 +58,10 @@ const isRecord = (value: unknown): value is Record<string, unknown> =>
 const MAX_RECONNECT_TOKEN_LENGTH = 96;
 const MAX_NICKNAME_LENGTH = 40;
 const MAX_ROOM_ID_LENGTH = 64;
-const MAX_SHOT_LIST_ENTRIES = BOARD_SIZE * BOARD_SIZE;
+const MAX_SHOT_LIST_ENTRIES = MAX_BOARD_SIZE * MAX_BOARD_SIZE;
 const MAX_SHOT_KEY_LENGTH = 8;
 const MAX_CHAT_TEXT_LENGTH = 240;
+const MAX_CHAT_MESSAGE_ID_LENGTH = 64;
 
 const normalizeString = (value: unknown, maxLength: number, fallback = ""): string => {
   if (typeof value !== "string") return fallback;
@@ -79,7 +105,8 @@ const normalizeShots = (value: unknown): string[] => {
     .slice(0, maxEntries);
 };
 
-const isShipType = (value: number): value is ShipType => value === 1 || value === 2 || value === 3 || value === 4;
+const isShipType = (value: number): value is ShipType =>
+  value === 1 || value === 2 || value === 3 || value === 4 || value === 5;
 const isOrientation = (value: unknown): value is Orientation => value === "H" || value === "V";
 const isChatKind = (value: unknown): value is "text" | "emoji" | "gif" =>
   value === "text" || value === "emoji" || value === "gif";
@@ -89,9 +116,9 @@ const normalizeBoardCandidate = (payload: unknown): SerializedBoard | null => {
 
   const width = normalizeInteger(payload.width) ?? BOARD_SIZE;
   const height = normalizeInteger(payload.height) ?? BOARD_SIZE;
-  if (width <= 0 || height <= 0 || width > BOARD_SIZE || height > BOARD_SIZE) return null;
+  if (width <= 0 || height <= 0 || width > MAX_BOARD_SIZE || height > MAX_BOARD_SIZE) return null;
 
-  if (!Array.isArray(payload.ships) || payload.ships.length === 0 || payload.ships.length > 10) return null;
+  if (!Array.isArray(payload.ships) || payload.ships.length === 0 || payload.ships.length > MAX_FLEET_SIZE) return null;
 
   const ships: GamePlaceShipsPayload["board"]["ships"] = [];
   const seenIds = new Set<string>();
@@ -163,7 +190,36 @@ const parseSearchJoinPayload = (payload: unknown): SearchJoinPayload | null => {
   ) {
     return null;
   }
+  if (payload.ruleset !== undefined && !isRulesetId(payload.ruleset)) {
+    return null;
+  }
+  if (payload.adjacency !== undefined && !isAdjacencyPolicy(payload.adjacency)) {
+    return null;
+  }
+  if (payload.salvo !== undefined && !isSalvoMode(payload.salvo)) {
+    return null;
+  }
+  if (payload.botDifficulty !== undefined && !isBotDifficulty(payload.botDifficulty)) {
+    return null;
+  }
+  return {
+    nickname: normalizeOptionalString(payload.nickname, MAX_NICKNAME_LENGTH),
+    reconnectToken: normalizeOptionalString(payload.reconnectToken, MAX_RECONNECT_TOKEN_LENGTH),
+    ruleset: payload.ruleset,
+    adjacency: payload.adjacency,
+    salvo: payload.salvo,
+    botDifficulty: payload.botDifficulty,
+  };
+};
+
+const parseRoomJoinPayload = (payload: unknown): RoomJoinPayload | null => {
+  if (!isRecord(payload)) return null;
+  const code = normalizeInviteCode(payload.code);
+  if (!code) return null;
+  if (payload.nickname !== undefined && typeof payload.nickname !== "string") return null;
+  if (payload.reconnectToken !== undefined && typeof payload.reconnectToken !== "string") return null;
   return {
+    code,
     nickname: normalizeOptionalString(payload.nickname, MAX_NICKNAME_LENGTH),
     reconnectToken: normalizeOptionalString(payload.reconnectToken, MAX_RECONNECT_TOKEN_LENGTH),
   };
@@ -187,16 +243,26 @@ const parseGamePlaceShipsPayload = (payload: unknown): GamePlaceShipsPayload | n
   };
 };
 
+const normalizeShotCoord = (value: unknown): Coord => ({
+  row: isRecord(value) ? normalizeFiniteNumber(value.row) : Number.NaN,
+  col: isRecord(value) ? normalizeFiniteNumber(value.col) : Number.NaN,
+});
+
 const parseGameShotPayload = (payload: unknown): GameShotPayload | null => {
   if (!isRecord(payload)) return null;
-  const coordValue = payload.coord;
-  const coord = {
-    row: isRecord(coordValue) ? normalizeFiniteNumber(coordValue.row) : Number.NaN,
-    col: isRecord(coordValue) ? normalizeFiniteNumber(coordValue.col) : Number.NaN,
+  return {
+    roomId: normalizeRoomId(payload.roomId),
+    coord: normalizeShotCoord(payload.coord),
   };
+};
+
+const parseGameSalvoPayload = (payload: unknown): GameSalvoPayload | null => {
+  if (!isRecord(payload)) return null;
+  if (!Array.isArray(payload.coords)) return null;
+  if (payload.coords.length === 0 || payload.coords.length > MAX_FLEET_SIZE) return null;
   return {
     roomId: normalizeRoomId(payload.roomId),
-    coord,
+    coords: payload.coords.map(normalizeShotCoord),
   };
 };
 
@@ -208,6 +274,24 @@ const parseGameCancelPayload = (payload: unknown): GameCancelPayload | null => {
   };
 };
 
+const parseGameRematchPayload = (payload: unknown): GameRematchPayload | null => {
+  if (payload === undefined) return {};
+  if (!isRecord(payload)) return null;
+  return {
+    roomId: normalizeRoomId(payload.roomId),
+  };
+};
+
+const parseSpectateJoinPayload = (payload: unknown): SpectateJoinPayload | null => {
+  if (!isRecord(payload)) return null;
+  if (payload.code !== undefined) {
+    const code = normalizeInviteCode(payload.code);
+    return code ? { code } : null;
+  }
+  const roomId = normalizeRoomId(payload.roomId);
+  return roomId ? { roomId } : null;
+};
+
 const parseChatSendPayload = (payload: unknown): ChatSendPayload | null => {
   if (!isRecord(payload)) return null;
   if (!isChatKind(payload.kind)) return null;
@@ -241,6 +325,19 @@ const parseChatSendPayload = (payload: unknown): ChatSendPayload | null => {
   };
 };
 
+const parseChatReportPayload = (payload: unknown): ChatReportPayload | null => {
+  if (!isRecord(payload)) return null;
+  const { messageId, reason } = payload;
+  if (typeof messageId !== "string" || messageId.length > MAX_CHAT_MESSAGE_ID_LENGTH) return null;
+  if (!/^[\w-]+$/.test(messageId)) return null;
+  if (reason !== undefined && !CHAT_REPORT_REASONS.includes(reason as ChatReportReason)) return null;
+  return {
+    roomId: normalizeRoomId(payload.roomId),
+    messageId,
+    reason: (reason as ChatReportReason | undefined) ?? "abuse",
+  };
+};
+
 type PayloadParser<T> = (payload: unknown) => T | null;
 
 const safeHandle = <T>(
@@ -250,20 +347,17 @@ const safeHandle = <T>(
   parser: PayloadParser<T>,
   handler: (payload: T) => void | Promise<void>,
   payload: unknown,
-  invalidMessage?: string,
-  invalidCode = "invalid_payload",
+  invalidDetail?: string,
+  invalidCode: GameErrorCode = "invalid_payload",
 ): Promise<void> => {
   const parsed = parser(payload === undefined ? {} : payload);
   if (parsed === null) {
     handlers.onInvalidInput?.(socket, eventName);
-    socket.emit("game:error", {
-      code: invalidCode,
-      message: invalidMessage ?? "Nieprawidłowe dane wejściowe.",
-    });
+    socket.emit("game:error", gameError(invalidCode, { detail: invalidDetail }));
     return Promise.resolve();
   }
   return Promise.resolve(handler(parsed)).catch(() => {
-    socket.emit("game:error", { message: "Nie udało się obsłużyć zdarzenia." });
+    socket.emit("game:error", gameError("general"));
   });
 };
 
@@ -281,7 +375,7 @@ export const registerSocketHandlers = (io: Server, handlers: GameSocketHandlers)
         parseSearchJoinPayload,
         (body) => handlers.onSearchJoin(socket, body),
         payload,
-        "Nieprawidłowe dane dołączenia.",
+        "search_join",
       );
     });
 
@@ -293,7 +387,31 @@ export const registerSocketHandlers = (io: Server, handlers: GameSocketHandlers)
         parseSearchCancelPayload,
         (body) => handlers.onSearchCancel(socket, body),
         payload,
-        "Nieprawidłowe dane anulowania.",
+        "search_cancel",
+      );
+    });
+
+    socket.on("room:create", (payload) => {
+      void safeHandle(
+        socket,
+        "room:create",
+        handlers,
+        parseSearchJoinPayload,
+        (body) => handlers.onRoomCreate(socket, body),
+        payload,
+        "room_create",
+      );
+    });
+
+    socket.on("room:join", (payload) => {
+      void safeHandle(
+        socket,
+        "room:join",
+        handlers,
+        parseRoomJoinPayload,
+        (body) => handlers.onRoomJoin(socket, body),
+        payload,
+        "room_join",
       );
     });
 
@@ -305,7 +423,7 @@ export const registerSocketHandlers = (io: Server, handlers: GameSocketHandlers)
         parseGamePlaceShipsPayload,
         (body) => handlers.onGamePlaceShips(socket, body),
         payload,
-        "Nieprawidłowe dane ustawienia statków.",
+        "placement",
       );
     });
 
@@ -317,7 +435,19 @@ export const registerSocketHandlers = (io: Server, handlers: GameSocketHandlers)
         parseGameShotPayload,
         (body) => handlers.onGameShot(socket, body),
         payload,
-        "Nieprawidłowe dane strzału.",
+        "shot",
+      );
+    });
+
+    socket.on("game:salvo", (payload) => {
+      void safeHandle(
+        socket,
+        "game:salvo",
+        handlers,
+        parseGameSalvoPayload,
+        (body) => handlers.onGameSalvo(socket, body),
+        payload,
+        "salvo",
       );
     });
 
@@ -329,10 +459,50 @@ export const registerSocketHandlers = (io: Server, handlers: GameSocketHandlers)
         parseGameCancelPayload,
         (body) => handlers.onGameCancel(socket, body),
         payload,
-        "Nieprawidłowe dane anulowania gry.",
+        "game_cancel",
+      );
+    });
+
+    socket.on("game:rematch_request", (payload) => {
+      void safeHandle(
+        socket,
+        "game:rematch_request",
+        handlers,
+        parseGameRematchPayload,
+        (body) => handlers.onGameRematchRequest(socket, body),
+        payload,
+        "rematch",
+      );
+    });
+
+    socket.on("game:rematch_accept", (payload) => {
+      void safeHandle(
+        socket,
+        "game:rematch_accept",
+        handlers,
+        parseGameRematchPayload,
+        (body) => handlers.onGameRematchAccept(socket, body),
+        payload,
+        "rematch",
       );
     });
 
+    socket.on("spectate:join", (payload) => {
+      void safeHandle(
+        socket,
+        "spectate:join",
+        handlers,
+        parseSpectateJoinPayload,
+        (body) => handlers.onSpectateJoin(socket, body),
+        payload,
+        "spectate",
+      );
+    });
+
+    socket.on("spectate:leave", () => {
+      void handlers.onSpectateLeave(socket);
+    });
+
     socket.on("chat:send", (payload) => {
       void safeHandle(
         socket,
@@ -341,7 +511,20 @@ export const registerSocketHandlers = (io: Server, handlers: GameSocketHandlers)
         parseChatSendPayload,
         (body) => handlers.onChatSend(socket, body),
         payload,
-        "Nieprawidłowe dane czatu.",
+        undefined,
+        "chat_invalid_payload",
+      );
+    });
+
+    socket.on("chat:report", (payload) => {
+      void safeHandle(
+        socket,
+        "chat:report",
+        handlers,
+        parseChatReportPayload,
+        (body) => handlers.onChatReport(socket, body),
+        payload,
+        "report",
         "chat_invalid_payload",
       );
     });
@@ -1,17 +1,34 @@
-import { ChatMessage, SerializedBoard } from "../../shared";
+import { AdjacencyPolicy, BotDifficulty, ChatMessage, RulesetId, SalvoMode, SerializedBoard } from "../../shared";
 
 export type RoomPhase = "setup" | "playing" | "over";
 export type RoomStatus = "setup" | "active" | "ended" | "cancelled";
 
 export interface RoomSnapshot {
   roomId: string;
+  rulesetId?: RulesetId;
+  adjacency?: AdjacencyPolicy;
+  salvo?: SalvoMode;
+  inviteCode?: string;
   vsBot: boolean;
   botId?: string;
+  botDifficulty?: BotDifficulty;
+  // Game seed plus saved generator states, so a restored room keeps drawing the same numbers.
+  seed?: number;
+  rngState?: number;
+  botRngState?: number;
   phase: RoomPhase;
   status: RoomStatus;
   players: string[];
   nicknames: Record<string, string>;
+  accountIds?: Record<string, string>;
+  rated?: boolean;
+  ratings?: Record<string, number>;
   turn: string;
+  turnDeadline?: number;
+  turnClockPausedMs?: number;
+  turnTimeouts?: Record<string, number>;
+  timeBanks?: Record<string, number>;
+  timeBankSince?: number;
   winner?: string;
   over: boolean;
   createdAt: number;
@@ -25,6 +42,10 @@ export interface RoomSnapshot {
   chatMessages?: ChatMessage[];
   chatSeq?: number;
   postGameExpiresAt?: number;
+  gameNumber?: number;
+  gameStartedAt?: number;
+  seriesWins?: Record<string, number>;
+  rematchRequests?: string[];
 }
 
 export interface RoomStore {
@@ -1,5 +1,15 @@
-import { coordToKey, inBounds } from "./game.js";
-import { BoardModel, Coord, ShotOutcome } from "./types.js";
+import { blockedNeighbors, coordToKey, inBounds } from "./game.js";
+import { RngState, createRngState, isSeed, makeSeed, nextRandom } from "./random.js";
+import {
+  AdjacencyPolicy,
+  BoardModel,
+  BotDifficulty,
+  Coord,
+  DEFAULT_BOT_DIFFICULTY,
+  ShotOutcome,
+  isAdjacencyPolicy,
+  isBotDifficulty,
+} from "./types.js";
 
 export type AiMode = "IDLE" | "TARGET" | "TRACK";
 
@@ -8,27 +18,98 @@ export interface AiState {
   targetQueue: Coord[];
   hitBuffer: Coord[];
   paritySeed: 0 | 1;
+  adjacency: AdjacencyPolicy;
+  difficulty: BotDifficulty;
+  // Every random choice the bot makes draws from here, so a seed replays the same shots.
+  rng: RngState;
+  // Cells ruled out by a sunk ship's neighbourhood; kept apart from board.shots so the real board stays untouched.
+  pruned: Set<string>;
   lineDirection?: { dr: number; dc: number };
   blocked?: { forward: boolean; backward: boolean };
   lastTrackAttempt?: "forward" | "backward";
 }
 
-export const createAiState = (): AiState => ({
-  mode: "IDLE",
-  targetQueue: [],
-  hitBuffer: [],
-  paritySeed: Math.floor(Math.random() * 2) as 0 | 1,
+export const createAiState = (
+  adjacency: AdjacencyPolicy = "none",
+  difficulty: BotDifficulty = DEFAULT_BOT_DIFFICULTY,
+  seed: number = makeSeed(),
+): AiState => {
+  const rng = createRngState(seed);
+  return {
+    mode: "IDLE",
+    targetQueue: [],
+    hitBuffer: [],
+    paritySeed: Math.floor(nextRandom(rng) * 2) as 0 | 1,
+    adjacency,
+    difficulty,
+    rng,
+    pruned: new Set<string>(),
+  };
+};
+
+// JSON-safe form of AiState, e.g. for a saved local game.
+export interface SerializedAiState extends Omit<AiState, "pruned"> {
+  pruned: string[];
+}
+
+export const cloneAiState = (state: AiState): AiState => ({
+  ...state,
+  targetQueue: state.targetQueue.map((coord) => ({ ...coord })),
+  hitBuffer: state.hitBuffer.map((coord) => ({ ...coord })),
+  rng: { value: state.rng.value },
+  pruned: new Set(state.pruned),
+  lineDirection: state.lineDirection ? { ...state.lineDirection } : undefined,
+  blocked: state.blocked ? { ...state.blocked } : undefined,
+});
+
+export const serializeAiState = (state: AiState): SerializedAiState => ({
+  ...cloneAiState(state),
+  pruned: [...state.pruned],
 });
 
+const isCoordList = (value: unknown): value is Coord[] =>
+  Array.isArray(value) &&
+  value.every(
+    (coord) => typeof coord === "object" && coord !== null && Number.isInteger(coord.row) && Number.isInteger(coord.col),
+  );
+
+// Returns null for anything that does not look like serializeAiState output.
+export const deserializeAiState = (value: unknown): AiState | null => {
+  if (typeof value !== "object" || value === null) return null;
+  const raw = value as Partial<SerializedAiState>;
+  if (raw.mode !== "IDLE" && raw.mode !== "TARGET" && raw.mode !== "TRACK") return null;
+  if (!isCoordList(raw.targetQueue) || !isCoordList(raw.hitBuffer)) return null;
+  if (raw.paritySeed !== 0 && raw.paritySeed !== 1) return null;
+  if (!isAdjacencyPolicy(raw.adjacency) || !isBotDifficulty(raw.difficulty)) return null;
+  if (!isSeed(raw.rng?.value)) return null;
+  if (!Array.isArray(raw.pruned) || !raw.pruned.every((key) => typeof key === "string")) return null;
+  return {
+    mode: raw.mode,
+    targetQueue: raw.targetQueue.map((coord) => ({ row: coord.row, col: coord.col })),
+    hitBuffer: raw.hitBuffer.map((coord) => ({ row: coord.row, col: coord.col })),
+    paritySeed: raw.paritySeed,
+    adjacency: raw.adjacency,
+    difficulty: raw.difficulty,
+    rng: { value: raw.rng.value },
+    pruned: new Set(raw.pruned),
+    lineDirection: raw.lineDirection ? { dr: raw.lineDirection.dr, dc: raw.lineDirection.dc } : undefined,
+    blocked: raw.blocked ? { forward: !!raw.blocked.forward, backward: !!raw.blocked.backward } : undefined,
+    lastTrackAttempt:
+      raw.lastTrackAttempt === "forward" || raw.lastTrackAttempt === "backward" ? raw.lastTrackAttempt : undefined,
+  };
+};
+
+const pick = <T>(items: T[], state: AiState): T => items[Math.floor(nextRandom(state.rng) * items.length)];
+
 const coordEquals = (a: Coord, b: Coord): boolean => a.row === b.row && a.col === b.col;
 
-const randomCoord = (board: BoardModel): Coord => ({
-  row: Math.floor(Math.random() * board.height),
-  col: Math.floor(Math.random() * board.width),
+const randomCoord = (board: BoardModel, state: AiState): Coord => ({
+  row: Math.floor(nextRandom(state.rng) * board.height),
+  col: Math.floor(nextRandom(state.rng) * board.width),
 });
 
-const isAvailable = (board: BoardModel, coord: Coord): boolean =>
-  inBounds(board, coord) && !board.shots.has(coordToKey(coord));
+const isAvailable = (board: BoardModel, coord: Coord, pruned?: Set<string>): boolean =>
+  inBounds(board, coord) && !board.shots.has(coordToKey(coord)) && !pruned?.has(coordToKey(coord));
 
 const addUnique = (list: Coord[], coord: Coord): void => {
   if (!list.some((item) => coordEquals(item, coord))) {
@@ -75,25 +156,41 @@ const lineCandidates = (board: BoardModel, state: AiState): Coord[] => {
   };
 
   const candidates: Coord[] = [];
-  if (isAvailable(board, forward)) candidates.push(forward);
-  if (isAvailable(board, backward)) candidates.push(backward);
+  if (isAvailable(board, forward, state.pruned)) candidates.push(forward);
+  if (isAvailable(board, backward, state.pruned)) candidates.push(backward);
   return candidates;
 };
 
-const pickAvailableFromQueue = (board: BoardModel, queue: Coord[]): Coord | null => {
+const pickAvailableFromQueue = (board: BoardModel, queue: Coord[], pruned: Set<string>): Coord | null => {
   while (queue.length > 0) {
     const first = queue.shift();
     if (!first) return null;
-    if (isAvailable(board, first)) return first;
+    if (isAvailable(board, first, pruned)) return first;
   }
   return null;
 };
 
-export const nextShot = (board: BoardModel, state: AiState): Coord => {
+const availableCells = (board: BoardModel, pruned: Set<string>): Coord[] => {
+  const cells: Coord[] = [];
+  for (let row = 0; row < board.height; row += 1) {
+    for (let col = 0; col < board.width; col += 1) {
+      const coord = { row, col };
+      if (isAvailable(board, coord, pruned)) cells.push(coord);
+    }
+  }
+  return cells;
+};
+
+const randomShot = (board: BoardModel, state: AiState): Coord => {
+  const cells = availableCells(board, state.pruned);
+  return cells.length > 0 ? pick(cells, state) : { row: -1, col: -1 };
+};
+
+const huntShot = (board: BoardModel, state: AiState): Coord => {
   if (state.mode === "TRACK" && state.lineDirection) {
     const candidates = lineCandidates(board, state);
     if (candidates.length > 0) {
-      const chosen = candidates[Math.floor(Math.random() * candidates.length)];
+      const chosen = pick(candidates, state);
       state.lastTrackAttempt = coordEquals(chosen, candidates[0]) ? "forward" : "backward";
       return chosen;
     }
@@ -103,7 +200,7 @@ export const nextShot = (board: BoardModel, state: AiState): Coord => {
     state.lastTrackAttempt = undefined;
   }
 
-  const queueHit = pickAvailableFromQueue(board, state.targetQueue);
+  const queueHit = pickAvailableFromQueue(board, state.targetQueue, state.pruned);
   if (queueHit) {
     return queueHit;
   }
@@ -111,8 +208,8 @@ export const nextShot = (board: BoardModel, state: AiState): Coord => {
   const isParityCandidate = (coord: Coord): boolean => (coord.row + coord.col + state.paritySeed) % 2 === 0;
   const maxAttempts = board.height * board.width * 2;
   for (let i = 0; i < maxAttempts; i += 1) {
-    const rand = randomCoord(board);
-    if (isAvailable(board, rand) && isParityCandidate(rand)) {
+    const rand = randomCoord(board, state);
+    if (isAvailable(board, rand, state.pruned) && isParityCandidate(rand)) {
       return rand;
     }
   }
@@ -120,12 +217,19 @@ export const nextShot = (board: BoardModel, state: AiState): Coord => {
   for (let row = 0; row < board.height; row += 1) {
     for (let col = 0; col < board.width; col += 1) {
       const coord = { row, col };
-      if (isParityCandidate(coord) && isAvailable(board, coord)) {
+      if (isParityCandidate(coord) && isAvailable(board, coord, state.pruned)) {
         return coord;
       }
     }
   }
 
+  for (let row = 0; row < board.height; row += 1) {
+    for (let col = 0; col < board.width; col += 1) {
+      const coord = { row, col };
+      if (isAvailable(board, coord, state.pruned)) return coord;
+    }
+  }
+
   for (let row = 0; row < board.height; row += 1) {
     for (let col = 0; col < board.width; col += 1) {
       const coord = { row, col };
@@ -136,6 +240,86 @@ export const nextShot = (board: BoardModel, state: AiState): Coord => {
   return { row: -1, col: -1 };
 };
 
+// A placement covering known hits is far likelier than one in open water.
+const HEATMAP_HIT_WEIGHT = 20;
+
+// Scores every cell by how many legal placements of the ships still afloat cover it.
+// Only what a player could know is used: shot outcomes, sunk ships and the fleet list.
+export const probabilityHeatmap = (board: BoardModel, adjacency: AdjacencyPolicy): number[][] => {
+  const heat = Array.from({ length: board.height }, () => Array.from({ length: board.width }, () => 0));
+  const sunkShips = board.ships.filter((ship) => ship.sunk);
+  const closed = new Set<string>();
+  for (const ship of sunkShips) {
+    for (const cell of ship.cells) {
+      closed.add(coordToKey(cell));
+      for (const neighbor of blockedNeighbors(board, cell, adjacency)) closed.add(coordToKey(neighbor));
+    }
+  }
+  const openHits = new Set<string>();
+  for (const ship of board.ships) {
+    if (ship.sunk) continue;
+    for (const cell of ship.cells) {
+      const key = coordToKey(cell);
+      if (board.shots.has(key)) openHits.add(key);
+    }
+  }
+  const remaining = board.ships.filter((ship) => !ship.sunk).map((ship) => ship.type);
+
+  for (const length of remaining) {
+    for (const [dr, dc] of length === 1 ? [[0, 1]] : [[0, 1], [1, 0]]) {
+      for (let row = 0; row + dr * (length - 1) < board.height; row += 1) {
+        for (let col = 0; col + dc * (length - 1) < board.width; col += 1) {
+          const keys: string[] = [];
+          let hits = 0;
+          let legal = true;
+          for (let i = 0; i < length; i += 1) {
+            const key = coordToKey({ row: row + dr * i, col: col + dc * i });
+            if (closed.has(key) || (board.shots.has(key) && !openHits.has(key))) {
+              legal = false;
+              break;
+            }
+            if (openHits.has(key)) hits += 1;
+            keys.push(key);
+          }
+          if (!legal) continue;
+          const weight = 1 + hits * HEATMAP_HIT_WEIGHT;
+          for (let i = 0; i < length; i += 1) {
+            if (!openHits.has(keys[i])) heat[row + dr * i][col + dc * i] += weight;
+          }
+        }
+      }
+    }
+  }
+  return heat;
+};
+
+const heatmapShot = (board: BoardModel, state: AiState): Coord => {
+  const heat = probabilityHeatmap(board, state.adjacency);
+  let best: Coord[] = [];
+  let bestScore = 0;
+  for (const coord of availableCells(board, state.pruned)) {
+    const score = heat[coord.row][coord.col];
+    if (score > bestScore) {
+      bestScore = score;
+      best = [coord];
+    } else if (score === bestScore && score > 0) {
+      best.push(coord);
+    }
+  }
+  return best.length > 0 ? pick(best, state) : huntShot(board, state);
+};
+
+export const nextShot = (board: BoardModel, state: AiState): Coord => {
+  if (state.difficulty === "easy") return randomShot(board, state);
+  if (state.difficulty === "hard") return heatmapShot(board, state);
+  return huntShot(board, state);
+};
+
+// The cell the hard bot would fire at next. The heatmap only reads what the shooter can see,
+// so this is a fair hint for a human looking at the same board.
+export const suggestShot = (board: BoardModel, adjacency: AdjacencyPolicy, seed?: number): Coord =>
+  nextShot(board, createAiState(adjacency, "hard", seed));
+
 export const registerAiShot = (board: BoardModel, state: AiState, coord: Coord, outcome: ShotOutcome): void => {
   if (!Number.isInteger(coord.row) || !Number.isInteger(coord.col)) {
     return;
@@ -166,7 +350,7 @@ export const registerAiShot = (board: BoardModel, state: AiState, coord: Coord,
   }
 
   for (const n of neighbors(coord)) {
-    if (isAvailable(board, n)) addUnique(state.targetQueue, n);
+    if (isAvailable(board, n, state.pruned)) addUnique(state.targetQueue, n);
   }
 
   const direction = inferDirection(state.hitBuffer);
@@ -179,6 +363,13 @@ export const registerAiShot = (board: BoardModel, state: AiState, coord: Coord,
   }
 
   if (outcome === "sink") {
+    // The easy bot does not reason about where the neighbouring ships cannot be.
+    const exclusion = state.difficulty === "easy" ? [] : state.hitBuffer;
+    for (const cell of exclusion) {
+      for (const neighbor of blockedNeighbors(board, cell, state.adjacency)) {
+        state.pruned.add(coordToKey(neighbor));
+      }
+    }
     state.mode = "IDLE";
     state.targetQueue = [];
     state.hitBuffer = [];
@@ -187,3 +378,24 @@ export const registerAiShot = (board: BoardModel, state: AiState, coord: Coord,
     state.lastTrackAttempt = undefined;
   }
 };
+
+export const nextSalvo = (board: BoardModel, state: AiState, count: number): Coord[] => {
+  const volley: Coord[] = [];
+  const picked = new Set<string>();
+  const reserved: string[] = [];
+  for (let i = 0; i < count; i += 1) {
+    const shot = nextShot(board, state);
+    const key = coordToKey(shot);
+    if (shot.row < 0 || shot.col < 0 || picked.has(key)) break;
+    volley.push(shot);
+    picked.add(key);
+    if (!state.pruned.has(key)) {
+      state.pruned.add(key);
+      reserved.push(key);
+    }
+  }
+  for (const key of reserved) {
+    state.pruned.delete(key);
+  }
+  return volley;
+};
@@ -1,19 +1,19 @@
-import { Coord } from "./types.js";
+import { BOARD_SIZE, Coord } from "./types.js";
 
-const BOARD_LABELS = "ABCDEFGHIJ";
+export const BOARD_LABELS = "ABCDEFGHIJKL";
 
 const isBetween = (value: number, min: number, max: number): boolean => value >= min && value <= max;
 
-export const parseBoardCoordInput = (value: string): Coord | null => {
+export const parseBoardCoordInput = (value: string, width = BOARD_SIZE, height = BOARD_SIZE): Coord | null => {
   const normalized = value.trim().toUpperCase().replace(/\s+/g, "");
-  const match = normalized.match(/^([A-J])([1-9]|10)$/);
+  const match = normalized.match(/^([A-Z])([1-9][0-9]?)$/);
   if (!match) return null;
 
   const col = BOARD_LABELS.indexOf(match[1]);
-  if (col < 0) return null;
+  if (col < 0 || col >= width) return null;
 
   const row = Number.parseInt(match[2], 10) - 1;
-  if (!Number.isFinite(row) || !isBetween(row, 0, 9)) return null;
+  if (!Number.isFinite(row) || !isBetween(row, 0, height - 1)) return null;
 
   return { row, col };
 };
@@ -1,15 +1,18 @@
 import {
+  AdjacencyPolicy,
   BOARD_SIZE,
   BoardModel,
   Coord,
+  CLASSIC_RULESET,
   Orientation,
-  REQUIRED_FLEET,
+  Ruleset,
+  SALVO_FIXED_SHOTS,
   Ship,
   ShipType,
   ShotResult,
   SerializedBoard,
-  STANDARD_FLEET,
 } from "./types.js";
+import { RandomSource, randomIndex } from "./random.js";
 
 export const coordToKey = (coord: Coord): string => `${coord.row},${coord.col}`;
 
@@ -18,13 +21,24 @@ export const keyToCoord = (key: string): Coord => {
   return { row, col };
 };
 
-export const createEmptyBoard = (width = BOARD_SIZE, height = BOARD_SIZE): BoardModel => ({
-  width,
-  height,
+const isRuleset = (value: unknown): value is Ruleset =>
+  typeof value === "object" && value !== null && Array.isArray((value as Ruleset).fleet);
+
+export const createEmptyBoard = (widthOrRuleset: number | Ruleset = BOARD_SIZE, height = BOARD_SIZE): BoardModel => ({
+  width: isRuleset(widthOrRuleset) ? widthOrRuleset.width : widthOrRuleset,
+  height: isRuleset(widthOrRuleset) ? widthOrRuleset.height : height,
   ships: [],
   shots: new Set<string>(),
 });
 
+export const countFleet = (fleet: readonly ShipType[]): Partial<Record<ShipType, number>> => {
+  const counts: Partial<Record<ShipType, number>> = {};
+  for (const type of fleet) {
+    counts[type] = (counts[type] ?? 0) + 1;
+  }
+  return counts;
+};
+
 export const cloneBoard = (board: BoardModel): BoardModel => ({
   width: board.width,
   height: board.height,
@@ -65,7 +79,30 @@ export const createShip = (id: string, type: ShipType, start: Coord, orientation
   sunk: false,
 });
 
-export const validatePlacement = (board: BoardModel, ship: Ship): boolean => {
+const ALL_NEIGHBOR_OFFSETS: Coord[] = [
+  { row: -1, col: -1 },
+  { row: -1, col: 0 },
+  { row: -1, col: 1 },
+  { row: 0, col: -1 },
+  { row: 0, col: 1 },
+  { row: 1, col: -1 },
+  { row: 1, col: 0 },
+  { row: 1, col: 1 },
+];
+
+// Offsets around a ship cell where no other ship may stand under the given policy.
+export const blockedNeighborOffsets = (adjacency: AdjacencyPolicy): Coord[] => {
+  if (adjacency === "any") return [];
+  if (adjacency === "diagonal-only") return ALL_NEIGHBOR_OFFSETS.filter((offset) => offset.row === 0 || offset.col === 0);
+  return ALL_NEIGHBOR_OFFSETS;
+};
+
+export const blockedNeighbors = (board: BoardModel, coord: Coord, adjacency: AdjacencyPolicy): Coord[] =>
+  blockedNeighborOffsets(adjacency)
+    .map((offset) => ({ row: coord.row + offset.row, col: coord.col + offset.col }))
+    .filter((neighbor) => inBounds(board, neighbor));
+
+export const validatePlacement = (board: BoardModel, ship: Ship, adjacency: AdjacencyPolicy = "none"): boolean => {
   if (ship.cells.length !== ship.type || ship.type <= 0) return false;
   const shipCells = ship.cells;
   const hasDuplicate = new Set(shipCells.map(coordToKey)).size !== shipCells.length;
@@ -82,15 +119,9 @@ export const validatePlacement = (board: BoardModel, ship: Ship): boolean => {
         if (coordEquals(candidate, current)) return false;
       }
 
-      // adjacency (including diagonals)
-      for (let dr = -1; dr <= 1; dr += 1) {
-        for (let dc = -1; dc <= 1; dc += 1) {
-          if (dr === 0 && dc === 0) continue;
-          const adjacent = { row: candidate.row + dr, col: candidate.col + dc };
-          if (!inBounds(board, adjacent)) continue;
-          for (const current of existing.cells) {
-            if (coordEquals(adjacent, current)) return false;
-          }
+      for (const adjacent of blockedNeighbors(board, candidate, adjacency)) {
+        for (const current of existing.cells) {
+          if (coordEquals(adjacent, current)) return false;
         }
       }
     }
@@ -98,7 +129,13 @@ export const validatePlacement = (board: BoardModel, ship: Ship): boolean => {
   return true;
 };
 
-export const placeFleetRandomly = (board: BoardModel, fleet: readonly ShipType[] = STANDARD_FLEET): BoardModel => {
+export const placeFleetRandomly = (
+  board: BoardModel,
+  rulesetOrFleet: Ruleset | readonly ShipType[] = CLASSIC_RULESET,
+  random: RandomSource = Math.random,
+): BoardModel => {
+  const fleet = isRuleset(rulesetOrFleet) ? rulesetOrFleet.fleet : rulesetOrFleet;
+  const adjacency = isRuleset(rulesetOrFleet) ? rulesetOrFleet.adjacency : "none";
   const nextBoard = cloneBoard(board);
   nextBoard.ships = [];
   const orientationValues: Orientation[] = ["H", "V"];
@@ -108,13 +145,13 @@ export const placeFleetRandomly = (board: BoardModel, fleet: readonly ShipType[]
     const id = `ship-${shipIndex++}`;
     let placed = false;
     for (let attempt = 0; attempt < 8000; attempt += 1) {
-      const orientation = orientationValues[Math.floor(Math.random() * 2)];
+      const orientation = orientationValues[randomIndex(random, 2)];
       const maxRow = orientation === "H" ? nextBoard.height : Math.max(1, nextBoard.height - type + 1);
       const maxCol = orientation === "V" ? nextBoard.width : Math.max(1, nextBoard.width - type + 1);
-      const row = Math.floor(Math.random() * maxRow);
-      const col = Math.floor(Math.random() * maxCol);
+      const row = randomIndex(random, maxRow);
+      const col = randomIndex(random, maxCol);
       const ship = createShip(id, type, { row, col }, orientation);
-      if (validatePlacement(nextBoard, ship)) {
+      if (validatePlacement(nextBoard, ship, adjacency)) {
         nextBoard.ships.push(ship);
         placed = true;
         break;
@@ -130,6 +167,17 @@ export const placeFleetRandomly = (board: BoardModel, fleet: readonly ShipType[]
 export const isFleetSunk = (board: BoardModel): boolean =>
   board.ships.length > 0 && board.ships.every((ship) => ship.sunk);
 
+export const salvoShotCount = (ruleset: Ruleset, shooterBoard: BoardModel, targetBoard: BoardModel): number => {
+  const openCells = targetBoard.width * targetBoard.height - targetBoard.shots.size;
+  const wanted =
+    ruleset.salvo === "fixed"
+      ? SALVO_FIXED_SHOTS
+      : ruleset.salvo === "per_ship"
+        ? shooterBoard.ships.filter((ship) => !ship.sunk).length
+        : 1;
+  return Math.max(0, Math.min(wanted, openCells));
+};
+
 const isShipCell = (board: BoardModel, coord: Coord): Ship | null => {
   const lookupKey = coordToKey(coord);
   for (const ship of board.ships) {
@@ -193,17 +241,19 @@ export const deserializeBoard = (serialized: SerializedBoard): BoardModel => ({
   hits: new Set(serialized.hits ?? []),
 });
 
-export const validateFleet = (board: BoardModel): boolean => {
-  if (board.ships.length !== 10) return false;
-  const expected = { ...REQUIRED_FLEET };
+export const validateFleet = (board: BoardModel, ruleset: Ruleset = CLASSIC_RULESET): boolean => {
+  if (board.width !== ruleset.width || board.height !== ruleset.height) return false;
+  if (board.ships.length !== ruleset.fleet.length) return false;
+  const expected = countFleet(ruleset.fleet);
   const placed = cloneBoard(createEmptyBoard(board.width, board.height));
   for (const ship of board.ships) {
     if (!Object.prototype.hasOwnProperty.call(expected, ship.type)) return false;
     if (ship.cells.length !== ship.type || ship.hits.length !== ship.type) return false;
-    if (expected[ship.type] <= 0) return false;
-    if (!validatePlacement(placed, ship)) return false;
+    const remaining = expected[ship.type] ?? 0;
+    if (remaining <= 0) return false;
+    if (!validatePlacement(placed, ship, ruleset.adjacency)) return false;
     placed.ships.push(ship);
-    expected[ship.type] -= 1;
+    expected[ship.type] = remaining - 1;
   }
   return Object.values(expected).every((count) => count === 0);
 };
@@ -0,0 +1,131 @@
+import { MessageParams } from "./types.js";
+
+// public/locales/manifest.json: every catalog the client may load, in picker order.
+export interface LocaleManifest {
+  languages: LocaleInfo[];
+}
+
+export interface LocaleInfo {
+  code: string;
+  name: string;
+}
+
+// GET /api/locales: the manifest plus the catalog picked from the request's Accept-Language.
+export interface LocalesResponse extends LocaleManifest {
+  preferred: string | null;
+}
+
+// public/locales/<code>.json. `status` holds the status lines the client builds itself, by key like `ui`.
+export interface LocaleCatalog {
+  name: string;
+  ui: Record<string, string>;
+  messages?: Record<string, string>;
+  status?: Record<string, string>;
+}
+
+const LOCALE_CODE_PATTERN = /^[a-z]{2,3}$/;
+
+export const isLocaleCode = (value: unknown): value is string =>
+  typeof value === "string" && LOCALE_CODE_PATTERN.test(value);
+
+const pluralRulesCache = new Map<string, Intl.PluralRules>();
+
+const pluralRules = (locale: string): Intl.PluralRules => {
+  let rules = pluralRulesCache.get(locale);
+  if (!rules) {
+    rules = new Intl.PluralRules(locale);
+    pluralRulesCache.set(locale, rules);
+  }
+  return rules;
+};
+
+const closingBrace = (text: string, open: number): number => {
+  let depth = 0;
+  for (let i = open; i < text.length; i += 1) {
+    if (text[i] === "{") depth += 1;
+    if (text[i] === "}") {
+      depth -= 1;
+      if (depth === 0) return i;
+    }
+  }
+  return -1;
+};
+
+const pluralBranches = (options: string): Map<string, string> | null => {
+  const branches = new Map<string, string>();
+  let index = 0;
+  while (index < options.length) {
+    const selector = /^\s*(=\d+|[a-z]+)\s*/.exec(options.slice(index));
+    if (!selector) break;
+    const open = index + selector[0].length;
+    if (options[open] !== "{") return null;
+    const close = closingBrace(options, open);
+    if (close < 0) return null;
+    branches.set(selector[1], options.slice(open + 1, close));
+    index = close + 1;
+  }
+  return options.slice(index).trim() === "" && branches.has("other") ? branches : null;
+};
+
+const renderPlaceholder = (body: string, params: MessageParams, locale: string): string | null => {
+  const plain = /^\s*(\w+)\s*$/.exec(body);
+  if (plain) return String(params[plain[1]] ?? "");
+  const plural = /^\s*(\w+)\s*,\s*plural\s*,([\s\S]*)$/.exec(body);
+  const branches = plural ? pluralBranches(plural[2]) : null;
+  if (!plural || !branches) return null;
+  const value = params[plural[1]];
+  const count = Number(value);
+  const branch = Number.isFinite(count)
+    ? (branches.get(`=${count}`) ?? branches.get(pluralRules(locale).select(count)) ?? branches.get("other"))
+    : branches.get("other");
+  return renderTemplate(branch ?? "", params, locale, String(value ?? ""));
+};
+
+const renderTemplate = (template: string, params: MessageParams, locale: string, hash?: string): string => {
+  const literal = (text: string) => (hash === undefined ? text : text.replace(/#/g, hash));
+  let result = "";
+  let index = 0;
+  while (index < template.length) {
+    const open = template.indexOf("{", index);
+    const close = open < 0 ? -1 : closingBrace(template, open);
+    if (close < 0) {
+      result += literal(template.slice(index));
+      break;
+    }
+    result += literal(template.slice(index, open));
+    const rendered = renderPlaceholder(template.slice(open + 1, close), params, locale);
+    result += rendered ?? template.slice(open, close + 1);
+    index = close + 1;
+  }
+  return result;
+};
+
+// ICU-style subset: `{name}` and `{name, plural, one {...} few {...} other {...}}` with `#`
+// for the count and `=N` for exact matches. Unknown params render empty; anything else stays as written.
+export const formatTemplate = (template: string, params: MessageParams = {}, locale = "pl"): string =>
+  renderTemplate(template, params, locale);
+
+// "de-AT,de;q=0.9,en;q=0.5" -> ["de-AT", "de", "en"]; q=0 entries are dropped.
+export const parseAcceptLanguage = (header: string | undefined): string[] =>
+  (header ?? "")
+    .split(",")
+    .map((part, order) => {
+      const [tag, ...attributes] = part.trim().split(";");
+      const quality = attributes.map((attribute) => /^\s*q=([\d.]+)\s*$/.exec(attribute)).find(Boolean);
+      return { tag: tag.trim(), q: quality ? Number(quality[1]) : 1, order };
+    })
+    .filter((entry) => /^[A-Za-z]{1,8}(-[A-Za-z0-9]{1,8})*$/.test(entry.tag) && entry.q > 0)
+    .sort((a, b) => b.q - a.q || a.order - b.order)
+    .map((entry) => entry.tag);
+
+// First preference with a catalog wins; regional tags fall back to their base language (de-AT -> de).
+export const negotiateLanguage = (preferences: readonly string[], available: readonly string[]): string | null => {
+  for (const preference of preferences) {
+    const tag = preference.toLowerCase();
+    const exact = available.find((code) => code.toLowerCase() === tag);
+    if (exact) return exact;
+    const base = available.find((code) => code.toLowerCase() === tag.split("-")[0]);
+    if (base) return base;
+  }
+  return null;
+};
@@ -2,4 +2,10 @@ export * from "./types.js";
 export * from "./game.js";
 export * from "./coords.js";
 export * from "./ai.js";
+export * from "./placement.js";
+export * from "./random.js";
 export * from "./shotMetrics.js";
+export * from "./replay.js";
+export * from "./analysis.js";
+export * from "./messages.js";
+export * from "./i18n.js";
@@ -0,0 +1,166 @@
+import {
+  GameErrorCode,
+  GameErrorPayload,
+  GameOverReason,
+  MessageCode,
+  MessageParams,
+  StatusCode,
+} from "./types.js";
+import { formatTemplate } from "./i18n.js";
+
+// Catalog keys are a code, or "code.detail" when one code covers several texts.
+export type MessageKey = MessageCode | `${GameErrorCode}.${string}`;
+
+export interface CodedMessage {
+  code: MessageCode;
+  detail?: string;
+  params?: MessageParams;
+}
+
+// Polish is the source catalog: the server sends it as `message` and clients fall back to it.
+// Other languages live in public/locales/<code>.json under "messages".
+export const PL_MESSAGES: Record<string, string> = {
+  general: "Nie udało się obsłużyć zdarzenia.",
+  soft_ban: "Zbyt wiele błędnych żądań. Spróbuj ponownie za chwilę.",
+  invalid_payload: "Nieprawidłowe dane wejściowe.",
+  "invalid_payload.search_join": "Nieprawidłowe dane dołączenia.",
+  "invalid_payload.search_cancel": "Nieprawidłowe dane anulowania.",
+  "invalid_payload.room_create": "Nieprawidłowe dane pokoju.",
+  "invalid_payload.room_join": "Nieprawidłowy kod pokoju.",
+  "invalid_payload.placement": "Nieprawidłowe dane ustawienia statków.",
+  "invalid_payload.shot": "Nieprawidłowe dane strzału.",
+  "invalid_payload.salvo": "Nieprawidłowe dane salwy.",
+  "invalid_payload.game_cancel": "Nieprawidłowe dane anulowania gry.",
+  "invalid_payload.rematch": "Nieprawidłowe dane rewanżu.",
+  "invalid_payload.spectate": "Nieprawidłowy pokój do obserwowania.",
+  rate_limited: "Za dużo żądań. Spróbuj ponownie za chwilę.",
+  "rate_limited.queue": "Za dużo żądań do kolejki. Spróbuj ponownie za chwilę.",
+  "rate_limited.reconnect": "Za dużo prób reconnect. Spróbuj ponownie za chwilę.",
+  "rate_limited.cancel": "Za dużo żądań anulowania. Spróbuj ponownie za chwilę.",
+  "rate_limited.placement": "Zbyt wiele ustawień statków. Poczekaj chwilę.",
+  "rate_limited.shot": "Zbyt wiele strzałów. Poczekaj chwilę.",
+  "rate_limited.rematch": "Za dużo próśb o rewanż. Spróbuj ponownie za chwilę.",
+  already_in_game: "Jesteś już w grze. Wyjdź do menu przed dołączeniem.",
+  already_queued: "Już czekasz na przeciwnika.",
+  room_not_found: "Nie znaleziono pokoju o tym kodzie.",
+  own_room: "Nie możesz dołączyć do własnego pokoju.",
+  no_active_game: "Brak aktywnej gry.",
+  invalid_room: "Nieprawidłowy pokój.",
+  invalid_room_id: "Nieprawidłowe id pokoju.",
+  placement_locked: "Pozycjonowanie statków jest niedostępne podczas gry.",
+  missing_board: "Brak planszy w danych.",
+  invalid_placement: "Nieprawidłowe ustawienie statków.",
+  not_your_turn: "Nie jest Twoja tura.",
+  bot_turn: "Tura bota.",
+  no_target: "Brak celu strzału.",
+  invalid_coordinates: "Błędne współrzędne.",
+  fleet_not_ready: "Rozpocznij po ustawieniu wszystkich statków.",
+  salvo_required: "W tym pokoju strzelasz salwami.",
+  salvo_disabled: "Salwy są wyłączone w tym pokoju.",
+  salvo_size: "Salwa musi mieć dokładnie {expected, plural, one {# strzał} few {# strzały} many {# strzałów} other {# strzału}}.",
+  already_shot: "To pole zostało już trafione.",
+  invalid_target: "Niewłaściwe pole.",
+  chat_invalid_payload: "Nieprawidłowe dane czatu.",
+  "chat_invalid_payload.control_chars": "Wiadomość zawiera niedozwolone znaki sterujące.",
+  "chat_invalid_payload.empty": "Wiadomość jest pusta po normalizacji.",
+  "chat_invalid_payload.link": "Wiadomość zawiera niedozwolony link.",
+  "chat_invalid_payload.report": "Nieprawidłowe zgłoszenie wiadomości.",
+  chat_rate_limited: "Za dużo wiadomości czatu. Spróbuj ponownie za chwilę.",
+  "chat_rate_limited.too_fast": "Wysyłasz wiadomości zbyt szybko. Spróbuj ponownie za chwilę.",
+  "chat_rate_limited.duplicate": "Wiadomość jest zbyt podobna do poprzednich. Spróbuj ponownie za chwilę.",
+  chat_not_allowed: "Czat jest niedostępny w tym etapie gry.",
+  "chat_not_allowed.online_only": "Czat jest dostępny tylko w meczu online PvP.",
+  chat_room_mismatch: "Nieprawidłowy pokój czatu.",
+  chat_report_invalid: "Nie można zgłosić tej wiadomości.",
+  "chat_report_invalid.not_found": "Zgłaszana wiadomość nie istnieje w historii czatu.",
+  "chat_report_invalid.own_message": "Nie możesz zgłosić własnej wiadomości.",
+  "chat_report_invalid.duplicate": "Ta wiadomość została już zgłoszona.",
+  rematch_unavailable: "Rewanż jest niedostępny.",
+  "rematch_unavailable.room_closed": "Pokój nie jest już dostępny.",
+  "rematch_unavailable.opponent_left": "Przeciwnik opuścił pokój. Rewanż jest niedostępny.",
+  rematch_too_early: "Rewanż jest dostępny dopiero po zakończeniu gry.",
+  rematch_not_requested: "Przeciwnik nie prosił o rewanż.",
+  spectate_unavailable: "Nie znaleziono gry do obserwowania.",
+  "spectate_unavailable.own_game": "Nie możesz obserwować własnej gry.",
+  "spectate_unavailable.in_game": "Jesteś już w grze. Wyjdź do menu przed dołączeniem.",
+  "spectate_unavailable.full": "Limit widzów w tym pokoju został osiągnięty.",
+  reconnect_grace: "Przeciwnik rozłączył się. Gra jest zawieszona na {seconds}s na próbę ponownego połączenia.",
+  reconnect_restored: "Połączenie z grą przywrócone.",
+  "reconnect_restored.opponent": "Przeciwnik wrócił do gry. Gra została wznowiona.",
+  reconnect_token_expired: "Token reconnecta stracił ważność. Tworzę nową kolejkę.",
+  "reconnect_token_expired.in_use": "Token reconnecta jest już używany w aktywnej sesji.",
+  reconnect_token_stale: "Token reconnecta jest nieaktualny.",
+  reconnect_token_unknown: "Nie znaleziono aktywnej gry ani kolejki z tym tokenem. Tworzę nową kolejkę.",
+  session_restored: "Odzyskano token sesji.",
+  queue_restored: "Odzyskano połączenie z kolejką.",
+  queue_timeout_bot: "Timeout kolejki. Gra z botem.",
+  opponent_found: "Znaleziono przeciwnika.",
+  private_room_joined: "Dołączono do pokoju prywatnego.",
+  queue_cancelled: "Anulowano oczekiwanie w kolejce.",
+  no_active_queue: "Brak aktywnego oczekiwania w kolejce.",
+  invite_expired: "Pokój prywatny wygasł. Nikt nie dołączył.",
+  turn_timeout: "Czas tury minął ({timeouts}/{limit}).",
+  opponent_disconnected: "Przeciwnik rozłączył się. Wygrana przyznana.",
+  inactivity_timeout: "Gra zakończona z powodu braku aktywności.",
+  game_cancelled: "Gra anulowana przez gracza.",
+  game_over: "Koniec gry.",
+  game_over_disconnect: "Przeciwnik rozłączył się.",
+  game_over_disconnect_timeout: "Przeciwnik nie wrócił w {seconds}s. Gra zakończona.",
+  game_over_connection_lost: "Gra zakończona z powodu braku połączenia.",
+  game_over_turn_timeouts: "Gra zakończona: zbyt wiele przekroczeń czasu tury.",
+  game_over_time_bank: "Gra zakończona: skończył się czas na zegarze.",
+  spectate_ended: "Transmisja zakończona.",
+  chat_report_received: "Zgłoszenie przyjęte. Dziękujemy.",
+};
+
+// Status shown with game:over when the server does not pick a more specific one.
+export const GAME_OVER_STATUS: Record<GameOverReason, StatusCode> = {
+  normal: "game_over",
+  manual_cancel: "game_cancelled",
+  disconnect: "game_over_disconnect",
+  inactivity_timeout: "inactivity_timeout",
+  turn_timeout: "game_over_turn_timeouts",
+  time_bank_exhausted: "game_over_time_bank",
+};
+
+const hasOwn = (record: Record<string, string>, key: string): boolean =>
+  Object.prototype.hasOwnProperty.call(record, key);
+
+const hasMessage = (key: string): boolean => hasOwn(PL_MESSAGES, key);
+
+const messageKey = (message: CodedMessage): string =>
+  message.detail && hasMessage(`${message.code}.${message.detail}`)
+    ? `${message.code}.${message.detail}`
+    : message.code;
+
+export const isMessageKey = (value: unknown): value is MessageKey =>
+  typeof value === "string" && hasMessage(value);
+
+// A key missing from `catalog` falls back to Polish; an unknown key renders as itself.
+export const formatMessage = (message: CodedMessage, locale = "pl", catalog?: Record<string, string>): string => {
+  const key = messageKey(message);
+  if (!hasMessage(key)) return key;
+  const template = catalog && hasOwn(catalog, key) ? catalog[key] : PL_MESSAGES[key];
+  return formatTemplate(template, message.params, locale);
+};
+
+type GameErrorExtras = Omit<GameErrorPayload, "code" | "message">;
+
+export const gameError = (code: GameErrorCode, extras: GameErrorExtras = {}): GameErrorPayload => ({
+  ...extras,
+  code,
+  message: formatMessage({ code, detail: extras.detail, params: extras.params }),
+});
+
+export interface StatusMessage {
+  code: StatusCode;
+  params?: MessageParams;
+  message: string;
+}
+
+// Spread into status payloads; `message` keeps the Polish text for clients that do not read codes.
+export const statusMessage = (code: StatusCode, params?: MessageParams): StatusMessage => ({
+  code,
+  ...(params ? { params } : {}),
+  message: formatMessage({ code, params }),
+});
@@ -0,0 +1,40 @@
+// Any function returning a float in [0, 1), e.g. Math.random.
+export type RandomSource = () => number;
+
+// Seeded generator state (mulberry32). A single uint32, so it survives JSON snapshots
+// and a resumed generator continues exactly where the saved one stopped.
+export interface RngState {
+  value: number;
+}
+
+const SEED_MAX = 0x1_0000_0000;
+
+export const makeSeed = (): number => Math.floor(Math.random() * SEED_MAX);
+
+export const isSeed = (value: unknown): value is number =>
+  typeof value === "number" && Number.isInteger(value) && value >= 0 && value < SEED_MAX;
+
+export const createRngState = (seed: number): RngState => ({ value: seed >>> 0 });
+
+// Independent stream for a given purpose (e.g. the bot AI), so extra draws in one
+// stream never shift the numbers another stream sees.
+export const deriveSeed = (seed: number, stream: number): number => {
+  let hash = Math.imul((seed ^ Math.imul(stream + 1, 0x9e3779b1)) >>> 0, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  return (hash ^ (hash >>> 16)) >>> 0;
+};
+
+export const nextRandom = (state: RngState): number => {
+  state.value = (state.value + 0x6d2b79f5) >>> 0;
+  let t = state.value;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / SEED_MAX;
+};
+
+export const randomFrom = (state: RngState): RandomSource => () => nextRandom(state);
+
+export const createRandom = (seed: number): RandomSource => randomFrom(createRngState(seed));
+
+export const randomIndex = (random: RandomSource, length: number): number => Math.floor(random() * length);
@@ -0,0 +1,152 @@
+import { cloneBoard, deserializeBoard, fireShot } from "./game.js";
+import { isSeed } from "./random.js";
+import { isCountableShotOutcome } from "./shotMetrics.js";
+import {
+  BoardModel,
+  Coord,
+  MatchEventRecord,
+  MatchReplay,
+  MatchReplayMove,
+  MatchReplayPlayer,
+  MatchReplayShot,
+  SerializedBoard,
+  getRuleset,
+} from "./types.js";
+
+export type MatchReplayResult =
+  | { ok: true; replay: MatchReplay }
+  | { ok: false; reason: "not_found" | "in_progress" };
+
+// Events that close a game; "game_cancelled" is always followed by one of these.
+const REPLAY_END_EVENTS = new Set(["game_over", "disconnect_timeout_no_winner", "room_inactivity_timeout"]);
+
+type ReplayDraft = MatchReplay & { ended: boolean };
+
+const isRecord = (value: unknown): value is Record<string, unknown> =>
+  typeof value === "object" && value !== null && !Array.isArray(value);
+
+const asString = (value: unknown): string | null => (typeof value === "string" && value.length > 0 ? value : null);
+
+const asCoord = (value: unknown): Coord | null => {
+  if (!isRecord(value)) return null;
+  const { row, col } = value;
+  if (!Number.isInteger(row) || !Number.isInteger(col)) return null;
+  return { row: row as number, col: col as number };
+};
+
+const eventTime = (event: MatchEventRecord): number =>
+  typeof event.payload.at === "number" ? event.payload.at : event.createdAt;
+
+const parseShot = (value: unknown): MatchReplayShot | null => {
+  if (!isRecord(value)) return null;
+  const coord = asCoord(value.coord);
+  const outcome = asString(value.outcome);
+  if (!coord || !outcome || !isCountableShotOutcome(outcome)) return null;
+  return { coord, outcome, shipId: asString(value.shipId) };
+};
+
+const parsePlayers = (value: unknown): MatchReplayPlayer[] => {
+  if (!Array.isArray(value)) return [];
+  return value.flatMap((entry) => {
+    if (!isRecord(entry) || !isRecord(entry.board)) return [];
+    const id = asString(entry.id);
+    if (!id) return [];
+    return [{ id, nickname: asString(entry.nickname) ?? id, board: entry.board as unknown as SerializedBoard }];
+  });
+};
+
+// Rooms host several games after rematches; without `game` the latest finished one is rebuilt.
+export const buildMatchReplay = (roomId: string, events: MatchEventRecord[], game?: number): MatchReplayResult => {
+  const ordered = events
+    .map((event, index) => ({ event, index }))
+    .sort((a, b) => eventTime(a.event) - eventTime(b.event) || a.index - b.index)
+    .map(({ event }) => event);
+  // Reconnects give players a new socket id; map every alias back to the id from game_started.
+  const aliases = new Map<string, string>();
+  const resolve = (id: unknown): string => {
+    const value = asString(id) ?? "";
+    return aliases.get(value) ?? value;
+  };
+  const drafts: ReplayDraft[] = [];
+  let current: ReplayDraft | null = null;
+
+  for (const event of ordered) {
+    const { payload } = event;
+    if (event.eventType === "player_id_replaced") {
+      const from = asString(payload.from);
+      const to = asString(payload.to);
+      if (from && to) aliases.set(to, resolve(from));
+      continue;
+    }
+    if (event.eventType === "game_started") {
+      const players = parsePlayers(payload.players);
+      if (players.length < 2) continue;
+      const ruleset = isRecord(payload.ruleset) ? payload.ruleset : {};
+      current = {
+        roomId,
+        game: Number.isInteger(payload.game) ? (payload.game as number) : drafts.length + 1,
+        ruleset: getRuleset(asString(ruleset.id), asString(ruleset.adjacency), asString(ruleset.salvo)),
+        vsBot: payload.vsBot === true,
+        seed: isSeed(payload.seed) ? payload.seed : null,
+        players,
+        firstTurn: resolve(payload.firstTurn) || players[0].id,
+        moves: [],
+        winner: null,
+        startedAt: eventTime(event),
+        endedAt: eventTime(event),
+        ended: false,
+      };
+      drafts.push(current);
+      continue;
+    }
+    if (!current || current.ended) continue;
+    if (event.eventType === "shot_result" || event.eventType === "salvo_result") {
+      const rawShots = event.eventType === "shot_result" ? [payload] : Array.isArray(payload.results) ? payload.results : [];
+      const shots = rawShots.map(parseShot).filter((shot): shot is MatchReplayShot => shot !== null);
+      if (shots.length === 0) continue;
+      const move: MatchReplayMove = {
+        shooter: resolve(payload.shooter),
+        target: resolve(payload.target),
+        shots,
+        at: eventTime(event),
+      };
+      current.moves.push(move);
+      continue;
+    }
+    if (REPLAY_END_EVENTS.has(event.eventType)) {
+      const winner = asString(payload.winner);
+      current.winner = winner ? resolve(winner) : null;
+      current.endedAt = eventTime(event);
+      current.ended = true;
+    }
+  }
+
+  const candidates = game === undefined ? drafts : drafts.filter((draft) => draft.game === game);
+  const finished = candidates.filter((draft) => draft.ended);
+  const picked = game === undefined ? finished[finished.length - 1] : candidates[candidates.length - 1];
+  if (!picked) {
+    return { ok: false, reason: candidates.length > 0 ? "in_progress" : "not_found" };
+  }
+  if (!picked.ended) {
+    return { ok: false, reason: "in_progress" };
+  }
+  const { ended: _ended, ...replay } = picked;
+  return { ok: true, replay };
+};
+
+// Boards of every player after the first `step` moves.
+export const replayBoardsAt = (replay: MatchReplay, step: number): Record<string, BoardModel> => {
+  const boards: Record<string, BoardModel> = {};
+  for (const player of replay.players) {
+    boards[player.id] = cloneBoard(deserializeBoard({ ...player.board, shots: [], hits: [] }));
+  }
+  const limit = Math.max(0, Math.min(step, replay.moves.length));
+  for (const move of replay.moves.slice(0, limit)) {
+    const board = boards[move.target];
+    if (!board) continue;
+    for (const shot of move.shots) {
+      fireShot(board, shot.coord);
+    }
+  }
+  return boards;
+};
@@ -1,3 +1,6 @@
+import { coordToKey } from "./game.js";
+import type { BoardModel } from "./types.js";
+
 export type CountableShotOutcome = "miss" | "hit" | "sink";
 
 export const isCountableShotOutcome = (outcome: string): outcome is CountableShotOutcome =>
@@ -22,3 +25,21 @@ export const incrementShotCounter = (
     counters.opponentShots += 1;
   }
 };
+
+export interface BoardShotStats {
+  shots: number;
+  hits: number;
+  // First cell fired at this board (shots keep insertion order), as a "row,col" key.
+  openingCell: string | null;
+}
+
+export const boardShotStats = (board: BoardModel): BoardShotStats => {
+  const shipCells = new Set(board.ships.flatMap((ship) => ship.cells.map(coordToKey)));
+  let hits = 0;
+  let openingCell: string | null = null;
+  for (const key of board.shots) {
+    openingCell ??= key;
+    if (shipCells.has(key)) hits += 1;
+  }
+  return { shots: board.shots.size, hits, openingCell };
+};
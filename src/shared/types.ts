@@ -7,7 +7,7 @@ export type Coord = {
 
 export type Orientation = "H" | "V";
 
-export type ShipType = 4 | 3 | 2 | 1;
+export type ShipType = 5 | 4 | 3 | 2 | 1;
 
 export interface Ship {
   id: string;
@@ -47,19 +47,106 @@ export interface SerializedBoard {
 
 export const STANDARD_FLEET: ShipType[] = [4, 3, 3, 2, 2, 2, 1, 1, 1, 1];
 
-export const REQUIRED_FLEET: Record<ShipType, number> = {
+export const REQUIRED_FLEET: Partial<Record<ShipType, number>> = {
   1: 4,
   2: 3,
   3: 2,
   4: 1,
 };
 
+export type RulesetId = "classic" | "quick" | "big_fleet";
+
+// "none": ships may not touch at all, "diagonal-only": corners may touch, "any": only overlap is forbidden.
+export type AdjacencyPolicy = "none" | "diagonal-only" | "any";
+
+export const ADJACENCY_POLICIES: readonly AdjacencyPolicy[] = ["none", "diagonal-only", "any"];
+
+// "off": one shot per turn, "fixed": SALVO_FIXED_SHOTS per volley, "per_ship": one shot per own surviving ship.
+export type SalvoMode = "off" | "fixed" | "per_ship";
+
+export const SALVO_MODES: readonly SalvoMode[] = ["off", "fixed", "per_ship"];
+
+export const SALVO_FIXED_SHOTS = 3;
+
+// "easy": random shots, "normal": parity hunting with line tracking, "hard": placement-probability heatmap.
+export type BotDifficulty = "easy" | "normal" | "hard";
+
+export const BOT_DIFFICULTIES: readonly BotDifficulty[] = ["easy", "normal", "hard"];
+
+export const DEFAULT_BOT_DIFFICULTY: BotDifficulty = "normal";
+
+export interface Ruleset {
+  id: RulesetId;
+  width: number;
+  height: number;
+  fleet: readonly ShipType[];
+  adjacency: AdjacencyPolicy;
+  salvo: SalvoMode;
+}
+
+export const CLASSIC_RULESET: Ruleset = {
+  id: "classic",
+  width: BOARD_SIZE,
+  height: BOARD_SIZE,
+  fleet: STANDARD_FLEET,
+  adjacency: "none",
+  salvo: "off",
+};
+
+export const RULESETS: Record<RulesetId, Ruleset> = {
+  classic: CLASSIC_RULESET,
+  quick: {
+    id: "quick",
+    width: 8,
+    height: 8,
+    fleet: [3, 2, 2, 1, 1, 1],
+    adjacency: "none",
+    salvo: "off",
+  },
+  big_fleet: {
+    id: "big_fleet",
+    width: 12,
+    height: 12,
+    fleet: [5, 4, 3, 3, 2, 2, 2, 1, 1, 1, 1],
+    adjacency: "none",
+    salvo: "off",
+  },
+};
+
+export const DEFAULT_RULESET_ID: RulesetId = "classic";
+
+export const MAX_BOARD_SIZE = Math.max(...Object.values(RULESETS).flatMap((ruleset) => [ruleset.width, ruleset.height]));
+
+export const MAX_FLEET_SIZE = Math.max(...Object.values(RULESETS).map((ruleset) => ruleset.fleet.length));
+
+export const isRulesetId = (value: unknown): value is RulesetId =>
+  typeof value === "string" && Object.prototype.hasOwnProperty.call(RULESETS, value);
+
+export const isAdjacencyPolicy = (value: unknown): value is AdjacencyPolicy =>
+  typeof value === "string" && ADJACENCY_POLICIES.includes(value as AdjacencyPolicy);
+
+export const isSalvoMode = (value: unknown): value is SalvoMode =>
+  typeof value === "string" && SALVO_MODES.includes(value as SalvoMode);
+
+export const isBotDifficulty = (value: unknown): value is BotDifficulty =>
+  typeof value === "string" && BOT_DIFFICULTIES.includes(value as BotDifficulty);
+
+export const getRuleset = (id?: string | null, adjacency?: string | null, salvo?: string | null): Ruleset => {
+  const base = isRulesetId(id) ? RULESETS[id] : CLASSIC_RULESET;
+  const nextAdjacency = isAdjacencyPolicy(adjacency) ? adjacency : base.adjacency;
+  const nextSalvo = isSalvoMode(salvo) ? salvo : base.salvo;
+  if (nextAdjacency === base.adjacency && nextSalvo === base.salvo) return base;
+  return { ...base, adjacency: nextAdjacency, salvo: nextSalvo };
+};
+
 export interface QueueQueuedPayload {
   playerId: string;
   joinedAt: number;
   timeoutMs: number;
   reconnectToken?: string;
   recovered?: boolean;
+  code?: StatusCode;
+  params?: MessageParams;
   message?: string;
 }
 
@@ -73,20 +160,87 @@ export type GameErrorCode =
   | "chat_rate_limited"
   | "chat_not_allowed"
   | "chat_room_mismatch"
+  | "chat_report_invalid"
+  | "room_not_found"
+  | "rematch_unavailable"
+  | "spectate_unavailable"
+  | "turn_timeout"
+  | "rate_limited"
+  | "already_in_game"
+  | "already_queued"
+  | "own_room"
+  | "no_active_game"
+  | "invalid_room"
+  | "invalid_room_id"
+  | "placement_locked"
+  | "missing_board"
+  | "invalid_placement"
+  | "not_your_turn"
+  | "bot_turn"
+  | "no_target"
+  | "invalid_coordinates"
+  | "fleet_not_ready"
+  | "salvo_required"
+  | "salvo_disabled"
+  | "salvo_size"
+  | "already_shot"
+  | "invalid_target"
+  | "rematch_too_early"
+  | "rematch_not_requested"
+  | "opponent_disconnected"
+  | "inactivity_timeout"
   | "general";
 
+// Codes for server status texts sent outside game:error (queue, cancel, game over, spectating).
+export type StatusCode =
+  | "queue_timeout_bot"
+  | "opponent_found"
+  | "private_room_joined"
+  | "session_restored"
+  | "queue_restored"
+  | "reconnect_token_expired"
+  | "reconnect_token_stale"
+  | "reconnect_token_unknown"
+  | "queue_cancelled"
+  | "no_active_queue"
+  | "no_active_game"
+  | "invite_expired"
+  | "game_cancelled"
+  | "game_over"
+  | "game_over_disconnect"
+  | "game_over_disconnect_timeout"
+  | "game_over_connection_lost"
+  | "game_over_turn_timeouts"
+  | "game_over_time_bank"
+  | "inactivity_timeout"
+  | "spectate_ended"
+  | "chat_report_received";
+
+export type MessageCode = GameErrorCode | StatusCode;
+
+export type MessageParams = Record<string, string | number>;
+
+// `message` is the Polish text for older clients; render from code, detail and params instead.
 export interface GameErrorPayload {
   message: string;
   roomId?: string;
   code?: GameErrorCode;
+  // Narrows a shared code, e.g. chat_rate_limited with detail "duplicate".
+  detail?: string;
+  params?: MessageParams;
   remainingMs?: number;
 }
 
 export interface QueueMatchedPayload {
   roomId: string;
+  rulesetId: RulesetId;
+  adjacency: AdjacencyPolicy;
+  salvo: SalvoMode;
   opponent: string;
   reconnectToken?: string;
   vsBot: boolean;
+  code?: StatusCode;
+  params?: MessageParams;
   message: string;
   youReady: boolean;
   opponentReady: boolean;
@@ -94,11 +248,13 @@ export interface QueueMatchedPayload {
 
 export interface GameStatePayload {
   roomId: string;
+  ruleset: Ruleset;
   vsBot: boolean;
   yourTurn: boolean;
   turn: string;
   yourShots: number;
   opponentShots: number;
+  salvoShots: number;
   phase: "setup" | "playing" | "over";
   youReady: boolean;
   opponentReady: boolean;
@@ -109,6 +265,21 @@ export interface GameStatePayload {
   opponentName: string;
   opponentId?: string;
   yourId: string;
+  inviteCode?: string;
+  series: SeriesScore;
+  rematchRequestedBy: string[];
+  spectators: number;
+  // Server epoch ms when the current turn times out; null when no shot clock runs.
+  turnDeadline: number | null;
+  // Time left at emit, so clients can count down without trusting their own clock.
+  turnRemainingMs: number | null;
+  // Chess-clock banks; null when the room plays without one.
+  timeBank: TimeBankPayload | null;
+}
+
+export interface SeriesScore {
+  you: number;
+  opponent: number;
 }
 
 export interface GameTurnPayload {
@@ -120,6 +291,33 @@ export interface GameTurnPayload {
   phase: "setup" | "playing" | "over";
   gameOver: boolean;
   winner?: string | null;
+  turnDeadline: number | null;
+  turnRemainingMs: number | null;
+  timeBank: TimeBankPayload | null;
+}
+
+export const BOT_STATE_VERSION = 1;
+
+// Sent as "bot:state" next to every game:turn, only to sockets authenticated as bot clients.
+// Boards are one string per row: yourBoard uses "." water, "S" ship, "o" miss, "x" hit;
+// targetBoard uses "." unknown, "o" miss, "x" hit, "#" sunk ship.
+export interface BotStatePayload {
+  v: typeof BOT_STATE_VERSION;
+  roomId: string;
+  yourId: string;
+  opponentId: string;
+  phase: "setup" | "playing" | "over";
+  yourTurn: boolean;
+  // Shots expected this turn: 1 means game:shot, more means one game:salvo.
+  shots: number;
+  deadline: number | null;
+  budgetMs: number;
+  ruleset: Ruleset;
+  remaining: number[];
+  yourBoard: string[];
+  targetBoard: string[];
+  gameOver: boolean;
+  winner: string | null;
 }
 
 export interface GameShotResultPayload {
@@ -131,6 +329,19 @@ export interface GameShotResultPayload {
   gameOver?: boolean;
 }
 
+export interface SalvoShotResult {
+  coord: Coord;
+  outcome: ShotOutcome;
+  shipId?: string;
+}
+
+export interface GameSalvoResultPayload {
+  roomId: string;
+  shooter: string;
+  results: SalvoShotResult[];
+  gameOver?: boolean;
+}
+
 export interface GameOverPayload {
   roomId: string;
   winner: string | null;
@@ -138,8 +349,32 @@ export interface GameOverPayload {
   yourShots: number;
   opponentShots: number;
   totalShots: number;
-  reason?: "normal" | "disconnect" | "manual_cancel" | "inactivity_timeout";
+  reason?: GameOverReason;
+  code?: StatusCode;
+  params?: MessageParams;
   message?: string;
+  rating?: RatingChange;
+}
+
+export type GameOverReason =
+  | "normal"
+  | "disconnect"
+  | "manual_cancel"
+  | "inactivity_timeout"
+  | "turn_timeout"
+  | "time_bank_exhausted";
+
+export interface TimeBankPayload {
+  yourMs: number;
+  opponentMs: number;
+  // False while paused, e.g. during a reconnect grace window.
+  running: boolean;
+}
+
+export interface RatingChange {
+  before: number;
+  after: number;
+  delta: number;
 }
 
 export interface GameCancelledPayload {
@@ -148,7 +383,10 @@ export interface GameCancelledPayload {
     | "queue_cancelled"
     | "manual_cancel"
     | "disconnect"
-    | "search_cancelled";
+    | "search_cancelled"
+    | "invite_expired";
+  code?: StatusCode;
+  params?: MessageParams;
   message: string;
 }
 
@@ -172,6 +410,22 @@ export interface ChatSendPayload {
   gifId?: string;
 }
 
+export const CHAT_REPORT_REASONS = ["abuse", "spam", "other"] as const;
+export type ChatReportReason = (typeof CHAT_REPORT_REASONS)[number];
+
+export interface ChatReportPayload {
+  roomId?: string;
+  messageId: string;
+  reason?: ChatReportReason;
+}
+
+export interface ChatReportedPayload {
+  roomId: string;
+  messageId: string;
+  code?: StatusCode;
+  message: string;
+}
+
 export interface ChatHistoryPayload {
   roomId: string;
   messages: ChatMessage[];
@@ -186,8 +440,42 @@ export interface ChatMessagePayload {
 export interface SearchJoinPayload {
   nickname?: string;
   reconnectToken?: string;
+  ruleset?: RulesetId;
+  adjacency?: AdjacencyPolicy;
+  salvo?: SalvoMode;
+  // Only used when the queue times out into a bot game.
+  botDifficulty?: BotDifficulty;
 }
 
+export type RoomCreatePayload = SearchJoinPayload;
+
+export interface RoomJoinPayload {
+  code: string;
+  nickname?: string;
+  reconnectToken?: string;
+}
+
+export interface RoomCreatedPayload {
+  roomId: string;
+  code: string;
+  reconnectToken: string;
+  rulesetId: RulesetId;
+  adjacency: AdjacencyPolicy;
+  salvo: SalvoMode;
+  expiresAt: number;
+}
+
+export const INVITE_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+export const INVITE_CODE_LENGTH = 6;
+
+export const normalizeInviteCode = (value: unknown): string | null => {
+  if (typeof value !== "string") return null;
+  const code = value.trim().toUpperCase();
+  if (code.length !== INVITE_CODE_LENGTH) return null;
+  return [...code].every((char) => INVITE_CODE_ALPHABET.includes(char)) ? code : null;
+};
+
 export interface SearchCancelPayload {
   roomId?: string;
 }
@@ -202,10 +490,196 @@ export interface GameShotPayload {
   coord: Coord;
 }
 
+export interface GameSalvoPayload {
+  roomId?: string;
+  coords: Coord[];
+}
+
 export interface GameCancelPayload {
   roomId?: string;
 }
 
+export interface SpectateJoinPayload {
+  roomId?: string;
+  code?: string;
+}
+
+export interface SpectatorPlayerView {
+  id: string;
+  nickname: string;
+  shots: number;
+  ready: boolean;
+  board: SerializedBoard;
+}
+
+export interface SpectatorStatePayload {
+  roomId: string;
+  ruleset: Ruleset;
+  vsBot: boolean;
+  phase: "setup" | "playing" | "over";
+  turn: string;
+  gameOver: boolean;
+  winner: string | null;
+  players: SpectatorPlayerView[];
+  spectators: number;
+}
+
+export interface SpectateEndedPayload {
+  roomId: string;
+  code?: StatusCode;
+  params?: MessageParams;
+  message: string;
+}
+
+export interface GameRematchPayload {
+  roomId?: string;
+}
+
+export interface GameRematchRequestedPayload {
+  roomId: string;
+  requestedBy: string;
+}
+
+export interface GameRematchStartedPayload {
+  roomId: string;
+  series: SeriesScore;
+  game: number;
+}
+
+export interface MatchEventRecord {
+  eventType: string;
+  payload: Record<string, unknown>;
+  createdAt: number;
+}
+
+export interface MatchReplayPlayer {
+  id: string;
+  nickname: string;
+  board: SerializedBoard;
+}
+
+export interface MatchReplayShot {
+  coord: Coord;
+  outcome: ShotOutcome;
+  shipId: string | null;
+}
+
+export interface MatchReplayMove {
+  shooter: string;
+  target: string;
+  shots: MatchReplayShot[];
+  at: number;
+}
+
+export interface MatchReplay {
+  roomId: string;
+  game: number;
+  ruleset: Ruleset;
+  vsBot: boolean;
+  // Seed the server drew for this game; null for games recorded before seeding.
+  seed: number | null;
+  players: MatchReplayPlayer[];
+  firstTurn: string;
+  moves: MatchReplayMove[];
+  winner: string | null;
+  startedAt: number;
+  endedAt: number;
+}
+
+export interface ShipSinkStat {
+  shipId: string;
+  length: number;
+  // Shooter's shot numbers (1-based); null when it never happened.
+  firstHitShot: number | null;
+  sunkShot: number | null;
+}
+
+export interface PlayerMatchAnalysis {
+  playerId: string;
+  nickname: string;
+  shots: number;
+  hits: number;
+  accuracy: number;
+  // Running hit rate after each shot, in firing order.
+  accuracyTimeline: number[];
+  shotsToFirstHit: number | null;
+  // Shot count when the opposing fleet went down; null if it survived.
+  shotsToWin: number | null;
+  // Opponent's ships in fleet order.
+  ships: ShipSinkStat[];
+  // Opponent's board: shot number fired at each cell, 0 where nothing was fired.
+  heatmap: number[][];
+  // Hits the probability AI's heatmap predicted for the cells actually chosen; luck = hits - expectedHits.
+  expectedHits: number;
+  luck: number;
+  // Mean shots the hard AI needs to sink the same fleet.
+  aiExpectedShots: number;
+}
+
+export interface MatchAnalysis {
+  roomId: string;
+  game: number;
+  winner: string | null;
+  players: PlayerMatchAnalysis[];
+}
+
+export interface AccountSession {
+  accountId: string;
+  username: string | null;
+  guest: boolean;
+  rating: number;
+}
+
+export type AccountErrorCode =
+  | "not_signed_in"
+  | "invalid_username"
+  | "invalid_password"
+  | "username_taken"
+  | "invalid_credentials"
+  | "already_registered"
+  | "rate_limited"
+  | "accounts_unavailable";
+
+export const LEADERBOARD_SORTS = ["wins", "win_rate", "rating", "accuracy"] as const;
+export type LeaderboardSort = (typeof LEADERBOARD_SORTS)[number];
+
+export const LEADERBOARD_WINDOWS = ["daily", "weekly", "all"] as const;
+export type LeaderboardWindow = (typeof LEADERBOARD_WINDOWS)[number];
+
+export interface LeaderboardEntry {
+  rank: number;
+  accountId: string;
+  name: string;
+  rating: number;
+  games: number;
+  wins: number;
+  winRate: number;
+  // Share of shots that hit a ship, null before the first shot.
+  accuracy: number | null;
+}
+
+export interface Leaderboard {
+  sort: LeaderboardSort;
+  window: LeaderboardWindow;
+  minGames: number;
+  entries: LeaderboardEntry[];
+  generatedAt: number;
+}
+
+export interface PlayerStats {
+  accountId: string;
+  username: string | null;
+  rating: number;
+  ratedGames: number;
+  games: number;
+  wins: number;
+  losses: number;
+  winRate: number;
+  accuracy: number | null;
+  averageShotsToWin: number | null;
+  favouriteOpening: { row: number; col: number; games: number } | null;
+}
+
 export const CHAT_GIF_IDS = [
   "direct_hit",
   "missed_shot",
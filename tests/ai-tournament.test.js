@@ -0,0 +1,129 @@
+const assert = require("node:assert/strict");
+const { spawn } = require("node:child_process");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const test = require("node:test");
+
+const runTournamentScript = async (args) =>
+  new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [path.join(__dirname, "../scripts/ai-tournament.js"), ...args], {
+      stdio: ["ignore", "pipe", "pipe"],
+    });
+
+    let stdout = "";
+    let stderr = "";
+    child.stdout.on("data", (chunk) => {
+      stdout += String(chunk);
+    });
+    child.stderr.on("data", (chunk) => {
+      stderr += String(chunk);
+    });
+    child.once("error", reject);
+    child.once("exit", (code) => {
+      resolve({ code: code ?? 0, stdout, stderr });
+    });
+  });
+
+const withoutLatency = (report) => ({
+  ...report,
+  strategies: report.strategies.map(({ moveLatencyUs, ...entry }) => ({ ...entry, moves: moveLatencyUs.moves })),
+});
+
+test("ai tournament replays the same games for a seed and reports every pairing", async () => {
+  const args = ["--strategies", "easy,normal,hard", "--games", "6", "--seed", "42", "--json"];
+  const first = await runTournamentScript(args);
+  assert.equal(first.code, 0, first.stderr);
+  const report = JSON.parse(first.stdout);
+
+  assert.equal(report.seed, 42);
+  assert.deepEqual(
+    report.headToHead.map((pairing) => [pairing.a, pairing.b, pairing.aWins + pairing.bWins]),
+    [
+      ["easy", "normal", 6],
+      ["easy", "hard", 6],
+      ["normal", "hard", 6],
+    ],
+  );
+  for (const entry of report.strategies) {
+    assert.equal(entry.games, 12);
+    assert.equal(entry.illegalMoves, 0);
+    assert.ok(entry.moveLatencyUs.moves > 0);
+    const histogramTotal = Object.values(entry.shotsToWin.histogram).reduce((sum, count) => sum + count, 0);
+    assert.equal(histogramTotal, entry.wins);
+  }
+
+  const second = await runTournamentScript(args);
+  assert.equal(second.code, 0, second.stderr);
+  assert.deepEqual(withoutLatency(JSON.parse(second.stdout)), withoutLatency(report));
+});
+
+test("ai tournament loads external strategies and forfeits illegal moves", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ai-tournament-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const sweeper = path.join(dir, "sweeper.js");
+  fs.writeFileSync(
+    sweeper,
+    `module.exports = {
+      name: "sweeper",
+      createState: () => ({ next: 0 }),
+      nextShot: (board, state) => {
+        const index = state.next++;
+        return { row: Math.floor(index / board.width), col: index % board.width };
+      },
+    };`,
+  );
+  const stubborn = path.join(dir, "stubborn.js");
+  fs.writeFileSync(stubborn, `module.exports = { nextShot: () => ({ row: 0, col: 0 }) };`);
+
+  const result = await runTournamentScript(["--strategies", `${sweeper},${stubborn}`, "--games", "4", "--seed", "1"]);
+  assert.equal(result.code, 0, result.stderr);
+  assert.match(result.stdout, /sweeper vs stubborn\s+4\s+4:0\s+100\.0%/);
+  assert.match(result.stdout, /^stubborn\s+4\s+0\s+0\.0%\s+4\s/m);
+
+  const missing = await runTournamentScript(["--strategies", "normal", "--games", "1"]);
+  assert.equal(missing.code, 1);
+  assert.match(missing.stderr, /at least two strategies/);
+});
+
+test("ai tournament shows external strategies only a fog-of-war view of the enemy fleet", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ai-tournament-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const peeker = path.join(dir, "peeker.js");
+  fs.writeFileSync(
+    peeker,
+    `const check = (board, state) => {
+      if (board.ships.some((ship) => !ship.sunk)) throw new Error("afloat ship visible");
+      if (board.shots.size !== state.next) throw new Error("view is not a fresh copy");
+      for (const key of board.hits) if (!board.shots.has(key)) throw new Error("hit without a shot");
+      const fleetCells = board.ships.reduce((sum, ship) => sum + ship.cells.length, 0) +
+        board.remainingShipLengths.reduce((sum, length) => sum + length, 0);
+      if (fleetCells !== state.fleetCells) throw new Error("fleet size changed");
+    };
+    module.exports = {
+      name: "peeker",
+      createState: (ruleset) => ({
+        next: 0,
+        fleetCells: ruleset.fleet.reduce((sum, length) => sum + length, 0),
+      }),
+      nextShot: (board, state) => {
+        check(board, state);
+        const index = state.next;
+        board.shots.clear();
+        board.ships.length = 0;
+        return { row: Math.floor(index / board.width), col: index % board.width };
+      },
+      registerShot: (board, state) => {
+        state.next += 1;
+        check(board, state);
+      },
+    };`,
+  );
+
+  const result = await runTournamentScript(["--strategies", `${peeker},normal`, "--games", "4", "--seed", "3", "--json"]);
+  assert.equal(result.code, 0, result.stderr);
+  const report = JSON.parse(result.stdout);
+  const entry = report.strategies.find((item) => item.name === "peeker");
+  assert.equal(entry.games, 4);
+  assert.equal(entry.illegalMoves, 0);
+});
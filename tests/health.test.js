@@ -492,6 +492,288 @@ test("GET /metrics returns text payload with gauges", async () => {
     assert.equal(result.text.includes("battleship_uptime_seconds"), true);
     assert.equal(result.text.includes("battleship_rooms_active"), true);
     assert.equal(result.text.includes("battleship_matchmaking_queue_size"), true);
+    assert.equal(result.text.includes("battleship_spectators_active"), true);
+  } finally {
+    await server.close();
+  }
+});
+
+test("GET /api/matches/:roomId/replay validates the id and needs match telemetry", async () => {
+  const port = randomPort();
+  const server = await startTestServer(port);
+  try {
+    const invalid = await requestEndpoint(port, "/api/matches/not-a-room/replay", "GET");
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(invalid.json, { error: "invalid_room_id" });
+    assert.equal(invalid.cacheControl.includes("no-store"), true);
+
+    const invalidGame = await requestEndpoint(port, "/api/matches/room-abc-def/replay?game=0", "GET");
+    assert.equal(invalidGame.status, 400);
+    assert.deepEqual(invalidGame.json, { error: "invalid_game" });
+
+    const unavailable = await requestEndpoint(port, "/api/matches/room-abc-def/replay", "GET");
+    assert.equal(unavailable.status, 503);
+    assert.deepEqual(unavailable.json, { error: "replay_unavailable" });
+  } finally {
+    await server.close();
+  }
+});
+
+test("GET /api/matches/:roomId/analysis validates the id and needs match telemetry", async () => {
+  const port = randomPort();
+  const server = await startTestServer(port);
+  try {
+    const invalid = await requestEndpoint(port, "/api/matches/not-a-room/analysis", "GET");
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(invalid.json, { error: "invalid_room_id" });
+    assert.equal(invalid.cacheControl.includes("no-store"), true);
+
+    const invalidGame = await requestEndpoint(port, "/api/matches/room-abc-def/analysis?game=x", "GET");
+    assert.equal(invalidGame.status, 400);
+    assert.deepEqual(invalidGame.json, { error: "invalid_game" });
+
+    const unavailable = await requestEndpoint(port, "/api/matches/room-abc-def/analysis", "GET");
+    assert.equal(unavailable.status, 503);
+    assert.deepEqual(unavailable.json, { error: "replay_unavailable" });
+  } finally {
+    await server.close();
+  }
+});
+
+test("GET /api/matches/:roomId/analysis is rate limited per IP", async () => {
+  const port = randomPort();
+  const server = await startTestServer(port, { RATE_LIMIT_ANALYSIS_PER_WINDOW: "2" });
+  try {
+    for (let attempt = 0; attempt < 2; attempt += 1) {
+      const allowed = await requestEndpoint(port, "/api/matches/room-abc-def/analysis", "GET");
+      assert.equal(allowed.status, 503);
+      assert.deepEqual(allowed.json, { error: "replay_unavailable" });
+    }
+    const limited = await requestEndpoint(port, "/api/matches/room-abc-def/analysis", "GET");
+    assert.equal(limited.status, 429);
+    assert.deepEqual(limited.json, { error: "rate_limited" });
+    assert.equal(limited.cacheControl.includes("no-store"), true);
+
+    const replay = await requestEndpoint(port, "/api/matches/room-abc-def/replay", "GET");
+    assert.deepEqual(replay.json, { error: "replay_unavailable" });
+  } finally {
+    await server.close();
+  }
+});
+
+test("GET /api/leaderboard and /api/players/:id/stats validate input and need match telemetry", async () => {
+  const port = randomPort();
+  const server = await startTestServer(port);
+  try {
+    const invalidSort = await requestEndpoint(port, "/api/leaderboard?sort=shots", "GET");
+    assert.equal(invalidSort.status, 400);
+    assert.deepEqual(invalidSort.json, { error: "invalid_sort" });
+    assert.equal(invalidSort.cacheControl.includes("no-store"), true);
+
+    const invalidWindow = await requestEndpoint(port, "/api/leaderboard?sort=rating&window=monthly", "GET");
+    assert.equal(invalidWindow.status, 400);
+    assert.deepEqual(invalidWindow.json, { error: "invalid_window" });
+
+    const unavailable = await requestEndpoint(port, "/api/leaderboard?sort=win_rate&window=weekly", "GET");
+    assert.equal(unavailable.status, 503);
+    assert.deepEqual(unavailable.json, { error: "stats_unavailable" });
+
+    const invalidPlayer = await requestEndpoint(port, "/api/players/room-abc-def/stats", "GET");
+    assert.equal(invalidPlayer.status, 400);
+    assert.deepEqual(invalidPlayer.json, { error: "invalid_player_id" });
+
+    const playerUnavailable = await requestEndpoint(port, "/api/players/acc-0123456789abcdef01234567/stats", "GET");
+    assert.equal(playerUnavailable.status, 503);
+    assert.deepEqual(playerUnavailable.json, { error: "stats_unavailable" });
+  } finally {
+    await server.close();
+  }
+});
+
+test("leaderboard and player stats count every game of a rematch series", async (t) => {
+  const databaseUrl = (process.env.DATABASE_URL ?? "").trim();
+  if (!databaseUrl) {
+    t.skip("DATABASE_URL not configured");
+    return;
+  }
+  const { Client } = require("pg");
+  const { createRuntimeTelemetry } = require("../dist/server/server/runtime/telemetry.js");
+  const { randomBytes } = require("node:crypto");
+  const accountA = `acc-${randomBytes(12).toString("hex")}`;
+  const accountB = `acc-${randomBytes(12).toString("hex")}`;
+  const roomId = `series_test_${randomBytes(6).toString("hex")}`;
+  const client = new Client({ connectionString: databaseUrl });
+  await client.connect();
+  const telemetry = createRuntimeTelemetry();
+
+  try {
+    await client.query("INSERT INTO accounts (id) VALUES ($1), ($2)", [accountA, accountB]);
+    const startedAt = Date.now() - 60_000;
+    for (const [gameNumber, winner] of [[1, "pa"], [2, "pb"], [3, "pa"]]) {
+      telemetry.recordMatchSummary({
+        roomId,
+        gameNumber,
+        mode: "online",
+        status: "normal",
+        winnerPlayerId: winner,
+        startedAt: startedAt + gameNumber * 10_000,
+        endedAt: startedAt + gameNumber * 10_000 + 5_000,
+        players: [
+          {
+            playerId: "pa",
+            accountId: accountA,
+            nickname: "Alpha",
+            shots: 20 + gameNumber,
+            hits: 17,
+            openingCell: "E5",
+            isWinner: winner === "pa",
+          },
+          {
+            playerId: "pb",
+            accountId: accountB,
+            nickname: "Beta",
+            shots: 30,
+            hits: 12,
+            openingCell: "A1",
+            isWinner: winner === "pb",
+          },
+        ],
+      });
+    }
+    let recorded = 0;
+    for (let attempt = 0; attempt < 40 && recorded < 6; attempt += 1) {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      const result = await client.query(
+        "SELECT COUNT(*)::int AS count FROM match_players mp JOIN matches m ON m.id = mp.match_id WHERE m.room_id = $1",
+        [roomId],
+      );
+      recorded = result.rows[0].count;
+    }
+    assert.equal(recorded, 6);
+
+    const stats = await telemetry.getPlayerStats(accountA);
+    assert.equal(stats.games, 3);
+    assert.equal(stats.wins, 2);
+    assert.equal(stats.shots, 21 + 22 + 23);
+    assert.equal(stats.averageShotsToWin, 22);
+
+    const leaderboard = await telemetry.listLeaderboard({ sort: "wins", since: 0, minGames: 1, limit: 10_000 });
+    const entryB = leaderboard.find((entry) => entry.accountId === accountB);
+    assert.equal(entryB?.games, 3);
+    assert.equal(entryB?.wins, 1);
+  } finally {
+    await client.query("DELETE FROM matches WHERE room_id = $1", [roomId]);
+    await client.query("DELETE FROM accounts WHERE id = ANY($1::text[])", [[accountA, accountB]]);
+    await client.end();
+    await telemetry.close();
+  }
+});
+
+const authRequest = async (port, endpoint, { method = "POST", cookie, body } = {}) => {
+  const headers = {};
+  if (cookie) headers.cookie = cookie;
+  if (body) headers["content-type"] = "application/json";
+  const response = await fetch(`http://127.0.0.1:${port}/api/auth/${endpoint}`, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const setCookie = String(response.headers.get("set-cookie") ?? "");
+  return {
+    status: response.status,
+    json: await response.json().catch(() => null),
+    setCookie,
+    cookie: setCookie.split(";")[0],
+  };
+};
+
+test("GET /api/locales lists catalogs and negotiates Accept-Language", async () => {
+  const port = randomPort();
+  const server = await startTestServer(port);
+  try {
+    const locales = async (acceptLanguage) => {
+      const response = await fetch(`http://127.0.0.1:${port}/api/locales`, {
+        headers: acceptLanguage ? { "accept-language": acceptLanguage } : {},
+      });
+      return { status: response.status, vary: response.headers.get("vary") ?? "", json: await response.json() };
+    };
+    const german = await locales("de-AT,de;q=0.9,en;q=0.8");
+    assert.equal(german.status, 200);
+    assert.match(german.vary, /Accept-Language/i);
+    assert.deepEqual(
+      german.json.languages.map((entry) => entry.code),
+      ["pl", "en", "de", "uk"],
+    );
+    assert.equal(german.json.preferred, "de");
+    assert.equal((await locales("fr-FR, uk;q=0.5")).json.preferred, "uk");
+    assert.equal((await locales("fr")).json.preferred, null);
+    assert.equal((await locales(null)).json.preferred, null);
+
+    const catalog = await requestEndpoint(port, "/locales/de.json", "GET");
+    assert.equal(catalog.status, 200);
+    assert.equal(catalog.json.name, "Deutsch");
+  } finally {
+    await server.close();
+  }
+});
+
+test("auth endpoints upgrade a guest session to a password account", async () => {
+  const port = randomPort();
+  const server = await startTestServer(port);
+  try {
+    const anonymous = await authRequest(port, "me", { method: "GET" });
+    assert.equal(anonymous.status, 401);
+    assert.deepEqual(anonymous.json, { error: "not_signed_in" });
+
+    const guest = await authRequest(port, "guest");
+    assert.equal(guest.status, 200);
+    assert.equal(guest.json.guest, true);
+    assert.match(guest.json.accountId, /^acc-[a-f0-9]{24}$/);
+    assert.match(guest.setCookie, /^battleship_session=[^;]+; Path=\/; HttpOnly; SameSite=Lax; Max-Age=\d+/);
+
+    const weak = await authRequest(port, "register", {
+      cookie: guest.cookie,
+      body: { username: "kapitan_1", password: "short" },
+    });
+    assert.equal(weak.status, 400);
+    assert.deepEqual(weak.json, { error: "invalid_password" });
+
+    const registered = await authRequest(port, "register", {
+      cookie: guest.cookie,
+      body: { username: "Kapitan_1", password: "correct horse" },
+    });
+    assert.equal(registered.status, 200);
+    assert.deepEqual(registered.json, { accountId: guest.json.accountId, username: "kapitan_1", guest: false, rating: 1200 });
+
+    const me = await authRequest(port, "me", { method: "GET", cookie: registered.cookie });
+    assert.equal(me.status, 200);
+    assert.equal(me.json.username, "kapitan_1");
+
+    const again = await authRequest(port, "register", {
+      cookie: registered.cookie,
+      body: { username: "kapitan_2", password: "correct horse" },
+    });
+    assert.equal(again.status, 409);
+    assert.deepEqual(again.json, { error: "already_registered" });
+
+    const taken = await authRequest(port, "register", { body: { username: "kapitan_1", password: "another pass" } });
+    assert.equal(taken.status, 409);
+    assert.deepEqual(taken.json, { error: "username_taken" });
+
+    const wrong = await authRequest(port, "login", { body: { username: "kapitan_1", password: "wrong password" } });
+    assert.equal(wrong.status, 401);
+    assert.deepEqual(wrong.json, { error: "invalid_credentials" });
+
+    const login = await authRequest(port, "login", { body: { username: "kapitan_1", password: "correct horse" } });
+    assert.equal(login.status, 200);
+    assert.equal(login.json.accountId, guest.json.accountId);
+
+    const tampered = await authRequest(port, "me", { method: "GET", cookie: `${login.cookie.slice(0, -2)}xx` });
+    assert.equal(tampered.status, 401);
+
+    const logout = await authRequest(port, "logout", { cookie: login.cookie });
+    assert.equal(logout.status, 200);
+    assert.match(logout.setCookie, /Max-Age=0/);
   } finally {
     await server.close();
   }
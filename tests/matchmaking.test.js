@@ -48,3 +48,106 @@ test("queue timeout resolves to callback with expired entries", () => {
   assert.equal(hasInQueue("t1"), false);
   assert.equal(hasInQueue("t2"), true);
 });
+
+test("matchmaking only pairs players with the same ruleset", () => {
+  ["a1", "a2", "a3", "t1", "t2", "r1", "r2", "r3"].forEach((id) => leaveQueue(id));
+  joinQueue("r1", "Classic", Date.now(), undefined, "classic");
+  joinQueue("r2", "Quick", Date.now(), undefined, "quick");
+  assert.equal(takeMatch(), null);
+
+  joinQueue("r3", "Quick 2", Date.now(), undefined, "quick");
+  const match = takeMatch();
+  const players = match ? match.map((entry) => entry.playerId).sort() : [];
+  assert.deepEqual(players, ["r2", "r3"]);
+  assert.ok(match?.every((entry) => entry.rulesetId === "quick"));
+  assert.equal(hasInQueue("r1"), true);
+  leaveQueue("r1");
+});
+
+test("matchmaking keeps players with different adjacency rules apart", () => {
+  ["s1", "s2"].forEach((id) => leaveQueue(id));
+  joinQueue("s1", "Strict", Date.now(), undefined, "classic", "none");
+  joinQueue("s2", "Touching", Date.now(), undefined, "classic", "any");
+  assert.equal(takeMatch(), null);
+  leaveQueue("s1");
+  leaveQueue("s2");
+});
+
+test("matchmaking keeps players with different salvo modes apart", () => {
+  ["v1", "v2", "v3"].forEach((id) => leaveQueue(id));
+  joinQueue("v1", "Single", Date.now(), undefined, "classic", "none", "off");
+  joinQueue("v2", "Salvo", Date.now(), undefined, "classic", "none", "fixed");
+  assert.equal(takeMatch(), null);
+
+  joinQueue("v3", "Salvo 2", Date.now(), undefined, "classic", "none", "fixed");
+  const match = takeMatch();
+  assert.deepEqual(match ? match.map((entry) => entry.playerId).sort() : [], ["v2", "v3"]);
+  leaveQueue("v1");
+});
+
+test("matchmaking never pairs two queue entries of the same account", () => {
+  ["w1", "w2", "w3"].forEach((id) => leaveQueue(id));
+  joinQueue("w1", "Tab 1", Date.now(), undefined, "classic", "none", "off", "acc-same");
+  joinQueue("w2", "Tab 2", Date.now(), undefined, "classic", "none", "off", "acc-same");
+  assert.equal(takeMatch(), null);
+
+  joinQueue("w3", "Other", Date.now(), undefined, "classic", "none", "off", "acc-other");
+  const match = takeMatch();
+  const players = match ? match.map((entry) => entry.playerId) : [];
+  assert.equal(players.length, 2);
+  assert.ok(players.includes("w3"));
+  leaveQueue("w1");
+  leaveQueue("w2");
+});
+
+test("matchmaking keeps rated players apart until the rating window widens", () => {
+  ["e1", "e2"].forEach((id) => leaveQueue(id));
+  const now = Date.now();
+  const window = { base: 100, growthPerSecond: 10, openAfterMs: Number.POSITIVE_INFINITY };
+  joinQueue("e1", "Rookie", now, undefined, "classic", "none", "off", "acc-rookie", 1200);
+  joinQueue("e2", "Veteran", now, undefined, "classic", "none", "off", "acc-veteran", 1500);
+  assert.equal(takeMatch(window, now), null);
+  assert.equal(takeMatch(window, now + 10_000), null);
+
+  const match = takeMatch(window, now + 20_000);
+  assert.deepEqual(match ? match.map((entry) => entry.playerId).sort() : [], ["e1", "e2"]);
+});
+
+test("matchmaking opens the rating window completely after openAfterMs", () => {
+  ["o1", "o2"].forEach((id) => leaveQueue(id));
+  const now = Date.now();
+  const window = { base: 100, growthPerSecond: 0, openAfterMs: 30_000 };
+  joinQueue("o1", "Low", now, undefined, "classic", "none", "off", "acc-low", 900);
+  joinQueue("o2", "High", now, undefined, "classic", "none", "off", "acc-high", 2100);
+  assert.equal(takeMatch(window, now + 29_000), null);
+  assert.equal(takeMatch(window, now + 30_000)?.length, 2);
+});
+
+test("matchmaking pairs the longest waiter with the closest rating inside the window", () => {
+  ["p1", "p2", "p3"].forEach((id) => leaveQueue(id));
+  const now = Date.now();
+  const window = { base: 1_000, growthPerSecond: 0, openAfterMs: Number.POSITIVE_INFINITY };
+  joinQueue("p1", "Mid", now - 2_000, undefined, "quick", "none", "off", "acc-mid", 1300);
+  joinQueue("p3", "Far", now - 1_000, undefined, "quick", "none", "off", "acc-far", 2000);
+  joinQueue("p2", "Near", now, undefined, "quick", "none", "off", "acc-near", 1320);
+  const match = takeMatch(window, now);
+  assert.deepEqual(match ? match.map((entry) => entry.playerId).sort() : [], ["p1", "p2"]);
+  leaveQueue("p3");
+});
+
+test("elo delta rewards upsets and never drops below one point", () => {
+  const { eloDelta } = require("../dist/server/server/rating.js");
+  assert.equal(eloDelta(1200, 1200, 32), 16);
+  assert.ok(eloDelta(1200, 1600, 32) > eloDelta(1600, 1200, 32));
+  assert.equal(eloDelta(2800, 800, 32), 1);
+});
+
+test("chat word filter masks listed words through leetspeak, diacritics and repeats", () => {
+  const { createChatWordFilter, DEFAULT_CHAT_BLOCKED_WORDS } = require("../dist/server/server/chatFilter.js");
+  const filter = createChatWordFilter([...DEFAULT_CHAT_BLOCKED_WORDS, "szczur*"]);
+  assert.deepEqual(filter("gg, dobra gra"), { text: "gg, dobra gra", filtered: false });
+  assert.deepEqual(filter("ty kurw4!"), { text: "ty ******", filtered: true });
+  assert.deepEqual(filter("SH1T  happens"), { text: "****  happens", filtered: true });
+  assert.deepEqual(filter("Gówno i sszczury"), { text: "***** i ********", filtered: true });
+  assert.equal(filter("shiitake and classic").filtered, false);
+});
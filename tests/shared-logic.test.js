@@ -9,9 +9,43 @@ const {
   fireShot,
   isFleetSunk,
   validateFleet,
+  salvoShotCount,
+  serializeBoard,
 } = require("../dist/server/shared/game.js");
-const { createAiState, nextShot, registerAiShot } = require("../dist/server/shared/ai.js");
+const { buildMatchReplay, replayBoardsAt } = require("../dist/server/shared/replay.js");
+const { buildMatchAnalysis } = require("../dist/server/shared/analysis.js");
+const {
+  createAiState,
+  deserializeAiState,
+  nextSalvo,
+  nextShot,
+  probabilityHeatmap,
+  registerAiShot,
+  serializeAiState,
+  cloneAiState,
+  suggestShot,
+} = require("../dist/server/shared/ai.js");
+const {
+  PLACEMENT_STRATEGIES,
+  placeFleetWithStrategy,
+  shotHeatFromCounts,
+} = require("../dist/server/shared/placement.js");
+const { createRandom, createRngState, deriveSeed, nextRandom } = require("../dist/server/shared/random.js");
 const { parseBoardCoordInput } = require("../dist/server/shared/coords.js");
+const { boardShotStats } = require("../dist/server/shared/shotMetrics.js");
+const { RULESETS, CLASSIC_RULESET, SALVO_FIXED_SHOTS, getRuleset } = require("../dist/server/shared/types.js");
+const {
+  PL_MESSAGES,
+  formatMessage,
+  gameError,
+  isMessageKey,
+  statusMessage,
+} = require("../dist/server/shared/messages.js");
+const { formatTemplate, negotiateLanguage, parseAcceptLanguage } = require("../dist/server/shared/i18n.js");
+const localeManifest = require("../public/locales/manifest.json");
+const localeCatalogs = Object.fromEntries(
+  localeManifest.languages.map(({ code }) => [code, require(`../public/locales/${code}.json`)]),
+);
 
 const coordKey = (coord) => `${coord.row},${coord.col}`;
 
@@ -44,6 +78,129 @@ test("fleet validator accepts valid fleet and rejects invalid sizes", () => {
   assert.equal(validateFleet(invalidBoard), false);
 });
 
+test("adjacency policy controls side and corner contact", () => {
+  const board = createEmptyBoard();
+  const first = createShip("ship-1", 3, { row: 2, col: 2 }, "H");
+  board.ships.push(first);
+
+  const corner = createShip("ship-2", 1, { row: 3, col: 5 }, "H");
+  const side = createShip("ship-3", 2, { row: 3, col: 3 }, "V");
+  const overlap = createShip("ship-4", 1, { row: 2, col: 4 }, "H");
+
+  assert.equal(validatePlacement(board, corner, "none"), false);
+  assert.equal(validatePlacement(board, side, "none"), false);
+  assert.equal(validatePlacement(board, corner, "diagonal-only"), true);
+  assert.equal(validatePlacement(board, side, "diagonal-only"), false);
+  assert.equal(validatePlacement(board, corner, "any"), true);
+  assert.equal(validatePlacement(board, side, "any"), true);
+  assert.equal(validatePlacement(board, overlap, "any"), false);
+
+  for (const adjacency of ["diagonal-only", "any"]) {
+    const ruleset = getRuleset("classic", adjacency);
+    assert.equal(ruleset.adjacency, adjacency);
+    assert.equal(validateFleet(placeFleetRandomly(createEmptyBoard(ruleset), ruleset), ruleset), true);
+  }
+});
+
+test("AI skips neighbours of a sunk ship according to the adjacency policy", () => {
+  const shootAround = (adjacency) => {
+    const board = createEmptyBoard();
+    board.ships.push(createShip("ship-1", 1, { row: 0, col: 0 }, "H"));
+    const state = createAiState(adjacency);
+    const result = fireShot(board, { row: 0, col: 0 });
+    registerAiShot(board, state, { row: 0, col: 0 }, result.outcome);
+    return state.pruned;
+  };
+
+  assert.deepEqual([...shootAround("none")].sort(), ["0,1", "1,0", "1,1"]);
+  assert.deepEqual([...shootAround("diagonal-only")].sort(), ["0,1", "1,0"]);
+  assert.equal(shootAround("any").size, 0);
+});
+
+test("random placement produces a valid fleet for every ruleset", () => {
+  for (const ruleset of Object.values(RULESETS)) {
+    const board = placeFleetRandomly(createEmptyBoard(ruleset), ruleset);
+    assert.equal(board.width, ruleset.width);
+    assert.equal(board.height, ruleset.height);
+    assert.equal(board.ships.length, ruleset.fleet.length);
+    assert.equal(validateFleet(board, ruleset), true);
+  }
+
+  const quickBoard = placeFleetRandomly(createEmptyBoard(RULESETS.quick), RULESETS.quick);
+  assert.equal(validateFleet(quickBoard), false);
+  assert.equal(validateFleet(quickBoard, RULESETS.big_fleet), false);
+  assert.equal(getRuleset("unknown"), CLASSIC_RULESET);
+});
+
+test("every bot placement strategy produces a valid fleet for every ruleset", () => {
+  for (const ruleset of Object.values(RULESETS)) {
+    for (const strategy of PLACEMENT_STRATEGIES) {
+      const board = placeFleetWithStrategy(ruleset, strategy);
+      assert.equal(board.ships.length, ruleset.fleet.length, `${strategy} on ${ruleset.id}`);
+      assert.equal(validateFleet(board, ruleset), true, `${strategy} on ${ruleset.id}`);
+    }
+  }
+});
+
+test("anti-heatmap placement keeps the fleet away from cells humans shoot most", () => {
+  const ruleset = RULESETS.quick;
+  const counts = [];
+  for (let row = 0; row < ruleset.height; row += 1) {
+    for (let col = 0; col < ruleset.width / 2; col += 1) counts.push({ row, col, shots: 100 });
+  }
+  counts.push({ row: 99, col: 0, shots: 5 }, { row: 0, col: -1, shots: 5 });
+  const heat = shotHeatFromCounts(ruleset, counts);
+  assert.equal(heat.length, ruleset.height);
+  assert.equal(heat[0][0], 100);
+  assert.equal(heat[0][ruleset.width - 1], 0);
+
+  const board = placeFleetWithStrategy(ruleset, "anti_heatmap", heat);
+  const cells = board.ships.flatMap((ship) => ship.cells);
+  const hot = cells.filter((cell) => cell.col < ruleset.width / 2).length;
+  assert.ok(hot < cells.length / 2, `expected most ship cells on the cold half, got ${hot}/${cells.length}`);
+});
+
+test("salvo shot count follows the ruleset salvo mode", () => {
+  const shooter = placeFleetRandomly(createEmptyBoard());
+  const target = placeFleetRandomly(createEmptyBoard());
+  assert.equal(salvoShotCount(CLASSIC_RULESET, shooter, target), 1);
+  assert.equal(salvoShotCount(getRuleset("classic", "none", "fixed"), shooter, target), SALVO_FIXED_SHOTS);
+
+  const perShip = getRuleset("classic", "none", "per_ship");
+  assert.equal(salvoShotCount(perShip, shooter, target), CLASSIC_RULESET.fleet.length);
+  for (const cell of shooter.ships[0].cells) {
+    fireShot(shooter, cell);
+  }
+  assert.equal(salvoShotCount(perShip, shooter, target), CLASSIC_RULESET.fleet.length - 1);
+
+  const almostFull = createEmptyBoard();
+  for (let row = 0; row < almostFull.height; row += 1) {
+    for (let col = 0; col < almostFull.width; col += 1) {
+      if (row > 0 || col > 0) almostFull.shots.add(coordKey({ row, col }));
+    }
+  }
+  assert.equal(salvoShotCount(getRuleset("classic", "none", "fixed"), shooter, almostFull), 1);
+});
+
+test("AI salvo picks distinct unshot cells", () => {
+  const board = placeFleetRandomly(createEmptyBoard());
+  const state = createAiState();
+  for (let turn = 0; turn < 20 && !isFleetSunk(board); turn += 1) {
+    const prunedBefore = [...state.pruned];
+    const volley = nextSalvo(board, state, 5);
+    const keys = volley.map(coordKey);
+    assert.equal(new Set(keys).size, keys.length);
+    assert.ok(volley.length > 0);
+    assert.deepEqual([...state.pruned], prunedBefore);
+    for (const coord of volley) {
+      assert.equal(board.shots.has(coordKey(coord)), false);
+      const result = fireShot(board, coord);
+      registerAiShot(board, state, coord, result.outcome);
+      if (result.gameOver) break;
+    }
+  }
+});
+
 test("fireShot updates outcomes and detects sink/game over", () => {
   const board = createEmptyBoard();
   board.ships.push(createShip("ship-1", 2, { row: 3, col: 3 }, "H"));
@@ -91,6 +248,18 @@ test("fireShot keeps shot counter stable for already_shot coordinates", () => {
   assert.equal(board.shots.size, 2);
 });
 
+test("board shot stats count hits and keep the opening cell", () => {
+  const board = createEmptyBoard();
+  board.ships.push(createShip("ship-1", 2, { row: 3, col: 3 }, "H"));
+  assert.deepEqual(boardShotStats(board), { shots: 0, hits: 0, openingCell: null });
+
+  fireShot(board, { row: 5, col: 1 });
+  fireShot(board, { row: 3, col: 3 });
+  fireShot(board, { row: 3, col: 3 });
+  fireShot(board, { row: 3, col: 4 });
+  assert.deepEqual(boardShotStats(board), { shots: 3, hits: 2, openingCell: "5,1" });
+});
+
 test("AI never repeats shots on the same board", () => {
   const board = createEmptyBoard(2, 2);
   const aiState = createAiState();
@@ -109,6 +278,103 @@ test("AI never repeats shots on the same board", () => {
   assert.equal(last.col, -1);
 });
 
+test("every bot difficulty sinks a random fleet without repeating shots", () => {
+  for (const difficulty of ["easy", "normal", "hard"]) {
+    const board = placeFleetRandomly(createEmptyBoard(), CLASSIC_RULESET);
+    const aiState = createAiState(CLASSIC_RULESET.adjacency, difficulty);
+    const seen = new Set();
+    for (let i = 0; i < 100 && !isFleetSunk(board); i += 1) {
+      const shot = nextShot(board, aiState);
+      const key = coordKey(shot);
+      assert.ok(!seen.has(key), `${difficulty} AI repeated shot ${key}`);
+      seen.add(key);
+      registerAiShot(board, aiState, shot, fireShot(board, shot).outcome);
+    }
+    assert.equal(isFleetSunk(board), true, `${difficulty} AI did not finish the game`);
+  }
+});
+
+test("a seed replays the same fleets and bot shots bit-for-bit", () => {
+  const playGame = (seed) => {
+    const random = createRandom(seed);
+    const fleet = placeFleetWithStrategy(CLASSIC_RULESET, "edge", undefined, random);
+    const board = placeFleetRandomly(createEmptyBoard(), CLASSIC_RULESET, random);
+    const aiState = createAiState(CLASSIC_RULESET.adjacency, "normal", deriveSeed(seed, 1));
+    const shots = [];
+    for (let i = 0; i < 100 && !isFleetSunk(board); i += 1) {
+      const shot = nextShot(board, aiState);
+      shots.push(coordKey(shot));
+      registerAiShot(board, aiState, shot, fireShot(board, shot).outcome);
+    }
+    return { fleet: serializeBoard(fleet, true), board: serializeBoard(board, true), shots };
+  };
+
+  assert.deepEqual(playGame(1234), playGame(1234));
+  assert.notDeepEqual(playGame(1234).shots, playGame(4321).shots);
+
+  const saved = createRngState(99);
+  nextRandom(saved);
+  const resumed = createRngState(saved.value);
+  assert.equal(nextRandom(resumed), nextRandom(saved));
+  assert.notEqual(deriveSeed(99, 1), deriveSeed(99, 2));
+});
+
+test("a serialized bot state resumes with the same shots", () => {
+  const board = placeFleetRandomly(createEmptyBoard(), CLASSIC_RULESET, createRandom(7));
+  const aiState = createAiState(CLASSIC_RULESET.adjacency, "hard", 7);
+  for (let i = 0; i < 20; i += 1) {
+    const shot = nextShot(board, aiState);
+    registerAiShot(board, aiState, shot, fireShot(board, shot).outcome);
+  }
+
+  const saved = JSON.parse(JSON.stringify(serializeAiState(aiState)));
+  const resumed = deserializeAiState(saved);
+  assert.ok(resumed);
+  assert.deepEqual([...resumed.pruned].sort(), [...aiState.pruned].sort());
+  const resumedBoard = { ...board, shots: new Set(board.shots), ships: board.ships.map((ship) => ({ ...ship })) };
+  assert.deepEqual(coordKey(nextShot(resumedBoard, resumed)), coordKey(nextShot(board, aiState)));
+
+  assert.equal(deserializeAiState({ ...saved, difficulty: "impossible" }), null);
+  assert.equal(deserializeAiState({ ...saved, rng: { value: -1 } }), null);
+  assert.equal(deserializeAiState("state"), null);
+});
+
+test("cloned bot state and shot hints leave the live game untouched", () => {
+  const board = createEmptyBoard();
+  board.ships.push(createShip("ship-1", 3, { row: 5, col: 3 }, "H"));
+  const state = createAiState("none", "hard", 11);
+  registerAiShot(board, state, { row: 5, col: 4 }, fireShot(board, { row: 5, col: 4 }).outcome);
+
+  const snapshot = cloneAiState(state);
+  nextShot(board, state);
+  assert.notEqual(snapshot.rng.value, state.rng.value);
+  assert.notEqual(snapshot.pruned, state.pruned);
+
+  const shotsBefore = [...board.shots];
+  const hint = suggestShot(board, "none", 3);
+  assert.ok(["4,4", "6,4", "5,3", "5,5"].includes(coordKey(hint)), `hint should follow up the hit, got ${coordKey(hint)}`);
+  assert.deepEqual([...board.shots], shotsBefore);
+});
+
+test("probability heatmap counts legal placements around misses and open hits", () => {
+  const board = createEmptyBoard(3, 1);
+  board.ships.push(createShip("ship-1", 2, { row: 0, col: 1 }, "H"));
+  assert.deepEqual(probabilityHeatmap(board, "none"), [[1, 2, 1]]);
+
+  board.shots.add("0,0");
+  assert.deepEqual(probabilityHeatmap(board, "none"), [[0, 1, 1]]);
+
+  const wide = createEmptyBoard();
+  wide.ships.push(createShip("ship-1", 3, { row: 5, col: 3 }, "H"));
+  const state = createAiState("none", "hard");
+  registerAiShot(wide, state, { row: 5, col: 4 }, fireShot(wide, { row: 5, col: 4 }).outcome);
+  const shot = nextShot(wide, state);
+  assert.ok(
+    ["4,4", "6,4", "5,3", "5,5"].includes(coordKey(shot)),
+    `hard AI should follow up the hit, got ${coordKey(shot)}`,
+  );
+});
+
 test("parses coordinate input (A1..J10) correctly", () => {
   assert.deepEqual(parseBoardCoordInput("A1"), { row: 0, col: 0 });
   assert.deepEqual(parseBoardCoordInput("j10"), { row: 9, col: 9 });
@@ -119,3 +385,174 @@ test("parses coordinate input (A1..J10) correctly", () => {
   assert.equal(parseBoardCoordInput("A0"), null);
   assert.equal(parseBoardCoordInput("Z9"), null);
 });
+
+test("parses coordinate input against custom board dimensions", () => {
+  assert.deepEqual(parseBoardCoordInput("L12", 12, 12), { row: 11, col: 11 });
+  assert.deepEqual(parseBoardCoordInput("h8", 8, 8), { row: 7, col: 7 });
+  assert.equal(parseBoardCoordInput("I1", 8, 8), null);
+  assert.equal(parseBoardCoordInput("A9", 8, 8), null);
+  assert.equal(parseBoardCoordInput("M1", 12, 12), null);
+});
+
+const replayEvent = (eventType, payload, at) => ({ eventType, payload: { ...payload, at }, createdAt: at });
+
+const replayFixture = () => {
+  const boardA = createEmptyBoard();
+  boardA.ships.push(createShip("a-1", 1, { row: 0, col: 0 }, "H"));
+  const boardB = createEmptyBoard();
+  boardB.ships.push(createShip("b-1", 2, { row: 2, col: 2 }, "H"));
+  const started = (game, at) =>
+    replayEvent(
+      "game_started",
+      {
+        game,
+        ruleset: { id: "classic", adjacency: "none", salvo: "off" },
+        vsBot: false,
+        seed: 1000 + game,
+        players: [
+          { id: "A", nickname: "Alpha", board: serializeBoard(boardA, true) },
+          { id: "B", nickname: "Beta", board: serializeBoard(boardB, true) },
+        ],
+        firstTurn: "A",
+      },
+      at,
+    );
+  const shot = (shooter, target, coord, outcome, at) =>
+    replayEvent("shot_result", { shooter, target, coord, outcome, shipId: null, gameOver: false }, at);
+  return [
+    started(1, 1),
+    shot("A", "B", { row: 2, col: 2 }, "hit", 2),
+    shot("A", "B", { row: 5, col: 5 }, "miss", 3),
+    replayEvent("player_id_replaced", { from: "B", to: "B2" }, 4),
+    shot("B2", "A", { row: 0, col: 0 }, "sink", 5),
+    replayEvent("game_over", { winner: "B2" }, 6),
+    started(2, 7),
+  ];
+};
+
+test("match replay rebuilds the latest finished game and maps reconnected player ids", () => {
+  const result = buildMatchReplay("room-a-b", replayFixture());
+  assert.equal(result.ok, true);
+  const { replay } = result;
+  assert.equal(replay.game, 1);
+  assert.equal(replay.seed, 1001);
+  assert.equal(replay.winner, "B");
+  assert.deepEqual(
+    replay.moves.map((move) => [move.shooter, move.target, move.shots[0].outcome]),
+    [
+      ["A", "B", "hit"],
+      ["A", "B", "miss"],
+      ["B", "A", "sink"],
+    ],
+  );
+
+  const start = replayBoardsAt(replay, 0);
+  assert.equal(start.A.shots.size, 0);
+  assert.equal(start.B.shots.size, 0);
+  const afterTwo = replayBoardsAt(replay, 2);
+  assert.deepEqual([...afterTwo.B.shots].sort(), ["2,2", "5,5"]);
+  assert.equal(afterTwo.A.ships[0].sunk, false);
+  const end = replayBoardsAt(replay, replay.moves.length);
+  assert.equal(end.A.ships[0].sunk, true);
+  assert.equal(isFleetSunk(end.A), true);
+  assert.equal(replay.players[0].board.shots.length, 0);
+});
+
+test("match analysis summarises each player's shots from the replay", () => {
+  const { replay } = buildMatchReplay("room-a-b", replayFixture());
+  const analysis = buildMatchAnalysis(replay);
+  assert.equal(analysis.winner, "B");
+  const [alpha, beta] = analysis.players;
+
+  assert.equal(alpha.nickname, "Alpha");
+  assert.equal(alpha.shots, 2);
+  assert.equal(alpha.hits, 1);
+  assert.equal(alpha.accuracy, 0.5);
+  assert.deepEqual(alpha.accuracyTimeline, [1, 0.5]);
+  assert.equal(alpha.shotsToFirstHit, 1);
+  assert.equal(alpha.shotsToWin, null);
+  assert.deepEqual(alpha.ships, [{ shipId: "b-1", length: 2, firstHitShot: 1, sunkShot: null }]);
+  assert.equal(alpha.heatmap[2][2], 1);
+  assert.equal(alpha.heatmap[5][5], 2);
+  assert.equal(alpha.heatmap.flat().filter((order) => order > 0).length, 2);
+  assert.ok(alpha.expectedHits > 0 && alpha.expectedHits < 2);
+  assert.equal(alpha.luck, Number((1 - alpha.expectedHits).toFixed(2)));
+
+  assert.equal(beta.shotsToWin, 1);
+  assert.deepEqual(beta.ships, [{ shipId: "a-1", length: 1, firstHitShot: 1, sunkShot: 1 }]);
+  assert.ok(beta.aiExpectedShots >= 1 && beta.aiExpectedShots <= 100);
+  assert.deepEqual(buildMatchAnalysis(replay), analysis);
+});
+
+test("match replay reports unfinished and unknown games", () => {
+  const events = replayFixture();
+  assert.deepEqual(buildMatchReplay("room-a-b", events, 2), { ok: false, reason: "in_progress" });
+  assert.deepEqual(buildMatchReplay("room-a-b", events, 3), { ok: false, reason: "not_found" });
+  assert.deepEqual(buildMatchReplay("room-a-b", events.slice(0, 3)), { ok: false, reason: "in_progress" });
+  assert.deepEqual(buildMatchReplay("room-a-b", []), { ok: false, reason: "not_found" });
+});
+
+test("message catalogs cover the same keys and fill in params", () => {
+  const en = localeCatalogs.en.messages;
+  assert.equal(formatMessage({ code: "salvo_size", params: { expected: 3 } }), "Salwa musi mieć dokładnie 3 strzały.");
+  assert.equal(formatMessage({ code: "salvo_size", params: { expected: 5 } }, "pl"), "Salwa musi mieć dokładnie 5 strzałów.");
+  assert.equal(formatMessage({ code: "salvo_size", params: { expected: 3 } }, "en", en), "Salvo must have exactly 3 shots.");
+  assert.equal(formatMessage({ code: "salvo_size", params: { expected: 1 } }, "en", en), "Salvo must have exactly 1 shot.");
+  assert.equal(formatMessage({ code: "chat_rate_limited", detail: "duplicate" }, "en", en), "Message is too similar to recent ones. Try again shortly.");
+  assert.equal(formatMessage({ code: "chat_rate_limited", detail: "unknown" }, "en", en), "Too many chat messages. Try again shortly.");
+  assert.equal(formatMessage({ code: "bot_turn" }, "en", {}), "Tura bota.");
+  assert.equal(isMessageKey("not_your_turn"), true);
+  assert.equal(isMessageKey("constructor"), false);
+
+  assert.deepEqual(gameError("turn_timeout", { roomId: "r1", params: { timeouts: 1, limit: 2 } }), {
+    roomId: "r1",
+    params: { timeouts: 1, limit: 2 },
+    code: "turn_timeout",
+    message: "Czas tury minął (1/2).",
+  });
+  assert.deepEqual(statusMessage("opponent_found"), { code: "opponent_found", message: "Znaleziono przeciwnika." });
+});
+
+test("locale catalogs match the Polish keys and status params", () => {
+  const uiKeys = Object.keys(localeCatalogs.pl.ui).sort();
+  const statusParams = (template) => [...template.matchAll(/\{(\w+)\}/g)].map(([, name]) => name).sort();
+  assert.deepEqual(Object.keys(localeCatalogs), ["pl", "en", "de", "uk"]);
+  for (const [code, catalog] of Object.entries(localeCatalogs)) {
+    assert.equal(typeof catalog.name, "string", code);
+    assert.deepEqual(Object.keys(catalog.ui).sort(), uiKeys, code);
+    assert.deepEqual(Object.keys(catalog.status).sort(), Object.keys(localeCatalogs.pl.status).sort(), code);
+    assert.equal("statusPatterns" in catalog, false, code);
+    for (const [key, template] of Object.entries(localeCatalogs.pl.status)) {
+      assert.deepEqual(statusParams(catalog.status[key]), statusParams(template), `${code}: ${key}`);
+    }
+    if (code === "pl") continue;
+    assert.deepEqual(Object.keys(catalog.messages).sort(), Object.keys(PL_MESSAGES).sort(), code);
+  }
+  assert.equal(formatTemplate(localeCatalogs.en.status.shotMiss, { coord: "B7" }, "en"), "B7: miss.");
+});
+
+test("formatTemplate picks plural forms per locale", () => {
+  const games = "{count, plural, one {# gra} few {# gry} many {# gier} other {# gry}}";
+  assert.equal(formatTemplate(games, { count: 1 }, "pl"), "1 gra");
+  assert.equal(formatTemplate(games, { count: 3 }, "pl"), "3 gry");
+  assert.equal(formatTemplate(games, { count: 12 }, "pl"), "12 gier");
+  assert.equal(formatTemplate(games, { count: 22 }, "pl"), "22 gry");
+  assert.equal(formatTemplate("{n, plural, =0 {none} one {# game} other {# games}}", { n: 0 }, "en"), "none");
+  assert.equal(formatTemplate("{n, plural, one {# game} other {# games}}", { n: 2 }, "en"), "2 games");
+  assert.equal(formatTemplate("{n, plural, one {# Spiel} other {# Spiele}} von {name}", { n: 1, name: "Ola" }, "de"), "1 Spiel von Ola");
+  assert.equal(
+    formatTemplate(localeCatalogs.uk.ui.leaderboardMinGames, { count: 5 }, "uk"),
+    "У рейтингу лише гравці, що зіграли щонайменше 5 ігор.",
+  );
+  assert.equal(formatTemplate("Nowe: {count}", {}, "pl"), "Nowe: ");
+  assert.equal(formatTemplate("{ not a placeholder } #1", {}, "pl"), "{ not a placeholder } #1");
+});
+
+test("language negotiation prefers exact tags, then base languages", () => {
+  assert.deepEqual(parseAcceptLanguage("de-AT,de;q=0.9,en;q=0.5,fr;q=0"), ["de-AT", "de", "en"]);
+  assert.deepEqual(parseAcceptLanguage("en;q=0.2, uk"), ["uk", "en"]);
+  assert.deepEqual(parseAcceptLanguage(undefined), []);
+  assert.equal(negotiateLanguage(["de-AT", "en"], ["pl", "en", "de"]), "de");
+  assert.equal(negotiateLanguage(["fr-FR", "en-GB"], ["pl", "en"]), "en");
+  assert.equal(negotiateLanguage(["fr", "*"], ["pl", "en"]), null);
+});
@@ -10,6 +10,7 @@ const {
   createEmptyBoard,
   placeFleetRandomly,
 } = require("../dist/server/shared/game.js");
+const { RULESETS } = require("../dist/server/shared/types.js");
 
 const waitForServer = (proc, port, timeoutMs = 6_000) =>
   new Promise((resolve, reject) => {
@@ -188,6 +189,9 @@ const createClient = (port, options = {}) => {
   if (typeof options.reconnection === "boolean") {
     socketOptions.reconnection = options.reconnection;
   }
+  if (options.auth) {
+    socketOptions.auth = options.auth;
+  }
   if (typeof options.origin === "string" && options.origin.length > 0) {
     socketOptions.transportOptions = {
       websocket: {
@@ -568,6 +572,112 @@ test("queue timeout falls back to bot when no opponent found", async () => {
   }
 });
 
+test("bot answers a per-ship salvo with its own volley", async () => {
+  const port = randomPort();
+  const server = await startTestServer(port, { MATCH_TIMEOUT_MS: "300" });
+  const socketA = createClient(port);
+
+  try {
+    const matched = waitForEvent(socketA, "queue:matched", 4_000);
+    socketA.emit("search:join", { nickname: "Solo", salvo: "per_ship" });
+    const match = await matched;
+    assert.equal(match.vsBot, true);
+    assert.equal(match.salvo, "per_ship");
+    const roomId = match.roomId;
+
+    const playing = waitForEventFiltered(
+      socketA,
+      "game:state",
+      (payload) => payload.roomId === roomId && payload.phase === "playing",
+      4_000,
+    );
+    socketA.emit("game:place_ships", { roomId, board: asServerBoard(placeFleetRandomly(createEmptyBoard())) });
+    const state = await playing;
+    assert.equal(state.yourTurn, true);
+    assert.equal(state.salvoShots, 10);
+
+    const ownVolley = waitForEventFiltered(
+      socketA,
+      "game:salvo_result",
+      (payload) => payload.shooter === state.yourId,
+      4_000,
+    );
+    const botVolley = waitForEventFiltered(
+      socketA,
+      "game:salvo_result",
+      (payload) => payload.shooter !== state.yourId,
+      4_000,
+    );
+    const coords = Array.from({ length: 10 }, (_, col) => ({ row: 0, col }));
+    socketA.emit("game:salvo", { roomId, coords });
+    const own = await ownVolley;
+    const sunkByUs = own.results.filter((entry) => entry.outcome === "sink").length;
+    const volley = await botVolley;
+    assert.equal(volley.results.length, 10 - sunkByUs);
+    const botKeys = volley.results.map((entry) => `${entry.coord.row},${entry.coord.col}`);
+    assert.equal(new Set(botKeys).size, botKeys.length);
+  } finally {
+    socketA.disconnect();
+    await server.close();
+  }
+});
+
+test("search:join validates botDifficulty and the hard bot plays the fallback game", async () => {
+  const port = randomPort();
+  const server = await startTestServer(port, { MATCH_TIMEOUT_MS: "300" });
+  const socketA = createClient(port);
+
+  try {
+    const rejected = waitForEventFiltered(
+      socketA,
+      "game:error",
+      (payload) => payload?.message === "Nieprawidłowe dane dołączenia.",
+      2_000,
+    );
+    socketA.emit("search:join", { nickname: "Solo", botDifficulty: "impossible" });
+    assert.equal((await rejected).code, "invalid_payload");
+
+    const matched = waitForEvent(socketA, "queue:matched", 4_000);
+    socketA.emit("search:join", { nickname: "Solo", botDifficulty: "hard" });
+    const match = await matched;
+    assert.equal(match.vsBot, true);
+    const roomId = match.roomId;
+
+    const playing = waitForEventFiltered(
+      socketA,
+      "game:state",
+      (payload) => payload.roomId === roomId && payload.phase === "playing",
+      4_000,
+    );
+    socketA.emit("game:place_ships", { roomId, board: asServerBoard(placeFleetRandomly(createEmptyBoard())) });
+    const state = await playing;
+    assert.equal(state.yourTurn, true);
+
+    const botShot = waitForEventFiltered(
+      socketA,
+      "game:shot_result",
+      (payload) => payload.roomId === roomId && payload.shooter !== state.yourId,
+      8_000,
+    );
+    const width = state.opponentBoard.width;
+    // Keep shooting in reading order until a miss hands the turn to the bot.
+    let index = 0;
+    const onResult = (payload) => {
+      if (payload.roomId !== roomId || payload.shooter !== state.yourId || payload.outcome === "miss") return;
+      index += 1;
+      socketA.emit("game:shot", { roomId, coord: { row: Math.floor(index / width), col: index % width } });
+    };
+    socketA.on("game:shot_result", onResult);
+    socketA.emit("game:shot", { roomId, coord: { row: 0, col: 0 } });
+    const shot = await botShot;
+    socketA.off("game:shot_result", onResult);
+    assert.equal(["miss", "hit", "sink"].includes(shot.outcome), true);
+  } finally {
+    socketA.disconnect();
+    await server.close();
+  }
+});
+
 test("search:cancel emits game:cancelled when player aborts queue", async () => {
   const port = randomPort();
   const server = await startTestServer(port, { MATCH_TIMEOUT_MS: "10_000" });
@@ -2745,10 +2855,9 @@ test("game:shot out of bounds is rejected with game:error", async () => {
   }
 });
 
-test("game:shot before game start is rejected with game:error", async () => {
+test("search:join with ruleset matches into a room using that board and fleet", async () => {
   const port = randomPort();
   const server = await startTestServer(port);
-
   const socketA = createClient(port);
   const socketB = createClient(port);
 
@@ -2766,81 +2875,52 @@ test("game:shot before game start is rejected with game:error", async () => {
       4_000,
     );
 
-    socketA.emit("search:join", { nickname: "Alpha" });
-    socketB.emit("search:join", { nickname: "Beta" });
+    socketA.emit("search:join", { nickname: "Alpha", ruleset: "quick" });
+    socketB.emit("search:join", { nickname: "Beta", ruleset: "quick" });
 
     const [aMatch, bMatch] = await Promise.all([aMatched, bMatched]);
     assert.equal(aMatch.roomId, bMatch.roomId);
+    assert.equal(aMatch.rulesetId, "quick");
     const roomId = aMatch.roomId;
 
-    const boardA = placeFleetRandomly(createEmptyBoard());
-    socketA.emit("game:place_ships", { roomId, board: asServerBoard(boardA) });
-
-    const setupState = await waitForEventFiltered(
+    const classicRejected = waitForEventFiltered(
       socketA,
-      "game:state",
-      (payload) => payload.roomId === roomId && payload.phase === "setup" && payload.youReady === true,
-      6_000,
-    );
-    const activeShooter = setupState.turn === socketA.id ? socketA : socketB;
-
-    const setupShotError = waitForEventFiltered(
-      activeShooter,
       "game:error",
-      (payload) => payload?.message === "Rozpocznij po ustawieniu wszystkich statków.",
-      4_000,
-    );
-    activeShooter.emit("game:shot", { roomId, coord: { row: 0, col: 0 } });
-
-    const errorPayload = await setupShotError;
-    assert.equal(errorPayload.message, "Rozpocznij po ustawieniu wszystkich statków.");
-  } finally {
-    socketA.disconnect();
-    socketB.disconnect();
-    await server.close();
-  }
-});
-
-test("game:place_ships with invalid roomId is rejected with game:error", async () => {
-  const port = randomPort();
-  const server = await startTestServer(port, { MATCH_TIMEOUT_MS: "300" });
-  const socketA = createClient(port);
-
-  try {
-    const matched = waitForEventFiltered(
-      socketA,
-      "queue:matched",
-      (payload) => payload.vsBot === true,
+      (payload) => payload?.message === "Nieprawidłowe dane ustawienia statków.",
       4_000,
     );
-    socketA.emit("search:join", { nickname: "Solo" });
-    const payload = await matched;
-    const roomId = payload.roomId;
+    socketA.emit("game:place_ships", { roomId, board: asServerBoard(placeFleetRandomly(createEmptyBoard())) });
+    await classicRejected;
 
-    const boardA = placeFleetRandomly(createEmptyBoard());
-    const badRoomError = waitForEventFiltered(
-      socketA,
-      "game:error",
-      (eventPayload) => eventPayload?.message === "Nieprawidłowy pokój.",
-      4_000,
-    );
+    const quick = RULESETS.quick;
     socketA.emit("game:place_ships", {
-      roomId: `${roomId}-invalid`,
-      board: asServerBoard(boardA),
+      roomId,
+      board: asServerBoard(placeFleetRandomly(createEmptyBoard(quick), quick)),
+    });
+    socketB.emit("game:place_ships", {
+      roomId,
+      board: asServerBoard(placeFleetRandomly(createEmptyBoard(quick), quick)),
     });
 
-    const errorPayload = await badRoomError;
-    assert.equal(errorPayload.message, "Nieprawidłowy pokój.");
+    const stateA = await waitForEventFiltered(
+      socketA,
+      "game:state",
+      (payload) => payload.roomId === roomId && payload.phase === "playing",
+      8_000,
+    );
+    assert.equal(stateA.ruleset.id, "quick");
+    assert.equal(stateA.yourBoard.width, 8);
+    assert.equal(stateA.opponentBoard.height, 8);
   } finally {
     socketA.disconnect();
+    socketB.disconnect();
     await server.close();
   }
 });
 
-test("game:place_ships ignores invalid board payloads and keeps accepting valid placement", async () => {
+test("salvo room accepts only full game:salvo volleys and then passes the turn", async () => {
   const port = randomPort();
   const server = await startTestServer(port);
-
   const socketA = createClient(port);
   const socketB = createClient(port);
 
@@ -2858,156 +2938,825 @@ test("game:place_ships ignores invalid board payloads and keeps accepting valid
       4_000,
     );
 
-    socketA.emit("search:join", { nickname: "Alpha" });
-    socketB.emit("search:join", { nickname: "Beta" });
+    socketA.emit("search:join", { nickname: "Alpha", salvo: "fixed" });
+    socketB.emit("search:join", { nickname: "Beta", salvo: "fixed" });
 
     const [aMatch, bMatch] = await Promise.all([aMatched, bMatched]);
     assert.equal(aMatch.roomId, bMatch.roomId);
+    assert.equal(aMatch.salvo, "fixed");
     const roomId = aMatch.roomId;
 
-    const invalidBoards = [null, "invalid", 123, true, { ships: [] }, { width: "x", height: "y", ships: [] }, {}];
-
-    for (const boardPayload of invalidBoards) {
-      const errorPayload = waitForEventFiltered(
-        socketA,
-        "game:error",
-        (payload) => payload?.message === "Nieprawidłowe dane ustawienia statków.",
-        2_500,
-      );
-      socketA.emit("game:place_ships", { roomId, board: boardPayload });
-      const err = await errorPayload;
-      assert.equal(err.message, "Nieprawidłowe dane ustawienia statków.");
-    }
-
-    const boardA = placeFleetRandomly(createEmptyBoard());
-    const boardB = placeFleetRandomly(createEmptyBoard());
-    socketA.emit("game:place_ships", { roomId, board: asServerBoard(boardA) });
-    socketB.emit("game:place_ships", { roomId, board: asServerBoard(boardB) });
-
-    const stateA = await waitForEventFiltered(
+    const aPlaying = waitForEventFiltered(
       socketA,
       "game:state",
       (payload) => payload.roomId === roomId && payload.phase === "playing",
       8_000,
     );
-    const stateB = await waitForEventFiltered(
+    const bPlaying = waitForEventFiltered(
       socketB,
       "game:state",
       (payload) => payload.roomId === roomId && payload.phase === "playing",
       8_000,
     );
-    assert.equal(stateA.phase, "playing");
-    assert.equal(stateB.phase, "playing");
-    assert.equal(stateA.roomId, roomId);
-    assert.equal(stateB.roomId, roomId);
-  } finally {
-    socketA.disconnect();
-    socketB.disconnect();
-    await server.close();
-  }
-});
+    socketA.emit("game:place_ships", { roomId, board: asServerBoard(placeFleetRandomly(createEmptyBoard())) });
+    socketB.emit("game:place_ships", { roomId, board: asServerBoard(placeFleetRandomly(createEmptyBoard())) });
+    const [stateA, stateB] = await Promise.all([aPlaying, bPlaying]);
+    assert.equal(stateA.ruleset.salvo, "fixed");
+    assert.equal(stateA.salvoShots, 3);
 
-test("game:place_ships accepts valid placement after malformed payload", async () => {
-  const port = randomPort();
-  const server = await startTestServer(port, { MATCH_TIMEOUT_MS: "300" });
+    const shooter = stateA.yourTurn ? socketA : socketB;
+    const waiting = stateA.yourTurn ? socketB : socketA;
+    const waitingId = stateA.yourTurn ? stateB.yourId : stateA.yourId;
 
-  const socket = createClient(port);
+    const singleRejected = waitForEventFiltered(
+      shooter,
+      "game:error",
+      (payload) => payload?.message === "W tym pokoju strzelasz salwami.",
+      4_000,
+    );
+    shooter.emit("game:shot", { roomId, coord: { row: 0, col: 0 } });
+    await singleRejected;
 
-  try {
-    const matched = waitForEventFiltered(
-      socket,
-      "queue:matched",
-      (payload) => payload.vsBot === true,
+    const shortRejected = waitForEventFiltered(
+      shooter,
+      "game:error",
+      (payload) => payload?.message === "Salwa musi mieć dokładnie 3 strzały.",
       4_000,
     );
-    socket.emit("search:join", { nickname: "Solo" });
-    const match = await matched;
-    const roomId = match.roomId;
+    shooter.emit("game:salvo", { roomId, coords: [{ row: 0, col: 0 }] });
+    await shortRejected;
 
-    const invalidPayload = waitForEventFiltered(
-      socket,
+    const duplicateRejected = waitForEventFiltered(
+      shooter,
       "game:error",
-      (payload) => payload?.message === "Nieprawidłowe dane ustawienia statków.",
-      2_500,
+      (payload) => payload?.message === "To pole zostało już trafione.",
+      4_000,
     );
-    socket.emit("game:place_ships", {
+    shooter.emit("game:salvo", {
       roomId,
-      board: "invalid-board",
+      coords: [{ row: 0, col: 0 }, { row: 0, col: 0 }, { row: 0, col: 1 }],
     });
-    const invalidPayloadResult = await invalidPayload;
-    assert.equal(invalidPayloadResult.message, "Nieprawidłowe dane ustawienia statków.");
+    await duplicateRejected;
 
-    const playingState = waitForEventFiltered(
-      socket,
+    const volleySeen = waitForEventFiltered(
+      waiting,
+      "game:salvo_result",
+      (payload) => payload.roomId === roomId,
+      4_000,
+    );
+    const turnPassed = waitForEventFiltered(
+      waiting,
       "game:state",
-      (payload) => payload.roomId === roomId && payload.phase === "playing",
-      8_000,
+      (payload) => payload.roomId === roomId && payload.phase === "playing" && payload.yourTurn === true,
+      4_000,
     );
-    const validBoard = placeFleetRandomly(createEmptyBoard());
-    socket.emit("game:place_ships", { roomId, board: asServerBoard(validBoard) });
-    const statePayload = await playingState;
-    assert.equal(statePayload.phase, "playing");
-    assert.equal(statePayload.roomId, roomId);
+    shooter.emit("game:salvo", {
+      roomId,
+      coords: [{ row: 0, col: 0 }, { row: 5, col: 5 }, { row: 9, col: 9 }],
+    });
+    const volley = await volleySeen;
+    assert.equal(volley.results.length, 3);
+    assert.deepEqual(volley.results.map((entry) => entry.coord), [
+      { row: 0, col: 0 },
+      { row: 5, col: 5 },
+      { row: 9, col: 9 },
+    ]);
+    const passed = await turnPassed;
+    assert.equal(passed.turn, waitingId);
+    assert.equal(passed.opponentShots, 3);
   } finally {
-    socket.disconnect();
+    socketA.disconnect();
+    socketB.disconnect();
     await server.close();
   }
 });
 
-test("game:place_ships invalid payload type flood returns validation error and still accepts valid placement", async () => {
+test("private room: guest joins by invite code and both players get queue:matched", async () => {
   const port = randomPort();
-  const server = await startTestServer(port, { MATCH_TIMEOUT_MS: "300" });
-  const socket = createClient(port);
+  const server = await startTestServer(port);
+  const host = createClient(port);
+  const guest = createClient(port);
 
   try {
-    const matched = waitForEventFiltered(
-      socket,
-      "queue:matched",
-      (payload) => payload.vsBot === true,
+    const createdPromise = waitForEventFiltered(host, "room:created", () => true, 4_000);
+    host.emit("room:create", { nickname: "Host", ruleset: "quick", salvo: "fixed" });
+    const created = await createdPromise;
+    assert.match(created.code, /^[A-HJ-NP-Z2-9]{6}$/);
+    assert.equal(created.rulesetId, "quick");
+    assert.equal(created.salvo, "fixed");
+    assert.equal(typeof created.reconnectToken, "string");
+
+    const waitingState = await waitForEventFiltered(
+      host,
+      "game:state",
+      (payload) => payload.roomId === created.roomId && payload.phase === "setup",
       4_000,
     );
-    socket.emit("search:join", { nickname: "Solo" });
-    const match = await matched;
-    const roomId = match.roomId;
+    assert.equal(waitingState.inviteCode, created.code);
 
-    const invalidPayloads = [null, "invalid-type", 123, true, []];
-    for (const payload of invalidPayloads) {
-      const errorPayload = waitForEventFiltered(
-        socket,
+    const hostMatched = waitForEventFiltered(host, "queue:matched", (payload) => payload.vsBot === false, 4_000);
+    const guestMatched = waitForEventFiltered(guest, "queue:matched", (payload) => payload.vsBot === false, 4_000);
+    guest.emit("room:join", { code: created.code.toLowerCase(), nickname: "Guest" });
+    const [hostMatch, guestMatch] = await Promise.all([hostMatched, guestMatched]);
+    assert.equal(hostMatch.roomId, created.roomId);
+    assert.equal(guestMatch.roomId, created.roomId);
+    assert.equal(hostMatch.opponent, "Guest");
+    assert.equal(guestMatch.opponent, "Host");
+    assert.equal(guestMatch.rulesetId, "quick");
+    assert.equal(guestMatch.salvo, "fixed");
+
+    const thirdClient = createClient(port);
+    try {
+      const rejected = waitForEventFiltered(
+        thirdClient,
         "game:error",
-        (eventPayload) => eventPayload?.message === "Nieprawidłowe dane ustawienia statków.",
-        2_500,
+        (payload) => payload?.code === "room_not_found",
+        4_000,
       );
-      socket.emit("game:place_ships", payload);
-      const response = await errorPayload;
-      assert.equal(response.message, "Nieprawidłowe dane ustawienia statków.");
+      thirdClient.emit("room:join", { code: created.code, nickname: "Late" });
+      await rejected;
+    } finally {
+      thirdClient.disconnect();
     }
 
-    const board = placeFleetRandomly(createEmptyBoard());
-    const state = waitForEventFiltered(
-      socket,
+    const ruleset = RULESETS.quick;
+    const hostPlaying = waitForEventFiltered(
+      host,
       "game:state",
-      (payload) => payload.roomId === roomId && payload.phase === "playing",
+      (payload) => payload.roomId === created.roomId && payload.phase === "playing",
       8_000,
     );
-    socket.emit("game:place_ships", { roomId, board: asServerBoard(board) });
-    const playingState = await state;
-
-    assert.equal(playingState.roomId, roomId);
-    assert.equal(playingState.phase, "playing");
+    host.emit("game:place_ships", {
+      roomId: created.roomId,
+      board: asServerBoard(placeFleetRandomly(createEmptyBoard(ruleset), ruleset)),
+    });
+    guest.emit("game:place_ships", {
+      roomId: created.roomId,
+      board: asServerBoard(placeFleetRandomly(createEmptyBoard(ruleset), ruleset)),
+    });
+    const playing = await hostPlaying;
+    assert.equal(playing.inviteCode, undefined);
+    assert.equal(playing.opponentName, "Guest");
   } finally {
-    socket.disconnect();
+    host.disconnect();
+    guest.disconnect();
     await server.close();
   }
 });
 
-test("game:place_ships is rate limited during burst", async () => {
+test("private room: malformed and unknown invite codes are rejected", async () => {
   const port = randomPort();
-  const server = await startTestServer(port, {
-    MATCH_TIMEOUT_MS: "300",
-    RATE_LIMIT_PLACE_SHIPS_PER_WINDOW: "5",
-    RATE_LIMIT_PLACE_SHIPS_WINDOW_MS: "1_500",
-  });
+  const server = await startTestServer(port);
+  const socket = createClient(port);
+
+  try {
+    const malformed = waitForEventFiltered(
+      socket,
+      "game:error",
+      (payload) => payload?.message === "Nieprawidłowy kod pokoju.",
+      4_000,
+    );
+    socket.emit("room:join", { code: "0O1I", nickname: "Guest" });
+    await malformed;
+
+    const unknown = waitForEventFiltered(
+      socket,
+      "game:error",
+      (payload) => payload?.code === "room_not_found",
+      4_000,
+    );
+    socket.emit("room:join", { code: "ZZZZZZ", nickname: "Guest" });
+    await unknown;
+  } finally {
+    socket.disconnect();
+    await server.close();
+  }
+});
+
+test("private room expires when nobody joins and its code is released", async () => {
+  const port = randomPort();
+  const server = await startTestServer(port, { PRIVATE_ROOM_TTL_MS: "1000" });
+  const host = createClient(port);
+  const guest = createClient(port);
+
+  try {
+    const createdPromise = waitForEventFiltered(host, "room:created", () => true, 4_000);
+    host.emit("room:create", { nickname: "Host" });
+    const created = await createdPromise;
+
+    const cancelled = await waitForEventFiltered(
+      host,
+      "game:cancelled",
+      (payload) => payload?.reason === "invite_expired",
+      5_000,
+    );
+    assert.equal(cancelled.roomId, created.roomId);
+
+    const rejected = waitForEventFiltered(
+      guest,
+      "game:error",
+      (payload) => payload?.code === "room_not_found",
+      4_000,
+    );
+    guest.emit("room:join", { code: created.code, nickname: "Guest" });
+    await rejected;
+  } finally {
+    host.disconnect();
+    guest.disconnect();
+    await server.close();
+  }
+});
+
+test("rematch handshake resets the same room to setup and keeps the series score", async () => {
+  const port = randomPort();
+  const server = await startTestServer(port);
+  const socketA = createClient(port);
+  const socketB = createClient(port);
+
+  try {
+    const { roomId } = await setupPlayingRoom(socketA, socketB);
+
+    const overA = waitForEventFiltered(socketA, "game:over", (payload) => payload.roomId === roomId, 4_000);
+    const overB = waitForEventFiltered(socketB, "game:over", (payload) => payload.roomId === roomId, 4_000);
+    socketA.emit("game:cancel", { roomId });
+    const [overPayloadA] = await Promise.all([overA, overB]);
+    assert.equal(overPayloadA.winner, socketB.id);
+
+    const acceptRejected = waitForEventFiltered(
+      socketA,
+      "game:error",
+      (payload) => payload?.message === "Przeciwnik nie prosił o rewanż.",
+      4_000,
+    );
+    socketA.emit("game:rematch_accept", { roomId });
+    await acceptRejected;
+
+    const requested = waitForEventFiltered(
+      socketB,
+      "game:rematch_requested",
+      (payload) => payload.roomId === roomId,
+      4_000,
+    );
+    socketA.emit("game:rematch_request", { roomId });
+    assert.equal((await requested).requestedBy, socketA.id);
+
+    clearBufferedEvents(socketA, "game:state");
+    const startedA = waitForEventFiltered(socketA, "game:rematch_started", (payload) => payload.roomId === roomId, 4_000);
+    const startedB = waitForEventFiltered(socketB, "game:rematch_started", (payload) => payload.roomId === roomId, 4_000);
+    const setupA = waitForEventFiltered(
+      socketA,
+      "game:state",
+      (payload) => payload.roomId === roomId && payload.phase === "setup",
+      4_000,
+    );
+    socketB.emit("game:rematch_accept", { roomId });
+    const [rematchA, rematchB, stateA] = await Promise.all([startedA, startedB, setupA]);
+    assert.equal(rematchA.game, 2);
+    assert.deepEqual(rematchA.series, { you: 0, opponent: 1 });
+    assert.deepEqual(rematchB.series, { you: 1, opponent: 0 });
+    assert.equal(stateA.gameOver, false);
+    assert.equal(stateA.yourShots, 0);
+    assert.equal(stateA.opponentShots, 0);
+    assert.equal(stateA.youReady, false);
+    assert.deepEqual(stateA.series, { you: 0, opponent: 1 });
+    assert.deepEqual(stateA.rematchRequestedBy, []);
+
+    const chatSeen = waitForEventFiltered(
+      socketB,
+      "chat:message",
+      (payload) => payload.roomId === roomId && payload.message?.text === "gg, jeszcze raz",
+      4_000,
+    );
+    socketA.emit("chat:send", { roomId, kind: "text", text: "gg, jeszcze raz" });
+    await chatSeen;
+
+    const playingA = waitForEventFiltered(
+      socketA,
+      "game:state",
+      (payload) => payload.roomId === roomId && payload.phase === "playing",
+      6_000,
+    );
+    socketA.emit("game:place_ships", { roomId, board: asServerBoard(placeFleetRandomly(createEmptyBoard())) });
+    socketB.emit("game:place_ships", { roomId, board: asServerBoard(placeFleetRandomly(createEmptyBoard())) });
+    await playingA;
+  } finally {
+    socketA.disconnect();
+    socketB.disconnect();
+    await server.close();
+  }
+});
+
+test("every game of a rematch series gets its own match summary row", async (t) => {
+  const databaseUrl = (process.env.DATABASE_URL ?? "").trim();
+  if (!databaseUrl) {
+    t.skip("DATABASE_URL not configured");
+    return;
+  }
+  const { Client } = require("pg");
+  const port = randomPort();
+  const server = await startTestServer(port, { DATABASE_URL: databaseUrl });
+  const socketA = createClient(port);
+  const socketB = createClient(port);
+  const client = new Client({ connectionString: databaseUrl });
+  await client.connect();
+  let roomId = null;
+
+  try {
+    ({ roomId } = await setupPlayingRoom(socketA, socketB));
+    const firstOver = waitForEventFiltered(socketB, "game:over", (payload) => payload.roomId === roomId, 4_000);
+    socketA.emit("game:cancel", { roomId });
+    await firstOver;
+
+    const requested = waitForEventFiltered(socketB, "game:rematch_requested", (payload) => payload.roomId === roomId, 4_000);
+    socketA.emit("game:rematch_request", { roomId });
+    await requested;
+    clearBufferedEvents(socketA, "game:state");
+    const playing = waitForEventFiltered(
+      socketA,
+      "game:state",
+      (payload) => payload.roomId === roomId && payload.phase === "playing",
+      6_000,
+    );
+    socketB.emit("game:rematch_accept", { roomId });
+    await waitForEventFiltered(socketA, "game:rematch_started", (payload) => payload.roomId === roomId, 4_000);
+    socketA.emit("game:place_ships", { roomId, board: asServerBoard(placeFleetRandomly(createEmptyBoard())) });
+    socketB.emit("game:place_ships", { roomId, board: asServerBoard(placeFleetRandomly(createEmptyBoard())) });
+    await playing;
+
+    clearBufferedEvents(socketA, "game:over");
+    const secondOver = waitForEventFiltered(socketA, "game:over", (payload) => payload.roomId === roomId, 4_000);
+    socketB.emit("game:cancel", { roomId });
+    await secondOver;
+
+    let rows = [];
+    for (let attempt = 0; attempt < 40 && rows.length < 2; attempt += 1) {
+      await sleep(100);
+      const result = await client.query(
+        `SELECT m.game_number, m.winner_player_id, m.started_at, m.ended_at, COUNT(mp.id)::int AS players
+         FROM matches m LEFT JOIN match_players mp ON mp.match_id = m.id
+         WHERE m.room_id = $1
+         GROUP BY m.id
+         ORDER BY m.game_number`,
+        [roomId],
+      );
+      rows = result.rows;
+    }
+    assert.deepEqual(
+      rows.map((row) => [row.game_number, row.winner_player_id, row.players]),
+      [
+        [1, socketB.id, 2],
+        [2, socketA.id, 2],
+      ],
+    );
+    assert.equal(rows[1].started_at.getTime() >= rows[0].ended_at.getTime(), true);
+  } finally {
+    socketA.disconnect();
+    socketB.disconnect();
+    if (roomId) await client.query("DELETE FROM matches WHERE room_id = $1", [roomId]);
+    await client.end();
+    await server.close();
+  }
+});
+
+test("rematch is unavailable once the opponent goes back to the queue", async () => {
+  const port = randomPort();
+  const server = await startTestServer(port);
+  const socketA = createClient(port);
+  const socketB = createClient(port);
+
+  try {
+    const { roomId } = await setupPlayingRoom(socketA, socketB);
+    const overB = waitForEventFiltered(socketB, "game:over", (payload) => payload.roomId === roomId, 4_000);
+    socketA.emit("game:cancel", { roomId });
+    await overB;
+
+    const unavailable = waitForEventFiltered(
+      socketB,
+      "game:error",
+      (payload) => payload?.code === "rematch_unavailable",
+      4_000,
+    );
+    socketA.emit("search:join", { nickname: "Alpha-Again" });
+    await unavailable;
+
+    const rejected = waitForEventFiltered(
+      socketB,
+      "game:error",
+      (payload) => payload?.code === "rematch_unavailable" && payload?.message === "Pokój nie jest już dostępny.",
+      4_000,
+    );
+    socketB.emit("game:rematch_request", { roomId });
+    await rejected;
+  } finally {
+    socketA.disconnect();
+    socketB.disconnect();
+    await server.close();
+  }
+});
+
+test("spectator watches a live game by room id with fleets hidden until game over", async () => {
+  const port = randomPort();
+  const server = await startTestServer(port);
+  const socketA = createClient(port);
+  const socketB = createClient(port);
+  const viewer = createClient(port);
+
+  try {
+    const { roomId } = await setupPlayingRoom(socketA, socketB);
+
+    const ownRejected = waitForEventFiltered(
+      socketA,
+      "game:error",
+      (payload) => payload?.code === "spectate_unavailable" && payload?.message === "Nie możesz obserwować własnej gry.",
+      4_000,
+    );
+    socketA.emit("spectate:join", { roomId });
+    await ownRejected;
+
+    const countSeen = waitForEventFiltered(
+      socketA,
+      "game:state",
+      (payload) => payload.roomId === roomId && payload.spectators === 1,
+      4_000,
+    );
+    const watching = waitForEventFiltered(viewer, "spectate:state", (payload) => payload.roomId === roomId, 4_000);
+    viewer.emit("spectate:join", { roomId });
+    const [view] = await Promise.all([watching, countSeen]);
+    assert.equal(view.phase, "playing");
+    assert.equal(view.spectators, 1);
+    assert.deepEqual(
+      view.players.map((player) => player.nickname).sort(),
+      ["Alpha", "Beta"],
+    );
+    for (const player of view.players) {
+      assert.deepEqual(player.board.ships, []);
+    }
+
+    const chatSeen = waitForEventFiltered(
+      viewer,
+      "chat:message",
+      (payload) => payload.roomId === roomId && payload.message?.text === "powodzenia",
+      4_000,
+    );
+    socketA.emit("chat:send", { roomId, kind: "text", text: "powodzenia" });
+    await chatSeen;
+
+    const chatRejected = waitForEventFiltered(
+      viewer,
+      "game:error",
+      (payload) => payload?.code === "chat_not_allowed",
+      4_000,
+    );
+    viewer.emit("chat:send", { roomId, kind: "text", text: "hej" });
+    await chatRejected;
+
+    const finalView = waitForEventFiltered(viewer, "spectate:state", (payload) => payload.gameOver === true, 4_000);
+    socketA.emit("game:cancel", { roomId });
+    const over = await finalView;
+    assert.equal(over.winner, socketB.id);
+    for (const player of over.players) {
+      assert.ok(player.board.ships.length > 0);
+    }
+  } finally {
+    viewer.disconnect();
+    socketA.disconnect();
+    socketB.disconnect();
+    await server.close();
+  }
+});
+
+test("spectator joins a private room by invite code and is told when the room closes", async () => {
+  const port = randomPort();
+  const server = await startTestServer(port);
+  const host = createClient(port);
+  const viewer = createClient(port);
+
+  try {
+    const createdPromise = waitForEventFiltered(host, "room:created", () => true, 4_000);
+    host.emit("room:create", { nickname: "Host" });
+    const created = await createdPromise;
+
+    const watching = waitForEventFiltered(
+      viewer,
+      "spectate:state",
+      (payload) => payload.roomId === created.roomId,
+      4_000,
+    );
+    viewer.emit("spectate:join", { code: created.code.toLowerCase() });
+    const view = await watching;
+    assert.equal(view.phase, "setup");
+    assert.deepEqual(
+      view.players.map((player) => player.nickname),
+      ["Host"],
+    );
+
+    const ended = waitForEventFiltered(
+      viewer,
+      "spectate:ended",
+      (payload) => payload.roomId === created.roomId,
+      4_000,
+    );
+    host.emit("game:cancel", { roomId: created.roomId });
+    assert.equal((await ended).message, "Transmisja zakończona.");
+  } finally {
+    host.disconnect();
+    viewer.disconnect();
+    await server.close();
+  }
+});
+
+test("spectate:join rejects malformed payloads and unknown rooms", async () => {
+  const port = randomPort();
+  const server = await startTestServer(port);
+  const viewer = createClient(port);
+
+  try {
+    const malformed = waitForEventFiltered(
+      viewer,
+      "game:error",
+      (payload) => payload?.message === "Nieprawidłowy pokój do obserwowania.",
+      4_000,
+    );
+    viewer.emit("spectate:join", { roomId: 42 });
+    await malformed;
+
+    const unknown = waitForEventFiltered(
+      viewer,
+      "game:error",
+      (payload) => payload?.code === "spectate_unavailable",
+      4_000,
+    );
+    viewer.emit("spectate:join", { roomId: "room-missing" });
+    assert.equal((await unknown).message, "Nie znaleziono gry do obserwowania.");
+  } finally {
+    viewer.disconnect();
+    await server.close();
+  }
+});
+
+test("game:shot before game start is rejected with game:error", async () => {
+  const port = randomPort();
+  const server = await startTestServer(port);
+
+  const socketA = createClient(port);
+  const socketB = createClient(port);
+
+  try {
+    const aMatched = waitForEventFiltered(
+      socketA,
+      "queue:matched",
+      (payload) => payload.vsBot === false,
+      4_000,
+    );
+    const bMatched = waitForEventFiltered(
+      socketB,
+      "queue:matched",
+      (payload) => payload.vsBot === false,
+      4_000,
+    );
+
+    socketA.emit("search:join", { nickname: "Alpha" });
+    socketB.emit("search:join", { nickname: "Beta" });
+
+    const [aMatch, bMatch] = await Promise.all([aMatched, bMatched]);
+    assert.equal(aMatch.roomId, bMatch.roomId);
+    const roomId = aMatch.roomId;
+
+    const boardA = placeFleetRandomly(createEmptyBoard());
+    socketA.emit("game:place_ships", { roomId, board: asServerBoard(boardA) });
+
+    const setupState = await waitForEventFiltered(
+      socketA,
+      "game:state",
+      (payload) => payload.roomId === roomId && payload.phase === "setup" && payload.youReady === true,
+      6_000,
+    );
+    const activeShooter = setupState.turn === socketA.id ? socketA : socketB;
+
+    const setupShotError = waitForEventFiltered(
+      activeShooter,
+      "game:error",
+      (payload) => payload?.message === "Rozpocznij po ustawieniu wszystkich statków.",
+      4_000,
+    );
+    activeShooter.emit("game:shot", { roomId, coord: { row: 0, col: 0 } });
+
+    const errorPayload = await setupShotError;
+    assert.equal(errorPayload.message, "Rozpocznij po ustawieniu wszystkich statków.");
+  } finally {
+    socketA.disconnect();
+    socketB.disconnect();
+    await server.close();
+  }
+});
+
+test("game:place_ships with invalid roomId is rejected with game:error", async () => {
+  const port = randomPort();
+  const server = await startTestServer(port, { MATCH_TIMEOUT_MS: "300" });
+  const socketA = createClient(port);
+
+  try {
+    const matched = waitForEventFiltered(
+      socketA,
+      "queue:matched",
+      (payload) => payload.vsBot === true,
+      4_000,
+    );
+    socketA.emit("search:join", { nickname: "Solo" });
+    const payload = await matched;
+    const roomId = payload.roomId;
+
+    const boardA = placeFleetRandomly(createEmptyBoard());
+    const badRoomError = waitForEventFiltered(
+      socketA,
+      "game:error",
+      (eventPayload) => eventPayload?.message === "Nieprawidłowy pokój.",
+      4_000,
+    );
+    socketA.emit("game:place_ships", {
+      roomId: `${roomId}-invalid`,
+      board: asServerBoard(boardA),
+    });
+
+    const errorPayload = await badRoomError;
+    assert.equal(errorPayload.message, "Nieprawidłowy pokój.");
+  } finally {
+    socketA.disconnect();
+    await server.close();
+  }
+});
+
+test("game:place_ships ignores invalid board payloads and keeps accepting valid placement", async () => {
+  const port = randomPort();
+  const server = await startTestServer(port);
+
+  const socketA = createClient(port);
+  const socketB = createClient(port);
+
+  try {
+    const aMatched = waitForEventFiltered(
+      socketA,
+      "queue:matched",
+      (payload) => payload.vsBot === false,
+      4_000,
+    );
+    const bMatched = waitForEventFiltered(
+      socketB,
+      "queue:matched",
+      (payload) => payload.vsBot === false,
+      4_000,
+    );
+
+    socketA.emit("search:join", { nickname: "Alpha" });
+    socketB.emit("search:join", { nickname: "Beta" });
+
+    const [aMatch, bMatch] = await Promise.all([aMatched, bMatched]);
+    assert.equal(aMatch.roomId, bMatch.roomId);
+    const roomId = aMatch.roomId;
+
+    const invalidBoards = [null, "invalid", 123, true, { ships: [] }, { width: "x", height: "y", ships: [] }, {}];
+
+    for (const boardPayload of invalidBoards) {
+      const errorPayload = waitForEventFiltered(
+        socketA,
+        "game:error",
+        (payload) => payload?.message === "Nieprawidłowe dane ustawienia statków.",
+        2_500,
+      );
+      socketA.emit("game:place_ships", { roomId, board: boardPayload });
+      const err = await errorPayload;
+      assert.equal(err.message, "Nieprawidłowe dane ustawienia statków.");
+    }
+
+    const boardA = placeFleetRandomly(createEmptyBoard());
+    const boardB = placeFleetRandomly(createEmptyBoard());
+    socketA.emit("game:place_ships", { roomId, board: asServerBoard(boardA) });
+    socketB.emit("game:place_ships", { roomId, board: asServerBoard(boardB) });
+
+    const stateA = await waitForEventFiltered(
+      socketA,
+      "game:state",
+      (payload) => payload.roomId === roomId && payload.phase === "playing",
+      8_000,
+    );
+    const stateB = await waitForEventFiltered(
+      socketB,
+      "game:state",
+      (payload) => payload.roomId === roomId && payload.phase === "playing",
+      8_000,
+    );
+    assert.equal(stateA.phase, "playing");
+    assert.equal(stateB.phase, "playing");
+    assert.equal(stateA.roomId, roomId);
+    assert.equal(stateB.roomId, roomId);
+  } finally {
+    socketA.disconnect();
+    socketB.disconnect();
+    await server.close();
+  }
+});
+
+test("game:place_ships accepts valid placement after malformed payload", async () => {
+  const port = randomPort();
+  const server = await startTestServer(port, { MATCH_TIMEOUT_MS: "300" });
+
+  const socket = createClient(port);
+
+  try {
+    const matched = waitForEventFiltered(
+      socket,
+      "queue:matched",
+      (payload) => payload.vsBot === true,
+      4_000,
+    );
+    socket.emit("search:join", { nickname: "Solo" });
+    const match = await matched;
+    const roomId = match.roomId;
+
+    const invalidPayload = waitForEventFiltered(
+      socket,
+      "game:error",
+      (payload) => payload?.message === "Nieprawidłowe dane ustawienia statków.",
+      2_500,
+    );
+    socket.emit("game:place_ships", {
+      roomId,
+      board: "invalid-board",
+    });
+    const invalidPayloadResult = await invalidPayload;
+    assert.equal(invalidPayloadResult.message, "Nieprawidłowe dane ustawienia statków.");
+
+    const playingState = waitForEventFiltered(
+      socket,
+      "game:state",
+      (payload) => payload.roomId === roomId && payload.phase === "playing",
+      8_000,
+    );
+    const validBoard = placeFleetRandomly(createEmptyBoard());
+    socket.emit("game:place_ships", { roomId, board: asServerBoard(validBoard) });
+    const statePayload = await playingState;
+    assert.equal(statePayload.phase, "playing");
+    assert.equal(statePayload.roomId, roomId);
+  } finally {
+    socket.disconnect();
+    await server.close();
+  }
+});
+
+test("game:place_ships invalid payload type flood returns validation error and still accepts valid placement", async () => {
+  const port = randomPort();
+  const server = await startTestServer(port, { MATCH_TIMEOUT_MS: "300" });
+  const socket = createClient(port);
+
+  try {
+    const matched = waitForEventFiltered(
+      socket,
+      "queue:matched",
+      (payload) => payload.vsBot === true,
+      4_000,
+    );
+    socket.emit("search:join", { nickname: "Solo" });
+    const match = await matched;
+    const roomId = match.roomId;
+
+    const invalidPayloads = [null, "invalid-type", 123, true, []];
+    for (const payload of invalidPayloads) {
+      const errorPayload = waitForEventFiltered(
+        socket,
+        "game:error",
+        (eventPayload) => eventPayload?.message === "Nieprawidłowe dane ustawienia statków.",
+        2_500,
+      );
+      socket.emit("game:place_ships", payload);
+      const response = await errorPayload;
+      assert.equal(response.message, "Nieprawidłowe dane ustawienia statków.");
+    }
+
+    const board = placeFleetRandomly(createEmptyBoard());
+    const state = waitForEventFiltered(
+      socket,
+      "game:state",
+      (payload) => payload.roomId === roomId && payload.phase === "playing",
+      8_000,
+    );
+    socket.emit("game:place_ships", { roomId, board: asServerBoard(board) });
+    const playingState = await state;
+
+    assert.equal(playingState.roomId, roomId);
+    assert.equal(playingState.phase, "playing");
+  } finally {
+    socket.disconnect();
+    await server.close();
+  }
+});
+
+test("game:place_ships is rate limited during burst", async () => {
+  const port = randomPort();
+  const server = await startTestServer(port, {
+    MATCH_TIMEOUT_MS: "300",
+    RATE_LIMIT_PLACE_SHIPS_PER_WINDOW: "5",
+    RATE_LIMIT_PLACE_SHIPS_WINDOW_MS: "1_500",
+  });
 
   const socketA = createClient(port);
   const socketB = createClient(port);
@@ -3054,153 +3803,560 @@ test("game:place_ships is rate limited during burst", async () => {
   }
 });
 
-test("game:place_ships rate limit resets after window expires", async () => {
+test("game:place_ships rate limit resets after window expires", async () => {
+  const port = randomPort();
+  const server = await startTestServer(port, {
+    MATCH_TIMEOUT_MS: "300",
+    RATE_LIMIT_PLACE_SHIPS_PER_WINDOW: "5",
+    RATE_LIMIT_PLACE_SHIPS_WINDOW_MS: "800",
+  });
+  const socketA = createClient(port);
+  const socketB = createClient(port);
+
+  try {
+    const matchedA = waitForEventFiltered(
+      socketA,
+      "queue:matched",
+      (payload) => payload.vsBot === false,
+      4_000,
+    );
+    const matchedB = waitForEventFiltered(
+      socketB,
+      "queue:matched",
+      (payload) => payload.vsBot === false,
+      4_000,
+    );
+    socketA.emit("search:join", { nickname: "Solo" });
+    socketB.emit("search:join", { nickname: "Opponent" });
+    const [match] = await Promise.all([matchedA, matchedB]);
+    assert.equal(match.vsBot, false);
+    const roomId = match.roomId;
+    const board = placeFleetRandomly(createEmptyBoard());
+
+    const rateLimitError = waitForEventFiltered(
+      socketA,
+      "game:error",
+      (payload) => payload?.message === "Zbyt wiele ustawień statków. Poczekaj chwilę.",
+      5_000,
+    );
+
+    for (let index = 0; index < 7; index += 1) {
+      socketA.emit("game:place_ships", {
+        roomId,
+        board: asServerBoard(board),
+      });
+    }
+
+    await rateLimitError;
+
+    await new Promise((resolve) => setTimeout(resolve, 1_300));
+    clearBufferedEvents(socketA, "game:error");
+    clearBufferedEvents(socketA, "game:state");
+
+    const afterWindowState = waitForEventFiltered(
+      socketA,
+      "game:state",
+      (payload) => payload.roomId === roomId && payload.phase === "setup" && payload.youReady === true,
+      2_500,
+    );
+    socketA.emit("game:place_ships", { roomId, board: asServerBoard(board) });
+    const stateAfterWindow = await afterWindowState;
+    assert.equal(stateAfterWindow.roomId, roomId);
+    assert.equal(stateAfterWindow.phase, "setup");
+    assert.equal(stateAfterWindow.youReady, true);
+  } finally {
+    socketA.disconnect();
+    socketB.disconnect();
+    await server.close();
+  }
+});
+
+test("room without activity ends with inactivity timeout and game:over reason", async () => {
+  const port = randomPort();
+  const server = await startTestServer(port, {
+    MATCH_TIMEOUT_MS: "30_000",
+    ROOM_INACTIVITY_TIMEOUT_MS: "300",
+  });
+
+  const socketA = createClient(port);
+  const socketB = createClient(port);
+
+  try {
+    const aMatched = waitForEventFiltered(
+      socketA,
+      "queue:matched",
+      (payload) => payload.vsBot === false,
+      6_000,
+    );
+    const bMatched = waitForEventFiltered(
+      socketB,
+      "queue:matched",
+      (payload) => payload.vsBot === false,
+      6_000,
+    );
+    socketA.emit("search:join", { nickname: "Solo" });
+    socketB.emit("search:join", { nickname: "Opponent" });
+    const [aMatch, bMatch] = await Promise.all([aMatched, bMatched]);
+    assert.equal(aMatch.roomId, bMatch.roomId);
+    assert.equal(aMatch.vsBot, false);
+    assert.equal(bMatch.vsBot, false);
+    const roomId = aMatch.roomId;
+
+    const boardA = placeFleetRandomly(createEmptyBoard());
+    const boardB = placeFleetRandomly(createEmptyBoard());
+    socketA.emit("game:place_ships", { roomId, board: asServerBoard(boardA) });
+    socketB.emit("game:place_ships", { roomId, board: asServerBoard(boardB) });
+
+    await Promise.all([
+      waitForEventFiltered(
+        socketA,
+        "game:state",
+        (payload) => payload.roomId === roomId && payload.phase === "playing",
+        8_000,
+      ),
+      waitForEventFiltered(
+        socketB,
+        "game:state",
+        (payload) => payload.roomId === roomId && payload.phase === "playing",
+        8_000,
+      ),
+    ]);
+
+    const [overPayloadA, overPayloadB] = await Promise.all([
+      waitForEventFiltered(
+        socketA,
+        "game:over",
+        (payload) => payload.roomId === roomId,
+        8_000,
+      ),
+      waitForEventFiltered(
+        socketB,
+        "game:over",
+        (payload) => payload.roomId === roomId,
+        8_000,
+      ),
+    ]);
+    assert.equal(overPayloadA.reason, "inactivity_timeout");
+    assert.equal(overPayloadB.reason, "inactivity_timeout");
+    assert.equal(overPayloadA.winner, null);
+    assert.equal(overPayloadB.winner, null);
+    assert.equal(overPayloadA.roomId, roomId);
+    assert.equal(overPayloadB.roomId, roomId);
+    assert.equal(overPayloadA.totalShots, overPayloadA.yourShots + overPayloadA.opponentShots);
+    assert.equal(overPayloadB.totalShots, overPayloadB.yourShots + overPayloadB.opponentShots);
+    assert.equal(typeof overPayloadA.message, "string");
+    assert.equal(overPayloadB.message, overPayloadA.message);
+    assert.equal(overPayloadA.message.includes("braku aktywności"), true);
+  } finally {
+    socketA.disconnect();
+    socketB.disconnect();
+    await server.close();
+  }
+});
+
+test("turn clock passes the turn on timeout and forfeits after repeated timeouts", async () => {
+  const port = randomPort();
+  const server = await startTestServer(port, {
+    MATCH_TIMEOUT_MS: "30_000",
+    TURN_TIME_LIMIT_MS: "400",
+    TURN_TIMEOUT_ACTION: "pass",
+    TURN_TIMEOUTS_TO_FORFEIT: "2",
+  });
+
+  const socketA = createClient(port);
+  const socketB = createClient(port);
+
+  try {
+    const aMatched = waitForEventFiltered(socketA, "queue:matched", (payload) => payload.vsBot === false, 6_000);
+    const bMatched = waitForEventFiltered(socketB, "queue:matched", (payload) => payload.vsBot === false, 6_000);
+    socketA.emit("search:join", { nickname: "Slow" });
+    socketB.emit("search:join", { nickname: "Slower" });
+    const [aMatch] = await Promise.all([aMatched, bMatched]);
+    const roomId = aMatch.roomId;
+
+    const playingA = waitForEventFiltered(
+      socketA,
+      "game:state",
+      (payload) => payload.roomId === roomId && payload.phase === "playing",
+      8_000,
+    );
+    socketA.emit("game:place_ships", { roomId, board: asServerBoard(placeFleetRandomly(createEmptyBoard())) });
+    socketB.emit("game:place_ships", { roomId, board: asServerBoard(placeFleetRandomly(createEmptyBoard())) });
+    const stateA = await playingA;
+    assert.equal(typeof stateA.turnDeadline, "number");
+    assert.equal(stateA.turnRemainingMs > 0 && stateA.turnRemainingMs <= 400, true);
+
+    const [first, second] = stateA.yourTurn ? [socketA, socketB] : [socketB, socketA];
+    const firstTimeout = await waitForEventFiltered(
+      first,
+      "game:error",
+      (payload) => payload.roomId === roomId && payload.code === "turn_timeout",
+      4_000,
+    );
+    assert.equal(firstTimeout.message, "Czas tury minął (1/2).");
+    const passedTurn = await waitForEventFiltered(
+      second,
+      "game:turn",
+      (payload) => payload.roomId === roomId && payload.phase === "playing" && payload.yourTurn === true,
+      4_000,
+    );
+    assert.equal(typeof passedTurn.turnDeadline, "number");
+
+    const [overFirst, overSecond] = await Promise.all([
+      waitForEventFiltered(first, "game:over", (payload) => payload.roomId === roomId, 6_000),
+      waitForEventFiltered(second, "game:over", (payload) => payload.roomId === roomId, 6_000),
+    ]);
+    assert.equal(overFirst.reason, "turn_timeout");
+    assert.equal(overSecond.reason, "turn_timeout");
+    assert.equal(overFirst.winner, second.id);
+    assert.equal(overFirst.totalShots, 0);
+  } finally {
+    socketA.disconnect();
+    socketB.disconnect();
+    await server.close();
+  }
+});
+
+const startBankedGame = async (socketA, socketB) => {
+  const aMatched = waitForEventFiltered(socketA, "queue:matched", (payload) => payload.vsBot === false, 6_000);
+  const bMatched = waitForEventFiltered(socketB, "queue:matched", (payload) => payload.vsBot === false, 6_000);
+  socketA.emit("search:join", { nickname: "Bank A" });
+  socketB.emit("search:join", { nickname: "Bank B" });
+  const [aMatch] = await Promise.all([aMatched, bMatched]);
+  const roomId = aMatch.roomId;
+  const playingA = waitForEventFiltered(
+    socketA,
+    "game:state",
+    (payload) => payload.roomId === roomId && payload.phase === "playing",
+    8_000,
+  );
+  socketA.emit("game:place_ships", { roomId, board: asServerBoard(placeFleetRandomly(createEmptyBoard())) });
+  socketB.emit("game:place_ships", { roomId, board: asServerBoard(placeFleetRandomly(createEmptyBoard())) });
+  return { roomId, stateA: await playingA };
+};
+
+test("time bank runs down on the active player and ends the game when empty", async () => {
+  const port = randomPort();
+  const server = await startTestServer(port, {
+    MATCH_TIMEOUT_MS: "30_000",
+    TURN_TIME_LIMIT_MS: "0",
+    TIME_BANK_MS: "700",
+  });
+
+  const socketA = createClient(port);
+  const socketB = createClient(port);
+
+  try {
+    const { roomId, stateA } = await startBankedGame(socketA, socketB);
+    assert.equal(stateA.timeBank.running, true);
+    assert.equal(stateA.timeBank.yourMs <= 700 && stateA.timeBank.yourMs > 0, true);
+    assert.equal(stateA.timeBank.opponentMs <= 700 && stateA.timeBank.opponentMs > 0, true);
+    assert.equal(typeof stateA.turnDeadline, "number");
+
+    const [onTurn, waiting] = stateA.yourTurn ? [socketA, socketB] : [socketB, socketA];
+    const [overOnTurn, overWaiting] = await Promise.all([
+      waitForEventFiltered(onTurn, "game:over", (payload) => payload.roomId === roomId, 4_000),
+      waitForEventFiltered(waiting, "game:over", (payload) => payload.roomId === roomId, 4_000),
+    ]);
+    assert.equal(overOnTurn.reason, "time_bank_exhausted");
+    assert.equal(overWaiting.reason, "time_bank_exhausted");
+    assert.equal(overOnTurn.winner, waiting.id);
+  } finally {
+    socketA.disconnect();
+    socketB.disconnect();
+    await server.close();
+  }
+});
+
+test("time bank is paused during the reconnect grace window", async () => {
+  const port = randomPort();
+  const server = await startTestServer(port, {
+    MATCH_TIMEOUT_MS: "30_000",
+    TURN_TIME_LIMIT_MS: "0",
+    TIME_BANK_MS: "700",
+    ROOM_RECONNECT_GRACE_MS: "1_500",
+  });
+
+  const socketA = createClient(port);
+  const socketB = createClient(port);
+
+  try {
+    const { roomId, stateA } = await startBankedGame(socketA, socketB);
+    const [onTurn, waiting] = stateA.yourTurn ? [socketA, socketB] : [socketB, socketA];
+    const overPromise = waitForEventFiltered(onTurn, "game:over", (payload) => payload.roomId === roomId, 6_000);
+    waiting.disconnect();
+
+    const over = await overPromise;
+    assert.equal(over.reason, "disconnect");
+    assert.equal(over.winner, onTurn.id);
+  } finally {
+    socketA.disconnect();
+    socketB.disconnect();
+    await server.close();
+  }
+});
+
+test("time bank credits the increment once per shot of a salvo volley", async () => {
+  const port = randomPort();
+  const server = await startTestServer(port, {
+    MATCH_TIMEOUT_MS: "30_000",
+    TURN_TIME_LIMIT_MS: "0",
+    TIME_BANK_MS: "60_000",
+    TIME_BANK_INCREMENT_MS: "20_000",
+  });
+
+  const socketA = createClient(port);
+  const socketB = createClient(port);
+
+  try {
+    const aMatched = waitForEventFiltered(socketA, "queue:matched", (payload) => payload.vsBot === false, 6_000);
+    const bMatched = waitForEventFiltered(socketB, "queue:matched", (payload) => payload.vsBot === false, 6_000);
+    socketA.emit("search:join", { nickname: "Volley A", salvo: "fixed" });
+    socketB.emit("search:join", { nickname: "Volley B", salvo: "fixed" });
+    const [aMatch] = await Promise.all([aMatched, bMatched]);
+    const roomId = aMatch.roomId;
+
+    const playingA = waitForEventFiltered(
+      socketA,
+      "game:state",
+      (payload) => payload.roomId === roomId && payload.phase === "playing",
+      8_000,
+    );
+    socketA.emit("game:place_ships", { roomId, board: asServerBoard(placeFleetRandomly(createEmptyBoard())) });
+    socketB.emit("game:place_ships", { roomId, board: asServerBoard(placeFleetRandomly(createEmptyBoard())) });
+    const stateA = await playingA;
+    assert.equal(stateA.salvoShots, 3);
+
+    const [shooter, waiting] = stateA.yourTurn ? [socketA, socketB] : [socketB, socketA];
+    const turnPassed = waitForEventFiltered(
+      waiting,
+      "game:state",
+      (payload) => payload.roomId === roomId && payload.phase === "playing" && payload.yourTurn === true,
+      4_000,
+    );
+    shooter.emit("game:salvo", {
+      roomId,
+      coords: [{ row: 0, col: 0 }, { row: 5, col: 5 }, { row: 9, col: 9 }],
+    });
+    const passed = await turnPassed;
+    assert.equal(passed.timeBank.opponentMs > 100_000 && passed.timeBank.opponentMs <= 120_000, true);
+  } finally {
+    socketA.disconnect();
+    socketB.disconnect();
+    await server.close();
+  }
+});
+
+test("shot clock is paused while the player on turn is inside the reconnect grace window", async () => {
   const port = randomPort();
   const server = await startTestServer(port, {
-    MATCH_TIMEOUT_MS: "300",
-    RATE_LIMIT_PLACE_SHIPS_PER_WINDOW: "5",
-    RATE_LIMIT_PLACE_SHIPS_WINDOW_MS: "800",
+    MATCH_TIMEOUT_MS: "30_000",
+    TURN_TIME_LIMIT_MS: "400",
+    TURN_TIMEOUT_ACTION: "pass",
+    TURN_TIMEOUTS_TO_FORFEIT: "1",
+    TIME_BANK_MS: "0",
+    ROOM_RECONNECT_GRACE_MS: "3_000",
   });
+
   const socketA = createClient(port);
   const socketB = createClient(port);
+  const socketBack = createClient(port);
 
   try {
-    const matchedA = waitForEventFiltered(
-      socketA,
-      "queue:matched",
-      (payload) => payload.vsBot === false,
-      4_000,
-    );
-    const matchedB = waitForEventFiltered(
-      socketB,
-      "queue:matched",
-      (payload) => payload.vsBot === false,
-      4_000,
-    );
-    socketA.emit("search:join", { nickname: "Solo" });
-    socketB.emit("search:join", { nickname: "Opponent" });
-    const [match] = await Promise.all([matchedA, matchedB]);
-    assert.equal(match.vsBot, false);
-    const roomId = match.roomId;
-    const board = placeFleetRandomly(createEmptyBoard());
+    const aMatched = waitForEventFiltered(socketA, "queue:matched", (payload) => payload.vsBot === false, 6_000);
+    const bMatched = waitForEventFiltered(socketB, "queue:matched", (payload) => payload.vsBot === false, 6_000);
+    socketA.emit("search:join", { nickname: "Stay" });
+    socketB.emit("search:join", { nickname: "Drop" });
+    const [aMatch, bMatch] = await Promise.all([aMatched, bMatched]);
+    const roomId = aMatch.roomId;
 
-    const rateLimitError = waitForEventFiltered(
+    const playingA = waitForEventFiltered(
       socketA,
-      "game:error",
-      (payload) => payload?.message === "Zbyt wiele ustawień statków. Poczekaj chwilę.",
-      5_000,
+      "game:state",
+      (payload) => payload.roomId === roomId && payload.phase === "playing",
+      8_000,
     );
+    socketA.emit("game:place_ships", { roomId, board: asServerBoard(placeFleetRandomly(createEmptyBoard())) });
+    socketB.emit("game:place_ships", { roomId, board: asServerBoard(placeFleetRandomly(createEmptyBoard())) });
+    const stateA = await playingA;
+    const [onTurn, waiting, reconnectToken] = stateA.yourTurn
+      ? [socketA, socketB, aMatch.reconnectToken]
+      : [socketB, socketA, bMatch.reconnectToken];
 
-    for (let index = 0; index < 7; index += 1) {
-      socketA.emit("game:place_ships", {
-        roomId,
-        board: asServerBoard(board),
-      });
-    }
-
-    await rateLimitError;
-
-    await new Promise((resolve) => setTimeout(resolve, 1_300));
-    clearBufferedEvents(socketA, "game:error");
-    clearBufferedEvents(socketA, "game:state");
+    let turnTimeouts = 0;
+    waiting.on("game:over", (payload) => {
+      if (payload.roomId === roomId && payload.reason === "turn_timeout") turnTimeouts += 1;
+    });
+    const grace = waitForEventFiltered(waiting, "game:error", (payload) => payload.code === "reconnect_grace", 2_000);
+    onTurn.disconnect();
+    await grace;
+    await new Promise((resolve) => setTimeout(resolve, 800));
 
-    const afterWindowState = waitForEventFiltered(
-      socketA,
+    const restoredState = waitForEventFiltered(
+      socketBack,
       "game:state",
-      (payload) => payload.roomId === roomId && payload.phase === "setup" && payload.youReady === true,
-      2_500,
+      (payload) => payload.roomId === roomId && payload.phase === "playing",
+      4_000,
     );
-    socketA.emit("game:place_ships", { roomId, board: asServerBoard(board) });
-    const stateAfterWindow = await afterWindowState;
-    assert.equal(stateAfterWindow.roomId, roomId);
-    assert.equal(stateAfterWindow.phase, "setup");
-    assert.equal(stateAfterWindow.youReady, true);
+    socketBack.emit("search:join", { nickname: "Back", reconnectToken });
+    const restored = await restoredState;
+    assert.equal(turnTimeouts, 0);
+    assert.equal(restored.yourTurn, true);
+    assert.equal(restored.turnRemainingMs > 0 && restored.turnRemainingMs <= 400, true);
+
+    const over = await waitForEventFiltered(socketBack, "game:over", (payload) => payload.roomId === roomId, 4_000);
+    assert.equal(over.reason, "turn_timeout");
+    assert.equal(over.winner, waiting.id);
   } finally {
     socketA.disconnect();
     socketB.disconnect();
+    socketBack.disconnect();
     await server.close();
   }
 });
 
-test("room without activity ends with inactivity timeout and game:over reason", async () => {
+test("bot clients authenticate with an API key, get bot:state and forfeit past the move budget", async () => {
   const port = randomPort();
+  const botKey = "alpha-bot-key-0123456789";
   const server = await startTestServer(port, {
     MATCH_TIMEOUT_MS: "30_000",
-    ROOM_INACTIVITY_TIMEOUT_MS: "300",
+    TURN_TIME_LIMIT_MS: "0",
+    BOT_API_KEYS: `alpha:${botKey}`,
+    BOT_CLIENT_MOVE_BUDGET_MS: "3_000",
   });
 
-  const socketA = createClient(port);
-  const socketB = createClient(port);
+  const rejected = createClient(port, { reconnection: false, auth: { botKey: "not-a-valid-bot-key-000" } });
+  const bot = createClient(port, { auth: { botKey } });
+  const human = createClient(port);
 
   try {
-    const aMatched = waitForEventFiltered(
-      socketA,
-      "queue:matched",
-      (payload) => payload.vsBot === false,
-      6_000,
+    const error = await waitForEvent(rejected, "connect_error");
+    assert.equal(error.message, "invalid_bot_key");
+
+    const { roomId, boardA, boardB, stateB } = await setupPlayingRoom(bot, human, "Spoofed", "Human");
+    assert.equal(stateB.opponentName, "alpha [bot]");
+    const botCells = buildShipCells(boardA);
+    const humanCells = buildShipCells(boardB);
+    const emptyCells = (shipCells) => {
+      const cells = [];
+      for (let row = 0; row < 10; row += 1) {
+        for (let col = 0; col < 10; col += 1) {
+          if (!shipCells.has(coordKey({ row, col }))) cells.push({ row, col });
+        }
+      }
+      return cells;
+    };
+    const humanMisses = emptyCells(botCells);
+    const botMiss = emptyCells(humanCells)[0];
+    const missCount = (rows) => rows.join("").split("o").length - 1;
+    const botTurn = (humanShots) =>
+      waitForEventFiltered(
+        bot,
+        "bot:state",
+        (payload) => payload.roomId === roomId && payload.yourTurn && missCount(payload.yourBoard) === humanShots,
+        4_000,
+      );
+
+    const playing = await waitForEventFiltered(
+      bot,
+      "bot:state",
+      (payload) => payload.roomId === roomId && payload.phase === "playing",
+      4_000,
     );
-    const bMatched = waitForEventFiltered(
-      socketB,
-      "queue:matched",
-      (payload) => payload.vsBot === false,
-      6_000,
+    assert.equal(playing.v, 1);
+    assert.equal(playing.budgetMs, 3_000);
+    assert.equal(playing.shots, 1);
+    assert.equal(playing.yourBoard.join("").split("S").length - 1, botCells.size);
+    assert.deepEqual(playing.targetBoard, Array.from({ length: 10 }, () => ".".repeat(10)));
+    assert.deepEqual(
+      [...playing.remaining].sort(),
+      boardB.ships.map((ship) => ship.cells.length).sort(),
     );
-    socketA.emit("search:join", { nickname: "Solo" });
-    socketB.emit("search:join", { nickname: "Opponent" });
-    const [aMatch, bMatch] = await Promise.all([aMatched, bMatched]);
-    assert.equal(aMatch.roomId, bMatch.roomId);
-    assert.equal(aMatch.vsBot, false);
-    assert.equal(bMatch.vsBot, false);
-    const roomId = aMatch.roomId;
 
-    const boardA = placeFleetRandomly(createEmptyBoard());
-    const boardB = placeFleetRandomly(createEmptyBoard());
-    socketA.emit("game:place_ships", { roomId, board: asServerBoard(boardA) });
-    socketB.emit("game:place_ships", { roomId, board: asServerBoard(boardB) });
+    let missIndex = 0;
+    if (!playing.yourTurn) {
+      human.emit("game:shot", { roomId, coord: humanMisses[missIndex++] });
+    }
+    const firstTurn = await botTurn(missIndex);
+    assert.equal(typeof firstTurn.deadline, "number");
+    assert.equal(firstTurn.deadline - Date.now() <= 3_000, true);
+    bot.emit("game:shot", { roomId, coord: botMiss });
+    await waitForEventFiltered(human, "game:turn", (payload) => payload.roomId === roomId && payload.yourTurn, 4_000);
+
+    const overPromise = waitForEventFiltered(human, "game:over", (payload) => payload.roomId === roomId, 8_000);
+    human.emit("game:shot", { roomId, coord: humanMisses[missIndex++] });
+    const secondTurn = await botTurn(missIndex);
+    assert.equal(secondTurn.targetBoard[botMiss.row][botMiss.col], "o");
+    assert.equal(missCount(secondTurn.targetBoard), 1);
+
+    assert.equal(typeof secondTurn.deadline, "number");
+
+    const over = await overPromise;
+    assert.equal(Date.now() >= secondTurn.deadline, true);
+    assert.equal(over.reason, "turn_timeout");
+    assert.equal(over.winner, human.id);
+    assert.equal(getSocketEventBuffer(human).has("bot:state"), false);
+  } finally {
+    rejected.disconnect();
+    bot.disconnect();
+    human.disconnect();
+    await server.close();
+  }
+});
 
-    await Promise.all([
-      waitForEventFiltered(
-        socketA,
-        "game:state",
-        (payload) => payload.roomId === roomId && payload.phase === "playing",
-        8_000,
-      ),
-      waitForEventFiltered(
-        socketB,
-        "game:state",
-        (payload) => payload.roomId === roomId && payload.phase === "playing",
-        8_000,
-      ),
-    ]);
+test("bot clients keep their move budget against the built-in bot after a miss", async () => {
+  const port = randomPort();
+  const botKey = "alpha-bot-key-0123456789";
+  const server = await startTestServer(port, {
+    MATCH_TIMEOUT_MS: "300",
+    TURN_TIME_LIMIT_MS: "0",
+    BOT_API_KEYS: `alpha:${botKey}`,
+    BOT_CLIENT_MOVE_BUDGET_MS: "1_500",
+  });
 
-    const [overPayloadA, overPayloadB] = await Promise.all([
-      waitForEventFiltered(
-        socketA,
-        "game:over",
-        (payload) => payload.roomId === roomId,
-        8_000,
-      ),
-      waitForEventFiltered(
-        socketB,
-        "game:over",
-        (payload) => payload.roomId === roomId,
-        8_000,
-      ),
-    ]);
-    assert.equal(overPayloadA.reason, "inactivity_timeout");
-    assert.equal(overPayloadB.reason, "inactivity_timeout");
-    assert.equal(overPayloadA.winner, null);
-    assert.equal(overPayloadB.winner, null);
-    assert.equal(overPayloadA.roomId, roomId);
-    assert.equal(overPayloadB.roomId, roomId);
-    assert.equal(overPayloadA.totalShots, overPayloadA.yourShots + overPayloadA.opponentShots);
-    assert.equal(overPayloadB.totalShots, overPayloadB.yourShots + overPayloadB.opponentShots);
-    assert.equal(typeof overPayloadA.message, "string");
-    assert.equal(overPayloadB.message, overPayloadA.message);
-    assert.equal(overPayloadA.message.includes("braku aktywności"), true);
+  const bot = createClient(port, { auth: { botKey } });
+
+  try {
+    const matched = waitForEventFiltered(bot, "queue:matched", (payload) => payload.vsBot === true, 4_000);
+    bot.emit("search:join", { nickname: "Solo bot" });
+    const { roomId } = await matched;
+    bot.emit("game:place_ships", { roomId, board: asServerBoard(placeFleetRandomly(createEmptyBoard())) });
+
+    const overPromise = waitForEventFiltered(bot, "game:over", (payload) => payload.roomId === roomId, 15_000);
+    let miss = null;
+    for (let index = 0; miss === null; index += 1) {
+      const coord = { row: Math.floor(index / 10), col: index % 10 };
+      await waitForEventFiltered(
+        bot,
+        "bot:state",
+        (payload) => payload.roomId === roomId && payload.yourTurn && payload.targetBoard[coord.row][coord.col] === ".",
+        4_000,
+      );
+      bot.emit("game:shot", { roomId, coord });
+      const shot = await waitForEventFiltered(
+        bot,
+        "game:shot_result",
+        (payload) => payload.shooter === bot.id && payload.coord.row === coord.row && payload.coord.col === coord.col,
+        4_000,
+      );
+      if (shot.outcome === "miss") miss = coord;
+    }
+
+    const turnBack = await waitForEventFiltered(
+      bot,
+      "bot:state",
+      (payload) => payload.roomId === roomId && payload.yourTurn && payload.targetBoard[miss.row][miss.col] === "o",
+      8_000,
+    );
+    assert.equal(typeof turnBack.deadline, "number");
+    assert.equal(turnBack.budgetMs, 1_500);
+
+    const over = await overPromise;
+    assert.equal(Date.now() >= turnBack.deadline, true);
+    assert.equal(over.reason, "turn_timeout");
+    assert.notEqual(over.winner, bot.id);
   } finally {
-    socketA.disconnect();
-    socketB.disconnect();
+    bot.disconnect();
     await server.close();
   }
 });
@@ -6831,6 +7987,137 @@ test("chat:send accepts different text messages in normal pace", async () => {
   }
 });
 
+test("chat:send masks blocked words before broadcasting", async () => {
+  const port = randomPort();
+  const server = await startTestServer(port, { CHAT_BLOCKED_WORDS: "szczur*" });
+  const socketA = createClient(port, { reconnection: false });
+  const socketB = createClient(port, { reconnection: false });
+
+  try {
+    const setup = await setupPlayingRoom(socketA, socketB, "Alpha", "Beta");
+    const roomId = setup.roomId;
+    const seen = waitForEventFiltered(
+      socketB,
+      "chat:message",
+      (payload) => payload?.roomId === roomId && payload?.message?.kind === "text",
+      4_000,
+    );
+    socketA.emit("chat:send", { roomId, kind: "text", text: "sh1t, ty szczurze" });
+    const payload = await seen;
+    assert.equal(payload.message.text, "***** ty ********");
+  } finally {
+    socketA.disconnect();
+    socketB.disconnect();
+    await server.close();
+  }
+});
+
+test("chat:report acknowledges opponent messages and rejects own or repeated reports", async () => {
+  const port = randomPort();
+  const server = await startTestServer(port);
+  const socketA = createClient(port, { reconnection: false });
+  const socketB = createClient(port, { reconnection: false });
+
+  try {
+    const setup = await setupPlayingRoom(socketA, socketB, "Alpha", "Beta");
+    const roomId = setup.roomId;
+    const seen = waitForEventFiltered(
+      socketB,
+      "chat:message",
+      (payload) => payload?.roomId === roomId && payload?.message?.text === "nieuprzejmie",
+      4_000,
+    );
+    socketA.emit("chat:send", { roomId, kind: "text", text: "nieuprzejmie" });
+    const messageId = (await seen).message.id;
+
+    const ownError = waitForEventFiltered(
+      socketA,
+      "game:error",
+      (payload) => payload?.code === "chat_report_invalid" && payload?.detail === "own_message",
+      4_000,
+    );
+    socketA.emit("chat:report", { roomId, messageId });
+    await ownError;
+
+    const reported = waitForEventFiltered(
+      socketB,
+      "chat:reported",
+      (payload) => payload?.roomId === roomId && payload?.messageId === messageId,
+      4_000,
+    );
+    socketB.emit("chat:report", { roomId, messageId, reason: "abuse" });
+    assert.equal((await reported).code, "chat_report_received");
+
+    const duplicate = waitForEventFiltered(
+      socketB,
+      "game:error",
+      (payload) => payload?.code === "chat_report_invalid" && payload?.detail === "duplicate",
+      4_000,
+    );
+    socketB.emit("chat:report", { roomId, messageId });
+    await duplicate;
+
+    const missing = waitForEventFiltered(
+      socketB,
+      "game:error",
+      (payload) => payload?.code === "chat_report_invalid" && payload?.detail === "not_found",
+      4_000,
+    );
+    socketB.emit("chat:report", { roomId, messageId: "chat-999-deadbeef" });
+    await missing;
+
+    const invalid = waitForEventFiltered(
+      socketB,
+      "game:error",
+      (payload) => payload?.code === "chat_invalid_payload",
+      4_000,
+    );
+    socketB.emit("chat:report", { roomId, messageId, reason: "boring" });
+    assert.equal((await invalid).detail, "report");
+  } finally {
+    socketA.disconnect();
+    socketB.disconnect();
+    await server.close();
+  }
+});
+
+test("chat:report soft-bans the sender once enough players report them", async () => {
+  const port = randomPort();
+  const server = await startTestServer(port, { CHAT_REPORT_SOFT_BAN_REPORTERS: "1" });
+  const socketA = createClient(port, { reconnection: false });
+  const socketB = createClient(port, { reconnection: false });
+
+  try {
+    const setup = await setupPlayingRoom(socketA, socketB, "Alpha", "Beta");
+    const roomId = setup.roomId;
+    const seen = waitForEventFiltered(
+      socketB,
+      "chat:message",
+      (payload) => payload?.roomId === roomId && payload?.message?.text === "spam spam",
+      4_000,
+    );
+    socketA.emit("chat:send", { roomId, kind: "text", text: "spam spam" });
+    const messageId = (await seen).message.id;
+
+    const reported = waitForEventFiltered(
+      socketB,
+      "chat:reported",
+      (payload) => payload?.messageId === messageId,
+      4_000,
+    );
+    socketB.emit("chat:report", { roomId, messageId, reason: "spam" });
+    await reported;
+
+    const banned = waitForEventFiltered(socketA, "game:error", (payload) => payload?.code === "soft_ban", 4_000);
+    socketA.emit("chat:send", { roomId, kind: "text", text: "jeszcze raz" });
+    await banned;
+  } finally {
+    socketA.disconnect();
+    socketB.disconnect();
+    await server.close();
+  }
+});
+
 test("chat history is replayed after reconnect", async () => {
   const port = randomPort();
   const server = await startTestServer(port, {
@@ -6849,23 +8136,19 @@ test("chat history is replayed after reconnect", async () => {
 
     const firstMsg = "Keep formation.";
     const secondMsg = "Roger that.";
-    const chatSeenA = waitForEvents(
-      socketA,
-      "chat:message",
-      (payload) => payload?.roomId === roomId,
-      2,
-      4_000,
-    );
-    const chatSeenB = waitForEvents(
-      socketB,
-      "chat:message",
-      (payload) => payload?.roomId === roomId,
-      2,
-      4_000,
+    const chatSeen = [socketA, socketB].flatMap((socket) =>
+      [firstMsg, secondMsg].map((text) =>
+        waitForEventFiltered(
+          socket,
+          "chat:message",
+          (payload) => payload?.roomId === roomId && payload?.message?.text === text,
+          4_000,
+        ),
+      ),
     );
     socketA.emit("chat:send", { roomId, kind: "text", text: firstMsg });
     socketB.emit("chat:send", { roomId, kind: "text", text: secondMsg });
-    await Promise.all([chatSeenA, chatSeenB]);
+    await Promise.all(chatSeen);
 
     socketB.disconnect();
     recoveredB = createClient(port, { reconnection: false });
@@ -51,6 +51,118 @@ test.describe('Command Deck smoke', () => {
     await expect(ownBoard.locator('.cell--ship')).toHaveCount(0);
   });
 
+  test('refresh offers to resume an unfinished local game', async ({ page }) => {
+    await page.goto('/');
+
+    const app = page.locator('.app');
+    const enemyBoard = page.locator('#enemyBoard');
+    await page.locator('#btnStartLocal').click();
+    await boardCell(enemyBoard, 0, 0).click();
+    await expect(page.locator('#shotsYour')).toHaveText('1');
+
+    await page.reload();
+
+    await expect(app).toHaveAttribute('data-phase', 'setup');
+    await expect(page.locator('#resumeBar')).toBeVisible();
+    await page.locator('#btnResumeLocal').click();
+    await expect(app).toHaveAttribute('data-phase', 'playing');
+    await expect(page.locator('#resumeBar')).toBeHidden();
+    await expect(page.locator('#shotsYour')).toHaveText('1');
+
+    await page.reload();
+    await page.locator('#btnDiscardLocal').click();
+    await expect(page.locator('#resumeBar')).toBeHidden();
+    await page.reload();
+    await expect(page.locator('#resumeBar')).toBeHidden();
+  });
+
+  test('local practice hint marks a cell and undo takes the shot back', async ({ page }) => {
+    await page.goto('/');
+
+    const enemyBoard = page.locator('#enemyBoard');
+    await expect(page.locator('#btnUndo')).toBeDisabled();
+    await page.locator('#btnStartLocal').click();
+    await page.locator('#btnHint').click();
+    await expect(enemyBoard.locator('.cell--hint')).toHaveCount(1);
+
+    await boardCell(enemyBoard, 0, 0).click();
+    await expect(page.locator('#shotsYour')).toHaveText('1');
+    await expect(enemyBoard.locator('.cell--hint')).toHaveCount(0);
+    await page.locator('#btnUndo').click();
+    await expect(page.locator('#shotsYour')).toHaveText('0');
+    await expect(page.locator('#btnUndo')).toBeDisabled();
+  });
+
+  test('enemy board is a keyboard grid: arrows move the roving focus and Enter fires', async ({ page }) => {
+    await page.goto('/');
+
+    const enemyBoard = page.locator('#enemyBoard');
+    await expect(enemyBoard).toHaveAttribute('role', 'grid');
+    await page.locator('#btnStartLocal').click();
+    await expect(enemyBoard.locator('button.cell[tabindex="0"]')).toHaveCount(1);
+
+    await boardCell(enemyBoard, 0, 0).focus();
+    await page.keyboard.press('ArrowRight');
+    await page.keyboard.press('ArrowDown');
+    await expect(boardCell(enemyBoard, 1, 1)).toBeFocused();
+    await expect(boardCell(enemyBoard, 1, 1)).toHaveAttribute('tabindex', '0');
+    await expect(boardCell(enemyBoard, 0, 0)).toHaveAttribute('tabindex', '-1');
+
+    await page.keyboard.press('Enter');
+    await expect(page.locator('#shotsYour')).toHaveText('1');
+    await expect(page.locator('#boardAnnouncer')).toHaveText(/^B2: /);
+    await expect(boardCell(enemyBoard, 1, 1)).toBeFocused();
+
+    await page.keyboard.press('End');
+    await expect(boardCell(enemyBoard, 1, 9)).toBeFocused();
+    await page.keyboard.press('ArrowRight');
+    await expect(boardCell(enemyBoard, 1, 9)).toBeFocused();
+  });
+
+  test('own board placement works from the keyboard: arrows preview, R rotates, Enter places', async ({ page }) => {
+    await page.goto('/');
+    await page.locator('#btnAdvancedToggle').click();
+    await page.locator('#btnClearPlacement').click();
+
+    const ownBoard = page.locator('#myBoard');
+    await boardCell(ownBoard, 0, 0).focus();
+    await page.keyboard.press('ArrowRight');
+    await page.keyboard.press('ArrowLeft');
+    await expect(boardCell(ownBoard, 0, 0)).toBeFocused();
+    await expect(boardCell(ownBoard, 0, 3)).toHaveClass(/cell--preview-valid/);
+
+    await page.keyboard.press('r');
+    await expect(boardCell(ownBoard, 3, 0)).toHaveClass(/cell--preview-valid/);
+    await expect(boardCell(ownBoard, 0, 0)).toBeFocused();
+
+    await page.keyboard.press('Enter');
+    await expect(ownBoard.locator('.cell--ship')).toHaveCount(4);
+    await expect(boardCell(ownBoard, 3, 0)).toHaveClass(/cell--ship/);
+    await expect(boardCell(ownBoard, 0, 0)).toBeFocused();
+  });
+
+  test('board theme follows prefers-contrast until chosen, and theme and glyphs persist', async ({ page }) => {
+    await page.emulateMedia({ contrast: 'more' });
+    await page.goto('/');
+
+    const root = page.locator('html');
+    const ownBoard = page.locator('#myBoard');
+    await expect(root).toHaveAttribute('data-board-theme', 'contrast');
+    await expect(ownBoard.locator('.cell__glyph')).toHaveCount(0);
+
+    await page.locator('#btnAdvancedToggle').click();
+    await page.locator('#boardThemeSelect').selectOption('colorblind');
+    await expect(root).toHaveAttribute('data-board-theme', 'colorblind');
+    await page.locator('#cellGlyphsInput').check();
+    await page.locator('#btnStartLocal').click();
+    await expect(ownBoard.locator('.cell--ship .cell__glyph').first()).toHaveText('■');
+
+    await page.reload();
+    await expect(root).toHaveAttribute('data-board-theme', 'colorblind');
+    await expect(page.locator('#boardThemeSelect')).toHaveValue('colorblind');
+    await expect(page.locator('#cellGlyphsInput')).toBeChecked();
+  });
+
   test('phase controls and advanced panel react to phase changes', async ({ page }) => {
     await page.goto('/');
 